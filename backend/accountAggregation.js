@@ -0,0 +1,407 @@
+const KlaviyoService = require('./klaviyoService');
+
+// Combine one dashboard report across a client's Klaviyo accounts, for the dashboard's
+// "All accounts" view. Counts are summed. Money is summed per currency (revenueByCurrency), and
+// the report's single total is only filled in when every account uses the same currency: there
+// are no exchange rates, so a mixed total would be meaningless. An account whose currency is unknown
+// (its key check couldn't read it) is left out of every money total; its revenue is listed on its own
+// in unknownCurrencyRevenue, with an unknown_currency warning.
+//
+// results has one entry per account: { account, value } with the account's report (as cached for
+// that account alone), or { account, error } if it couldn't be loaded. account is a klaviyo_accounts
+// row (id, label, currency). Issues of the accounts are kept, with accountId and the account's label
+// in front of the message; an account's error on a figure the other accounts still add up becomes a
+// partial-data warning.
+
+// { id, label, currency } of an account, as listed in combined reports
+function describeAccount(account) {
+  return { id: account.id, label: account.label, currency: account.currency || null };
+}
+
+// Sum of the numbers among values; null if there are none (no account had the figure)
+function sumValues(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) {
+    return null;
+  }
+  return numbers.reduce((sum, value) => sum + value, 0);
+}
+
+// sumValues rounded to cents, for money
+function sumMoney(values) {
+  const sum = sumValues(values);
+  return sum === null ? null : Math.round(sum * 100) / 100;
+}
+
+// Sum [{ date, value }] series bucket by bucket; buckets line up because every account is queried
+// with the same date range, timezone and interval
+function sumSeries(seriesList) {
+  const totals = new Map();
+  seriesList.forEach(series => {
+    (series || []).forEach(point => {
+      totals.set(point.date, (totals.get(point.date) || 0) + (point.value || 0));
+    });
+  });
+  return [...totals.entries()]
+    .sort(([a], [b]) => new Date(a).getTime() - new Date(b).getTime())
+    .map(([date, value]) => ({ date, value: Math.round(value * 100) / 100 }));
+}
+
+// sumSeries of the series the accounts could load; null if none could (every series is null)
+function sumAvailableSeries(seriesList) {
+  return seriesList.some(Array.isArray) ? sumSeries(seriesList) : null;
+}
+
+// Sum each numeric field of the given metric objects (e.g. eventMetrics) with sumValues
+function sumMetrics(metricsList) {
+  const keys = [...new Set(metricsList.flatMap(metrics => Object.keys(metrics || {})))];
+  return Object.fromEntries(keys.map(key => [key, sumValues(metricsList.map(metrics => metrics?.[key]))]));
+}
+
+// Group the loaded results by the currency of their account: { USD: [result, ...], ... }
+// Accounts with an unknown currency aren't in any group (see unknownCurrencyRevenue)
+function groupByCurrency(loaded) {
+  const groups = {};
+  loaded.filter(({ account }) => account.currency).forEach(result => {
+    const currency = result.account.currency;
+    groups[currency] = groups[currency] || [];
+    groups[currency].push(result);
+  });
+  return groups;
+}
+
+// The one currency of the grouped accounts, or null if they use several (or none is known)
+function singleCurrency(groups) {
+  const currencies = Object.keys(groups);
+  return currencies.length === 1 ? currencies[0] : null;
+}
+
+// Revenue of each account whose currency is unknown, which no total includes, as
+// [{ accountId, accountLabel, revenue }] with revenue picked from the account's report by pick
+function unknownCurrencyRevenue(loaded, pick) {
+  return loaded
+    .filter(({ account }) => !account.currency)
+    .map(({ account, value }) => ({ accountId: account.id, accountLabel: account.label, revenue: pick(value) }));
+}
+
+// An unknown_currency warning on section for each account whose currency is unknown; partial, as
+// the total (if any) leaves the account out
+function unknownCurrencyWarnings(loaded, section) {
+  return loaded
+    .filter(({ account }) => !account.currency)
+    .map(({ account }) => ({
+      section: section,
+      accountId: account.id,
+      code: 'unknown_currency',
+      message: `${account.label}: The account's currency is unknown, so its revenue is listed separately instead of in the total`,
+      partial: true
+    }));
+}
+
+// Provenance of a figure combined from several accounts: approximate if any account's was, with
+// their notes; sampleSize is summed when every account has one
+function combineProvenance(provenanceList) {
+  const list = provenanceList.filter(Boolean);
+  if (list.length === 0) {
+    return null;
+  }
+  const notes = [...new Set(list.map(provenance => provenance.note).filter(Boolean))];
+  const sampleSizes = list.map(provenance => provenance.sampleSize);
+  return {
+    ...list[0],
+    sampleSize: sampleSizes.every(size => typeof size === 'number') ? sumValues(sampleSizes) : null,
+    approximate: list.some(provenance => provenance.approximate),
+    note: notes.length > 0 ? notes.join('; ') : null
+  };
+}
+
+// Combine provenance maps ({ 'eventMetrics.placedOrder': provenance, ... }) field by field
+function combineProvenanceMaps(maps) {
+  const fields = [...new Set(maps.flatMap(map => Object.keys(map || {})))];
+  return Object.fromEntries(fields.map(field => [field, combineProvenance(maps.map(map => map?.[field]))]));
+}
+
+// Value at a dotted section path of a report (e.g. 'comparison.eventMetrics.placedOrder')
+function valueAt(report, section) {
+  return section.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), report);
+}
+
+// errors and warnings of the combined report: the accounts' issues tagged with their account, plus
+// one error per account that failed entirely. An error on a figure that still has a combined value
+// (the other accounts had it: a number, series or list) is reported as a partial-data warning instead
+function combineIssues(results, combined) {
+  const errors = [];
+  const warnings = [];
+  const tag = (issue, account) => ({ ...issue, accountId: account.id, message: `${account.label}: ${issue.message}` });
+
+  results.forEach(({ account, value, error }) => {
+    if (error) {
+      errors.push({
+        section: 'accounts',
+        accountId: account.id,
+        message: `${account.label}: ${error.message}`,
+        status: error.klaviyoStatus || null,
+        code: error.klaviyoCode || error.code || null
+      });
+      return;
+    }
+    (value.errors || []).forEach(issue => {
+      const combinedValue = valueAt(combined, issue.section);
+      if (combinedValue !== null && combinedValue !== undefined) {
+        warnings.push({ ...tag(issue, account), partial: true });
+      } else {
+        errors.push(tag(issue, account));
+      }
+    });
+    (value.warnings || []).forEach(issue => warnings.push(tag(issue, account)));
+  });
+
+  return { errors, warnings };
+}
+
+// Unresolved or ambiguous metrics of every account, tagged with the account
+function combineMetricIssues(loaded) {
+  return loaded.flatMap(({ account, value }) =>
+    (value.metricIssues || []).map(issue => ({ ...issue, accountId: account.id, accountLabel: account.label }))
+  );
+}
+
+// Overview: every account's details, and the metric count summed (catalogs are per account)
+function combineOverview(results, loaded) {
+  return {
+    account: null,
+    accounts: results.map(({ account, value }) => ({ ...describeAccount(account), account: value?.account ?? null })),
+    metrics: null,
+    metricCount: sumValues(loaded.map(({ value }) => value.metricCount)),
+    metricIssues: combineMetricIssues(loaded),
+    provenance: {}
+  };
+}
+
+// Event counts, and their comparison period if requested: summed, with deltas of the sums
+function combineEvents(results, loaded) {
+  const eventMetrics = sumMetrics(loaded.map(({ value }) => value.eventMetrics));
+  const comparisons = loaded.map(({ value }) => value.comparison).filter(Boolean);
+
+  let comparison = null;
+  if (comparisons.length > 0) {
+    const previous = sumMetrics(comparisons.map(entry => entry.eventMetrics));
+    comparison = {
+      mode: comparisons[0].mode,
+      dateRange: comparisons[0].dateRange,
+      eventMetrics: previous,
+      provenance: combineProvenanceMaps(comparisons.map(entry => entry.provenance)),
+      deltas: { eventMetrics: KlaviyoService.calculateDeltas(eventMetrics, previous) }
+    };
+  }
+
+  return {
+    eventMetrics,
+    metricIssues: combineMetricIssues(loaded),
+    provenance: combineProvenanceMaps(loaded.map(({ value }) => value.provenance)),
+    dateRange: loaded[0]?.value.dateRange ?? null,
+    comparison
+  };
+}
+
+// Revenue of one currency group (revenueMetrics of getRevenueSection, or of its comparison)
+function sumRevenue(revenueList) {
+  return {
+    totalRevenue: sumMoney(revenueList.map(revenue => revenue?.totalRevenue)),
+    revenueByEmail: sumMoney(revenueList.map(revenue => revenue?.revenueByEmail)),
+    revenueOverTime: sumSeries(revenueList.map(revenue => revenue?.revenueOverTime))
+  };
+}
+
+// Revenue: summed per currency in revenueByCurrency; revenueMetrics holds the totals only when
+// every account uses the same currency (otherwise they're null, with a mixed_currencies warning)
+function combineRevenue(results, loaded) {
+  const groups = groupByCurrency(loaded);
+  const currency = singleCurrency(groups);
+  const currencies = Object.keys(groups);
+  const mixed = currencies.length > 1;
+  const emptyRevenue = { totalRevenue: null, revenueByEmail: null, revenueOverTime: [] };
+
+  const byCurrency = (pick) => Object.fromEntries(
+    Object.entries(groups).map(([code, group]) => [code, sumRevenue(group.map(({ value }) => pick(value)))])
+  );
+  const revenueByCurrency = byCurrency(value => value.revenueMetrics);
+  const revenueMetrics = mixed ? emptyRevenue : (revenueByCurrency[currencies[0]] || emptyRevenue);
+
+  let comparison = null;
+  const comparisons = loaded.map(({ value }) => value.comparison).filter(Boolean);
+  if (comparisons.length > 0) {
+    const previousByCurrency = byCurrency(value => value.comparison?.revenueMetrics);
+    const previous = mixed ? emptyRevenue : (previousByCurrency[currencies[0]] || emptyRevenue);
+    comparison = {
+      mode: comparisons[0].mode,
+      dateRange: comparisons[0].dateRange,
+      revenueMetrics: previous,
+      revenueByCurrency: previousByCurrency,
+      unknownCurrencyRevenue: unknownCurrencyRevenue(loaded, value => value.comparison?.revenueMetrics ?? null),
+      provenance: combineProvenanceMaps(comparisons.map(entry => entry.provenance)),
+      deltas: {
+        revenueMetrics: KlaviyoService.calculateDeltas(revenueMetrics, previous),
+        revenueByCurrency: Object.fromEntries(
+          currencies.map(code => [code, KlaviyoService.calculateDeltas(revenueByCurrency[code], previousByCurrency[code])])
+        )
+      }
+    };
+  }
+
+  return {
+    revenueMetrics,
+    revenueByCurrency,
+    unknownCurrencyRevenue: unknownCurrencyRevenue(loaded, value => value.revenueMetrics),
+    currency,
+    metricIssues: combineMetricIssues(loaded),
+    provenance: combineProvenanceMaps(loaded.map(({ value }) => value.provenance)),
+    dateRange: loaded[0]?.value.dateRange ?? null,
+    comparison,
+    extraWarnings: [
+      ...(mixed
+        ? [{
+          section: 'revenueMetrics.totalRevenue',
+          code: 'mixed_currencies',
+          message: `The accounts report revenue in different currencies (${currencies.join(', ')}); see the total per currency`
+        }]
+        : []),
+      ...unknownCurrencyWarnings(loaded, 'revenueMetrics.totalRevenue')
+    ]
+  };
+}
+
+// Campaigns, flows or lists section: the count summed and the items listed together, each tagged
+// with its accountId
+function combineCollection(dataField, countField) {
+  return (results, loaded) => {
+    const collections = loaded.filter(({ value }) => value[dataField]);
+    return {
+      [dataField]: collections.length > 0
+        ? {
+          data: collections.flatMap(({ account, value }) =>
+            value[dataField].data.map(item => ({ ...item, accountId: account.id }))
+          ),
+          truncated: collections.some(({ value }) => Boolean(value[dataField].truncated))
+        }
+        : null,
+      [countField]: sumValues(loaded.map(({ value }) => value[countField])),
+      provenance: combineProvenanceMaps(loaded.map(({ value }) => value.provenance))
+    };
+  };
+}
+
+// Time series: counts summed per bucket; revenue per currency in revenueByCurrency, and in
+// series.revenue only when every account uses the same currency
+function combineTimeSeries(results, loaded) {
+  const groups = groupByCurrency(loaded);
+  const currency = singleCurrency(groups);
+  const currencies = Object.keys(groups);
+  const revenueByCurrency = Object.fromEntries(
+    Object.entries(groups).map(([code, group]) => [code, sumAvailableSeries(group.map(({ value }) => value.series.revenue))])
+  );
+  const seriesOf = (key) => sumAvailableSeries(loaded.map(({ value }) => value.series[key]));
+
+  return {
+    interval: loaded[0]?.value.interval ?? null,
+    dateRange: loaded[0]?.value.dateRange ?? null,
+    series: {
+      revenue: currencies.length === 1 ? revenueByCurrency[currencies[0]] : [],
+      orders: seriesOf('orders'),
+      viewedProduct: seriesOf('viewedProduct'),
+      addedToCart: seriesOf('addedToCart'),
+      activeOnSite: seriesOf('activeOnSite')
+    },
+    revenueByCurrency,
+    unknownCurrencyRevenue: unknownCurrencyRevenue(loaded, value => value.series.revenue),
+    currency,
+    provenance: combineProvenance(loaded.map(({ value }) => value.provenance)),
+    extraWarnings: unknownCurrencyWarnings(loaded, 'series.revenue')
+  };
+}
+
+// Campaign or flow report: the rows of every account (tagged with accountId, accountLabel and
+// currency), with totals summed; revenue per currency as for the time series
+// rowsField is 'campaigns' or 'flows'; a total is null only if no account could load it
+function combineReport(rowsField, sortRows) {
+  return (results, loaded) => {
+    const groups = groupByCurrency(loaded);
+    const currency = singleCurrency(groups);
+    const currencies = Object.keys(groups);
+    const revenueByCurrency = Object.fromEntries(
+      Object.entries(groups).map(([code, group]) => [code, sumMoney(group.map(({ value }) => value.totals.revenue))])
+    );
+
+    const rows = loaded.flatMap(({ account, value }) =>
+      value[rowsField].map(row => ({ ...row, accountId: account.id, accountLabel: account.label, currency: account.currency || null }))
+    );
+    const totals = sumMetrics(loaded.map(({ value }) => value.totals));
+    totals.revenue = currencies.length === 1 ? revenueByCurrency[currencies[0]] : null;
+
+    return {
+      dateRange: loaded[0]?.value.dateRange ?? null,
+      [rowsField]: sortRows ? rows.sort(sortRows) : rows,
+      totals,
+      revenueByCurrency,
+      unknownCurrencyRevenue: unknownCurrencyRevenue(loaded, value => value.totals.revenue),
+      currency,
+      provenance: combineProvenance(loaded.map(({ value }) => value.provenance)),
+      extraWarnings: unknownCurrencyWarnings(loaded, 'totals.revenue')
+    };
+  };
+}
+
+// Campaign report: newest send first across every account, as in getCampaignReport
+const combineCampaignReport = combineReport(
+  'campaigns',
+  (a, b) => new Date(b.sendTime || 0).getTime() - new Date(a.sendTime || 0).getTime()
+);
+
+// Flow report: the conversion rate is recomputed from the summed sends and conversions
+function combineFlowReport(results, loaded) {
+  const combined = combineReport('flows')(results, loaded);
+  const { sends, conversions } = combined.totals;
+  combined.totals.conversionRate = sends === null || conversions === null
+    ? null
+    : (sends > 0 ? (conversions / sends) * 100 : 0);
+  return combined;
+}
+
+// Report name (as passed to getCachedReport in server.js) -> how to combine it
+const COMBINERS = {
+  'section:overview': combineOverview,
+  'section:events': combineEvents,
+  'section:revenue': combineRevenue,
+  'section:campaigns': combineCollection('campaigns', 'campaignCount'),
+  'section:flows': combineCollection('flows', 'flowCount'),
+  'section:lists': combineCollection('lists', 'listCount'),
+  timeseries: combineTimeSeries,
+  campaigns: combineCampaignReport,
+  flows: combineFlowReport
+};
+
+// Combine report (a key of COMBINERS) from results as described at the top of this file
+// The combined report lists its accounts in `accounts` and has the usual errors, warnings and
+// timestamp; throws if the report can't be combined
+function combineAccountReports(report, results) {
+  const combine = COMBINERS[report];
+  if (!combine) {
+    throw new Error(`Report ${report} can't be combined across accounts`);
+  }
+
+  const loaded = results.filter(result => !result.error);
+  const { extraWarnings = [], ...combined } = combine(results, loaded);
+  const { errors, warnings } = combineIssues(results, combined);
+
+  return {
+    accounts: results.map(({ account }) => describeAccount(account)),
+    ...combined,
+    errors,
+    warnings: [...warnings, ...extraWarnings],
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  combineAccountReports
+};
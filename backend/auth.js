@@ -1,11 +1,20 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+// No fallback: a well-known default secret would let anyone forge client and admin tokens
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET is not set; refusing to start without a secret to sign tokens with');
+}
 
 // Generate JWT token
 function generateToken(clientId) {
-  return jwt.sign({ clientId }, JWT_SECRET, { expiresIn: '7d' });
+  return jwt.sign({ clientId, role: 'client' }, JWT_SECRET, { expiresIn: '7d' });
+}
+
+// Generate JWT token for an admin user (admin login); shorter-lived than client tokens
+function generateAdminToken(adminId) {
+  return jwt.sign({ adminId, role: 'admin' }, JWT_SECRET, { expiresIn: '12h' });
 }
 
 // Verify JWT token
@@ -42,14 +51,31 @@ function authenticateToken(req, res, next) {
   }
 
   req.clientId = decoded.clientId;
+  req.adminId = decoded.adminId;
+  req.tokenIssuedAt = decoded.iat;
+  // Client tokens issued before roles were added have no role claim
+  req.role = decoded.role || 'client';
   next();
 }
 
+// Middleware to restrict a route to one role; use after authenticateToken
+// e.g. app.get('/api/admin/clients', authenticateToken, requireRole('admin'), ...)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.role !== role) {
+      return res.status(403).json({ error: role === 'admin' ? 'Admin access required' : 'Client access required' });
+    }
+    next();
+  };
+}
+
 module.exports = {
   generateToken,
+  generateAdminToken,
   verifyToken,
   hashPassword,
   comparePassword,
-  authenticateToken
+  authenticateToken,
+  requireRole
 };
 
@@ -0,0 +1,37 @@
+// Add an admin user who can sign in to the admin panel
+// Usage: ADMIN_PASSWORD=... npm run create-admin -- <email> [name]
+// The password comes from the environment rather than the arguments so it stays out of shell history
+
+require('dotenv').config();
+const { dbOperations, db, ready } = require('./database');
+const { hashPassword } = require('./auth');
+
+async function createAdmin(email, name, password) {
+  if (!email || !password) {
+    throw new Error('Usage: ADMIN_PASSWORD=<password> npm run create-admin -- <email> [name]');
+  }
+  if (password.length < 12) {
+    throw new Error('ADMIN_PASSWORD must be at least 12 characters');
+  }
+
+  await ready;
+  if (await dbOperations.getAdminUserByEmail(email)) {
+    throw new Error(`An admin user with email ${email} already exists`);
+  }
+  return dbOperations.addAdminUser(name || email, email, await hashPassword(password));
+}
+
+if (require.main === module) {
+  createAdmin(process.argv[2], process.argv[3], process.env.ADMIN_PASSWORD)
+    .then(admin => {
+      console.log(`Admin user ${admin.email} added (id ${admin.id})`);
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    // Closing before the tables are set up would fail their statements
+    .finally(() => ready.then(() => db.close()));
+}
+
+module.exports = { createAdmin };
@@ -1,13 +1,20 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { encryptSecret, rewrapSecret, currentKeyVersion } = require('./keyEncryption');
 
-const dbPath = path.join(__dirname, 'klaviyo_dashboard.db');
+// DATABASE_PATH overrides the location (e.g. ':memory:' for tests)
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'klaviyo_dashboard.db');
+
+// Resolves once the tables have been created; queries made earlier could find them missing
+let markReady;
+const ready = new Promise(resolve => { markReady = resolve; });
 
 // Initialize database
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error('Error opening database:', err.message);
     // Don't exit - allow server to start even if DB fails initially
+    markReady();
   } else {
     console.log('Connected to SQLite database');
     initializeTables();
@@ -36,23 +43,250 @@ function initializeTables() {
         console.log('Clients table ready');
       }
     });
+
+    // Demo clients (is_demo = 1) get synthetic data generated from demo_seed instead of a Klaviyo
+    // account; see demoKlaviyoService.js. Databases created before demo mode gain the columns here
+    addColumnIfMissing('clients', 'is_demo', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing('clients', 'demo_seed', 'TEXT');
+
+    // Klaviyo keys used to live on the client; they are in klaviyo_accounts now (a client can have
+    // several accounts). These columns are only read to move older databases' keys across, see
+    // migrateClientAccounts()
+    addColumnIfMissing('clients', 'klaviyo_key_version', 'INTEGER');
+    addColumnIfMissing('clients', 'klaviyo_account_name', 'TEXT');
+    addColumnIfMissing('clients', 'klaviyo_currency', 'TEXT');
+    addColumnIfMissing('clients', 'klaviyo_timezone', 'TEXT');
+    addColumnIfMissing('clients', 'klaviyo_scopes', 'TEXT');
+    addColumnIfMissing('clients', 'klaviyo_checked_at', 'DATETIME');
+
+    // Client lifecycle: disabled clients can't sign in; deleted clients (soft delete) are hidden
+    // until restored or purged. Tokens issued before sessions_valid_after (Unix seconds, set by a
+    // password reset) are no longer accepted
+    addColumnIfMissing('clients', 'disabled_at', 'DATETIME');
+    addColumnIfMissing('clients', 'deleted_at', 'DATETIME');
+    addColumnIfMissing('clients', 'updated_at', 'DATETIME');
+    addColumnIfMissing('clients', 'sessions_valid_after', 'INTEGER');
+
+    // A client's Klaviyo accounts; the dashboard shows one at a time or all of them combined
+    // klaviyo_private_key holds the key encrypted by keyEncryption.js; klaviyo_key_version is the
+    // master key version that wrapped it (NULL for rows stored in plaintext before encryption, and
+    // for demo accounts, which have no key and generate data from demo_seed instead).
+    // migrateKlaviyoKeys() below brings every row up to date. account_name, currency, timezone and
+    // scopes (JSON array of granted API scopes) are what the last key check found
+    // (KlaviyoService.checkAccess)
+    db.run(`CREATE TABLE IF NOT EXISTS klaviyo_accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      client_id INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      klaviyo_private_key TEXT NOT NULL DEFAULT '',
+      klaviyo_key_version INTEGER,
+      demo_seed TEXT,
+      account_name TEXT,
+      currency TEXT,
+      timezone TEXT,
+      scopes TEXT,
+      checked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY (client_id) REFERENCES clients(id)
+    )`, (err) => {
+      if (err) {
+        console.error('Error creating klaviyo_accounts table:', err.message);
+      } else {
+        console.log('Klaviyo accounts table ready');
+      }
+    });
+
+    // Per-account metric mappings: canonical KPI key (e.g. placedOrder) -> Klaviyo metric ID
+    // (metric IDs belong to one Klaviyo account). Older databases kept them per client in
+    // metric_mappings; migrateClientAccounts() moves them here
+    db.run(`CREATE TABLE IF NOT EXISTS account_metric_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      metric_key TEXT NOT NULL,
+      metric_id TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (account_id, metric_key),
+      FOREIGN KEY (account_id) REFERENCES klaviyo_accounts(id)
+    )`, (err) => {
+      if (err) {
+        console.error('Error creating account_metric_mappings table:', err.message);
+      } else {
+        console.log('Metric mappings table ready');
+      }
+    });
+
+    // Admin users sign in to the admin panel (admin login); they are separate from client logins
+    db.run(`CREATE TABLE IF NOT EXISTS admin_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`, (err) => {
+      if (err) {
+        console.error('Error creating admin_users table:', err.message);
+      } else {
+        console.log('Admin users table ready');
+      }
+    });
+
+    // Runs after the statements above
+    db.get('SELECT 1', () => {
+      migrateClientAccounts()
+        .catch(err => console.error('Error moving Klaviyo keys to klaviyo_accounts:', err.message))
+        .then(() => migrateKlaviyoKeys())
+        .catch(err => console.error('Error migrating Klaviyo keys:', err.message))
+        .then(() => markReady());
+    });
+  });
+}
+
+// Tables holding encrypted Klaviyo keys; clients only until migrateClientAccounts() has moved them
+const KEY_TABLES = ['klaviyo_accounts', 'clients'];
+
+// Move the Klaviyo key of clients from before multiple accounts into klaviyo_accounts (one account
+// per client, named after the Klaviyo account), together with the client's metric mappings.
+// Runs at startup before migrateKlaviyoKeys(); clients that already have an account are skipped, so
+// running it again does nothing. Resolves with { moved }
+async function migrateClientAccounts() {
+  const moved = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO klaviyo_accounts (client_id, label, klaviyo_private_key, klaviyo_key_version, demo_seed,
+       account_name, currency, timezone, scopes, checked_at)
+       SELECT id, COALESCE(klaviyo_account_name, 'Klaviyo account'), klaviyo_private_key, klaviyo_key_version,
+       CASE WHEN is_demo = 1 THEN COALESCE(demo_seed, email) END, klaviyo_account_name, klaviyo_currency,
+       klaviyo_timezone, klaviyo_scopes, klaviyo_checked_at
+       FROM clients
+       WHERE (klaviyo_private_key != '' OR is_demo = 1) AND id NOT IN (SELECT client_id FROM klaviyo_accounts)`,
+      [],
+      function(err) {
+        return err ? reject(err) : resolve(this.changes);
+      }
+    );
+  });
+
+  // Keep each key in one place only
+  await runUpdate(
+    `UPDATE clients SET klaviyo_private_key = '', klaviyo_key_version = NULL
+     WHERE klaviyo_private_key != '' AND id IN (SELECT client_id FROM klaviyo_accounts)`,
+    []
+  );
+
+  // Per-client mappings go to the client's first account (its only one at this point)
+  const legacyMappings = await new Promise((resolve, reject) => {
+    db.get(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'metric_mappings'`,
+      [],
+      (err, row) => (err ? reject(err) : resolve(Boolean(row)))
+    );
+  });
+  if (legacyMappings) {
+    await runUpdate(
+      `INSERT OR IGNORE INTO account_metric_mappings (account_id, metric_key, metric_id, updated_at)
+       SELECT accounts.id, metric_mappings.metric_key, metric_mappings.metric_id, metric_mappings.updated_at
+       FROM metric_mappings
+       JOIN klaviyo_accounts accounts
+       ON accounts.id = (SELECT MIN(id) FROM klaviyo_accounts WHERE client_id = metric_mappings.client_id)`,
+      []
+    );
+    await runUpdate(`DROP TABLE metric_mappings`, []);
+  }
+
+  if (moved > 0) {
+    console.log(`Klaviyo keys: moved ${moved} client key(s) to klaviyo_accounts`);
+  }
+  return { moved };
+}
+
+// Encrypt Klaviyo keys still stored in plaintext and re-wrap those encrypted with an older master
+// key version (after KLAVIYO_KEY_ENCRYPTION_KEYS gained a new one), in every table of KEY_TABLES.
+// Runs at startup; rows are updated one by one, so an interrupted run is simply finished by the
+// next one
+async function migrateKlaviyoKeys() {
+  const rows = [];
+  for (const table of KEY_TABLES) {
+    const tableRows = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, klaviyo_private_key, klaviyo_key_version FROM ${table} WHERE klaviyo_private_key != ''`,
+        [],
+        (err, found) => (err ? reject(err) : resolve(found))
+      );
+    });
+    rows.push(...tableRows.map(row => ({ ...row, table })));
+  }
+
+  let version;
+  try {
+    version = currentKeyVersion();
+  } catch (error) {
+    if (rows.some(row => row.klaviyo_key_version === null)) {
+      console.error(`${error.message} - Klaviyo keys stored in plaintext were not encrypted`);
+    }
+    return { encrypted: 0, rewrapped: 0 };
+  }
+
+  const result = { encrypted: 0, rewrapped: 0 };
+  for (const row of rows) {
+    if (row.klaviyo_key_version === version) continue;
+
+    const updated = row.klaviyo_key_version === null
+      ? encryptSecret(row.klaviyo_private_key)
+      : rewrapSecret(row.klaviyo_private_key, row.klaviyo_key_version);
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE ${row.table} SET klaviyo_private_key = ?, klaviyo_key_version = ? WHERE id = ?`,
+        [updated.ciphertext, updated.keyVersion, row.id],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+    result[row.klaviyo_key_version === null ? 'encrypted' : 'rewrapped']++;
+  }
+
+  if (result.encrypted || result.rewrapped) {
+    console.log(`Klaviyo keys: encrypted ${result.encrypted}, re-wrapped ${result.rewrapped} with master key version ${version}`);
+  }
+  return result;
+}
+
+// Add a column to an existing table; SQLite has no ADD COLUMN IF NOT EXISTS, so the
+// "duplicate column" error of tables that already have it is expected and ignored
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Error adding ${table}.${column}:`, err.message);
+    }
+  });
+}
+
+// Run an UPDATE or DELETE; resolves with { updated } (false if no row matched)
+function runUpdate(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ updated: this.changes > 0 });
+      }
+    });
   });
 }
 
 // Database operations
 const dbOperations = {
-  // Add a new client
-  addClient: (name, email, password, klaviyoPrivateKey) => {
+  // Add a new client; its Klaviyo accounts are added with addKlaviyoAccount()
+  // Demo clients' dashboards show synthetic data from demo accounts instead of Klaviyo
+  addClient: (name, email, password, demo = false) => {
     return new Promise((resolve, reject) => {
       db.run(
-        `INSERT INTO clients (name, email, password, klaviyo_private_key) 
-         VALUES (?, ?, ?, ?)`,
-        [name, email, password, klaviyoPrivateKey],
+        `INSERT INTO clients (name, email, password, klaviyo_private_key, is_demo) 
+         VALUES (?, ?, ?, '', ?)`,
+        [name, email, password, demo ? 1 : 0],
         function(err) {
           if (err) {
             reject(err);
           } else {
-            resolve({ id: this.lastID, name, email });
+            resolve({ id: this.lastID, name, email, demo: Boolean(demo) });
           }
         }
       );
@@ -63,7 +297,7 @@ const dbOperations = {
   getClientByEmail: (email) => {
     return new Promise((resolve, reject) => {
       db.get(
-        `SELECT id, name, email, password, klaviyo_private_key FROM clients WHERE email = ?`,
+        `SELECT id, name, email, password, is_demo, disabled_at, deleted_at FROM clients WHERE email = ?`,
         [email],
         (err, row) => {
           if (err) {
@@ -80,7 +314,7 @@ const dbOperations = {
   getClientById: (id) => {
     return new Promise((resolve, reject) => {
       db.get(
-        `SELECT id, name, email, klaviyo_private_key FROM clients WHERE id = ?`,
+        `SELECT id, name, email, is_demo, disabled_at, deleted_at, sessions_valid_after FROM clients WHERE id = ?`,
         [id],
         (err, row) => {
           if (err) {
@@ -93,17 +327,283 @@ const dbOperations = {
     });
   },
 
-  // Get all clients (for admin)
-  getAllClients: () => {
+  // Record the result of KlaviyoService.checkAccess() for a Klaviyo account's key
+  saveKlaviyoKeyCheck: (accountId, keyCheck) => {
+    const account = keyCheck.account || {};
+    const granted = keyCheck.scopes.filter(scope => scope.status === 'granted').map(scope => scope.scope);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE klaviyo_accounts SET account_name = ?, currency = ?, timezone = ?, scopes = ?, checked_at = ?
+         WHERE id = ?`,
+        [account.name || null, account.currency || null, account.timezone || null, JSON.stringify(granted), keyCheck.checkedAt, accountId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ updated: this.changes > 0 });
+          }
+        }
+      );
+    });
+  },
+
+  // Get all clients (for admin), with klaviyo_scopes parsed into an array (null if never checked)
+  // The klaviyo_* fields describe the client's primary (first) Klaviyo account; account_count is how
+  // many it has. Deleted clients are left out unless includeDeleted is true
+  getAllClients: (includeDeleted = false) => {
     return new Promise((resolve, reject) => {
       db.all(
-        `SELECT id, name, email, created_at FROM clients ORDER BY created_at DESC`,
+        `SELECT clients.id, clients.name, clients.email, clients.is_demo,
+         accounts.account_name AS klaviyo_account_name, accounts.currency AS klaviyo_currency,
+         accounts.timezone AS klaviyo_timezone, accounts.scopes AS klaviyo_scopes,
+         accounts.checked_at AS klaviyo_checked_at,
+         (SELECT COUNT(*) FROM klaviyo_accounts WHERE client_id = clients.id) AS account_count,
+         clients.disabled_at, clients.deleted_at, clients.created_at, clients.updated_at
+         FROM clients
+         LEFT JOIN klaviyo_accounts accounts
+         ON accounts.id = (SELECT MIN(id) FROM klaviyo_accounts WHERE client_id = clients.id)
+         ${includeDeleted ? '' : 'WHERE clients.deleted_at IS NULL'} ORDER BY clients.created_at DESC`,
         [],
         (err, rows) => {
           if (err) {
             reject(err);
           } else {
-            resolve(rows);
+            resolve(rows.map(row => ({
+              ...row,
+              klaviyo_scopes: row.klaviyo_scopes ? JSON.parse(row.klaviyo_scopes) : null
+            })));
+          }
+        }
+      );
+    });
+  },
+
+  // Change a client's name and/or email; fields left undefined keep their value
+  updateClient: (id, { name, email }) => {
+    return runUpdate(
+      `UPDATE clients SET name = COALESCE(?, name), email = COALESCE(?, email), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [name ?? null, email ?? null, id]
+    );
+  },
+
+  // Disable (disabled = true) or re-enable a client; disabling keeps the original disabled_at
+  setClientDisabled: (id, disabled) => {
+    return runUpdate(
+      `UPDATE clients SET disabled_at = CASE WHEN ? THEN COALESCE(disabled_at, CURRENT_TIMESTAMP) ELSE NULL END,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [disabled ? 1 : 0, id]
+    );
+  },
+
+  // Set a new password (already hashed) and end the client's existing sessions
+  updateClientPassword: (id, password) => {
+    return runUpdate(
+      `UPDATE clients SET password = ?, sessions_valid_after = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [password, Math.floor(Date.now() / 1000), id]
+    );
+  },
+
+  // Soft delete: the client is hidden and can't sign in, but can be restored until purged
+  deleteClient: (id) => {
+    return runUpdate(
+      `UPDATE clients SET deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    );
+  },
+
+  // Undo deleteClient()
+  restoreClient: (id) => {
+    return runUpdate(
+      `UPDATE clients SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [id]
+    );
+  },
+
+  // Permanently remove a deleted client, its Klaviyo accounts and their metric mappings (clients not
+  // deleted first are kept)
+  purgeClient: async (id) => {
+    const { updated } = await runUpdate(`DELETE FROM clients WHERE id = ? AND deleted_at IS NOT NULL`, [id]);
+    if (updated) {
+      await runUpdate(
+        `DELETE FROM account_metric_mappings WHERE account_id IN (SELECT id FROM klaviyo_accounts WHERE client_id = ?)`,
+        [id]
+      );
+      await runUpdate(`DELETE FROM klaviyo_accounts WHERE client_id = ?`, [id]);
+    }
+    return { purged: updated };
+  },
+
+  // Add a Klaviyo account to a client
+  // encryptedKey is the Klaviyo private key as returned by keyEncryption.encryptSecret(); a
+  // demoSeed makes it a demo account instead: it shows synthetic data and has no key (pass null)
+  addKlaviyoAccount: (clientId, label, encryptedKey, demoSeed = null) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO klaviyo_accounts (client_id, label, klaviyo_private_key, klaviyo_key_version, demo_seed)
+         VALUES (?, ?, ?, ?, ?)`,
+        [clientId, label, encryptedKey ? encryptedKey.ciphertext : '', encryptedKey ? encryptedKey.keyVersion : null, demoSeed],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, clientId, label, demo: Boolean(demoSeed) });
+          }
+        }
+      );
+    });
+  },
+
+  // Get a client's Klaviyo accounts, primary (first added) first, with scopes parsed into an array
+  // klaviyo_private_key is encrypted; only createKlaviyoService() in server.js decrypts it
+  getKlaviyoAccounts: (clientId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, client_id, label, klaviyo_private_key, klaviyo_key_version, demo_seed, account_name,
+         currency, timezone, scopes, checked_at, created_at, updated_at
+         FROM klaviyo_accounts WHERE client_id = ? ORDER BY id`,
+        [clientId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              scopes: row.scopes ? JSON.parse(row.scopes) : null
+            })));
+          }
+        }
+      );
+    });
+  },
+
+  // Rename a Klaviyo account
+  renameKlaviyoAccount: (accountId, label) => {
+    return runUpdate(
+      `UPDATE klaviyo_accounts SET label = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [label, accountId]
+    );
+  },
+
+  // Replace a Klaviyo account's key (encryptedKey from keyEncryption.encryptSecret())
+  updateKlaviyoAccountKey: (accountId, encryptedKey) => {
+    return runUpdate(
+      `UPDATE klaviyo_accounts SET klaviyo_private_key = ?, klaviyo_key_version = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [encryptedKey.ciphertext, encryptedKey.keyVersion, accountId]
+    );
+  },
+
+  // Remove a Klaviyo account and its metric mappings
+  deleteKlaviyoAccount: async (accountId) => {
+    await runUpdate(`DELETE FROM account_metric_mappings WHERE account_id = ?`, [accountId]);
+    return runUpdate(`DELETE FROM klaviyo_accounts WHERE id = ?`, [accountId]);
+  },
+
+  // Add an admin user (password already hashed)
+  addAdminUser: (name, email, password) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO admin_users (name, email, password) VALUES (?, ?, ?)`,
+        [name, email, password],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, name, email });
+          }
+        }
+      );
+    });
+  },
+
+  // Get admin user by email (includes the password hash, for login)
+  getAdminUserByEmail: (email) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT id, name, email, password FROM admin_users WHERE email = ?`,
+        [email],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  },
+
+  // Get admin user by ID
+  getAdminUserById: (id) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT id, name, email, created_at FROM admin_users WHERE id = ?`,
+        [id],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  },
+
+  // Get a Klaviyo account's metric mappings as { metricKey: metricId }
+  getMetricMappings: (accountId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT metric_key, metric_id FROM account_metric_mappings WHERE account_id = ?`,
+        [accountId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            const mappings = {};
+            rows.forEach(row => {
+              mappings[row.metric_key] = row.metric_id;
+            });
+            resolve(mappings);
+          }
+        }
+      );
+    });
+  },
+
+  // Create or replace the metric mapping for one KPI
+  setMetricMapping: (accountId, metricKey, metricId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO account_metric_mappings (account_id, metric_key, metric_id)
+         VALUES (?, ?, ?)
+         ON CONFLICT (account_id, metric_key)
+         DO UPDATE SET metric_id = excluded.metric_id, updated_at = CURRENT_TIMESTAMP`,
+        [accountId, metricKey, metricId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ accountId, metricKey, metricId });
+          }
+        }
+      );
+    });
+  },
+
+  // Remove the metric mapping for one KPI (falls back to automatic detection)
+  deleteMetricMapping: (accountId, metricKey) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM account_metric_mappings WHERE account_id = ? AND metric_key = ?`,
+        [accountId, metricKey],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ deleted: this.changes > 0 });
           }
         }
       );
@@ -111,5 +611,5 @@ const dbOperations = {
   }
 };
 
-module.exports = { db, dbOperations };
+module.exports = { db, dbOperations, ready, migrateKlaviyoKeys, migrateClientAccounts };
 
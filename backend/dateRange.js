@@ -0,0 +1,282 @@
+// Date range resolution for dashboard queries
+// Turns the start/end/timezone/preset query parameters into one concrete window
+// so every Klaviyo aggregation for a dashboard load describes the same period
+
+const PRESETS = ['7d', '30d', 'mtd', 'qtd', 'ytd', 'custom'];
+const COMPARISON_MODES = ['previous_period', 'previous_year'];
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+const DEFAULT_PRESET = '30d';
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Klaviyo's Query Metric Aggregates endpoint rejects windows longer than one year
+const MAX_RANGE_DAYS = 366;
+
+// Longest window hourly buckets are allowed for (keeps series under ~750 points)
+const MAX_HOURLY_RANGE_DAYS = 31;
+
+// Build an error the route handlers can turn into a 400 response
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Check that a timezone is a valid IANA name (e.g. "America/New_York")
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Get the wall-clock date/time parts of an instant in the given timezone
+function getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month - 1, // 0-based, like Date
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Offset of a timezone from UTC at the given instant, in milliseconds
+function getTimezoneOffset(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUTC = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time in the given timezone to a UTC Date
+// Re-checks the offset once so times on a DST transition day resolve correctly
+function zonedTimeToUtc(parts, timezone) {
+  const guess = Date.UTC(parts.year, parts.month, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0);
+  let result = guess - getTimezoneOffset(new Date(guess), timezone);
+  const correctedOffset = getTimezoneOffset(new Date(result), timezone);
+  result = guess - correctedOffset;
+  return new Date(result);
+}
+
+// Convert a wall-clock midnight in the given timezone to a UTC Date
+function zonedMidnightToUtc(year, month, day, timezone) {
+  return zonedTimeToUtc({ year, month, day }, timezone);
+}
+
+// Start of the calendar day containing `date` in the given timezone, shifted by `offsetDays`
+function startOfZonedDay(date, timezone, offsetDays = 0) {
+  const parts = getZonedParts(date, timezone);
+  return zonedMidnightToUtc(parts.year, parts.month, parts.day + offsetDays, timezone);
+}
+
+// Parse a start/end query value
+// Date-only values ("2024-11-29") are midnight in the requested timezone;
+// full ISO datetimes are taken as-is
+function parseBoundary(value, name, timezone) {
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    const year = parseInt(dateOnly[1], 10);
+    const month = parseInt(dateOnly[2], 10) - 1;
+    const day = parseInt(dateOnly[3], 10);
+    const check = new Date(Date.UTC(year, month, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month || check.getUTCDate() !== day) {
+      throw validationError(`Invalid ${name} date: ${value}`);
+    }
+    return { date: zonedMidnightToUtc(year, month, day, timezone), dateOnly: true };
+  }
+
+  const parsed = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(value) || isNaN(parsed.getTime())) {
+    throw validationError(`Invalid ${name} date: ${value}. Use YYYY-MM-DD or an ISO 8601 datetime`);
+  }
+  return { date: parsed, dateOnly: false };
+}
+
+// Resolve a named preset to a [start, end) window ending now
+function resolvePreset(preset, timezone, now) {
+  const parts = getZonedParts(now, timezone);
+
+  switch (preset) {
+    case '7d':
+      // Last 7 days including today
+      return { start: startOfZonedDay(now, timezone, -6), end: now };
+    case '30d':
+      // Last 30 days including today
+      return { start: startOfZonedDay(now, timezone, -29), end: now };
+    case 'mtd':
+      return { start: zonedMidnightToUtc(parts.year, parts.month, 1, timezone), end: now };
+    case 'qtd': {
+      const quarterStartMonth = Math.floor(parts.month / 3) * 3;
+      return { start: zonedMidnightToUtc(parts.year, quarterStartMonth, 1, timezone), end: now };
+    }
+    case 'ytd':
+      return { start: zonedMidnightToUtc(parts.year, 0, 1, timezone), end: now };
+    default:
+      throw validationError(`Unknown preset: ${preset}`);
+  }
+}
+
+// Resolve dashboard query parameters into a concrete date range
+// Accepts { preset, start, end, timezone } (all optional strings, as received in req.query)
+// Returns { preset, start, end, timezone } with start/end as ISO strings; end is exclusive
+// Throws an error with status 400 if the parameters are invalid
+function resolveDateRange(query = {}, now = new Date()) {
+  const timezone = query.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw validationError(`Invalid timezone: ${timezone}. Use an IANA name such as "America/New_York"`);
+  }
+
+  // start/end without a preset implies a custom range
+  let preset = query.preset ? String(query.preset).toLowerCase() : null;
+  if (!preset) {
+    preset = (query.start || query.end) ? 'custom' : DEFAULT_PRESET;
+  }
+
+  if (!PRESETS.includes(preset)) {
+    throw validationError(`Invalid preset: ${query.preset}. Expected one of: ${PRESETS.join(', ')}`);
+  }
+
+  let start;
+  let end;
+
+  if (preset === 'custom') {
+    if (!query.start || !query.end) {
+      throw validationError('Custom date ranges require both start and end');
+    }
+
+    start = parseBoundary(query.start, 'start', timezone).date;
+    const parsedEnd = parseBoundary(query.end, 'end', timezone);
+    // A date-only end includes that whole day
+    end = parsedEnd.dateOnly ? startOfZonedDay(parsedEnd.date, timezone, 1) : parsedEnd.date;
+  } else {
+    if (query.start || query.end) {
+      throw validationError(`start and end can only be used with the custom preset (got preset ${preset})`);
+    }
+    ({ start, end } = resolvePreset(preset, timezone, now));
+  }
+
+  if (start.getTime() >= end.getTime()) {
+    throw validationError('start must be before end');
+  }
+
+  if (end.getTime() - start.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    throw validationError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return {
+    preset,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    timezone
+  };
+}
+
+// Shift an instant by whole calendar years, keeping its wall-clock time in the timezone
+// Feb 29 falls back to Feb 28 in non-leap years
+function shiftZonedYears(date, timezone, years) {
+  const parts = getZonedParts(date, timezone);
+  const year = parts.year + years;
+  const daysInMonth = new Date(Date.UTC(year, parts.month + 1, 0)).getUTCDate();
+  return zonedTimeToUtc({ ...parts, year, day: Math.min(parts.day, daysInMonth) }, timezone);
+}
+
+// Resolve the period a date range is compared against
+// previous_period: the window of the same length immediately before it
+// previous_year: the same calendar window one year earlier
+// Returns a range shaped like resolveDateRange()'s, plus `mode`
+// Throws an error with status 400 for an unknown mode
+function resolveComparisonRange(dateRange, mode) {
+  if (!COMPARISON_MODES.includes(mode)) {
+    throw validationError(`Invalid compare mode: ${mode}. Expected one of: ${COMPARISON_MODES.join(', ')}`);
+  }
+
+  const start = new Date(dateRange.start);
+  const end = new Date(dateRange.end);
+  let comparisonStart;
+  let comparisonEnd;
+
+  if (mode === 'previous_period') {
+    comparisonEnd = start;
+    comparisonStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+  } else {
+    comparisonStart = shiftZonedYears(start, dateRange.timezone, -1);
+    comparisonEnd = shiftZonedYears(end, dateRange.timezone, -1);
+  }
+
+  return {
+    mode,
+    preset: dateRange.preset,
+    start: comparisonStart.toISOString(),
+    end: comparisonEnd.toISOString(),
+    timezone: dateRange.timezone
+  };
+}
+
+// Pick the time-series bucket size for a date range
+// Uses the requested interval if given (validated), otherwise one that suits the window length:
+// hourly up to 2 days, daily up to 90 days, weekly beyond that
+// Throws an error with status 400 for an unknown interval or hourly buckets over a long window
+function resolveInterval(interval, dateRange) {
+  const days = (new Date(dateRange.end).getTime() - new Date(dateRange.start).getTime()) / DAY_MS;
+
+  if (!interval) {
+    if (days <= 2) return 'hour';
+    if (days <= 90) return 'day';
+    return 'week';
+  }
+
+  if (!INTERVALS.includes(interval)) {
+    throw validationError(`Invalid interval: ${interval}. Expected one of: ${INTERVALS.join(', ')}`);
+  }
+
+  if (interval === 'hour' && days > MAX_HOURLY_RANGE_DAYS) {
+    throw validationError(`Hourly intervals are limited to ranges of ${MAX_HOURLY_RANGE_DAYS} days`);
+  }
+
+  return interval;
+}
+
+// Build the Klaviyo datetime filters for a resolved date range
+function buildDateFilters(dateRange) {
+  return [
+    `greater-or-equal(datetime,${dateRange.start})`,
+    `less-than(datetime,${dateRange.end})`
+  ];
+}
+
+module.exports = {
+  PRESETS,
+  COMPARISON_MODES,
+  INTERVALS,
+  DEFAULT_PRESET,
+  DEFAULT_TIMEZONE,
+  resolveDateRange,
+  resolveComparisonRange,
+  resolveInterval,
+  buildDateFilters,
+  isValidTimezone,
+  getZonedParts,
+  zonedMidnightToUtc,
+  startOfZonedDay
+};
@@ -0,0 +1,397 @@
+// Synthetic Klaviyo account generator for demo mode
+// Builds a fixture in mockKlaviyoServer.js's format (see fixtures/klaviyo/default.json) with a
+// store's metrics, lists, profiles, campaigns, flows and two years of events, so every dashboard
+// report has realistic data without a Klaviyo account.
+//
+// Everything is derived from a seed: the same seed always gives the same store, and each calendar
+// day's events come from their own seeded random stream, so past days stay the same when the data
+// is regenerated later on. Volumes follow weekly and yearly seasonality (quiet January, a build-up
+// to Black Friday and Cyber Monday, busy December weeks) plus steady growth, and campaign sends
+// lift orders for the days after them.
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 730; // Enough history for year-to-date compared with the previous year
+const GROWTH_EPOCH = Date.UTC(2024, 0, 1);
+
+const STORES = [
+  { name: 'Northwind Outdoor Co.', industry: 'Sporting Goods', timezone: 'America/Denver', currency: 'USD', averageOrder: 96 },
+  { name: 'Juniper & Pine', industry: 'Home & Garden', timezone: 'America/New_York', currency: 'USD', averageOrder: 64 },
+  { name: 'Harbor Coffee Roasters', industry: 'Food & Beverage', timezone: 'America/Los_Angeles', currency: 'USD', averageOrder: 38 },
+  { name: 'Fernleaf Botanicals', industry: 'Health & Beauty', timezone: 'Europe/London', currency: 'GBP', averageOrder: 47 },
+  { name: 'Atlas Running Supply', industry: 'Apparel', timezone: 'America/Chicago', currency: 'USD', averageOrder: 82 }
+];
+
+const FIRST_NAMES = ['Avery', 'Jordan', 'Riley', 'Morgan', 'Casey', 'Quinn', 'Harper', 'Rowan', 'Emerson', 'Sage',
+  'Parker', 'Reese', 'Hayden', 'Skyler', 'Dakota', 'Finley', 'Logan', 'Elliot', 'Kendall', 'Sawyer'];
+const LAST_NAMES = ['Nguyen', 'Garcia', 'Smith', 'Okafor', 'Rossi', 'Kowalski', 'Haddad', 'Tanaka', 'Silva', 'Murphy',
+  'Johansson', 'Patel', 'Dubois', 'Moreno', 'Fischer', 'Kim', 'Walker', 'Novak', 'Reyes', 'Lindqvist'];
+
+// Campaign themes by month (0 = January); Black Friday week and December have their own
+const CAMPAIGN_THEMES = [
+  ['New Year Refresh', 'Winter Clearance', 'Fresh Starts Edit'],
+  ["Valentine's Picks", 'Staff Favourites', 'Winter Warmers'],
+  ['Spring Preview', 'New Arrivals', 'Customer Stories'],
+  ['Spring Sale', 'Easter Weekend Offer', 'Behind the Scenes'],
+  ["Mother's Day Gift Guide", 'New Arrivals', 'Members Weekend'],
+  ['Summer Collection', "Father's Day Gifts", 'Bestsellers Restocked'],
+  ['Summer Sale', 'Mid-Year Favourites', 'Outdoor Essentials'],
+  ['Back to Routine', 'Last Call: Summer Sale', 'New Arrivals'],
+  ['Autumn Collection', 'Community Picks', 'Weekend Offer'],
+  ['Autumn Sale', 'Cosy Season Edit', 'Early Gift Ideas'],
+  ['Black Friday Early Access', 'Gift Guide', 'Singles Day Offer'],
+  ['Holiday Gift Guide', 'Last Shipping Day', 'Gift Cards for Last-Minute Shoppers']
+];
+const BLACK_FRIDAY_THEMES = ['Black Friday Sale', 'Black Friday: Final Hours', 'Cyber Monday Deals'];
+
+// Relative traffic by month (0 = January), weekday (0 = Sunday) and hour of day
+const MONTH_FACTORS = [0.78, 0.8, 0.9, 0.94, 1, 1.02, 0.97, 0.95, 1, 1.06, 1.22, 1.3];
+const WEEKDAY_FACTORS = [1.1, 0.9, 0.95, 1, 1, 1.05, 1.15];
+const HOUR_WEIGHTS = [1, 0.6, 0.4, 0.3, 0.3, 0.5, 1, 2, 3, 4, 4, 4, 5, 5, 4, 4, 4, 5, 6, 7, 8, 7, 5, 2];
+
+// Deterministic pseudo-random numbers in [0, 1) from a string seed (mulberry32)
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// Number of occurrences for an expected count: the whole part plus a chance of one more
+const countFor = (random, expected) => Math.floor(expected) + (random() < expected % 1 ? 1 : 0);
+
+// Index of a weighted choice
+function pickWeighted(random, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = random() * total;
+  for (let index = 0; index < weights.length; index++) {
+    remaining -= weights[index];
+    if (remaining < 0) return index;
+  }
+  return weights.length - 1;
+}
+
+const dateKey = (time) => new Date(time).toISOString().substring(0, 10);
+
+// Friday after the fourth Thursday of November, as a UTC midnight timestamp
+function blackFriday(year) {
+  const firstOfNovember = new Date(Date.UTC(year, 10, 1)).getUTCDay();
+  const firstThursday = 1 + ((4 - firstOfNovember + 7) % 7);
+  return Date.UTC(year, 10, firstThursday + 22);
+}
+
+// Traffic multiplier for one day relative to an average day
+function seasonality(time) {
+  const date = new Date(time);
+  const month = date.getUTCMonth();
+  let factor = MONTH_FACTORS[month];
+
+  const daysFromBlackFriday = Math.round((time - blackFriday(date.getUTCFullYear())) / DAY_MS);
+  if (daysFromBlackFriday >= 0 && daysFromBlackFriday <= 3) {
+    factor *= [2.6, 1.9, 1.7, 2.3][daysFromBlackFriday]; // Friday through Cyber Monday
+  } else if (daysFromBlackFriday >= -7 && daysFromBlackFriday < 0) {
+    factor *= 1.25; // Early deals
+  } else if (month === 11 && date.getUTCDate() <= 20) {
+    factor *= 1.2; // Gift shopping before shipping cut-offs
+  } else if (month === 11 && date.getUTCDate() >= 24 && date.getUTCDate() <= 26) {
+    factor *= 0.6;
+  }
+
+  // Steady growth, measured from a fixed date so regenerating the data doesn't change past days
+  const growth = Math.max(0.5, 1 + 0.15 * ((time - GROWTH_EPOCH) / (365 * DAY_MS)));
+  return factor * WEEKDAY_FACTORS[date.getUTCDay()] * growth;
+}
+
+// Store-wide settings derived from the seed: store, audience, lists, flows
+function buildAccount(seed) {
+  const random = createRandom(`${seed}:account`);
+  const store = pick(random, STORES);
+  const scale = 0.8 + random() * 0.5;
+
+  const profiles = Array.from({ length: 250 }, (unused, index) => {
+    const firstName = pick(random, FIRST_NAMES);
+    const lastName = pick(random, LAST_NAMES);
+    return {
+      id: `DEMOPROFILE${String(index + 1).padStart(3, '0')}`,
+      email: `${firstName}.${lastName}${index + 1}@example.com`.toLowerCase(),
+      firstName: firstName,
+      lastName: lastName
+    };
+  });
+
+  const lists = ['Newsletter', 'VIP Customers', 'SMS Subscribers', 'Recent Purchasers', 'Winback Audience',
+    'Product Launch Waitlist', 'Wholesale Enquiries']
+    .map((name, index) => ({ id: `DEMOLIST${String(index + 1).padStart(2, '0')}`, name }));
+
+  const flows = [
+    {
+      id: 'DEMOFLOW01', name: 'Welcome Series', status: 'live', triggerType: 'Added to List',
+      actions: [
+        { id: 'DEMOACT011', actionType: 'SEND_EMAIL', messages: [{ id: 'DEMOFMSG011', name: 'Welcome 1 – Thanks for joining', channel: 'email' }] },
+        { id: 'DEMOACT012', actionType: 'TIME_DELAY' },
+        { id: 'DEMOACT013', actionType: 'SEND_EMAIL', messages: [{ id: 'DEMOFMSG013', name: 'Welcome 2 – Our bestsellers', channel: 'email' }] }
+      ]
+    },
+    {
+      id: 'DEMOFLOW02', name: 'Abandoned Cart', status: 'live', triggerType: 'Metric',
+      actions: [
+        { id: 'DEMOACT021', actionType: 'SEND_EMAIL', messages: [{ id: 'DEMOFMSG021', name: 'You left something behind', channel: 'email' }] },
+        { id: 'DEMOACT022', actionType: 'SEND_SMS', messages: [{ id: 'DEMOFMSG022', name: 'Cart reminder SMS', channel: 'sms' }] }
+      ]
+    },
+    {
+      id: 'DEMOFLOW03', name: 'Browse Abandonment', status: 'live', triggerType: 'Metric',
+      actions: [
+        { id: 'DEMOACT031', actionType: 'SEND_EMAIL', messages: [{ id: 'DEMOFMSG031', name: 'Still thinking it over?', channel: 'email' }] }
+      ]
+    },
+    {
+      id: 'DEMOFLOW04', name: 'Post-Purchase Thank You', status: 'live', triggerType: 'Metric',
+      actions: [
+        { id: 'DEMOACT041', actionType: 'SEND_EMAIL', messages: [{ id: 'DEMOFMSG041', name: 'Thanks for your order', channel: 'email' }] }
+      ]
+    },
+    {
+      id: 'DEMOFLOW05', name: 'Winback', status: 'draft', triggerType: 'Added to List',
+      actions: [
+        { id: 'DEMOACT051', actionType: 'SEND_EMAIL', messages: [{ id: 'DEMOFMSG051', name: 'We miss you', channel: 'email' }] }
+      ]
+    }
+  ];
+
+  return {
+    store,
+    profiles,
+    lists,
+    flows,
+    // Expected events per average day
+    volumes: {
+      activeOnSite: 22 * scale,
+      viewedProduct: 18 * scale,
+      addedToCart: 6 * scale,
+      checkoutStarted: 5 * scale,
+      placedOrder: 3 * scale,
+      subscribed: 2.5 * scale
+    },
+    campaignDays: [2, 4], // Tuesdays and Thursdays
+    campaignChance: 0.55
+  };
+}
+
+// Metrics of the generated account (IDs are shared by every demo account)
+const DEMO_METRICS = [
+  { id: 'DEMOPLCORD', name: 'Placed Order', integration: 'Shopify', category: 'Ecommerce' },
+  { id: 'DEMOVWPROD', name: 'Viewed Product', integration: 'Shopify', category: 'Ecommerce' },
+  { id: 'DEMOADDCRT', name: 'Added to Cart', integration: 'Shopify', category: 'Ecommerce' },
+  { id: 'DEMOCHKSTR', name: 'Checkout Started', integration: 'Shopify', category: 'Ecommerce' },
+  { id: 'DEMOACTSIT', name: 'Active on Site', integration: 'API', category: 'API' },
+  { id: 'DEMORCVEML', name: 'Received Email', integration: 'Klaviyo', category: 'Internal' },
+  { id: 'DEMOOPNEML', name: 'Opened Email', integration: 'Klaviyo', category: 'Internal' },
+  { id: 'DEMOCLKEML', name: 'Clicked Email', integration: 'Klaviyo', category: 'Internal' },
+  { id: 'DEMOBNCEML', name: 'Bounced Email', integration: 'Klaviyo', category: 'Internal' },
+  { id: 'DEMORCVSMS', name: 'Received SMS', integration: 'Klaviyo', category: 'Internal' },
+  { id: 'DEMOSUBLST', name: 'Subscribed to List', integration: 'Klaviyo', category: 'Internal' },
+  { id: 'DEMOUNSUBS', name: 'Unsubscribed', integration: 'Klaviyo', category: 'Internal' }
+];
+
+const METRIC_IDS = Object.fromEntries(DEMO_METRICS.map(metric => [metric.name, metric.id]));
+
+// Generate a demo account as a mockKlaviyoServer fixture
+// options.now (ms) is the end of the data (default: now); options.days is how many days of events
+// to generate before it (default 730); options.apiKeys are the keys the mock accepts
+function generateDemoFixture(seed, options = {}) {
+  const now = options.now || Date.now();
+  const days = options.days || DEFAULT_DAYS;
+  const account = buildAccount(seed);
+  const { store, profiles, volumes } = account;
+
+  const today = Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), new Date(now).getUTCDate());
+  const startTime = today - (days - 1) * DAY_MS;
+
+  const events = [];
+  const campaigns = [];
+  const recentCampaigns = []; // { messageId, time } of sends in the last few days, for attribution
+
+  const addEvent = (random, dayStart, metricName, fields = {}, hour = null) => {
+    const time = dayStart +
+      (hour !== null ? hour : pickWeighted(random, HOUR_WEIGHTS)) * 60 * 60 * 1000 +
+      Math.floor(random() * 60 * 60 * 1000);
+    if (time > now) return null;
+    const event = {
+      metric: METRIC_IDS[metricName],
+      profile: fields.profile || pick(random, profiles).id,
+      datetime: new Date(time).toISOString()
+    };
+    if (fields.value !== undefined) event.value = fields.value;
+    if (fields.attributedMessage) event.attributedMessage = fields.attributedMessage;
+    if (fields.attributedFlow) event.attributedFlow = fields.attributedFlow;
+    events.push(event);
+    return event;
+  };
+
+  // A flow message send with its opens and clicks
+  const addFlowSend = (random, dayStart, flowId, messageId, channel, profile) => {
+    const fields = { profile, attributedMessage: messageId, attributedFlow: flowId };
+    if (channel === 'sms') {
+      addEvent(random, dayStart, 'Received SMS', fields);
+      return;
+    }
+    const received = addEvent(random, dayStart, 'Received Email', fields);
+    if (received && random() < 0.45) addEvent(random, dayStart, 'Opened Email', fields);
+    if (received && random() < 0.07) addEvent(random, dayStart, 'Clicked Email', fields);
+  };
+
+  for (let dayStart = startTime; dayStart <= today; dayStart += DAY_MS) {
+    const key = dateKey(dayStart);
+    const random = createRandom(`${seed}:${key}`);
+    const date = new Date(dayStart);
+    const factor = seasonality(dayStart) * (0.88 + random() * 0.24);
+
+    // Campaign sends (email, with an SMS every few weeks) lift the next few days
+    const daysFromBlackFriday = Math.round((dayStart - blackFriday(date.getUTCFullYear())) / DAY_MS);
+    const isPromotionDay = daysFromBlackFriday === 0 || daysFromBlackFriday === 3;
+    if (isPromotionDay || (account.campaignDays.includes(date.getUTCDay()) && random() < account.campaignChance)) {
+      const channel = !isPromotionDay && random() < 0.15 ? 'sms' : 'email';
+      const themes = daysFromBlackFriday >= 0 && daysFromBlackFriday <= 3 ? BLACK_FRIDAY_THEMES : CAMPAIGN_THEMES[date.getUTCMonth()];
+      const theme = daysFromBlackFriday === 3 ? BLACK_FRIDAY_THEMES[2] : pick(random, themes);
+      const id = key.replace(/-/g, '');
+      const sendTime = dayStart + (channel === 'sms' ? 17 : 10) * 60 * 60 * 1000;
+      const campaign = {
+        id: `DEMOCAMP${id}`,
+        name: `${theme}${channel === 'sms' ? ' (SMS)' : ''}`,
+        channel: channel,
+        status: sendTime <= now ? 'Sent' : 'Scheduled',
+        sendTime: new Date(sendTime).toISOString(),
+        messages: [{ id: `DEMOCMSG${id}`, subject: theme }]
+      };
+      campaigns.push(campaign);
+
+      if (sendTime <= now) {
+        recentCampaigns.push({ messageId: campaign.messages[0].id, time: sendTime });
+        const audience = profiles.filter(() => random() < 0.7);
+        const openRate = 0.32 + random() * 0.14;
+        const clickRate = 0.025 + random() * 0.03;
+        audience.forEach(profile => {
+          const fields = { profile: profile.id, attributedMessage: campaign.messages[0].id };
+          if (channel === 'sms') {
+            addEvent(random, dayStart, 'Received SMS', fields, 17);
+            return;
+          }
+          if (random() < 0.012) {
+            addEvent(random, dayStart, 'Bounced Email', fields, 10);
+            return;
+          }
+          addEvent(random, dayStart, 'Received Email', fields, 10);
+          if (random() < openRate) addEvent(random, dayStart, 'Opened Email', fields, 10 + Math.floor(random() * 10));
+          if (random() < clickRate) addEvent(random, dayStart, 'Clicked Email', fields, 11 + Math.floor(random() * 9));
+          if (random() < 0.002) addEvent(random, dayStart, 'Unsubscribed', fields, 11);
+        });
+      }
+    }
+    while (recentCampaigns.length > 0 && dayStart - recentCampaigns[0].time > 3 * DAY_MS) {
+      recentCampaigns.shift();
+    }
+    const campaignLift = recentCampaigns.length > 0 ? 1.2 : 1;
+
+    // Site activity and the shopping funnel
+    for (let i = countFor(random, volumes.activeOnSite * factor); i > 0; i--) addEvent(random, dayStart, 'Active on Site');
+    for (let i = countFor(random, volumes.viewedProduct * factor * campaignLift); i > 0; i--) addEvent(random, dayStart, 'Viewed Product');
+
+    const carts = countFor(random, volumes.addedToCart * factor * campaignLift);
+    for (let i = carts; i > 0; i--) {
+      const cart = addEvent(random, dayStart, 'Added to Cart', { value: Math.round(store.averageOrder * (0.5 + random()) * 100) / 100 });
+      // Some abandoned carts get the reminder email and (for SMS subscribers) a text
+      if (cart && random() < 0.4) {
+        addFlowSend(random, dayStart, 'DEMOFLOW02', 'DEMOFMSG021', 'email', cart.profile);
+        if (random() < 0.3) addFlowSend(random, dayStart, 'DEMOFLOW02', 'DEMOFMSG022', 'sms', cart.profile);
+      }
+    }
+    for (let i = countFor(random, volumes.checkoutStarted * factor * campaignLift); i > 0; i--) {
+      addEvent(random, dayStart, 'Checkout Started', { value: Math.round(store.averageOrder * (0.6 + random()) * 100) / 100 });
+    }
+
+    const orders = countFor(random, volumes.placedOrder * factor * campaignLift);
+    for (let i = orders; i > 0; i--) {
+      // Order values vary around the store's average, with the occasional large basket
+      const basket = 0.45 + random() * 1.1 + (random() < 0.08 ? random() * 2 : 0);
+      const fields = { value: Math.round(store.averageOrder * basket * 100) / 100 };
+
+      // Attribute some orders to a recent campaign or to a flow
+      const attribution = random();
+      if (recentCampaigns.length > 0 && attribution < 0.22) {
+        fields.attributedMessage = recentCampaigns[recentCampaigns.length - 1].messageId;
+      } else if (attribution < 0.36) {
+        fields.attributedMessage = random() < 0.8 ? 'DEMOFMSG021' : 'DEMOFMSG022';
+        fields.attributedFlow = 'DEMOFLOW02';
+      } else if (attribution < 0.43) {
+        fields.attributedMessage = random() < 0.6 ? 'DEMOFMSG011' : 'DEMOFMSG013';
+        fields.attributedFlow = 'DEMOFLOW01';
+      } else if (attribution < 0.47) {
+        fields.attributedMessage = 'DEMOFMSG031';
+        fields.attributedFlow = 'DEMOFLOW03';
+      } else if (attribution < 0.5) {
+        fields.attributedMessage = 'DEMOFMSG041';
+        fields.attributedFlow = 'DEMOFLOW04';
+      }
+      const order = addEvent(random, dayStart, 'Placed Order', fields);
+      if (order) addFlowSend(random, dayStart, 'DEMOFLOW04', 'DEMOFMSG041', 'email', order.profile);
+    }
+
+    // New subscribers enter the welcome series; browsers get the browse abandonment email
+    for (let i = countFor(random, volumes.subscribed * factor); i > 0; i--) {
+      const subscribed = addEvent(random, dayStart, 'Subscribed to List');
+      if (subscribed) {
+        addFlowSend(random, dayStart, 'DEMOFLOW01', 'DEMOFMSG011', 'email', subscribed.profile);
+        if (random() < 0.85) addFlowSend(random, dayStart, 'DEMOFLOW01', 'DEMOFMSG013', 'email', subscribed.profile);
+      }
+    }
+    for (let i = countFor(random, volumes.viewedProduct * factor * 0.08); i > 0; i--) {
+      addFlowSend(random, dayStart, 'DEMOFLOW03', 'DEMOFMSG031', 'email', pick(random, profiles).id);
+    }
+  }
+
+  // One campaign still being drafted
+  const draftRandom = createRandom(`${seed}:${dateKey(today)}:draft`);
+  const nextMonth = (new Date(today).getUTCMonth() + 1) % 12;
+  campaigns.push({
+    id: `DEMOCAMP${dateKey(today).replace(/-/g, '')}D`,
+    name: `${pick(draftRandom, CAMPAIGN_THEMES[nextMonth])} (draft)`,
+    channel: 'email',
+    status: 'Draft',
+    messages: [{ id: `DEMOCMSG${dateKey(today).replace(/-/g, '')}D`, subject: 'Draft' }]
+  });
+
+  events.sort((a, b) => a.datetime.localeCompare(b.datetime));
+
+  return {
+    apiKeys: options.apiKeys,
+    pageSize: 50,
+    account: {
+      id: `DEMO${crypto.createHash('sha256').update(String(seed)).digest('hex').substring(0, 8).toUpperCase()}`,
+      name: store.name,
+      email: 'hello@example.com',
+      industry: store.industry,
+      timezone: store.timezone,
+      currency: store.currency
+    },
+    metrics: DEMO_METRICS,
+    lists: account.lists,
+    profiles: profiles,
+    campaigns: campaigns,
+    flows: account.flows,
+    events: events,
+    faults: []
+  };
+}
+
+module.exports = {
+  generateDemoFixture,
+  DEMO_METRICS
+};
@@ -0,0 +1,68 @@
+// Demo mode: KlaviyoService for clients flagged as synthetic (clients.is_demo)
+// Instead of calling Klaviyo, requests go to an in-process mock Klaviyo API (mockKlaviyoServer.js)
+// serving an account generated by demoData.js from the client's seed. Every report runs through
+// the same KlaviyoService code as for real clients, without a Klaviyo key or network access.
+//
+// Each seed gets one mock, listening on a loopback port and shared by all of that seed's requests.
+// It is regenerated the first time it's used on a new (UTC) day so the data always runs up to today.
+
+const KlaviyoService = require('./klaviyoService');
+const { MockKlaviyo } = require('./mockKlaviyoServer');
+const { generateDemoFixture } = require('./demoData');
+
+const demoServers = new Map(); // seed -> { day, mock, baseURL (promise) }
+
+// Private key the demo mock accepts for a seed (also keys the per-account caches and limits)
+const demoApiKey = (seed) => `demo_${seed}`;
+
+// Base URL of the mock serving a seed's demo account, starting or regenerating it if needed
+function getDemoBaseURL(seed) {
+  const day = new Date().toISOString().substring(0, 10);
+  const existing = demoServers.get(seed);
+  if (existing && existing.day === day) {
+    return existing.baseURL;
+  }
+  if (existing) {
+    existing.baseURL.then(() => existing.mock.close(), () => {});
+  }
+
+  console.log(`Generating demo Klaviyo account for seed "${seed}"`);
+  const mock = new MockKlaviyo(generateDemoFixture(seed, { apiKeys: [demoApiKey(seed)] }));
+  const entry = { day, mock, baseURL: mock.listen() };
+  entry.baseURL.catch(() => demoServers.delete(seed));
+  demoServers.set(seed, entry);
+  return entry.baseURL;
+}
+
+// Stop every demo mock (for tests and shutdown)
+async function closeDemoServers() {
+  const entries = [...demoServers.values()];
+  demoServers.clear();
+  await Promise.all(entries.map(entry => entry.baseURL.then(() => entry.mock.close(), () => {})));
+}
+
+class DemoKlaviyoService extends KlaviyoService {
+  // seed picks the generated account; options as for KlaviyoService (baseURL and fixtureRecorder
+  // are ignored: requests always go to the demo mock and are never recorded)
+  constructor(seed, options = {}) {
+    super(demoApiKey(seed), { ...options, fixtureRecorder: null });
+    this.seed = seed;
+  }
+
+  withSignal(signal) {
+    return new DemoKlaviyoService(this.seed, { ...this.options, signal });
+  }
+
+  // Demo requests never reach Klaviyo, so they don't wait for its rate limits
+  async rateLimit() {}
+
+  async makeRequest(endpoint, method = 'GET', data = null, params = {}, retryCount = 0) {
+    this.baseURL = await getDemoBaseURL(this.seed);
+    return super.makeRequest(endpoint, method, data, params, retryCount);
+  }
+}
+
+module.exports = {
+  DemoKlaviyoService,
+  closeDemoServers
+};
@@ -0,0 +1,217 @@
+// Record-and-replay of Klaviyo API responses
+// In record mode every Klaviyo request made by KlaviyoService.makeRequest is sent as usual and its
+// response (including error responses) is written to a fixture directory, one JSON file per
+// request, with API keys and personal data scrubbed. In replay mode the responses are served from
+// those files without any network access, so tests and demos run deterministically.
+//
+// Requests are matched on method, path, query parameters and JSON body. Rolling date presets
+// (e.g. last 30 days) put the current time into every aggregate query, so record with a fixed
+// custom date range to get fixtures that replay later.
+//
+// Enable it with KLAVIYO_FIXTURE_MODE=record|replay (fixtures in KLAVIYO_FIXTURE_DIR, default
+// fixtures/recordings), or pass a FixtureRecorder to KlaviyoService as options.fixtureRecorder.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { stableStringify } = require('./stableStringify');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'recordings');
+const MODES = ['record', 'replay'];
+
+// Keys whose values are personal data, wherever they appear in a request or response
+const PII_KEYS = [
+  'email', '$email', 'phone_number', '$phone_number', 'first_name', '$first_name', 'last_name',
+  '$last_name', 'address1', 'address2', '$address1', '$address2', 'ip', '$ip', 'external_id',
+  '$organization', 'organization', 'zip', '$zip',
+  'default_sender_email', 'default_sender_name', 'organization_name', 'street_address',
+  'latitude', 'longitude', 'anonymous_id', '$anonymous', 'public_api_key'
+];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PRIVATE_KEY_PATTERN = /pk_[A-Za-z0-9_]+/g;
+
+// Short stable stand-in for a scrubbed value, so equal values stay equal after scrubbing
+const placeholder = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 8);
+
+// Copy of value with personal data and API keys replaced by placeholders
+function scrub(value, key = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => scrub(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, scrub(item, name)]));
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return value;
+  }
+
+  if (key && PII_KEYS.includes(key.toLowerCase())) {
+    return typeof value === 'string' && value.includes('@')
+      ? `redacted-${placeholder(value)}@example.com`
+      : `redacted-${placeholder(value)}`;
+  }
+  if (typeof value === 'string') {
+    return value
+      .replace(EMAIL_PATTERN, match => `redacted-${placeholder(match)}@example.com`)
+      .replace(PRIVATE_KEY_PATTERN, 'pk_redacted');
+  }
+  return value;
+}
+
+// Method, path (below /api), query and body of an axios request config
+// The query merges the URL's own query string (links.next cursors) with config.params
+function describeRequest(config) {
+  const url = new URL(config.url);
+  const query = {};
+  url.searchParams.forEach((value, name) => { query[name] = value; });
+  Object.entries(config.params || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      query[name] = String(value);
+    }
+  });
+
+  let body = config.data || null;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (e) {
+      // Not JSON; match on the raw string
+    }
+  }
+
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    path: url.pathname.startsWith('/api/') ? url.pathname.substring(4) : url.pathname,
+    query: scrub(query),
+    body: scrub(body)
+  };
+}
+
+class FixtureRecorder {
+  // options.mode is 'record' or 'replay'; options.directory holds the fixture files
+  constructor(options = {}) {
+    if (!MODES.includes(options.mode)) {
+      throw new Error(`Unknown Klaviyo fixture mode "${options.mode}" (expected ${MODES.join(' or ')})`);
+    }
+    this.mode = options.mode;
+    this.directory = options.directory || DEFAULT_FIXTURE_DIR;
+    this.replaying = this.mode === 'replay';
+
+    // axios adapter for KlaviyoService requests (config.adapter)
+    this.adapter = this.replaying
+      ? (config) => this.replay(config)
+      : (config) => this.record(config);
+  }
+
+  // Fixture file for a request: <METHOD>-<path>-<hash of method, path, query and body>.json
+  fixturePath(request) {
+    const hash = crypto.createHash('sha256').update(stableStringify(request)).digest('hex').substring(0, 16);
+    const slug = request.path.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'root';
+    return path.join(this.directory, `${request.method}-${slug}-${hash}.json`);
+  }
+
+  // Send the request with axios's default adapter and save the response (or error response)
+  // Requests that got no response (network errors, timeouts, aborts) aren't recorded
+  async record(config) {
+    const send = axios.getAdapter(axios.defaults.adapter);
+    const request = describeRequest(config);
+
+    try {
+      const response = await send(config);
+      this.save(request, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        this.save(request, error.response);
+      }
+      throw error;
+    }
+  }
+
+  save(request, response) {
+    let data = response.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        // Keep non-JSON bodies as they are
+      }
+    }
+
+    const retryAfter = response.headers?.['retry-after'];
+    const fixture = {
+      request: request,
+      response: {
+        status: response.status,
+        headers: retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {},
+        data: scrub(data)
+      },
+      recordedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.fixturePath(request), `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+
+  // Serve the recorded response; error statuses reject like axios does so retries and error
+  // handling in makeRequest behave as they did when recording
+  async replay(config) {
+    config.signal?.throwIfAborted();
+
+    const request = describeRequest(config);
+    const file = this.fixturePath(request);
+    if (!fs.existsSync(file)) {
+      const error = new Error(`No recorded Klaviyo response for ${request.method} ${request.path} (${path.basename(file)})`);
+      error.code = 'KLAVIYO_FIXTURE_MISSING';
+      throw error;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const response = {
+      data: fixture.response.data,
+      status: fixture.response.status,
+      statusText: '',
+      headers: fixture.response.headers || {},
+      config: config,
+      request: {}
+    };
+
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+    return response;
+  }
+}
+
+// Recorder configured by KLAVIYO_FIXTURE_MODE and KLAVIYO_FIXTURE_DIR, or null when not set
+function createFixtureRecorderFromEnv() {
+  const mode = process.env.KLAVIYO_FIXTURE_MODE;
+  if (!mode) {
+    return null;
+  }
+  const recorder = new FixtureRecorder({
+    mode: mode,
+    directory: process.env.KLAVIYO_FIXTURE_DIR ? path.resolve(process.env.KLAVIYO_FIXTURE_DIR) : DEFAULT_FIXTURE_DIR
+  });
+  console.log(`Klaviyo fixtures: ${recorder.mode} mode using ${recorder.directory}`);
+  return recorder;
+}
+
+// Shared recorder used by every KlaviyoService unless options.fixtureRecorder is given
+const fixtureRecorder = createFixtureRecorderFromEnv();
+
+module.exports = {
+  FixtureRecorder,
+  fixtureRecorder,
+  scrub,
+  describeRequest
+};
@@ -0,0 +1,128 @@
+// Encryption at rest for clients' Klaviyo private keys (envelope encryption)
+// Each stored key is encrypted with its own random data key (AES-256-GCM), and that data key is
+// encrypted ("wrapped") with a master key from the environment. The database holds only the
+// wrapped data key and the ciphertext, plus the version of the master key that wrapped it, so a
+// copy of the SQLite file is useless without the environment.
+//
+// Master keys come from KLAVIYO_KEY_ENCRYPTION_KEYS as comma-separated version:base64 pairs of
+// 32-byte keys, e.g. "2:<new key>,1:<old key>". The highest version encrypts; older versions are
+// only kept to decrypt rows not yet re-wrapped. To rotate, add a new version and restart: the
+// startup migration in database.js re-wraps every row with it, after which the old key can go.
+// Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Error for a missing or invalid master key configuration
+function configurationError(message) {
+  const error = new Error(message);
+  error.code = 'KEY_ENCRYPTION_CONFIG';
+  return error;
+}
+
+// Master keys from the environment as a Map of version -> key, newest first
+// Read on every call so rotating the environment doesn't need a module reload
+function loadMasterKeys() {
+  const value = process.env.KLAVIYO_KEY_ENCRYPTION_KEYS;
+  if (!value) {
+    throw configurationError('KLAVIYO_KEY_ENCRYPTION_KEYS is not set; Klaviyo keys cannot be encrypted or decrypted');
+  }
+
+  const keys = value.split(',').map(entry => {
+    const [version, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^\d+$/.test(version) || key.length !== KEY_BYTES) {
+      throw configurationError(`Invalid KLAVIYO_KEY_ENCRYPTION_KEYS entry "${version}:…": expected <version>:<base64 of ${KEY_BYTES} bytes>`);
+    }
+    return [parseInt(version, 10), key];
+  });
+
+  return new Map(keys.sort((a, b) => b[0] - a[0]));
+}
+
+// Version of the master key new values are encrypted with
+function currentKeyVersion() {
+  return loadMasterKeys().keys().next().value;
+}
+
+// AES-256-GCM: iv + auth tag + ciphertext, base64
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+// Reverse of seal(); throws if the data was altered or the key is wrong
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// Master key for a stored value's version
+function masterKey(keys, version) {
+  const key = keys.get(Number(version));
+  if (!key) {
+    throw configurationError(`Master key version ${version} is not in KLAVIYO_KEY_ENCRYPTION_KEYS`);
+  }
+  return key;
+}
+
+// Encrypt a secret with a new data key wrapped by the current master key
+// Returns { ciphertext, keyVersion } to store (ciphertext is "<wrapped data key>.<encrypted secret>")
+function encryptSecret(plaintext) {
+  const keys = loadMasterKeys();
+  const keyVersion = keys.keys().next().value;
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  return {
+    ciphertext: `${seal(keys.get(keyVersion), dataKey)}.${seal(dataKey, Buffer.from(String(plaintext), 'utf8'))}`,
+    keyVersion: keyVersion
+  };
+}
+
+// Decrypt a value stored by encryptSecret()
+function decryptSecret(ciphertext, keyVersion) {
+  if (keyVersion === null || keyVersion === undefined) {
+    throw new Error('Stored value has not been encrypted yet; set KLAVIYO_KEY_ENCRYPTION_KEYS and restart to migrate it');
+  }
+  const [wrappedKey, sealedSecret] = String(ciphertext).split('.');
+  if (!wrappedKey || !sealedSecret) {
+    throw new Error('Stored value is not an encrypted secret');
+  }
+
+  try {
+    const dataKey = open(masterKey(loadMasterKeys(), keyVersion), wrappedKey);
+    return open(dataKey, sealedSecret).toString('utf8');
+  } catch (error) {
+    if (error.code === 'KEY_ENCRYPTION_CONFIG') throw error;
+    throw new Error(`Could not decrypt stored secret with master key version ${keyVersion}: ${error.message}`);
+  }
+}
+
+// Re-wrap a stored value's data key with the current master key (the secret itself is unchanged)
+// Returns { ciphertext, keyVersion }; values already on the current version are returned as-is
+function rewrapSecret(ciphertext, keyVersion) {
+  const keys = loadMasterKeys();
+  const current = keys.keys().next().value;
+  if (Number(keyVersion) === current) {
+    return { ciphertext, keyVersion: current };
+  }
+
+  const [wrappedKey, sealedSecret] = String(ciphertext).split('.');
+  const dataKey = open(masterKey(keys, keyVersion), wrappedKey);
+  return { ciphertext: `${seal(keys.get(current), dataKey)}.${sealedSecret}`, keyVersion: current };
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  currentKeyVersion
+};
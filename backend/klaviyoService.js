@@ -1,43 +1,319 @@
 const axios = require('axios');
+const { resolveDateRange, resolveInterval, buildDateFilters } = require('./dateRange');
+const { loadMetricCatalog } = require('./metricCatalog');
+const { klaviyoRateLimiter } = require('./rateLimiter');
+const { fixtureRecorder } = require('./fixtureRecorder');
+const {
+  DEFAULT_RETRY_POLICY,
+  getCircuitBreaker,
+  isAbortError,
+  isRetryableError,
+  isAccountFailure,
+  getRetryDelay,
+  describeFailure
+} = require('./retryPolicy');
+
+// Absolute and percentage change between two values
+// percent is null when the previous value is 0 (change from nothing has no meaningful %)
+function calculateDelta(current, previous) {
+  const absolute = current - previous;
+  return {
+    current: current,
+    previous: previous,
+    absolute: absolute,
+    percent: previous !== 0 ? (absolute / Math.abs(previous)) * 100 : null
+  };
+}
+
+// numerator as a percentage of denominator; null when either is unknown (null), 0 when there's no denominator
+function percentOf(numerator, denominator) {
+  if (numerator === null || denominator === null) return null;
+  return denominator > 0 ? (numerator / denominator) * 100 : 0;
+}
+
+// Click-through rate: unique clicks per delivered message, as a percentage
+// The single definition used by the campaign metrics and the campaign report
+function clickThroughRate(clicks, delivered) {
+  return percentOf(clicks, delivered);
+}
+
+// Build { measurement: [{ date, value }] } series from a metric-aggregate response
+// When an interval is used, Klaviyo returns one bucket start per entry in attributes.dates
+// and every measurement as an array aligned to those dates; groups are summed per bucket
+function buildAggregateSeries(responseAttributes) {
+  const dates = responseAttributes?.dates || [];
+  const groups = responseAttributes?.data || [];
+  const series = {};
+
+  if (dates.length === 0) {
+    return series;
+  }
+
+  groups.forEach(group => {
+    Object.entries(group?.measurements || {}).forEach(([measurement, values]) => {
+      if (!Array.isArray(values)) return;
+      if (!series[measurement]) {
+        series[measurement] = dates.map(date => ({ date, value: 0 }));
+      }
+      values.forEach((val, index) => {
+        const num = parseFloat(val);
+        if (series[measurement][index] && !isNaN(num)) {
+          series[measurement][index].value += num;
+        }
+      });
+    });
+  });
+
+  return series;
+}
+
+// Sends, conversions, conversion rate and revenue for one flow or flow message
+// from getFlowMetrics() grouped data
+// failures are the measurements that couldn't be loaded ({ sends: error, ... }); their figures are null
+function buildFlowStats(id, grouped, failures = {}) {
+  const sends = failures.sends ? null : grouped.sends?.[id] || 0;
+  const conversions = failures.conversions ? null : grouped.conversions?.[id] || 0;
+
+  return {
+    sends: sends,
+    conversions: conversions,
+    conversionRate: sends === null || conversions === null ? null : (sends > 0 ? (conversions / sends) * 100 : 0),
+    revenue: failures.revenue ? null : grouped.revenue?.[id] || 0
+  };
+}
+
+// One row of the flow report
+function buildFlowRow(id, attributes, grouped, failures = {}) {
+  return {
+    id: id,
+    name: attributes.name || 'Untitled flow',
+    status: attributes.status || null,
+    triggerType: attributes.trigger_type || null,
+    ...buildFlowStats(id, grouped, failures)
+  };
+}
+
+// Stand-in aggregate result for a measurement whose metric isn't mapped (key is the metric key,
+// e.g. 'bouncedEmail'): zeros, flagged so reports can warn about it
+function unresolvedMeasurement(key) {
+  return { total: 0, grouped: {}, unresolved: key };
+}
+
+// Measurements of getCampaignMetrics()/getFlowMetrics() that failed ({ measure: error }) or whose
+// metric isn't mapped ({ measure: metric key }), from their aggregate results by measure
+function measurementIssues(resultsByMeasure) {
+  const failures = {};
+  const unresolved = {};
+  Object.entries(resultsByMeasure).forEach(([measure, result]) => {
+    if (result.error) failures[measure] = result.error;
+    if (result.unresolved) unresolved[measure] = result.unresolved;
+  });
+  return { failures, unresolved };
+}
+
+// errors and warnings of a campaign or flow report: each failed measurement's figures are null
+// (section 'totals.<measure>'), and unmapped metrics are metric_unresolved warnings
+function reportMeasurementIssues(metrics, errors, warnings) {
+  Object.entries(metrics.failures || {}).forEach(([measure, error]) => {
+    errors.push(describeIssue(`totals.${measure}`, error));
+  });
+  Object.entries(metrics.unresolved || {}).forEach(([measure, key]) => {
+    warnings.push(describeIssue(`totals.${measure}`, {
+      code: 'metric_unresolved',
+      message: `No Klaviyo metric is mapped to ${key}`
+    }));
+  });
+}
+
+// Failed campaign listing, as { data: [], error }; aborts are rethrown
+function campaignPageFailure(error) {
+  if (isAbortError(error)) throw error;
+  return { data: [], error: error };
+}
+
+// Rethrow an abort among Promise.allSettled results (or the signal's own abort), so a cancelled load
+// stops instead of reporting the abort as one more failed call
+function rethrowAborts(results, signal) {
+  signal?.throwIfAborted();
+  const aborted = results.find(result => result.status === 'rejected' && isAbortError(result.reason));
+  if (aborted) {
+    throw aborted.reason;
+  }
+}
+
+// Entry for the errors/warnings arrays of the dashboard metrics response
+// section is the response field affected (e.g. 'eventMetrics.placedOrder'); error is an Error thrown
+// by makeRequest or a plain { code, message }; partial is true when a value is still reported but
+// doesn't cover the whole date range
+function describeIssue(section, error, partial = false) {
+  return {
+    section: section,
+    call: error?.call || null,
+    code: error?.klaviyoCode || error?.code || null,
+    status: error?.klaviyoStatus || null,
+    message: error?.message || String(error),
+    partial: partial
+  };
+}
+
+// Record a value whose metric has no ID: an error if resolving the metrics failed (metricError),
+// otherwise a metric_unresolved warning. Returns null, the value to report
+function reportUnresolved(section, key, metricError, errors, warnings) {
+  if (metricError) {
+    errors.push(describeIssue(section, metricError));
+  } else {
+    warnings.push(describeIssue(section, {
+      code: 'metric_unresolved',
+      message: `No Klaviyo metric is mapped to ${key}`
+    }));
+  }
+  return null;
+}
+
+// Provenance of a computed figure: where it came from and whether it covers the whole window
+// source is the Klaviyo call it was computed from; method is 'metric-aggregates', 'events'
+// (summed from individual events) or 'collection' (counted from a listing)
+// sampleSize is the number of events summed for the 'events' method; approximate is true when
+// the figure doesn't cover everything (e.g. a sum over the first page of events only) and note
+// explains why
+function buildProvenance({ source, method, window = null, sampleSize = null, approximate = false, note = null }) {
+  return {
+    source: source,
+    method: method,
+    window: window ? { start: window.start, end: window.end, timezone: window.timezone || 'UTC' } : null,
+    sampleSize: sampleSize,
+    approximate: approximate,
+    note: note,
+    computedAt: new Date().toISOString()
+  };
+}
+
+// Provenance for a report built from metric aggregates
+// failedMeasurements are errors of aggregate queries that returned nothing; incompleteList
+// is true when the listing the report joins against (campaigns, flows) wasn't fully loaded
+function buildReportProvenance(dateRange, failedMeasurements = [], incompleteList = false) {
+  const notes = [];
+  if (failedMeasurements.length > 0) {
+    notes.push('Some measurements could not be loaded from Klaviyo and are missing from these figures');
+  }
+  if (incompleteList) {
+    notes.push('Not every item could be loaded from Klaviyo');
+  }
+
+  return buildProvenance({
+    source: 'POST /metric-aggregates/',
+    method: 'metric-aggregates',
+    window: dateRange,
+    approximate: notes.length > 0,
+    note: notes.length > 0 ? notes.join('; ') : null
+  });
+}
+
+// Deltas for every numeric field present in both metric objects
+function calculateDeltas(current, previous) {
+  const deltas = {};
+  Object.keys(current).forEach(key => {
+    if (typeof current[key] === 'number' && typeof previous?.[key] === 'number') {
+      deltas[key] = calculateDelta(current[key], previous[key]);
+    }
+  });
+  return deltas;
+}
+
+// Convert a links.next URL (e.g. https://a.klaviyo.com/api/events/?page[cursor]=...) into an
+// endpoint path for makeRequest, which already prefixes baseURL (including /api)
+function nextPagePath(url) {
+  const urlObj = new URL(url);
+  const path = urlObj.pathname + urlObj.search;
+  return path.startsWith('/api/') ? path.substring(4) : path;
+}
+
+// Sparse fieldset params: { campaign: ['name', 'status'] } -> { 'fields[campaign]': 'name,status' }
+function buildFieldParams(fields = {}) {
+  const params = {};
+  Object.entries(fields).forEach(([type, names]) => {
+    params[`fields[${type}]`] = Array.isArray(names) ? names.join(',') : names;
+  });
+  return params;
+}
 
 class KlaviyoService {
-  constructor(privateKey) {
+  // options.metricOverrides maps canonical metric keys to metric IDs configured for the client
+  // (see metricCatalog.CANONICAL_METRICS); other metrics are detected automatically
+  // options.rateLimiter replaces the process-wide limiter shared by all instances
+  // options.retryPolicy overrides retryPolicy.DEFAULT_RETRY_POLICY fields (maxRetries, timeoutMs, ...)
+  // options.circuitBreaker replaces the account's shared circuit breaker
+  // options.signal (AbortSignal) cancels every request made by this instance once aborted,
+  // including requests still waiting for the rate limiter
+  // options.baseURL (or KLAVIYO_BASE_URL) points the service at another Klaviyo API, such as the
+  // offline stand-in in mockKlaviyoServer.js; it includes the /api prefix
+  // options.fixtureRecorder (a fixtureRecorder.FixtureRecorder, or null for none) records responses
+  // to, or replays them from, fixture files; defaults to the one configured by KLAVIYO_FIXTURE_MODE
+  constructor(privateKey, options = {}) {
     this.privateKey = privateKey;
-    this.baseURL = 'https://a.klaviyo.com/api';
-    this.lastRequestTime = 0;
-    this.minRequestInterval = 250; // 250ms between requests = max 4 requests per second (safe limit)
+    this.options = options;
+    this.signal = options.signal || null;
+    this.metricOverrides = options.metricOverrides || {};
+    this.rateLimiter = options.rateLimiter || klaviyoRateLimiter;
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retryPolicy };
+    this.circuitBreaker = options.circuitBreaker || getCircuitBreaker(privateKey);
+    this.fixtureRecorder = options.fixtureRecorder !== undefined ? options.fixtureRecorder : fixtureRecorder;
+    this.baseURL = (options.baseURL || process.env.KLAVIYO_BASE_URL || 'https://a.klaviyo.com/api').replace(/\/+$/, '');
+  }
+
+  // Same account and options, with requests tied to a different AbortSignal (null for none)
+  withSignal(signal) {
+    return new KlaviyoService(this.privateKey, { ...this.options, signal });
   }
 
   // Wait/delay function
+  // Rejects with the abort reason as soon as this instance's signal aborts
   async wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const signal = this.signal;
+    signal?.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
-  // Rate limiting: ensure minimum delay between requests
-  async rateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.minRequestInterval) {
-      const waitTime = this.minRequestInterval - timeSinceLastRequest;
-      await this.wait(waitTime);
-    }
-    
-    this.lastRequestTime = Date.now();
+  // Rate limiting: wait for a slot in this account's burst and steady windows for the endpoint
+  // The limiter is shared across instances, so concurrent requests for one account queue together
+  // Rejects if this instance's signal aborts while waiting
+  async rateLimit(endpoint) {
+    await this.rateLimiter.acquire(this.privateKey, endpoint, this.signal);
   }
 
   // Helper method to make authenticated requests using Klaviyo API v3
-  // Includes rate limiting and retry logic for 429 throttling errors
+  // Includes rate limiting, a per-call timeout and retries with backoff for 429/5xx/network errors
+  // (see retryPolicy.js). Fails immediately while the account's circuit breaker is open.
   async makeRequest(endpoint, method = 'GET', data = null, params = {}, retryCount = 0) {
-    const maxRetries = 3;
-    
+    const policy = this.retryPolicy;
+
+    // Retries belong to the same call, so only the first attempt checks the circuit
+    if (retryCount === 0) {
+      this.circuitBreaker.beforeRequest();
+    }
+
     try {
-      // Rate limiting: ensure minimum delay between requests
-      await this.rateLimit();
+      // Rate limiting: wait for a slot in the account's windows for this endpoint
+      // (replayed responses never reach Klaviyo, so they don't wait)
+      if (!this.fixtureRecorder?.replaying) {
+        await this.rateLimit(endpoint);
+      }
 
       const config = {
         method,
         url: `${this.baseURL}${endpoint}`,
+        timeout: policy.timeoutMs,
+        signal: this.signal || undefined,
         headers: {
           'Authorization': `Klaviyo-API-Key ${this.privateKey}`,
           'Accept': 'application/json',
@@ -46,6 +322,11 @@ class KlaviyoService {
         }
       };
 
+      // Record or replay the response (see fixtureRecorder.js)
+      if (this.fixtureRecorder) {
+        config.adapter = this.fixtureRecorder.adapter;
+      }
+
       // For GET requests, use params; for POST/PUT/PATCH, use data
       if (method === 'GET') {
         config.params = params;
@@ -54,21 +335,39 @@ class KlaviyoService {
       }
 
       const response = await axios(config);
+      this.circuitBreaker.recordSuccess();
       return response.data;
     } catch (error) {
-      // Handle 429 throttling errors with retry
-      if (error.response?.status === 429 && retryCount < maxRetries) {
-        const retryAfter = error.response?.data?.errors?.[0]?.detail?.match(/(\d+)\s*second/i);
-        const waitTime = retryAfter ? parseInt(retryAfter[1]) * 1000 : 1000; // Default 1 second
-        
-        console.log(`Throttled (429). Waiting ${waitTime}ms before retry ${retryCount + 1}/${maxRetries}...`);
-        await this.wait(waitTime);
-        
-        // Retry the request
-        return this.makeRequest(endpoint, method, data, params, retryCount + 1);
+      // The caller abandoned the request: stop without retrying or logging it as a failure
+      if (isAbortError(error)) {
+        this.circuitBreaker.recordCanceled();
+        throw error;
+      }
+
+      // Retry throttling, server errors, dropped connections and timeouts
+      if (isRetryableError(error) && retryCount < policy.maxRetries) {
+        const waitTime = getRetryDelay(error, retryCount, policy);
+        if (waitTime !== null) {
+          console.log(`Klaviyo ${method} ${endpoint} failed (${describeFailure(error)}). Waiting ${waitTime}ms before retry ${retryCount + 1}/${policy.maxRetries}...`);
+          try {
+            await this.wait(waitTime);
+          } catch (waitError) {
+            this.circuitBreaker.recordCanceled();
+            throw waitError;
+          }
+
+          // Retry the request
+          return this.makeRequest(endpoint, method, data, params, retryCount + 1);
+        }
       }
 
-      // Log error for non-throttling errors
+      if (isAccountFailure(error)) {
+        this.circuitBreaker.recordFailure();
+      } else {
+        this.circuitBreaker.recordSuccess();
+      }
+
+      // Log error
       const errorData = error.response?.data || error.message;
       console.error('Klaviyo API Error:', errorData);
       
@@ -80,10 +379,54 @@ class KlaviyoService {
         errorMessage = error.response.data.message;
       }
       
-      throw new Error(`Klaviyo API Error: ${errorMessage}`);
+      const requestError = new Error(`Klaviyo API Error: ${errorMessage}`);
+      requestError.call = `${method} ${endpoint.split('?')[0]}`;
+      requestError.klaviyoStatus = error.response?.status || null;
+      requestError.klaviyoCode = error.response?.data?.errors?.[0]?.code || null;
+      requestError.code = error.code;
+      throw requestError;
     }
   }
 
+  // Fetch every page of a Klaviyo collection endpoint by following links.next
+  // options.maxPages caps the number of pages fetched (default: no limit)
+  // options.fields adds sparse fieldsets, e.g. { flow: ['name', 'status'] }
+  // Returns { data, included, pageCount, truncated }; truncated is true if maxPages stopped
+  // before the last page. Errors are thrown, so callers keep their own fallbacks.
+  async getAllPages(endpoint, params = {}, options = {}) {
+    const maxPages = options.maxPages || Infinity;
+    const data = [];
+    const included = [];
+    const seenIncluded = new Set();
+    let pageCount = 0;
+    let nextPath = null;
+
+    do {
+      // The first request carries the filters; later ones use links.next, which already encodes them
+      const response = nextPath
+        ? await this.makeRequest(nextPath, 'GET')
+        : await this.makeRequest(endpoint, 'GET', null, { ...params, ...buildFieldParams(options.fields) });
+      pageCount++;
+
+      data.push(...(response?.data || []));
+      (response?.included || []).forEach(resource => {
+        const key = `${resource.type}:${resource.id}`;
+        if (!seenIncluded.has(key)) {
+          seenIncluded.add(key);
+          included.push(resource);
+        }
+      });
+
+      nextPath = response?.links?.next ? nextPagePath(response.links.next) : null;
+    } while (nextPath && pageCount < maxPages);
+
+    if (nextPath) {
+      console.warn(`Stopped paginating ${endpoint} after ${pageCount} pages (${data.length} records); more are available`);
+    }
+
+    return { data, included, pageCount, truncated: Boolean(nextPath) };
+  }
+
   // Get account information (using v3 API)
   async getAccount() {
     try {
@@ -91,21 +434,106 @@ class KlaviyoService {
       const response = await this.makeRequest('/accounts/', 'GET');
       return response;
     } catch (error) {
-      // If accounts endpoint doesn't work, return basic info
-      return { name: 'Klaviyo Account', contact_email: 'N/A' };
+      // If accounts endpoint doesn't work, return basic info (error says why)
+      return { name: 'Klaviyo Account', contact_email: 'N/A', error: error };
     }
   }
 
+  // Check which of the API scopes the dashboard uses this key has (see KEY_SCOPE_CHECKS), with one
+  // small request per scope, and read the account's name, currency and timezone
+  // Returns { valid, ok, account, scopes: [{ scope, required, usedFor, status, message }] } where
+  // status is granted, missing (403), invalid_key (401) or error (anything else, e.g. Klaviyo being
+  // unavailable); valid is false if Klaviyo rejected the key, ok is true if every required scope is
+  // granted. Scopes after a rejected key are reported invalid_key without being requested.
+  async checkAccess() {
+    const scopes = [];
+    let account = null;
+    let rejected = null;
+
+    for (const check of KEY_SCOPE_CHECKS) {
+      const result = { scope: check.scope, required: check.required, usedFor: check.usedFor, status: 'granted', message: null };
+      scopes.push(result);
+
+      if (rejected) {
+        result.status = 'invalid_key';
+        result.message = rejected.message;
+        continue;
+      }
+
+      try {
+        const response = await this.makeRequest(check.endpoint, 'GET', null, check.params || {});
+        if (check.scope === 'accounts:read') {
+          const attributes = response?.data?.[0]?.attributes || {};
+          account = {
+            id: response?.data?.[0]?.id || null,
+            name: attributes.contact_information?.organization_name || null,
+            currency: attributes.preferred_currency || null,
+            timezone: attributes.timezone || null
+          };
+        }
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+
+        result.message = error.message;
+        if (error.klaviyoStatus === 401) {
+          result.status = 'invalid_key';
+          rejected = error;
+        } else if (error.klaviyoStatus === 403) {
+          result.status = 'missing';
+        } else {
+          result.status = 'error';
+        }
+      }
+    }
+
+    return {
+      valid: !rejected,
+      ok: scopes.every(scope => !scope.required || scope.status === 'granted'),
+      account: account,
+      scopes: scopes,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
   // Get all metrics (returns list of metric IDs and basic info)
-  async getMetrics() {
+  // options are passed to getAllPages (maxPages, fields)
+  async getMetrics(options = {}) {
     try {
-      const response = await this.makeRequest('/metrics/', 'GET');
+      const response = await this.getAllPages('/metrics/', {}, options);
       return response;
     } catch (error) {
-      return { data: [] };
+      return { data: [], error: error };
     }
   }
 
+  // Get the account's metric catalog (metric list fetched once per client and cached)
+  // Use it to resolve canonical metrics instead of scanning getMetrics() by name
+  async getMetricCatalog() {
+    return loadMetricCatalog(this);
+  }
+
+  // Resolve canonical metrics (keys of metricCatalog.CANONICAL_METRICS) to metric IDs,
+  // using the client's overrides where configured
+  // Returns { ids, resolutions, issues }; missing or ambiguous metrics are logged and resolve to null
+  async resolveMetrics(keys) {
+    const catalog = await this.getMetricCatalog();
+    const result = catalog.resolveAll(keys, this.metricOverrides);
+
+    result.issues.forEach(issue => {
+      const candidates = issue.candidates.map(c => `${c.name} [${c.integration || 'unknown'}] ${c.id}`).join(', ');
+      if (issue.overrideMissing) {
+        console.warn(`Metric override for "${issue.key}" (${issue.overrideMissing}) no longer exists; using automatic detection`);
+      }
+      if (issue.status === 'preferred') {
+        console.log(`Metric "${issue.key}" matched several metrics; using ${issue.id} by integration preference (${candidates})`);
+      } else if (issue.status !== 'resolved' && issue.status !== 'override') {
+        console.warn(`Metric "${issue.key}" is ${issue.status}${candidates ? ` (${candidates})` : ''}`);
+      }
+    });
+
+    return result;
+  }
+
   // Get detailed metric data by metric ID
   async getMetricById(metricId, params = {}) {
     try {
@@ -130,12 +558,12 @@ class KlaviyoService {
   }
 
   // Get all metrics with their detailed data
-  // Uses sequential requests with rate limiting to avoid throttling
+  // Uses sequential requests (rate limited in makeRequest) to avoid throttling
   async getAllMetricsWithDetails() {
     try {
       // First, get all metric IDs
-      const metricsResponse = await this.getMetrics();
-      const metrics = metricsResponse?.data || [];
+      const catalog = await this.getMetricCatalog();
+      const metrics = catalog.metrics;
       
       if (metrics.length === 0) {
         return { metrics: [], details: [] };
@@ -147,13 +575,13 @@ class KlaviyoService {
       const metricsToFetch = metrics.slice(0, 20);
       
       for (const metric of metricsToFetch) {
+        // Stop fanning out once the caller has gone away
+        this.signal?.throwIfAborted();
         try {
           const detail = await this.getMetricById(metric.id);
           if (detail) {
             details.push(detail);
           }
-          // Rate limiting is handled in makeRequest, but we add extra delay for safety
-          await this.wait(250); // 250ms between requests = max 4 requests/second
         } catch (error) {
           console.error(`Error fetching metric ${metric.id}:`, error.message);
           // Continue with next metric even if one fails
@@ -174,17 +602,30 @@ class KlaviyoService {
   // Get campaigns (using v3 API)
   // Note: Klaviyo v3 requires a channel filter per Campaigns API documentation
   // https://developers.klaviyo.com/en/reference/campaigns_api_overview
-  async getCampaigns() {
+  // Includes campaign messages so attributed message IDs can be mapped back to campaigns
+  // Returns { data, included, channels, errors } where channels maps campaign ID -> 'email' | 'sms'
+  // and errors holds the error of each channel that couldn't be fetched
+  // options are passed to getAllPages (maxPages, fields); by default only the campaign
+  // attributes the reports use are requested
+  async getCampaigns(options = {}) {
     try {
+      const pageOptions = {
+        fields: { campaign: ['name', 'status', 'send_time', 'scheduled_at'] },
+        ...options
+      };
+
       // Fetch both email and SMS campaigns
       const [emailCampaigns, smsCampaigns] = await Promise.allSettled([
-        this.makeRequest('/campaigns/', 'GET', null, {
-          'filter': "equals(messages.channel,'email')"
-        }).catch(() => ({ data: [] })),
-        this.makeRequest('/campaigns/', 'GET', null, {
-          'filter': "equals(messages.channel,'sms')"
-        }).catch(() => ({ data: [] }))
+        this.getAllPages('/campaigns/', {
+          'filter': "equals(messages.channel,'email')",
+          'include': 'campaign-messages'
+        }, pageOptions).catch(error => campaignPageFailure(error)),
+        this.getAllPages('/campaigns/', {
+          'filter': "equals(messages.channel,'sms')",
+          'include': 'campaign-messages'
+        }, pageOptions).catch(error => campaignPageFailure(error))
       ]);
+      rethrowAborts([emailCampaigns, smsCampaigns], this.signal);
 
       const emailData = emailCampaigns.status === 'fulfilled' ? emailCampaigns.value : { data: [] };
       const smsData = smsCampaigns.status === 'fulfilled' ? smsCampaigns.value : { data: [] };
@@ -195,9 +636,20 @@ class KlaviyoService {
         ...(smsData.data || [])
       ];
 
-      return { data: allCampaigns };
+      const channels = {};
+      (emailData.data || []).forEach(campaign => { channels[campaign.id] = 'email'; });
+      (smsData.data || []).forEach(campaign => { channels[campaign.id] = 'sms'; });
+
+      return {
+        data: allCampaigns,
+        included: [...(emailData.included || []), ...(smsData.included || [])],
+        channels: channels,
+        errors: [emailData.error, smsData.error].filter(Boolean),
+        truncated: Boolean(emailData.truncated || smsData.truncated)
+      };
     } catch (error) {
-      return { data: [] };
+      if (isAbortError(error)) throw error;
+      return { data: [], included: [], channels: {}, errors: [error] };
     }
   }
 
@@ -205,6 +657,7 @@ class KlaviyoService {
   // Get campaign metrics using Query Metric Aggregates endpoint
   // Per Klaviyo documentation: https://developers.klaviyo.com/en/docs/using_the_query_metric_aggregates_endpoint
   // Groups by $attributed_message to get campaign-specific metrics
+  // clickThroughRate is unique clicks per delivered message, as in the campaign report
   async getCampaignMetrics(options = {}) {
     try {
       const {
@@ -220,24 +673,13 @@ class KlaviyoService {
         baseFilters.push(`less-than(datetime,${endDate})`);
       }
 
-      // First, get all metrics to find the metric IDs for email events
-      const allMetricsResponse = await this.getMetrics();
-      const allMetrics = allMetricsResponse?.data || [];
-
-      // Find metric IDs for email engagement metrics
-      const findMetricId = (searchName) => {
-        const metric = allMetrics.find(m => {
-          const name = m?.attributes?.name || m?.name || '';
-          return name.toLowerCase().includes(searchName.toLowerCase());
-        });
-        return metric?.id || null;
-      };
-
-      const openedEmailId = findMetricId('opened email');
-      const clickedEmailId = findMetricId('clicked email');
-      const receivedEmailId = findMetricId('received email');
-      const bouncedEmailId = findMetricId('bounced') || findMetricId('bounce');
-      const placedOrderId = findMetricId('placed order');
+      // Resolve metric IDs for email engagement metrics from the metric catalog
+      const { ids } = await this.resolveMetrics(['openedEmail', 'clickedEmail', 'receivedEmail', 'bouncedEmail', 'placedOrder']);
+      const openedEmailId = ids.openedEmail;
+      const clickedEmailId = ids.clickedEmail;
+      const receivedEmailId = ids.receivedEmail;
+      const bouncedEmailId = ids.bouncedEmail;
+      const placedOrderId = ids.placedOrder;
 
       console.log('Campaign metric IDs:', {
         opened: openedEmailId,
@@ -260,10 +702,10 @@ class KlaviyoService {
             filters: baseFilters,
             by: ['$attributed_message'], // Group by campaign
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        campaignMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        campaignMetricsPromises.push(Promise.resolve(unresolvedMeasurement('openedEmail')));
       }
 
       // Get unique clicks (grouped by campaign)
@@ -275,10 +717,10 @@ class KlaviyoService {
             filters: baseFilters,
             by: ['$attributed_message'], // Group by campaign
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        campaignMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        campaignMetricsPromises.push(Promise.resolve(unresolvedMeasurement('clickedEmail')));
       }
 
       // Get total delivered/received (grouped by campaign)
@@ -290,10 +732,10 @@ class KlaviyoService {
             filters: baseFilters,
             by: ['$attributed_message'], // Group by campaign
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        campaignMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        campaignMetricsPromises.push(Promise.resolve(unresolvedMeasurement('receivedEmail')));
       }
 
       // Get bounces (grouped by campaign)
@@ -304,10 +746,10 @@ class KlaviyoService {
             filters: baseFilters,
             by: ['$attributed_message'], // Group by campaign
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        campaignMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        campaignMetricsPromises.push(Promise.resolve(unresolvedMeasurement('bouncedEmail')));
       }
 
       // Get revenue (grouped by campaign)
@@ -319,19 +761,14 @@ class KlaviyoService {
             filters: baseFilters,
             by: ['$attributed_message'], // Group by campaign
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        campaignMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        campaignMetricsPromises.push(Promise.resolve(unresolvedMeasurement('placedOrder')));
       }
 
-      const [opensResult, clicksResult, deliveredResult, bouncesResult, revenueResult] = await Promise.allSettled(campaignMetricsPromises);
-
-      const opensData = opensResult.status === 'fulfilled' ? opensResult.value : { total: 0, grouped: {} };
-      const clicksData = clicksResult.status === 'fulfilled' ? clicksResult.value : { total: 0, grouped: {} };
-      const deliveredData = deliveredResult.status === 'fulfilled' ? deliveredResult.value : { total: 0, grouped: {} };
-      const bouncesData = bouncesResult.status === 'fulfilled' ? bouncesResult.value : { total: 0, grouped: {} };
-      const revenueData = revenueResult.status === 'fulfilled' ? revenueResult.value : { total: 0, grouped: {} };
+      // queryMetricAggregates reports failures in .error; it only throws when the request is aborted
+      const [opensData, clicksData, deliveredData, bouncesData, revenueData] = await Promise.all(campaignMetricsPromises);
 
       // Calculate totals across all campaigns
       const totalOpens = opensData.total || 0;
@@ -340,8 +777,7 @@ class KlaviyoService {
       const totalBounces = bouncesData.total || 0;
       const totalRevenue = revenueData.total || 0;
 
-      // Calculate click-through rate (CTR)
-      const clickThroughRate = totalOpens > 0 ? (totalClicks / totalOpens) * 100 : 0;
+      const ctr = clickThroughRate(totalClicks, totalDelivered);
 
       console.log('Campaign metrics calculated:', {
         opens: totalOpens,
@@ -349,7 +785,7 @@ class KlaviyoService {
         delivered: totalDelivered,
         bounces: totalBounces,
         revenue: totalRevenue,
-        clickThroughRate: clickThroughRate.toFixed(2) + '%'
+        clickThroughRate: ctr.toFixed(2) + '%'
       });
 
       return {
@@ -358,7 +794,7 @@ class KlaviyoService {
         delivered: totalDelivered,
         bounces: totalBounces,
         revenue: totalRevenue,
-        clickThroughRate: clickThroughRate,
+        clickThroughRate: ctr,
         // Include grouped data for per-campaign breakdown
         grouped: {
           opens: opensData.grouped || {},
@@ -366,10 +802,24 @@ class KlaviyoService {
           delivered: deliveredData.grouped || {},
           bounces: bouncesData.grouped || {},
           revenue: revenueData.grouped || {}
-        }
+        },
+        // Errors of the measurements that failed (their figures above are 0)
+        errors: [opensData, clicksData, deliveredData, bouncesData, revenueData]
+          .filter(data => data.error)
+          .map(data => data.error),
+        ...measurementIssues({
+          opens: opensData,
+          clicks: clicksData,
+          delivered: deliveredData,
+          bounces: bouncesData,
+          revenue: revenueData
+        })
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
+      // Resolving the metrics failed, so every measurement did
       console.error('Error calculating campaign metrics:', error.message);
+      const measures = ['opens', 'clicks', 'delivered', 'bounces', 'revenue'];
       return {
         opens: 0,
         clicks: 0,
@@ -377,39 +827,163 @@ class KlaviyoService {
         bounces: 0,
         revenue: 0,
         clickThroughRate: 0,
-        grouped: {}
+        grouped: {},
+        errors: [error],
+        failures: Object.fromEntries(measures.map(measure => [measure, error])),
+        unresolved: {}
       };
     }
   }
 
+  // Per-campaign performance report
+  // Joins the $attributed_message aggregates from getCampaignMetrics() with campaign names,
+  // channels and send times from getCampaigns(), and computes per-campaign rates:
+  // openRate and clickThroughRate are per delivered message, bounceRate is per send
+  // (delivered + bounced), revenuePerRecipient is revenue / delivered
+  // Only campaigns sent in the date range or with activity in it are included
+  // Figures whose measurement failed are null (in every row and the totals), with the reason in
+  // errors; a failed campaign list is an error on 'campaigns'
+  async getCampaignReport(options = {}) {
+    const dateRange = options.dateRange || resolveDateRange();
+
+    const [campaignsResponse, campaignMetrics] = await Promise.all([
+      this.getCampaigns(),
+      this.getCampaignMetrics({
+        startDate: dateRange.start,
+        endDate: dateRange.end,
+        timezone: dateRange.timezone
+      })
+    ]);
+
+    const campaigns = campaignsResponse?.data || [];
+    const grouped = campaignMetrics?.grouped || {};
+    const failures = campaignMetrics?.failures || {};
+    const errors = [];
+    const warnings = [];
+    reportMeasurementIssues(campaignMetrics, errors, warnings);
+
+    // Campaigns are fetched per channel: only an error if no channel could be loaded
+    const campaignErrors = campaignsResponse?.errors || [];
+    campaignErrors.forEach(error => {
+      (campaigns.length === 0 ? errors : warnings).push(describeIssue('campaigns', error, campaigns.length > 0));
+    });
+
+    // $attributed_message values are campaign message IDs; map them (and the campaign ID itself) to campaigns
+    const campaignIdByMessage = {};
+    campaigns.forEach(campaign => {
+      campaignIdByMessage[campaign.id] = campaign.id;
+      (campaign.relationships?.['campaign-messages']?.data || []).forEach(message => {
+        campaignIdByMessage[message.id] = campaign.id;
+      });
+    });
+
+    // Sum each grouped measurement per campaign
+    const totalsByCampaign = {};
+    const measures = ['opens', 'clicks', 'delivered', 'bounces', 'revenue'];
+    measures.forEach(measure => {
+      Object.entries(grouped[measure] || {}).forEach(([messageId, value]) => {
+        const campaignId = campaignIdByMessage[messageId];
+        if (!campaignId) return; // Flow message or unknown campaign
+        if (!totalsByCampaign[campaignId]) {
+          totalsByCampaign[campaignId] = { opens: 0, clicks: 0, delivered: 0, bounces: 0, revenue: 0 };
+        }
+        totalsByCampaign[campaignId][measure] += value;
+      });
+    });
+
+    const rangeStart = new Date(dateRange.start).getTime();
+    const rangeEnd = new Date(dateRange.end).getTime();
+    const rows = campaigns
+      .map(campaign => {
+        const attributes = campaign.attributes || {};
+        const totals = { ...(totalsByCampaign[campaign.id] || { opens: 0, clicks: 0, delivered: 0, bounces: 0, revenue: 0 }) };
+        measures.forEach(measure => {
+          if (failures[measure]) totals[measure] = null;
+        });
+        const sendTime = attributes.send_time || attributes.scheduled_at || null;
+        const sends = totals.delivered === null || totals.bounces === null ? null : totals.delivered + totals.bounces;
+
+        return {
+          id: campaign.id,
+          name: attributes.name || 'Untitled campaign',
+          channel: campaignsResponse.channels?.[campaign.id] || 'email',
+          status: attributes.status || null,
+          sendTime: sendTime,
+          delivered: totals.delivered,
+          opens: totals.opens,
+          clicks: totals.clicks,
+          bounces: totals.bounces,
+          revenue: totals.revenue,
+          openRate: percentOf(totals.opens, totals.delivered),
+          clickThroughRate: clickThroughRate(totals.clicks, totals.delivered),
+          bounceRate: percentOf(totals.bounces, sends),
+          revenuePerRecipient: totals.revenue === null || totals.delivered === null
+            ? null
+            : (totals.delivered > 0 ? totals.revenue / totals.delivered : 0)
+        };
+      })
+      .filter(row => {
+        const sentInRange = row.sendTime &&
+          new Date(row.sendTime).getTime() >= rangeStart &&
+          new Date(row.sendTime).getTime() < rangeEnd;
+        const hasActivity = measures.some(measure => row[measure] > 0);
+        return sentInRange || hasActivity;
+      })
+      .sort((a, b) => new Date(b.sendTime || 0).getTime() - new Date(a.sendTime || 0).getTime());
+
+    return {
+      dateRange: dateRange,
+      campaigns: rows,
+      totals: rows.reduce((totals, row) => {
+        measures.forEach(measure => {
+          if (totals[measure] !== null) totals[measure] += row[measure];
+        });
+        return totals;
+      }, {
+        campaigns: rows.length,
+        ...Object.fromEntries(measures.map(measure => [measure, failures[measure] ? null : 0]))
+      }),
+      errors: errors,
+      warnings: warnings,
+      provenance: buildReportProvenance(
+        dateRange,
+        campaignMetrics?.errors || [],
+        campaignErrors.length > 0 || Boolean(campaignsResponse?.truncated)
+      ),
+      timestamp: new Date().toISOString()
+    };
+  }
+
   // Get flow metrics using Query Metric Aggregates endpoint
   // Per Klaviyo documentation: https://developers.klaviyo.com/en/docs/using_the_query_metric_aggregates_endpoint
   // Groups by $attributed_message to get flow-specific metrics
+  // options.by selects the grouping dimension ($attributed_message by default, or $attributed_flow
+  // for per-flow totals); options.flowId restricts the aggregates to one flow
   async getFlowMetrics(options = {}) {
     try {
       const {
-        timezone = "UTC"
+        startDate = null,
+        endDate = null,
+        timezone = "UTC",
+        by = ['$attributed_message'],
+        flowId = null
       } = options;
 
-      // No date range restrictions for flow metrics
-      // Build base filters without date restrictions
+      // Build base filters for date range (if provided)
+      // Without a date range, flow metrics cover all time
       const baseFilters = [];
+      if (startDate && endDate) {
+        baseFilters.push(`greater-or-equal(datetime,${startDate})`);
+        baseFilters.push(`less-than(datetime,${endDate})`);
+      }
+      if (flowId) {
+        baseFilters.push(`equals($attributed_flow,"${flowId}")`);
+      }
 
-      // First, get all metrics to find the metric IDs
-      const allMetricsResponse = await this.getMetrics();
-      const allMetrics = allMetricsResponse?.data || [];
-
-      // Find metric IDs for flow metrics
-      const findMetricId = (searchName) => {
-        const metric = allMetrics.find(m => {
-          const name = m?.attributes?.name || m?.name || '';
-          return name.toLowerCase().includes(searchName.toLowerCase());
-        });
-        return metric?.id || null;
-      };
-
-      const receivedEmailId = findMetricId('received email');
-      const placedOrderId = findMetricId('placed order');
+      // Resolve metric IDs for flow metrics from the metric catalog
+      const { ids } = await this.resolveMetrics(['receivedEmail', 'placedOrder']);
+      const receivedEmailId = ids.receivedEmail;
+      const placedOrderId = ids.placedOrder;
 
       console.log('Flow metric IDs:', {
         received: receivedEmailId,
@@ -426,12 +1000,12 @@ class KlaviyoService {
           this.queryMetricAggregates(receivedEmailId, {
             measurements: ['count'],
             filters: baseFilters,
-            by: ['$attributed_message'], // Group by flow
+            by: by, // Group by flow or flow message
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        flowMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        flowMetricsPromises.push(Promise.resolve(unresolvedMeasurement('receivedEmail')));
       }
 
       // Get flow conversions (Placed Order count, grouped by flow)
@@ -440,12 +1014,12 @@ class KlaviyoService {
           this.queryMetricAggregates(placedOrderId, {
             measurements: ['count'],
             filters: baseFilters,
-            by: ['$attributed_message'], // Group by flow
+            by: by, // Group by flow or flow message
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        flowMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        flowMetricsPromises.push(Promise.resolve(unresolvedMeasurement('placedOrder')));
       }
 
       // Get flow revenue (Placed Order sum_value, grouped by flow)
@@ -454,19 +1028,16 @@ class KlaviyoService {
           this.queryMetricAggregates(placedOrderId, {
             measurements: ['sum_value'],
             filters: baseFilters,
-            by: ['$attributed_message'], // Group by flow
+            by: by, // Group by flow or flow message
             timezone: timezone
-          }).catch(() => ({ total: 0, grouped: {} }))
+          })
         );
       } else {
-        flowMetricsPromises.push(Promise.resolve({ total: 0, grouped: {} }));
+        flowMetricsPromises.push(Promise.resolve(unresolvedMeasurement('placedOrder')));
       }
 
-      const [sendsResult, conversionsResult, revenueResult] = await Promise.allSettled(flowMetricsPromises);
-
-      const sendsData = sendsResult.status === 'fulfilled' ? sendsResult.value : { total: 0, grouped: {} };
-      const conversionsData = conversionsResult.status === 'fulfilled' ? conversionsResult.value : { total: 0, grouped: {} };
-      const revenueData = revenueResult.status === 'fulfilled' ? revenueResult.value : { total: 0, grouped: {} };
+      // queryMetricAggregates reports failures in .error; it only throws when the request is aborted
+      const [sendsData, conversionsData, revenueData] = await Promise.all(flowMetricsPromises);
 
       // Calculate totals across all flows
       const totalSends = sendsData.total || 0;
@@ -493,20 +1064,132 @@ class KlaviyoService {
           sends: sendsData.grouped || {},
           conversions: conversionsData.grouped || {},
           revenue: revenueData.grouped || {}
-        }
+        },
+        // Errors of the measurements that failed (their figures above are 0)
+        errors: [sendsData, conversionsData, revenueData]
+          .filter(data => data.error)
+          .map(data => data.error),
+        ...measurementIssues({ sends: sendsData, conversions: conversionsData, revenue: revenueData })
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
+      // Resolving the metrics failed, so every measurement did
       console.error('Error calculating flow metrics:', error.message);
       return {
         sends: 0,
         conversions: 0,
         conversionRate: 0,
         revenue: 0,
-        grouped: {}
+        grouped: {},
+        errors: [error],
+        failures: { sends: error, conversions: error, revenue: error },
+        unresolved: {}
       };
     }
   }
 
+  // Per-flow performance report
+  // Flow totals come from the aggregates grouped by $attributed_flow; every flow is listed with
+  // its status (live/draft/manual) even without activity in the date range
+  async getFlowReport(options = {}) {
+    const dateRange = options.dateRange || resolveDateRange();
+
+    const [flowsResponse, flowMetrics] = await Promise.all([
+      this.getFlows(),
+      this.getFlowMetrics({
+        startDate: dateRange.start,
+        endDate: dateRange.end,
+        timezone: dateRange.timezone,
+        by: ['$attributed_flow']
+      })
+    ]);
+
+    const grouped = flowMetrics?.grouped || {};
+    const failures = flowMetrics?.failures || {};
+    const flows = (flowsResponse?.data || [])
+      .map(flow => buildFlowRow(flow.id, flow.attributes || {}, grouped, failures))
+      .sort((a, b) => (b.revenue || 0) - (a.revenue || 0));
+
+    const errors = [];
+    const warnings = [];
+    reportMeasurementIssues(flowMetrics, errors, warnings);
+    if (flowsResponse?.error) {
+      errors.push(describeIssue('flows', flowsResponse.error));
+    }
+
+    return {
+      dateRange: dateRange,
+      flows: flows,
+      totals: {
+        flows: flows.length,
+        sends: failures.sends ? null : flowMetrics.sends || 0,
+        conversions: failures.conversions ? null : flowMetrics.conversions || 0,
+        conversionRate: failures.sends || failures.conversions ? null : flowMetrics.conversionRate || 0,
+        revenue: failures.revenue ? null : flowMetrics.revenue || 0
+      },
+      errors: errors,
+      warnings: warnings,
+      provenance: buildReportProvenance(
+        dateRange,
+        flowMetrics?.errors || [],
+        Boolean(flowsResponse?.error || flowsResponse?.truncated)
+      ),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Per-message breakdown of one flow
+  // Maps the $attributed_message aggregates (restricted to this flow) back to the flow's messages
+  // Returns null if the flow doesn't exist; failures to fetch the flow are thrown
+  async getFlowDetail(flowId, options = {}) {
+    const dateRange = options.dateRange || resolveDateRange();
+
+    const flowResponse = await this.getFlow(flowId);
+    if (!flowResponse?.data) {
+      return null;
+    }
+
+    const [{ messages, errors: messageErrors }, flowMetrics] = await Promise.all([
+      this.getFlowMessages(flowId),
+      this.getFlowMetrics({
+        startDate: dateRange.start,
+        endDate: dateRange.end,
+        timezone: dateRange.timezone,
+        by: ['$attributed_message'],
+        flowId: flowId
+      })
+    ]);
+
+    const grouped = flowMetrics?.grouped || {};
+    const failures = flowMetrics?.failures || {};
+    const errors = [];
+    const warnings = [];
+    reportMeasurementIssues(flowMetrics, errors, warnings);
+    // Messages that couldn't be listed; partial if some of the flow's messages still were
+    messageErrors.forEach(error => errors.push(describeIssue('messages', error, messages.length > 0)));
+
+    return {
+      dateRange: dateRange,
+      flow: buildFlowRow(flowId, flowResponse.data.attributes || {}, {
+        sends: { [flowId]: flowMetrics.sends || 0 },
+        conversions: { [flowId]: flowMetrics.conversions || 0 },
+        revenue: { [flowId]: flowMetrics.revenue || 0 }
+      }, failures),
+      messages: messages.map((message, index) => ({
+        id: message.id,
+        step: index + 1,
+        name: message.name,
+        channel: message.channel,
+        actionId: message.actionId,
+        ...buildFlowStats(message.id, grouped, failures)
+      })),
+      errors: errors,
+      warnings: warnings,
+      provenance: buildReportProvenance(dateRange, flowMetrics?.errors || []),
+      timestamp: new Date().toISOString()
+    };
+  }
+
   // Query Metric Aggregates endpoint helper
   // Used for calculating flow metrics (sends, conversions, revenue)
   async queryMetricAggregates(metricId, options = {}) {
@@ -577,8 +1260,11 @@ class KlaviyoService {
           // When using 'by' parameter, each group has dimensions array
           if (by && group?.dimensions && Array.isArray(group.dimensions) && group.dimensions.length > 0) {
             const dimension = group.dimensions[0];
+            // Klaviyo returns dimensions as plain values (e.g. ["01HXYZ..."]), one per 'by' entry
             // Extract the dimension value (could be $attributed_message, $message, $flow, etc.)
-            const dimensionValue = dimension?.$attributed_message || 
+            const dimensionValue = (typeof dimension === 'string' && dimension) ||
+                                  dimension?.$attributed_message || 
+                                  dimension?.$attributed_flow ||
                                   dimension?.$message ||
                                   dimension?.$flow ||
                                   dimension?.$campaign ||
@@ -601,21 +1287,25 @@ class KlaviyoService {
 
       return { 
         total: total,
-        grouped: groupedData // Returns grouped data if 'by' parameter was used
+        grouped: groupedData, // Returns grouped data if 'by' parameter was used
+        series: buildAggregateSeries(response?.data?.attributes) // Per-bucket values if 'interval' was used
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error querying metric aggregates for ${metricId}:`, error.message);
-      return { total: 0, grouped: {} };
+      // error lets callers report the failure instead of presenting the zeros as real
+      return { total: 0, grouped: {}, series: {}, error: error };
     }
   }
 
   // Get lists (using v3 API)
-  async getLists() {
+  // options are passed to getAllPages (maxPages, fields)
+  async getLists(options = {}) {
     try {
-      const response = await this.makeRequest('/lists/', 'GET');
+      const response = await this.getAllPages('/lists/', {}, options);
       return response;
     } catch (error) {
-      return { data: [] };
+      return { data: [], error: error };
     }
   }
 
@@ -642,8 +1332,9 @@ class KlaviyoService {
     }
   }
 
-  // Get campaign statistics/metrics
-  async getCampaignMetrics(campaignId) {
+  // Get the messages belonging to a campaign
+  // (previously a second getCampaignMetrics(campaignId), which shadowed the aggregate version above)
+  async getCampaignMessages(campaignId) {
     try {
       const response = await this.makeRequest(`/campaigns/${campaignId}/campaign-messages/`, 'GET');
       return response;
@@ -653,15 +1344,95 @@ class KlaviyoService {
   }
 
   // Get flows
-  async getFlows() {
+  // options are passed to getAllPages (maxPages, fields); by default only the flow
+  // attributes the reports use are requested
+  async getFlows(options = {}) {
     try {
-      const response = await this.makeRequest('/flows/', 'GET');
+      const response = await this.getAllPages('/flows/', {}, {
+        fields: { flow: ['name', 'status', 'trigger_type'] },
+        ...options
+      });
       return response;
     } catch (error) {
-      return { data: [] };
+      return { data: [], error: error };
+    }
+  }
+
+  // Get a single flow
+  // Returns null only when Klaviyo has no such flow (404); other failures are thrown
+  async getFlow(flowId) {
+    try {
+      const response = await this.makeRequest(`/flows/${flowId}/`, 'GET');
+      return response;
+    } catch (error) {
+      if (error.klaviyoStatus !== 404) throw error;
+      return null;
     }
   }
 
+  // Get the actions (steps) of a flow
+  // Failures come back as { data: [], error } like getFlows; aborts are thrown
+  async getFlowActions(flowId) {
+    try {
+      const response = await this.makeRequest(`/flows/${flowId}/flow-actions/`, 'GET');
+      return response;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error(`Error fetching actions for flow ${flowId}:`, error.message);
+      return { data: [], error: error };
+    }
+  }
+
+  // Get the messages sent by a flow action
+  // Failures come back as { data: [], error } like getFlows; aborts are thrown
+  async getFlowActionMessages(actionId) {
+    try {
+      const response = await this.makeRequest(`/flow-actions/${actionId}/flow-messages/`, 'GET');
+      return response;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error(`Error fetching messages for flow action ${actionId}:`, error.message);
+      return { data: [], error: error };
+    }
+  }
+
+  // Get every message in a flow, in action order
+  // Uses sequential requests with rate limiting (one per action) to avoid throttling
+  // Returns { messages: [{ id, name, channel, actionId, actionType }], errors } where errors are the
+  // failed Klaviyo calls, so missing messages aren't mistaken for a flow without any
+  async getFlowMessages(flowId) {
+    const actionsResponse = await this.getFlowActions(flowId);
+    const actions = actionsResponse?.data || [];
+    const messages = [];
+    const errors = actionsResponse?.error ? [actionsResponse.error] : [];
+
+    for (const action of actions) {
+      this.signal?.throwIfAborted();
+      const actionType = action?.attributes?.action_type || null;
+      // Only send actions have messages; skip time delays, splits, etc.
+      if (actionType && !actionType.startsWith('SEND_')) {
+        continue;
+      }
+
+      const messagesResponse = await this.getFlowActionMessages(action.id);
+      if (messagesResponse?.error) {
+        errors.push(messagesResponse.error);
+      }
+      (messagesResponse?.data || []).forEach(message => {
+        const attributes = message.attributes || {};
+        messages.push({
+          id: message.id,
+          name: attributes.name || 'Untitled message',
+          channel: attributes.channel || attributes.definition?.channel || null,
+          actionId: action.id,
+          actionType: actionType
+        });
+      });
+    }
+
+    return { messages, errors };
+  }
+
   // Get specific metric data (alias for getMetricById for backward compatibility)
   async getMetricData(metricId, params = {}) {
     return this.getMetricById(metricId, params);
@@ -693,53 +1464,15 @@ class KlaviyoService {
   }
 
   // Get all events by metric ID (paginates through all pages)
-  // Follows the same pattern as the sample: fetch all pages using links.next
   async getAllEventsByMetricId(metricId) {
     try {
-      const filter = `equals(metric_id,"${metricId}")`;
-      let allEvents = [];
-      let url = null;
-      let firstRequest = true;
-      let pageCount = 0;
-
-      while (firstRequest || url) {
-        let response;
-        
-        if (firstRequest) {
-          // First request: use filter and page size
-          const requestParams = { 
-            'filter': filter, 
-            'page[size]': 100 
-          };
-          response = await this.makeRequest('/events/', 'GET', null, requestParams);
-        } else {
-          // Subsequent requests: use the full URL from links.next directly
-          // links.next is a full URL like https://a.klaviyo.com/api/events/?page[cursor]=...
-          // Extract path and query, but remove the /api prefix since baseURL already includes it
-          const urlObj = new URL(url);
-          let path = urlObj.pathname + urlObj.search;
-          
-          // Remove /api prefix if present (since baseURL already includes /api)
-          if (path.startsWith('/api/')) {
-            path = path.substring(4); // Remove '/api' but keep the leading '/'
-          }
-          
-          response = await this.makeRequest(path, 'GET');
-        }
-        
-        if (response?.data) {
-          allEvents = allEvents.concat(response.data);
-          pageCount++;
-          console.log(`Fetched page ${pageCount}: ${response.data.length} events (total: ${allEvents.length})`);
-        }
-        
-        // Get next page URL from links
-        url = response?.links?.next || null;
-        firstRequest = false;
-      }
+      const response = await this.getAllPages('/events/', {
+        'filter': `equals(metric_id,"${metricId}")`,
+        'page[size]': 100
+      });
 
-      console.log(`Fetched ${allEvents.length} total events for metric ID: ${metricId}`);
-      return { data: allEvents };
+      console.log(`Fetched ${response.data.length} total events for metric ID: ${metricId} (${response.pageCount} pages)`);
+      return { data: response.data };
     } catch (error) {
       console.error(`Error fetching all events for metric ${metricId}:`, error.message);
       return { data: [] };
@@ -852,23 +1585,44 @@ class KlaviyoService {
       return {
         totalRevenue: totalRevenue,
         eventCount: eventCount,
-        method: 'metric-aggregates'
+        // Revenue per interval bucket as [{ date, value }] (empty without an interval)
+        series: buildAggregateSeries(response?.data?.attributes).sum_value || [],
+        method: 'metric-aggregates',
+        provenance: buildProvenance({
+          source: 'POST /metric-aggregates/',
+          method: 'metric-aggregates',
+          window: { start: defaultStartDate, end: defaultEndDate, timezone: timezone }
+        })
       };
     } catch (error) {
+      // A canceled request must not start the fallback's requests
+      if (isAbortError(error)) throw error;
       console.error(`Error calculating revenue for metric ${metricId}:`, error.message);
       // Fallback to event-based calculation if aggregate endpoint fails
+      // aggregateError records why; the fallback only sums the first page of events
+      // (its provenance says whether that covered every event in the window)
       console.log('Falling back to event-based revenue calculation...');
-      return this.calculateRevenueFromEvents(metricId);
+      const fallback = await this.calculateRevenueFromEvents(metricId, 100, {
+        startDate: options.startDate,
+        endDate: options.endDate
+      });
+      return { ...fallback, aggregateError: error };
     }
   }
 
   // Fallback method: Calculate revenue from individual events (for first 100 events)
   // Used as fallback if Metric Aggregates endpoint is not available
-  async calculateRevenueFromEvents(metricId, limit = 100) {
+  // Optional startDate/endDate restrict the events to the same window as the aggregates
+  // truncated (and provenance.approximate) is true when more events exist than were summed
+  async calculateRevenueFromEvents(metricId, limit = 100, options = {}) {
     try {
+      const { startDate = null, endDate = null } = options;
       console.log(`Calculating revenue from events for metric ID: ${metricId} (first ${limit} events)`);
       
-      const filter = `equals(metric_id,"${metricId}")`;
+      let filter = `equals(metric_id,"${metricId}")`;
+      if (startDate && endDate) {
+        filter += `,greater-or-equal(datetime,${startDate}),less-than(datetime,${endDate})`;
+      }
       const requestParams = { 
         'filter': filter, 
         'page[size]': limit 
@@ -881,7 +1635,8 @@ class KlaviyoService {
       let eventsWithRevenue = 0;
 
       events.forEach(event => {
-        const props = event?.attributes?.properties;
+        // Revision 2024-10-15 returns event_properties; older payloads used properties
+        const props = event?.attributes?.event_properties || event?.attributes?.properties;
         if (props?.$value) {
           const value = parseFloat(props.$value) || 0;
           totalRevenue += value;
@@ -889,41 +1644,55 @@ class KlaviyoService {
         }
       });
 
-      console.log(`Revenue calculation (events): $${totalRevenue.toFixed(2)} from ${eventsWithRevenue} events with revenue out of ${events.length} total events`);
+      // A next page means the window has more events than this sum covers
+      const truncated = Boolean(eventsResponse?.links?.next);
+
+      console.log(`Revenue calculation (events): $${totalRevenue.toFixed(2)} from ${eventsWithRevenue} events with revenue out of ${events.length} total events${truncated ? ' (truncated)' : ''}`);
       return {
         totalRevenue: totalRevenue,
         eventCount: events.length,
         eventsWithRevenue: eventsWithRevenue,
-        method: 'events'
+        series: [],
+        method: 'events',
+        truncated: truncated,
+        provenance: buildProvenance({
+          source: 'GET /events/',
+          method: 'events',
+          window: startDate && endDate ? { start: startDate, end: endDate } : null,
+          sampleSize: events.length,
+          approximate: truncated,
+          note: truncated ? `Sum of the first ${events.length} events only; more events exist in this window` : null
+        })
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error calculating revenue from events for metric ${metricId}:`, error.message);
       return {
         totalRevenue: 0,
         eventCount: 0,
         eventsWithRevenue: 0,
-        method: 'events'
+        series: [],
+        method: 'events',
+        error: error
       };
     }
   }
 
   // Find metric ID by name (helper function)
-  // Metric structure: { type, id, attributes: { name, ... }, relationships, links }
+  // Exact, case-insensitive match; returns null (with a warning) if several metrics share the name
   async findMetricIdByName(metricName) {
     try {
-      const metricsResponse = await this.getMetrics();
-      const metrics = metricsResponse?.data || [];
+      const catalog = await this.getMetricCatalog();
+      const matches = catalog.findByName(metricName);
       
-      // Search for metric by name (case-insensitive)
-      // Access metric name from attributes.name (Klaviyo API v3 structure)
-      const metric = metrics.find(m => {
-        const name = m?.attributes?.name || m?.name || '';
-        return name.toLowerCase() === metricName.toLowerCase();
-      });
-      
-      if (metric) {
-        console.log(`Found metric "${metricName}" with ID: ${metric.id}`);
-        return metric.id;
+      if (matches.length === 1) {
+        console.log(`Found metric "${metricName}" with ID: ${matches[0].id}`);
+        return matches[0].id;
+      }
+
+      if (matches.length > 1) {
+        console.warn(`Metric "${metricName}" is ambiguous: ${matches.map(m => m.id).join(', ')}`);
+        return null;
       }
       
       console.warn(`Metric "${metricName}" not found`);
@@ -949,201 +1718,494 @@ class KlaviyoService {
     }
   }
 
-  // Get dashboard metrics (combined data with detailed metrics)
-  async getDashboardMetrics() {
-    try {
-      const [account, metrics, campaigns, lists, flows] = await Promise.allSettled([
-        this.getAccount().catch(e => ({ error: e.message })),
-        this.getMetrics().catch(e => ({ error: e.message })),
-        this.getCampaigns().catch(e => ({ error: e.message })),
-        this.getLists().catch(e => ({ error: e.message })),
-        this.getFlows().catch(e => ({ error: e.message }))
-      ]);
-
+  // Resolve the metrics shown on the dashboard (see resolveMetrics)
+  async resolveDashboardMetrics() {
+    return this.resolveMetrics(['placedOrder', 'viewedProduct', 'addedToCart', 'activeOnSite']);
+  }
 
-      // Get campaign and flow counts (just the totals, no detailed metrics)
-      const campaignsData = campaigns.status === 'fulfilled' && !campaigns.value.error ? campaigns.value : null;
-      const flowsData = flows.status === 'fulfilled' && !flows.value.error ? flows.value : null;
-      
-      const campaignCount = campaignsData?.data?.length || 0;
-      const flowCount = flowsData?.data?.length || 0;
-
-      // Get event metrics using Events API
-      // Per Events API documentation: https://developers.klaviyo.com/en/reference/events_api_overview#get-events
-      const eventMetrics = {
-        placedOrder: 0,
-        viewedProduct: 0,
-        addedToCart: 0,
-        activeOnSite: 0
+  // Resolve the dashboard metric IDs without throwing
+  // Returns { metricIds, metricIssues, metricError }; if the catalog couldn't be fetched every ID is
+  // null and metricError is the reason (see getPeriodEventMetrics)
+  async resolveDashboardMetricIds() {
+    try {
+      const resolution = await this.resolveDashboardMetrics();
+      return { metricIds: resolution.ids, metricIssues: resolution.issues, metricError: null };
+    } catch (e) {
+      console.error('Error resolving dashboard metrics:', e.message);
+      return {
+        metricIds: { placedOrder: null, viewedProduct: null, addedToCart: null, activeOnSite: null },
+        metricIssues: [],
+        metricError: e
       };
+    }
+  }
 
-      // Declare placedOrderId at function scope so it can be used for revenue calculation
-      let placedOrderId = null;
+  // Get event counts for one date range
+  // Returns { eventMetrics, errors, warnings, provenance } for the given metric IDs
+  // (from resolveDashboardMetricIds). provenance maps each computed figure's section
+  // (e.g. 'eventMetrics.placedOrder') to buildProvenance() output. Values that couldn't be fetched
+  // are null rather than 0 and the reason is in errors; warnings cover unresolved metrics
+  // metricError is the error that left the metric IDs unresolved, if resolving them failed
+  async getPeriodEventMetrics(metricIds, dateRange, metricError = null) {
+    const dateFilters = buildDateFilters(dateRange);
+    const errors = [];
+    const warnings = [];
+    const provenance = {};
+
+    // Get event metrics using Events API
+    // Per Events API documentation: https://developers.klaviyo.com/en/reference/events_api_overview#get-events
+    const eventMetrics = {
+      placedOrder: 0,
+      viewedProduct: 0,
+      addedToCart: 0,
+      activeOnSite: 0
+    };
 
-      try {
-        // Step 1: First, get all metrics to find the metric IDs
-        const allMetricsResponse = await this.getMetrics();
-        const allMetrics = allMetricsResponse?.data || [];
-        
-        // Step 2: Find metric IDs for key event types
-        const findMetricId = (searchName) => {
-          const metric = allMetrics.find(m => {
-            const metricName = m?.attributes?.name || m?.name || '';
-            return metricName.toLowerCase().includes(searchName.toLowerCase());
-          });
-          return metric?.id || null;
-        };
-
-        const findExactMetricId = (exactName) => {
-          const metric = allMetrics.find(m => {
-            const metricName = m?.attributes?.name || m?.name || '';
-            return metricName.toLowerCase() === exactName.toLowerCase();
-          });
-          return metric?.id || null;
-        };
+    try {
+      // Fetch event counts using Query Metric Aggregates endpoint
+      // Per Metrics API overview: https://developers.klaviyo.com/en/reference/metrics_api_overview#use-cases
+      // Use Query Metric Aggregates with "count" measurement to get event counts efficiently
+      const getEventCount = async (key) => {
+        const section = `eventMetrics.${key}`;
+        const metricId = metricIds[key];
+        if (!metricId) return reportUnresolved(section, key, metricError, errors, warnings);
+
+        const result = await this.queryMetricAggregates(metricId, {
+          measurements: ['count'],
+          filters: dateFilters,
+          timezone: dateRange.timezone
+        });
 
-        // Find metric IDs
-        placedOrderId = findExactMetricId('Placed Order') || findMetricId('placed order');
-        const viewedProductId = findMetricId('viewed product');
-        const addedToCartId = findMetricId('added to cart');
-        const activeOnSiteId = findMetricId('active on site');
-
-        console.log('Found metric IDs for events:', {
-          placedOrder: placedOrderId,
-          viewedProduct: viewedProductId,
-          addedToCart: addedToCartId,
-          activeOnSite: activeOnSiteId
+        if (result.error) {
+          errors.push(describeIssue(section, result.error));
+          return null;
+        }
+        provenance[section] = buildProvenance({
+          source: 'POST /metric-aggregates/',
+          method: 'metric-aggregates',
+          window: dateRange
         });
+        return result.total || 0;
+      };
 
-        // Step 3: Fetch event counts using Query Metric Aggregates endpoint
-        // Per Metrics API overview: https://developers.klaviyo.com/en/reference/metrics_api_overview#use-cases
-        // Use Query Metric Aggregates with "count" measurement to get event counts efficiently
-        const eventCountPromises = [];
-
-        // Build date filter for last 1 month
-        const now = new Date();
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(now.getMonth() - 1);
-        const startDate = oneMonthAgo.toISOString();
-        const endDate = now.toISOString();
-        
-        const dateFilters = [
-          `greater-or-equal(datetime,${startDate})`,
-          `less-than(datetime,${endDate})`
-        ];
-
-        // Helper function to get event count using Query Metric Aggregates
-        // Per Metrics API: use measurements: ["count"] to get count of events
-        const getEventCountByMetricId = async (metricId) => {
-          if (!metricId) return 0;
-          
-          try {
-            const result = await this.queryMetricAggregates(metricId, {
-              measurements: ['count'],
-              filters: dateFilters,
-              timezone: 'UTC'
-            });
-            
-            return result.total || 0;
-          } catch (error) {
-            console.error(`Error getting event count for metric ${metricId}:`, error.message);
-            return 0;
-          }
-        };
+      const eventKeys = Object.keys(eventMetrics);
+      const eventCounts = await Promise.allSettled(eventKeys.map(key => getEventCount(key)));
+      rethrowAborts(eventCounts, this.signal);
 
-        // Get event counts for each metric using Query Metric Aggregates
-        if (placedOrderId) {
-          eventCountPromises.push(getEventCountByMetricId(placedOrderId));
+      eventKeys.forEach((key, index) => {
+        if (eventCounts[index].status === 'fulfilled') {
+          eventMetrics[key] = eventCounts[index].value;
         } else {
-          eventCountPromises.push(Promise.resolve(0));
+          eventMetrics[key] = null;
+          errors.push(describeIssue(`eventMetrics.${key}`, eventCounts[index].reason));
         }
+      });
 
-        if (viewedProductId) {
-          eventCountPromises.push(getEventCountByMetricId(viewedProductId));
-        } else {
-          eventCountPromises.push(Promise.resolve(0));
-        }
+      console.log(`Event metrics calculated (${dateRange.start} to ${dateRange.end}):`, eventMetrics);
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      console.error('Error fetching event metrics:', e.message);
+    }
 
-        if (addedToCartId) {
-          eventCountPromises.push(getEventCountByMetricId(addedToCartId));
-        } else {
-          eventCountPromises.push(Promise.resolve(0));
-        }
+    return { eventMetrics, errors, warnings, provenance };
+  }
+
+  // Get revenue for one date range
+  // Returns { revenueMetrics, errors, warnings, provenance } like getPeriodEventMetrics; warnings
+  // also cover partial values (revenue summed from a single page of orders)
+  async getPeriodRevenueMetrics(metricIds, dateRange, metricError = null) {
+    const errors = [];
+    const warnings = [];
+    const provenance = {};
+
+    // Calculate revenue metrics from Placed Order events
+    const revenueMetrics = {
+      totalRevenue: 0,
+      revenueByEmail: 0,
+      revenueOverTime: []
+    };
 
-        if (activeOnSiteId) {
-          eventCountPromises.push(getEventCountByMetricId(activeOnSiteId));
+    try {
+      // Revenue uses the same date range as the event counts
+      if (metricIds.placedOrder) {
+        console.log(`Calculating revenue from Placed Order events (${dateRange.start} to ${dateRange.end})...`);
+        const revenueData = await this.calculateRevenueByMetricId(metricIds.placedOrder, {
+          startDate: dateRange.start,
+          endDate: dateRange.end,
+          interval: resolveInterval(null, dateRange), // Buckets fill revenueOverTime at no extra cost
+          timezone: dateRange.timezone
+        });
+
+        if (revenueData.error) {
+          // Both the aggregates and the event fallback failed
+          errors.push(describeIssue('revenueMetrics.totalRevenue', revenueData.aggregateError || revenueData.error));
+          revenueMetrics.totalRevenue = null;
+          revenueMetrics.revenueByEmail = null;
         } else {
-          eventCountPromises.push(Promise.resolve(0));
+          if (revenueData.aggregateError) {
+            // The event fallback only sums the first page of orders; partial if that missed some
+            warnings.push(describeIssue('revenueMetrics.totalRevenue', revenueData.aggregateError, revenueData.provenance.approximate));
+          }
+          revenueMetrics.totalRevenue = revenueData.totalRevenue;
+          revenueMetrics.revenueByEmail = revenueData.totalRevenue; // For now, same as total (can be filtered later)
+          revenueMetrics.revenueOverTime = revenueData.series;
+          ['totalRevenue', 'revenueByEmail', 'revenueOverTime'].forEach(key => {
+            provenance[`revenueMetrics.${key}`] = revenueData.provenance;
+          });
+          console.log(`Total revenue calculated: $${revenueMetrics.totalRevenue.toFixed(2)}`);
         }
+      } else {
+        console.warn('Placed Order metric not found, cannot calculate revenue');
+        revenueMetrics.totalRevenue = reportUnresolved('revenueMetrics.totalRevenue', 'placedOrder', metricError, errors, warnings);
+        revenueMetrics.revenueByEmail = null;
+      }
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      console.error('Error calculating revenue metrics:', e.message);
+      errors.push(describeIssue('revenueMetrics.totalRevenue', e));
+      revenueMetrics.totalRevenue = null;
+      revenueMetrics.revenueByEmail = null;
+    }
 
-        const [placedOrderCount, viewedProductCount, addedToCartCount, activeOnSiteCount] = await Promise.allSettled(eventCountPromises);
+    return { revenueMetrics, errors, warnings, provenance };
+  }
 
-        eventMetrics.placedOrder = placedOrderCount.status === 'fulfilled' ? placedOrderCount.value : 0;
-        eventMetrics.viewedProduct = viewedProductCount.status === 'fulfilled' ? viewedProductCount.value : 0;
-        eventMetrics.addedToCart = addedToCartCount.status === 'fulfilled' ? addedToCartCount.value : 0;
-        eventMetrics.activeOnSite = activeOnSiteCount.status === 'fulfilled' ? activeOnSiteCount.value : 0;
+  // Event counts or revenue for the selected period, plus the comparison period if requested
+  // key is 'eventMetrics' or 'revenueMetrics'; loadPeriod(metricIds, dateRange, metricError) is
+  // getPeriodEventMetrics or getPeriodRevenueMetrics
+  // Comparison-period errors and warnings are prefixed with 'comparison.'
+  async getPeriodSection(options, key, loadPeriod) {
+    const dateRange = options.dateRange || resolveDateRange();
+
+    // Missing or ambiguous metrics are reported in metricIssues instead of guessed
+    const { metricIds, metricIssues, metricError } = await this.resolveDashboardMetricIds();
+
+    this.signal?.throwIfAborted();
+    const current = await loadPeriod.call(this, metricIds, dateRange, metricError);
+    const errors = [...current.errors];
+    const warnings = [...current.warnings];
+
+    // Same KPIs for the comparison period, if requested
+    let comparison = null;
+    if (options.comparisonRange) {
+      const previous = await loadPeriod.call(this, metricIds, options.comparisonRange, metricError);
+      errors.push(...previous.errors.map(issue => ({ ...issue, section: `comparison.${issue.section}` })));
+      warnings.push(...previous.warnings.map(issue => ({ ...issue, section: `comparison.${issue.section}` })));
+      comparison = {
+        mode: options.comparisonRange.mode,
+        dateRange: options.comparisonRange,
+        [key]: previous[key],
+        provenance: previous.provenance,
+        deltas: {
+          [key]: calculateDeltas(current[key], previous[key])
+        }
+      };
+    }
+
+    return {
+      [key]: current[key],
+      metricIssues: metricIssues,
+      errors: errors,
+      warnings: warnings,
+      provenance: current.provenance,
+      dateRange: dateRange,
+      comparison: comparison,
+      timestamp: new Date().toISOString()
+    };
+  }
 
-        console.log('Event metrics calculated:', eventMetrics);
-      } catch (e) {
-        console.error('Error fetching event metrics:', e.message);
+  // Get interval-bucketed time series for revenue, orders and each dashboard event metric
+  // options.dateRange as for getDashboardMetrics; options.interval is 'hour', 'day', 'week' or 'month'
+  // (defaults to one suited to the range length). Buckets are aligned to dateRange.timezone.
+  // Each series is an array of { date, value }, or null if it couldn't be loaded (see errors)
+  async getTimeSeries(options = {}) {
+    const dateRange = options.dateRange || resolveDateRange();
+    const interval = resolveInterval(options.interval, dateRange);
+    const dateFilters = buildDateFilters(dateRange);
+
+    const { metricIds, metricError } = await this.resolveDashboardMetricIds();
+    const errors = [];
+    const warnings = [];
+
+    // Query one metric (by key) with the given measurements, bucketed by interval
+    // Resolves with the series by measurement, or null when the metric isn't mapped or the query
+    // failed; the reason is added to errors or warnings for each of sections (e.g. 'series.orders')
+    const failures = [];
+    const querySeries = async (key, measurements, sections) => {
+      const metricId = metricIds[key];
+      if (!metricId) {
+        sections.forEach(section => reportUnresolved(section, key, metricError, errors, warnings));
+        return null;
       }
+      const result = await this.queryMetricAggregates(metricId, {
+        measurements: measurements,
+        filters: dateFilters,
+        interval: interval,
+        timezone: dateRange.timezone
+      });
+      if (result.error) {
+        failures.push(result.error);
+        sections.forEach(section => errors.push(describeIssue(section, result.error)));
+        return null;
+      }
+      return result.series || {};
+    };
+
+    // Placed Order gives both revenue (sum_value) and orders (count) in one request
+    const [placedOrder, viewedProduct, addedToCart, activeOnSite] = await Promise.all([
+      querySeries('placedOrder', ['count', 'sum_value'], ['series.revenue', 'series.orders']),
+      querySeries('viewedProduct', ['count'], ['series.viewedProduct']),
+      querySeries('addedToCart', ['count'], ['series.addedToCart']),
+      querySeries('activeOnSite', ['count'], ['series.activeOnSite'])
+    ]);
+
+    // A series is null when it couldn't be loaded, so it isn't shown as a flat zero line
+    const seriesOf = (result, measurement) => (result ? result[measurement] || [] : null);
+
+    return {
+      interval: interval,
+      dateRange: dateRange,
+      series: {
+        revenue: seriesOf(placedOrder, 'sum_value'),
+        orders: seriesOf(placedOrder, 'count'),
+        viewedProduct: seriesOf(viewedProduct, 'count'),
+        addedToCart: seriesOf(addedToCart, 'count'),
+        activeOnSite: seriesOf(activeOnSite, 'count')
+      },
+      errors: errors,
+      warnings: warnings,
+      provenance: buildReportProvenance(dateRange, failures),
+      timestamp: new Date().toISOString()
+    };
+  }
 
+  // ==================== DASHBOARD SECTIONS ====================
+  // Each section is served by its own endpoint so the dashboard can show each one as soon as it
+  // loads instead of waiting for the slowest. Every section returns { ..., errors, warnings,
+  // provenance, timestamp } with issues and provenance keyed by section field as in
+  // getDashboardMetrics
+
+  // Account details and the metric catalog
+  async getOverviewSection() {
+    const errors = [];
+    const [account, catalog] = await Promise.all([
+      this.getAccount(),
+      this.getMetricCatalog().catch(error => ({ error }))
+    ]);
+
+    if (account.error) {
+      errors.push(describeIssue('account', account.error));
+    }
+    if (catalog.error) {
+      errors.push(describeIssue('metrics', catalog.error));
+    }
+    // Metrics the dashboard couldn't resolve unambiguously (none to report without a catalog)
+    const { metricIssues } = catalog.error ? { metricIssues: [] } : await this.resolveDashboardMetricIds();
+
+    return {
+      account: account.error ? null : account,
+      metrics: catalog.error ? null : { data: catalog.metrics },
+      metricCount: catalog.error ? null : catalog.metrics.length,
+      metricIssues: metricIssues,
+      errors: errors,
+      warnings: [],
+      provenance: {},
+      timestamp: new Date().toISOString()
+    };
+  }
 
-      // Calculate revenue metrics from Placed Order events
-      let revenueMetrics = {
-        totalRevenue: 0,
-        revenueByEmail: 0,
-        revenueOverTime: []
-      };
+  // Event counts for options.dateRange (and options.comparisonRange), see getPeriodSection
+  async getEventsSection(options = {}) {
+    return this.getPeriodSection(options, 'eventMetrics', this.getPeriodEventMetrics);
+  }
 
-      // Get all metrics with detailed data
-      let metricsData = metrics.status === 'fulfilled' && !metrics.value.error ? metrics.value : null;
-      let metricsWithDetails = null;
-      
-      try {
-        // Fetch all metrics with their detailed information
-        metricsWithDetails = await this.getAllMetricsWithDetails();
-        
-        // Calculate revenue from Placed Order metric
-        // Use the placedOrderId we already found earlier
-        // Revenue calculation MUST use last 1 month date range
-        if (placedOrderId) {
-          console.log('Calculating revenue from Placed Order events (last 1 month)...');
-          const revenueData = await this.calculateRevenueByMetricId(placedOrderId, {
-            startDate: null, // Will use default 1 month
-            endDate: null,
-            timezone: 'UTC'
-          });
-          revenueMetrics.totalRevenue = revenueData.totalRevenue;
-          revenueMetrics.revenueByEmail = revenueData.totalRevenue; // For now, same as total (can be filtered later)
-          
-          
-          console.log(`Total revenue calculated: $${revenueMetrics.totalRevenue.toFixed(2)}`);
-        } else {
-          console.warn('Placed Order metric not found, cannot calculate revenue');
+  // Revenue for options.dateRange (and options.comparisonRange), see getPeriodSection
+  async getRevenueSection(options = {}) {
+    return this.getPeriodSection(options, 'revenueMetrics', this.getPeriodRevenueMetrics);
+  }
+
+  // All campaigns and their count (the whole account, not the date range)
+  async getCampaignsSection() {
+    const errors = [];
+    const warnings = [];
+    const provenance = {};
+
+    // Campaigns are fetched per channel: if only one channel failed the count is partial
+    const { errors: campaignErrors = [], ...campaignsResult } = await this.getCampaigns();
+    let campaignsData = campaignsResult;
+    if (campaignErrors.length > 0 && campaignsResult.data.length === 0) {
+      campaignErrors.forEach(error => errors.push(describeIssue('campaignCount', error)));
+      campaignsData = null;
+    } else {
+      campaignErrors.forEach(error => warnings.push(describeIssue('campaignCount', error, true)));
+    }
+
+    // Approximate if a page limit or a failed channel left some out
+    if (campaignsData) {
+      provenance.campaignCount = buildProvenance({
+        source: 'GET /campaigns/',
+        method: 'collection',
+        approximate: campaignErrors.length > 0 || campaignsData.truncated,
+        note: campaignErrors.length > 0 ? 'Campaigns from one channel could not be loaded' : null
+      });
+    }
+
+    return {
+      campaigns: campaignsData,
+      campaignCount: campaignsData ? campaignsData.data.length : null,
+      errors: errors,
+      warnings: warnings,
+      provenance: provenance,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // All flows and their count (the whole account, not the date range)
+  async getFlowsSection() {
+    const flows = await this.getFlows();
+    const flowsData = flows.error ? null : flows;
+
+    return {
+      flows: flowsData,
+      flowCount: flowsData ? flowsData.data.length : null,
+      errors: flows.error ? [describeIssue('flowCount', flows.error)] : [],
+      warnings: [],
+      provenance: flowsData
+        ? {
+          flowCount: buildProvenance({
+            source: 'GET /flows/',
+            method: 'collection',
+            approximate: Boolean(flowsData.truncated)
+          })
         }
-      } catch (e) {
-        console.error('Error calculating revenue metrics:', e.message);
-      }
+        : {},
+      timestamp: new Date().toISOString()
+    };
+  }
 
-      return {
-        account: account.status === 'fulfilled' && !account.value.error ? account.value : null,
-        metrics: metricsData,
-        metricsWithDetails: metricsWithDetails, // Includes all metrics with detailed data
-        campaigns: campaignsData,
-        lists: lists.status === 'fulfilled' && !lists.value.error ? lists.value : null,
-        flows: flowsData,
-        campaignCount: campaignCount,
-        flowCount: flowCount,
-        eventMetrics: eventMetrics,
-        revenueMetrics: revenueMetrics,
-        timestamp: new Date().toISOString()
+  // All lists and their count
+  async getListsSection() {
+    const lists = await this.getLists({ fields: { list: ['name'] } });
+    const listsData = lists.error ? null : lists;
+
+    return {
+      lists: listsData,
+      listCount: listsData ? listsData.data.length : null,
+      errors: lists.error ? [describeIssue('listCount', lists.error)] : [],
+      warnings: [],
+      provenance: listsData
+        ? {
+          listCount: buildProvenance({
+            source: 'GET /lists/',
+            method: 'collection',
+            approximate: Boolean(listsData.truncated)
+          })
+        }
+        : {},
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Get one dashboard section by name (a key of KlaviyoService.DASHBOARD_SECTIONS)
+  // options as for getDashboardMetrics; sections that don't depend on the date range ignore them
+  async getDashboardSection(section, options = {}) {
+    if (!Object.hasOwn(DASHBOARD_SECTIONS, section)) {
+      throw new Error(`Unknown dashboard section: ${section}`);
+    }
+    return this[DASHBOARD_SECTIONS[section].method](options);
+  }
+
+  // Get dashboard metrics (all sections combined, plus detailed metrics)
+  // options.dateRange is a resolved range from dateRange.resolveDateRange()
+  // ({ preset, start, end, timezone }); defaults to the last 30 days in UTC
+  // options.comparisonRange (from dateRange.resolveComparisonRange()) adds a `comparison`
+  // block with the same KPIs for that period and deltas against the selected one
+  // Values that couldn't be fetched are null, with the failed call in `errors`; `warnings` lists
+  // unresolved metrics and partial values (entries from describeIssue, keyed by section)
+  // `provenance` maps the same sections to where each figure came from (see buildProvenance)
+  // The dashboard itself loads the sections separately (getDashboardSection); this waits for all
+  // of them and for getAllMetricsWithDetails
+  async getDashboardMetrics(options = {}) {
+    const dateRange = options.dateRange || resolveDateRange();
+    const sectionOptions = { ...options, dateRange };
+
+    const [overview, events, revenue, campaigns, flows, lists] = await Promise.all(
+      ['overview', 'events', 'revenue', 'campaigns', 'flows', 'lists'].map(section =>
+        this.getDashboardSection(section, sectionOptions)
+      )
+    );
+    const sections = [overview, events, revenue, campaigns, flows, lists];
+
+    // Get all metrics with detailed data
+    let metricsWithDetails = null;
+    try {
+      metricsWithDetails = await this.getAllMetricsWithDetails();
+    } catch (e) {
+      console.error('Error fetching metrics with details:', e.message);
+    }
+
+    let comparison = null;
+    if (options.comparisonRange) {
+      comparison = {
+        mode: options.comparisonRange.mode,
+        dateRange: options.comparisonRange,
+        eventMetrics: events.comparison.eventMetrics,
+        revenueMetrics: revenue.comparison.revenueMetrics,
+        provenance: { ...events.comparison.provenance, ...revenue.comparison.provenance },
+        deltas: {
+          eventMetrics: events.comparison.deltas.eventMetrics,
+          revenueMetrics: revenue.comparison.deltas.revenueMetrics
+        }
       };
-    } catch (error) {
-      throw error;
     }
+
+    return {
+      account: overview.account,
+      metrics: overview.metrics,
+      metricsWithDetails: metricsWithDetails, // Includes all metrics with detailed data
+      campaigns: campaigns.campaigns,
+      lists: lists.lists,
+      flows: flows.flows,
+      campaignCount: campaigns.campaignCount,
+      flowCount: flows.flowCount,
+      eventMetrics: events.eventMetrics,
+      revenueMetrics: revenue.revenueMetrics,
+      metricIssues: events.metricIssues,
+      errors: sections.flatMap(section => section.errors),
+      warnings: sections.flatMap(section => section.warnings),
+      provenance: Object.assign({}, ...sections.map(section => section.provenance)),
+      dateRange: dateRange,
+      comparison: comparison,
+      timestamp: new Date().toISOString()
+    };
   }
 }
 
+// Dashboard sections (see getDashboardSection) -> the method that builds each one and which
+// request options it depends on, so callers can cache and validate per section
+const DASHBOARD_SECTIONS = {
+  overview: { method: 'getOverviewSection', usesDateRange: false, usesComparison: false },
+  events: { method: 'getEventsSection', usesDateRange: true, usesComparison: true },
+  revenue: { method: 'getRevenueSection', usesDateRange: true, usesComparison: true },
+  campaigns: { method: 'getCampaignsSection', usesDateRange: false, usesComparison: false },
+  flows: { method: 'getFlowsSection', usesDateRange: false, usesComparison: false },
+  lists: { method: 'getListsSection', usesDateRange: false, usesComparison: false }
+};
+
+// API scopes the dashboard uses (see checkAccess), each with a request that needs only that scope
+// Without a required scope the dashboard's main reports would be empty, so clients can't be added
+const KEY_SCOPE_CHECKS = [
+  { scope: 'accounts:read', endpoint: '/accounts/', required: false, usedFor: 'Account name, currency and timezone' },
+  { scope: 'metrics:read', endpoint: '/metrics/', required: true, usedFor: 'KPIs, revenue and time series' },
+  { scope: 'campaigns:read', endpoint: '/campaigns/', params: { filter: 'equals(messages.channel,"email")' }, required: true, usedFor: 'Campaign reports' },
+  { scope: 'flows:read', endpoint: '/flows/', params: { 'page[size]': 1 }, required: true, usedFor: 'Flow reports' },
+  { scope: 'events:read', endpoint: '/events/', params: { 'page[size]': 1 }, required: false, usedFor: 'Revenue from raw events when aggregates fail' },
+  { scope: 'lists:read', endpoint: '/lists/', required: false, usedFor: 'List count' }
+];
+
+KlaviyoService.DASHBOARD_SECTIONS = DASHBOARD_SECTIONS;
+KlaviyoService.KEY_SCOPE_CHECKS = KEY_SCOPE_CHECKS;
+KlaviyoService.calculateDeltas = calculateDeltas;
+
 module.exports = KlaviyoService;
 
@@ -0,0 +1,203 @@
+// Metric catalog: resolves the dashboard's canonical metrics (Placed Order, Opened Email, ...)
+// to the account's Klaviyo metric IDs
+//
+// Metrics are matched by exact name (case-insensitive). When several metrics share a name, the one
+// from the preferred integration wins (e.g. Shopify's "Placed Order" over an API one); if that still
+// doesn't single one out, the metric is reported as ambiguous and left unresolved rather than
+// silently picking the first match. Per-client overrides (canonical key -> metric ID, managed from
+// the admin panel) take precedence over automatic detection.
+
+const crypto = require('crypto');
+
+const CATALOG_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const ECOMMERCE_INTEGRATIONS = [
+  'Shopify',
+  'WooCommerce',
+  'BigCommerce',
+  'Magento Two',
+  'Magento',
+  'Salesforce Commerce Cloud',
+  'PrestaShop',
+  'API'
+];
+
+// Canonical metrics used across the dashboard
+// integrations lists preferred integration names, best first
+const CANONICAL_METRICS = {
+  placedOrder: { name: 'Placed Order', integrations: ECOMMERCE_INTEGRATIONS },
+  viewedProduct: { name: 'Viewed Product', integrations: ECOMMERCE_INTEGRATIONS },
+  addedToCart: { name: 'Added to Cart', integrations: ECOMMERCE_INTEGRATIONS },
+  activeOnSite: { name: 'Active on Site', integrations: ['Klaviyo', 'API'] },
+  openedEmail: { name: 'Opened Email', integrations: ['Klaviyo'] },
+  clickedEmail: { name: 'Clicked Email', integrations: ['Klaviyo'] },
+  receivedEmail: { name: 'Received Email', integrations: ['Klaviyo'] },
+  bouncedEmail: { name: 'Bounced Email', integrations: ['Klaviyo'] }
+};
+
+// Metric structure: { type, id, attributes: { name, integration: { name, ... } }, relationships, links }
+const metricName = (metric) => (metric?.attributes?.name || metric?.name || '').trim();
+const integrationName = (metric) => metric?.attributes?.integration?.name || null;
+
+// Compact description of a metric for resolution reports and metric pickers
+const describeMetric = (metric) => ({
+  id: metric.id,
+  name: metricName(metric),
+  integration: integrationName(metric)
+});
+
+class MetricCatalog {
+  constructor(metrics = []) {
+    this.metrics = metrics;
+    this.fetchedAt = new Date().toISOString();
+  }
+
+  // All metrics whose name exactly matches (case-insensitive)
+  findByName(name) {
+    const target = name.trim().toLowerCase();
+    return this.metrics.filter(metric => metricName(metric).toLowerCase() === target);
+  }
+
+  // Find a metric by ID
+  findById(id) {
+    return this.metrics.find(metric => metric.id === id) || null;
+  }
+
+  // Resolve one canonical metric (a key of CANONICAL_METRICS)
+  // overrideId, if given, is a metric ID configured for this client
+  // Returns { key, name, id, status, metric, candidates } where status is:
+  //   'override'         - the configured override was used
+  //   'resolved'         - exactly one metric has the canonical name
+  //   'preferred'        - several do; the preferred integration decided (candidates lists them all)
+  //   'ambiguous'        - several do and the integration didn't decide; id is null
+  //   'missing'          - no metric has the name; id is null
+  // If the override isn't in the account's metric list, automatic detection is used and
+  // overrideMissing is set to the stale override ID
+  resolve(key, overrideId = null) {
+    const definition = CANONICAL_METRICS[key];
+    if (!definition) {
+      throw new Error(`Unknown canonical metric: ${key}`);
+    }
+
+    const name = definition.name;
+    let overrideMissing;
+
+    if (overrideId) {
+      const override = this.findById(overrideId);
+      if (override) {
+        return { key, name, id: override.id, status: 'override', metric: describeMetric(override), candidates: [] };
+      }
+      overrideMissing = overrideId;
+    }
+
+    const result = this.detect(key, definition);
+    return overrideMissing ? { name, ...result, overrideMissing } : { name, ...result };
+  }
+
+  // Automatic detection by exact name and integration preference (see resolve)
+  detect(key, definition) {
+    const matches = this.findByName(definition.name);
+    const candidates = matches.map(describeMetric);
+
+    if (matches.length === 0) {
+      return { key, id: null, status: 'missing', metric: null, candidates };
+    }
+
+    if (matches.length === 1) {
+      return { key, id: matches[0].id, status: 'resolved', metric: describeMetric(matches[0]), candidates };
+    }
+
+    // Several metrics share the name: pick the best-ranked integration if exactly one has it
+    const rank = (metric) => {
+      const index = definition.integrations.indexOf(integrationName(metric));
+      return index === -1 ? Infinity : index;
+    };
+    const bestRank = Math.min(...matches.map(rank));
+    const best = matches.filter(metric => rank(metric) === bestRank);
+
+    if (bestRank !== Infinity && best.length === 1) {
+      return { key, id: best[0].id, status: 'preferred', metric: describeMetric(best[0]), candidates };
+    }
+
+    return { key, id: null, status: 'ambiguous', metric: null, candidates };
+  }
+
+  // Resolve several canonical metrics, applying overrides ({ key: metricId }) where present
+  // Returns { ids: { key: id|null }, resolutions: { key: resolution }, issues: [resolution] }
+  // issues holds every resolution that is missing, ambiguous, decided by integration preference
+  // or whose override no longer exists
+  resolveAll(keys = Object.keys(CANONICAL_METRICS), overrides = {}) {
+    const ids = {};
+    const resolutions = {};
+    const issues = [];
+
+    keys.forEach(key => {
+      const resolution = this.resolve(key, overrides[key]);
+      ids[key] = resolution.id;
+      resolutions[key] = resolution;
+      if ((resolution.status !== 'resolved' && resolution.status !== 'override') || resolution.overrideMissing) {
+        issues.push(resolution);
+      }
+    });
+
+    return { ids, resolutions, issues };
+  }
+}
+
+// Catalogs cached per Klaviyo API key (hashed, so raw keys aren't used as map keys)
+const catalogCache = new Map(); // keyHash -> { catalog?, promise?, expiresAt }
+
+const hashKey = (privateKey) => crypto.createHash('sha256').update(String(privateKey)).digest('hex');
+
+// Get the metric catalog for a KlaviyoService's account, fetching the metric list at most
+// once per TTL; concurrent callers share one fetch. Throws if the metric list can't be fetched;
+// empty lists aren't cached.
+// The shared fetch ignores the service's AbortSignal, so one caller aborting can't empty the
+// catalog for the others
+async function loadMetricCatalog(klaviyoService) {
+  const keyHash = hashKey(klaviyoService.privateKey);
+  const cached = catalogCache.get(keyHash);
+
+  if (cached?.catalog && cached.expiresAt > Date.now()) {
+    return cached.catalog;
+  }
+  if (cached?.promise) {
+    return cached.promise;
+  }
+
+  const promise = (async () => {
+    try {
+      const response = await klaviyoService.withSignal(null).getMetrics();
+      if (response?.error) {
+        throw response.error;
+      }
+      const catalog = new MetricCatalog(response?.data || []);
+
+      if (catalog.metrics.length > 0) {
+        catalogCache.set(keyHash, { catalog, expiresAt: Date.now() + CATALOG_TTL_MS });
+      } else {
+        catalogCache.delete(keyHash);
+      }
+      return catalog;
+    } catch (error) {
+      catalogCache.delete(keyHash);
+      throw error;
+    }
+  })();
+
+  catalogCache.set(keyHash, { promise });
+  return promise;
+}
+
+// Forget the cached catalog for an API key (e.g. after the key is replaced)
+function invalidateMetricCatalog(privateKey) {
+  catalogCache.delete(hashKey(privateKey));
+}
+
+module.exports = {
+  CANONICAL_METRICS,
+  describeMetric,
+  MetricCatalog,
+  loadMetricCatalog,
+  invalidateMetricCatalog
+};
@@ -0,0 +1,260 @@
+// Per-client cache for dashboard reports
+// Sits in front of the KlaviyoService report methods so repeated dashboard loads (and the
+// frontend's 5-minute auto refresh from every open tab) don't re-run dozens of Klaviyo calls
+//
+// Entries younger than the TTL are served as-is. Entries past the TTL but within the stale window
+// are served immediately while a background refresh replaces them (stale-while-revalidate).
+// Older entries are reloaded before responding. Reports that carry errors (a Klaviyo call failed)
+// are kept only for the shorter error TTL, without a stale window, so a transient failure isn't
+// served for long.
+
+const { stableStringify } = require('./stableStringify');
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_STALE_SECONDS = 3600;
+const DEFAULT_ERROR_TTL_SECONDS = 30;
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Read a non-negative number of seconds from the environment
+function secondsFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+// True for reports whose errors array lists failed Klaviyo calls
+function hasErrors(value) {
+  return Array.isArray(value?.errors) && value.errors.length > 0;
+}
+
+// Client ID of a key built by buildCacheKey(), or null for other keys
+function clientIdOf(key) {
+  const match = /^client:([^:]+):/.exec(key);
+  return match ? match[1] : null;
+}
+
+// In-process cache store
+// Any object with the same async get/set/delete/deleteByPrefix methods can replace it
+// (e.g. a Redis-backed store shared between server instances)
+class MemoryCacheStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = new Map();
+  }
+
+  // Returns the stored entry, or undefined if missing or expired
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return undefined;
+
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return item.entry;
+  }
+
+  // Store an entry for ttlMs milliseconds
+  async set(key, entry, ttlMs) {
+    // Re-insert so Map order tracks recency; evict the oldest entries past the limit
+    this.entries.delete(key);
+    this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Remove every entry whose key starts with prefix (used to drop all of a client's entries)
+  async deleteByPrefix(prefix) {
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+class MetricsCache {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryCacheStore();
+    this.ttlMs = (options.ttlSeconds ?? secondsFromEnv('METRICS_CACHE_TTL_SECONDS', DEFAULT_TTL_SECONDS)) * 1000;
+    this.staleMs = (options.staleSeconds ?? secondsFromEnv('METRICS_CACHE_STALE_SECONDS', DEFAULT_STALE_SECONDS)) * 1000;
+    this.errorTtlMs = (options.errorTtlSeconds ?? secondsFromEnv('METRICS_CACHE_ERROR_TTL_SECONDS', DEFAULT_ERROR_TTL_SECONDS)) * 1000;
+    this.inFlight = new Map(); // key -> { promise, controller, waiters, pinned } of a load already running
+    this.generations = new Map(); // clientId -> number of invalidateClient() calls so far
+  }
+
+  // Invalidation generation of the client a key belongs to
+  generationOf(key) {
+    return this.generations.get(clientIdOf(key)) || 0;
+  }
+
+  // Get a cached value, loading it with loader(signal) when needed
+  // options.refresh skips the cache and reloads
+  // options.signal (AbortSignal) stops waiting when the caller goes away; see load()
+  // Returns { value, cachedAt, status } where status is 'hit', 'stale', 'miss' or 'refresh'
+  async getOrLoad(key, loader, options = {}) {
+    if (this.ttlMs === 0) {
+      const value = await loader(options.signal);
+      return { value, cachedAt: new Date().toISOString(), status: 'miss' };
+    }
+
+    if (!options.refresh) {
+      const entry = await this.store.get(key);
+      if (entry) {
+        const age = Date.now() - entry.cachedAt;
+        if (age < this.ttlMs) {
+          return { value: entry.value, cachedAt: new Date(entry.cachedAt).toISOString(), status: 'hit' };
+        }
+
+        if (age < this.ttlMs + this.staleMs) {
+          // Serve the stale value now and refresh in the background
+          this.load(key, loader).catch(error => {
+            console.error(`Background cache refresh failed for ${key}:`, error.message);
+          });
+          return { value: entry.value, cachedAt: new Date(entry.cachedAt).toISOString(), status: 'stale' };
+        }
+      }
+    }
+
+    const entry = await this.load(key, loader, options.signal);
+    return {
+      value: entry.value,
+      cachedAt: new Date(entry.cachedAt).toISOString(),
+      status: options.refresh ? 'refresh' : 'miss'
+    };
+  }
+
+  // Run loader(signal) and store its result; concurrent loads of the same key share one call
+  // A caller passing an AbortSignal stops waiting when it aborts, and the load itself is aborted
+  // (through the signal given to loader) once every caller waiting on it has. Loads joined by a
+  // caller without a signal, such as background refreshes, always run to completion.
+  // Errors, aborted loads and null results (e.g. a flow that wasn't found) are not cached; reports
+  // with errors are only kept for the error TTL. Neither is a load that the client was invalidated
+  // during, since it may have used their old key.
+  load(key, loader, signal = null) {
+    let flight = this.inFlight.get(key);
+
+    if (!flight) {
+      const controller = new AbortController();
+      const generation = this.generationOf(key);
+      flight = { controller, waiters: 0, pinned: false };
+      flight.promise = (async () => {
+        try {
+          const value = await loader(controller.signal);
+          // Aborted loaders may resolve with partial fallbacks; don't cache those
+          controller.signal.throwIfAborted();
+          const entry = { value, cachedAt: Date.now() };
+          // Skip the write if the client was invalidated while this was loading
+          if (this.generationOf(key) === generation) {
+            if (hasErrors(value)) {
+              if (this.errorTtlMs > 0) {
+                await this.store.set(key, entry, Math.min(this.errorTtlMs, this.ttlMs));
+              }
+            } else if (value !== null && value !== undefined) {
+              await this.store.set(key, entry, this.ttlMs + this.staleMs);
+            }
+          }
+          return entry;
+        } finally {
+          if (this.inFlight.get(key) === flight) {
+            this.inFlight.delete(key);
+          }
+        }
+      })();
+      // Failures reach callers through their own handlers; this stops a load that every caller
+      // abandoned from surfacing as an unhandled rejection
+      flight.promise.catch(() => {});
+      this.inFlight.set(key, flight);
+    }
+
+    if (!signal) {
+      flight.pinned = true;
+      return flight.promise;
+    }
+    return this.waitForLoad(key, flight, signal);
+  }
+
+  // Wait for an in-flight load on behalf of a caller with an AbortSignal
+  waitForLoad(key, flight, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        flight.waiters--;
+        if (flight.waiters === 0 && !flight.pinned) {
+          // Nobody is waiting for this load any more; later callers start a fresh one
+          if (this.inFlight.get(key) === flight) {
+            this.inFlight.delete(key);
+          }
+          flight.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+
+      flight.waiters++;
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      flight.promise.then(
+        entry => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(entry);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  // Drop every cached report for a client (e.g. after their Klaviyo key changes)
+  // Loads already running for them finish for their current callers but aren't cached or joined
+  async invalidateClient(clientId) {
+    const prefix = `client:${clientId}:`;
+    this.generations.set(String(clientId), (this.generations.get(String(clientId)) || 0) + 1);
+    for (const key of Array.from(this.inFlight.keys())) {
+      if (key.startsWith(prefix)) {
+        this.inFlight.delete(key);
+      }
+    }
+    await this.store.deleteByPrefix(prefix);
+  }
+}
+
+// Build a cache key for one client's report and query parameters
+function buildCacheKey(clientId, report, params = {}) {
+  return `client:${clientId}:${report}:${stableStringify(params)}`;
+}
+
+// Cache key params for a resolved date range
+// Rolling presets end "now", so they're keyed by name rather than by their exact instants;
+// otherwise no two requests would ever share an entry
+function dateRangeKeyParams(dateRange) {
+  if (dateRange.preset === 'custom') {
+    return { start: dateRange.start, end: dateRange.end, timezone: dateRange.timezone };
+  }
+  return { preset: dateRange.preset, timezone: dateRange.timezone };
+}
+
+// Shared cache used by the API routes
+const metricsCache = new MetricsCache();
+
+module.exports = {
+  MemoryCacheStore,
+  MetricsCache,
+  metricsCache,
+  buildCacheKey,
+  dateRangeKeyParams
+};
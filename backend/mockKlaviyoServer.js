@@ -0,0 +1,715 @@
+// Offline stand-in for the Klaviyo API, for development and automated tests
+// Serves the endpoints KlaviyoService uses (accounts, metrics, metric-aggregates, events, campaigns,
+// lists, flows, profiles) from a fixture file, in Klaviyo's JSON:API shapes, with cursor pagination,
+// 429 throttling and Klaviyo-style error payloads. Metric aggregates are computed from the
+// fixture's events, so counts, revenue and the campaign/flow reports all agree with each other.
+//
+// Run it with `npm run mock-klaviyo [fixture file]` (port MOCK_KLAVIYO_PORT, default 4010) and
+// start the backend with KLAVIYO_BASE_URL=http://localhost:4010/api
+//
+// Fixture format (see fixtures/klaviyo/default.json):
+//   apiKeys   - accepted private keys; any key is accepted if omitted
+//   apiKeyScopes - { key: ['metrics:read', ...] } restricts a key to those scopes (403 otherwise);
+//               keys not listed have every scope
+//   pageSize  - page size of collection endpoints (default 10)
+//   rateLimit - { burst } requests per second per endpoint before answering 429 (default: none)
+//   account, metrics, lists, profiles, campaigns (with messages), flows (with actions and
+//   their messages) - compact records, expanded to JSON:API resources when served; campaigns
+//   take sendTime or sendDaysAgo
+//   events    - { metric, profile, value, attributedMessage, attributedFlow, properties } with
+//               either datetime or daysAgo (relative to when the fixture is loaded)
+//   faults    - canned failures, see addFault()
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'klaviyo', 'default.json');
+const DEFAULT_PORT = 4010;
+const DEFAULT_PAGE_SIZE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event fields that metric-aggregates and events filters (and `by`) can refer to
+const EVENT_FIELDS = {
+  metric_id: 'metric',
+  profile_id: 'profile',
+  datetime: 'datetime',
+  $attributed_message: 'attributedMessage',
+  $attributed_flow: 'attributedFlow',
+  $message: 'attributedMessage',
+  $flow: 'attributedFlow'
+};
+
+// API scope each endpoint needs, by the first segment of its path
+const ENDPOINT_SCOPES = {
+  accounts: 'accounts:read',
+  metrics: 'metrics:read',
+  'metric-aggregates': 'metrics:read',
+  events: 'events:read',
+  campaigns: 'campaigns:read',
+  lists: 'lists:read',
+  profiles: 'profiles:read',
+  flows: 'flows:read',
+  'flow-actions': 'flows:read'
+};
+
+// Read a fixture file
+function loadFixture(file = DEFAULT_FIXTURE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Parse a Klaviyo filter expression into [{ operator, field, value }]
+// e.g. equals(metric_id,"ABC"),greater-or-equal(datetime,2024-01-01T00:00:00Z)
+// Returns null if the expression isn't a list of supported conditions
+function parseFilter(expression) {
+  const pattern = /([a-z-]+)\(([^,()]+),([^()]*)\)/g;
+  const conditions = [];
+  let rest = expression;
+  let match;
+
+  while ((match = pattern.exec(expression)) !== null) {
+    conditions.push({
+      operator: match[1],
+      field: match[2].trim(),
+      value: match[3].trim().replace(/^["']|["']$/g, '')
+    });
+    rest = rest.replace(match[0], '');
+  }
+
+  const supported = ['equals', 'greater-or-equal', 'greater-than', 'less-than', 'less-or-equal'];
+  if (rest.replace(/,/g, '').trim() !== '' || conditions.some(c => !supported.includes(c.operator))) {
+    return null;
+  }
+  return conditions;
+}
+
+// Whether one record value satisfies a filter condition (datetimes compared as instants)
+function matchesCondition(recordValue, condition, isDate) {
+  const left = isDate ? new Date(recordValue).getTime() : recordValue;
+  const right = isDate ? new Date(condition.value).getTime() : condition.value;
+
+  switch (condition.operator) {
+    case 'equals': return left === right;
+    case 'greater-or-equal': return left >= right;
+    case 'greater-than': return left > right;
+    case 'less-than': return left < right;
+    case 'less-or-equal': return left <= right;
+    default: return false;
+  }
+}
+
+// Start of the interval (UTC) containing time; weeks start on Monday
+function floorToInterval(time, interval) {
+  const date = new Date(time);
+  switch (interval) {
+    case 'hour':
+      date.setUTCMinutes(0, 0, 0);
+      return date.getTime();
+    case 'week':
+      date.setUTCHours(0, 0, 0, 0);
+      return date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    case 'month':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    default:
+      date.setUTCHours(0, 0, 0, 0);
+      return date.getTime();
+  }
+}
+
+function addInterval(time, interval) {
+  if (interval === 'month') {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  const lengths = { hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS };
+  return time + lengths[interval];
+}
+
+// Restrict a resource's attributes to a sparse fieldset (fields[type]=a,b), if one was requested
+function applyFieldset(resource, query) {
+  const fields = query.get(`fields[${resource.type}]`);
+  if (!fields) return resource;
+
+  const attributes = {};
+  fields.split(',').forEach(name => {
+    if (name in resource.attributes) {
+      attributes[name] = resource.attributes[name];
+    }
+  });
+  return { ...resource, attributes };
+}
+
+class MockKlaviyo {
+  // fixture is a parsed fixture (see loadFixture); options.log prints each request
+  // options.now (ms) anchors daysAgo in the fixture's events (default: now)
+  // options.recordRequests keeps every request in this.requests, for tests; off by default so a
+  // long-running mock (demo mode) doesn't grow with every request
+  constructor(fixture = loadFixture(), options = {}) {
+    this.fixture = fixture;
+    this.log = Boolean(options.log);
+    this.recordRequests = Boolean(options.recordRequests);
+    this.pageSize = fixture.pageSize || DEFAULT_PAGE_SIZE;
+    this.rateLimit = fixture.rateLimit || null;
+    this.faults = [];
+    this.requests = []; // { method, path, query, body } of every request if recordRequests is set
+    this.recentRequests = new Map(); // route -> request times in the last second (rateLimit)
+    this.server = null;
+
+    const now = options.now || Date.now();
+    this.events = (fixture.events || []).map((event, index) => ({
+      id: event.id || `MOCKEVENT${String(index + 1).padStart(5, '0')}`,
+      metric: event.metric,
+      profile: event.profile || null,
+      value: event.value ?? null,
+      attributedMessage: event.attributedMessage || null,
+      attributedFlow: event.attributedFlow || null,
+      properties: event.properties || {},
+      datetime: event.datetime
+        ? new Date(event.datetime).toISOString()
+        : new Date(now - (event.daysAgo || 0) * DAY_MS).toISOString()
+    }));
+    this.campaigns = (fixture.campaigns || []).map(campaign => ({
+      ...campaign,
+      sendTime: campaign.sendTime ||
+        (campaign.sendDaysAgo !== undefined ? new Date(now - campaign.sendDaysAgo * DAY_MS).toISOString() : null)
+    }));
+    (fixture.faults || []).forEach(fault => this.addFault(fault));
+
+    this.app = this.createApp();
+  }
+
+  // Make matching requests fail
+  // fault: { path, method, status, code, detail, times, retryAfter }
+  //   path     - endpoint prefix below /api, e.g. '/lists/' (default: every endpoint)
+  //   method   - only this HTTP method (default: any)
+  //   status   - HTTP status to answer with (default 500); 429 answers carry Retry-After
+  //   times    - how many requests fail before the fault is used up (default: all of them)
+  addFault(fault) {
+    this.faults.push({ status: 500, ...fault, remaining: fault.times ?? Infinity });
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  // Forget recorded requests and faults
+  reset() {
+    this.requests = [];
+    this.recentRequests.clear();
+    this.clearFaults();
+  }
+
+  // Start listening (port 0 picks a free one)
+  // Resolves with the baseURL to give KlaviyoService (KLAVIYO_BASE_URL or options.baseURL)
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/api`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ type: ['application/json', 'application/vnd.api+json'] }));
+    app.use((req, res, next) => this.checkRequest(req, res, next));
+
+    const api = express.Router();
+    api.get('/accounts/', (req, res) => res.json({ data: [this.accountResource()] }));
+
+    api.get('/metrics/', (req, res) => this.sendPage(req, res, (this.fixture.metrics || []).map(m => this.metricResource(m))));
+    api.get('/metrics/:id/', (req, res) => this.sendOne(res, this.fixture.metrics, req.params.id, m => this.metricResource(m)));
+    api.post('/metric-aggregates/', (req, res) => this.queryAggregates(req, res));
+
+    api.get('/events/', (req, res) => this.listEvents(req, res));
+
+    api.get('/campaigns/', (req, res) => this.listCampaigns(req, res));
+    api.get('/campaigns/:id/campaign-messages/', (req, res) => {
+      const campaign = this.campaigns.find(c => c.id === req.params.id);
+      if (!campaign) return this.sendError(res, 404, 'not_found', `A campaign with id ${req.params.id} does not exist.`);
+      res.json({ data: (campaign.messages || []).map(m => this.campaignMessageResource(m, campaign)) });
+    });
+
+    api.get('/lists/', (req, res) => this.sendPage(req, res, (this.fixture.lists || []).map(l => this.listResource(l))));
+    api.get('/profiles/', (req, res) => this.sendPage(req, res, (this.fixture.profiles || []).map(p => this.profileResource(p))));
+
+    api.get('/flows/', (req, res) => this.sendPage(req, res, (this.fixture.flows || []).map(f => this.flowResource(f))));
+    api.get('/flows/:id/', (req, res) => this.sendOne(res, this.fixture.flows, req.params.id, f => this.flowResource(f)));
+    api.get('/flows/:id/flow-actions/', (req, res) => {
+      const flow = (this.fixture.flows || []).find(f => f.id === req.params.id);
+      if (!flow) return this.sendError(res, 404, 'not_found', `A flow with id ${req.params.id} does not exist.`);
+      this.sendPage(req, res, (flow.actions || []).map(a => this.flowActionResource(a)));
+    });
+    api.get('/flow-actions/:id/flow-messages/', (req, res) => {
+      const action = (this.fixture.flows || []).flatMap(f => f.actions || []).find(a => a.id === req.params.id);
+      if (!action) return this.sendError(res, 404, 'not_found', `A flow action with id ${req.params.id} does not exist.`);
+      this.sendPage(req, res, (action.messages || []).map(m => this.flowMessageResource(m)));
+    });
+
+    app.use('/api', api);
+    app.use((req, res) => this.sendError(res, 404, 'not_found', `${req.method} ${req.path} is not implemented by the mock Klaviyo API.`));
+    return app;
+  }
+
+  // Authentication, revision header, rate limit and canned faults, before any endpoint
+  checkRequest(req, res, next) {
+    const endpoint = req.path.replace(/^\/api/, '');
+    if (this.recordRequests) {
+      this.requests.push({ method: req.method, path: endpoint, query: { ...req.query }, body: req.body || null });
+    }
+    if (this.log) {
+      console.log(`${new Date().toISOString()} - mock Klaviyo ${req.method} ${req.originalUrl}`);
+    }
+
+    const auth = req.get('Authorization') || '';
+    const key = auth.startsWith('Klaviyo-API-Key ') ? auth.substring('Klaviyo-API-Key '.length) : null;
+    if (!key) {
+      return this.sendError(res, 401, 'not_authenticated', 'Authentication credentials were not provided.');
+    }
+    if (this.fixture.apiKeys && !this.fixture.apiKeys.includes(key)) {
+      return this.sendError(res, 401, 'not_authenticated', 'Incorrect authentication credentials.');
+    }
+    const grantedScopes = this.fixture.apiKeyScopes?.[key];
+    const scope = ENDPOINT_SCOPES[endpoint.split('/')[1]];
+    if (grantedScopes && scope && !grantedScopes.includes(scope)) {
+      return this.sendError(res, 403, 'permission_denied', `Your API key is missing required scopes: ${scope}`);
+    }
+    if (!req.get('revision')) {
+      return this.sendError(res, 400, 'invalid', 'A revision header is required.');
+    }
+
+    if (this.rateLimit?.burst) {
+      const route = endpoint.split('/')[1] || endpoint;
+      const now = Date.now();
+      const recent = (this.recentRequests.get(route) || []).filter(time => now - time < 1000);
+      if (recent.length >= this.rateLimit.burst) {
+        return this.sendThrottled(res, 1);
+      }
+      recent.push(now);
+      this.recentRequests.set(route, recent);
+    }
+
+    const fault = this.faults.find(f =>
+      f.remaining > 0 &&
+      (!f.method || f.method.toUpperCase() === req.method) &&
+      (!f.path || endpoint.startsWith(f.path))
+    );
+    if (fault) {
+      fault.remaining--;
+      if (fault.status === 429) {
+        return this.sendThrottled(res, fault.retryAfter ?? 1);
+      }
+      return this.sendError(res, fault.status, fault.code || 'error', fault.detail || 'A server error occurred.');
+    }
+
+    next();
+  }
+
+  // Klaviyo error payload: { errors: [{ id, status, code, title, detail, source }] }
+  sendError(res, status, code, detail, title = null) {
+    res.status(status).json({
+      errors: [{
+        id: crypto.randomUUID(),
+        status: status,
+        code: code,
+        title: title || detail,
+        detail: detail,
+        source: { pointer: '/data/' }
+      }]
+    });
+  }
+
+  sendThrottled(res, retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    this.sendError(
+      res,
+      429,
+      'throttled',
+      `Request was throttled. Expected available in ${retryAfterSeconds} second${retryAfterSeconds === 1 ? '' : 's'}.`,
+      'Request was throttled.'
+    );
+  }
+
+  sendOne(res, records, id, toResource) {
+    const record = (records || []).find(r => r.id === id);
+    if (!record) {
+      return this.sendError(res, 404, 'not_found', `A resource with id ${id} does not exist.`);
+    }
+    res.json({ data: toResource(record), links: { self: null } });
+  }
+
+  // One page of a collection with links.next pointing at the following page (page[cursor])
+  // page[size] is honoured up to maxPageSize; otherwise the fixture's pageSize applies
+  sendPage(req, res, resources, options = {}) {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    const query = url.searchParams;
+
+    const requestedSize = parseInt(query.get('page[size]'), 10);
+    const pageSize = options.maxPageSize && requestedSize > 0
+      ? Math.min(requestedSize, options.maxPageSize)
+      : this.pageSize;
+    const cursor = query.get('page[cursor]');
+    const offset = cursor ? parseInt(Buffer.from(cursor, 'base64url').toString(), 10) || 0 : 0;
+
+    const page = resources.slice(offset, offset + pageSize).map(resource => applyFieldset(resource, query));
+    let next = null;
+    if (offset + pageSize < resources.length) {
+      query.set('page[cursor]', Buffer.from(String(offset + pageSize)).toString('base64url'));
+      next = url.toString();
+    }
+
+    const body = { data: page, links: { self: req.originalUrl, next: next, prev: null } };
+    if (options.included) {
+      body.included = options.included(page);
+    }
+    res.json(body);
+  }
+
+  // Events matching a parsed filter; sends a 400 and returns null if it refers to unknown fields
+  filterEvents(res, conditions) {
+    const unknown = conditions.find(c => !EVENT_FIELDS[c.field]);
+    if (unknown) {
+      this.sendError(res, 400, 'invalid', `'${unknown.field}' is not a valid field for the resource 'event'.`);
+      return null;
+    }
+    // Cheap equality checks first: large fixtures (e.g. demo accounts) have many events to scan
+    const ordered = [...conditions].sort((a, b) => (a.field === 'datetime') - (b.field === 'datetime'));
+    return this.events.filter(event => ordered.every(condition =>
+      matchesCondition(event[EVENT_FIELDS[condition.field]], condition, condition.field === 'datetime')
+    ));
+  }
+
+  listEvents(req, res) {
+    const query = new URL(req.originalUrl, 'http://mock').searchParams;
+    const conditions = parseFilter(query.get('filter') || '');
+    if (!conditions) {
+      return this.sendError(res, 400, 'invalid', 'Invalid filter provided.');
+    }
+    const events = this.filterEvents(res, conditions);
+    if (!events) return;
+
+    const sorted = [...events].sort((a, b) => a.datetime.localeCompare(b.datetime));
+    if (query.get('sort') === '-datetime') {
+      sorted.reverse();
+    }
+    this.sendPage(req, res, sorted.map(event => this.eventResource(event)), { maxPageSize: 200 });
+  }
+
+  // Klaviyo requires a channel filter (equals(messages.channel,'email'|'sms'))
+  listCampaigns(req, res) {
+    const query = new URL(req.originalUrl, 'http://mock').searchParams;
+    const conditions = parseFilter(query.get('filter') || '') || [];
+    const channel = conditions.find(c => c.field === 'messages.channel')?.value;
+    if (!channel) {
+      return this.sendError(res, 400, 'invalid', 'A channel filter is required. Use equals(messages.channel,"email") or equals(messages.channel,"sms").');
+    }
+
+    const campaigns = this.campaigns.filter(c => (c.channel || 'email') === channel);
+    const includeMessages = (query.get('include') || '').split(',').includes('campaign-messages');
+    this.sendPage(req, res, campaigns.map(c => this.campaignResource(c)), {
+      included: includeMessages
+        ? (page) => page.flatMap(resource => {
+          const campaign = campaigns.find(c => c.id === resource.id);
+          return (campaign.messages || []).map(m => this.campaignMessageResource(m, campaign));
+        })
+        : null
+    });
+  }
+
+  // POST /metric-aggregates/: count, unique (distinct profiles) and sum_value of the fixture's
+  // events, bucketed by interval (default day, UTC) and grouped by the `by` dimensions
+  // Events without a value for a `by` dimension are left out of grouped results
+  queryAggregates(req, res) {
+    const attributes = req.body?.data?.attributes;
+    if (req.body?.data?.type !== 'metric-aggregate' || !attributes) {
+      return this.sendError(res, 400, 'invalid', 'The request body must be a metric-aggregate resource.');
+    }
+    if (!attributes.metric_id || !Array.isArray(attributes.measurements) || attributes.measurements.length === 0) {
+      return this.sendError(res, 400, 'invalid', 'metric_id and measurements are required.');
+    }
+    if (!(this.fixture.metrics || []).some(m => m.id === attributes.metric_id)) {
+      return this.sendError(res, 404, 'not_found', `A metric with id ${attributes.metric_id} does not exist.`);
+    }
+    const unsupported = attributes.measurements.find(m => !['count', 'unique', 'sum_value'].includes(m));
+    if (unsupported) {
+      return this.sendError(res, 400, 'invalid', `'${unsupported}' is not a valid measurement.`);
+    }
+
+    const conditions = [];
+    for (const expression of attributes.filter || []) {
+      const parsed = parseFilter(expression);
+      if (!parsed) {
+        return this.sendError(res, 400, 'invalid', `Invalid filter provided: ${expression}`);
+      }
+      conditions.push(...parsed);
+    }
+    const start = conditions.find(c => c.field === 'datetime' && c.operator.startsWith('greater'));
+    const end = conditions.find(c => c.field === 'datetime' && c.operator.startsWith('less'));
+    if (!start || !end) {
+      return this.sendError(res, 400, 'invalid', 'The filter must include a datetime range (greater-or-equal and less-than).');
+    }
+
+    const by = attributes.by || [];
+    const unknownDimension = by.find(dimension => !EVENT_FIELDS[dimension]);
+    if (unknownDimension) {
+      return this.sendError(res, 400, 'invalid', `'${unknownDimension}' is not a valid grouping.`);
+    }
+
+    const events = this.filterEvents(res, [...conditions, { operator: 'equals', field: 'metric_id', value: attributes.metric_id }]);
+    if (!events) return;
+
+    const interval = attributes.interval || 'day';
+    const dates = [];
+    const rangeEnd = new Date(end.value).getTime();
+    for (let time = floorToInterval(new Date(start.value).getTime(), interval); time < rangeEnd; time = addInterval(time, interval)) {
+      dates.push(time);
+    }
+    const bucketOf = (event) => {
+      const time = new Date(event.datetime).getTime();
+      let index = dates.length - 1;
+      while (index > 0 && dates[index] > time) index--;
+      return index;
+    };
+
+    // Group key -> { dimensions, buckets: [{ count, profiles, sum }] }
+    const groups = new Map();
+    if (by.length === 0) {
+      groups.set('', { dimensions: [], buckets: [] });
+    }
+    events.forEach(event => {
+      const dimensions = by.map(dimension => event[EVENT_FIELDS[dimension]]);
+      if (dimensions.some(value => !value)) return;
+
+      const key = dimensions.join('\u0000');
+      if (!groups.has(key)) {
+        groups.set(key, { dimensions, buckets: [] });
+      }
+      const buckets = groups.get(key).buckets;
+      const index = bucketOf(event);
+      buckets[index] = buckets[index] || { count: 0, profiles: new Set(), sum: 0 };
+      buckets[index].count++;
+      buckets[index].profiles.add(event.profile);
+      buckets[index].sum += Number(event.value) || 0;
+    });
+
+    const measure = {
+      count: (bucket) => bucket?.count || 0,
+      unique: (bucket) => bucket?.profiles.size || 0,
+      sum_value: (bucket) => Math.round((bucket?.sum || 0) * 100) / 100
+    };
+
+    res.json({
+      data: {
+        type: 'metric-aggregate',
+        id: crypto.randomUUID(),
+        attributes: {
+          dates: dates.map(time => new Date(time).toISOString()),
+          data: Array.from(groups.values()).map(group => ({
+            dimensions: group.dimensions,
+            measurements: Object.fromEntries(attributes.measurements.map(name => [
+              name,
+              dates.map((date, index) => measure[name](group.buckets[index]))
+            ]))
+          }))
+        }
+      },
+      links: { self: req.originalUrl }
+    });
+  }
+
+  // ---- Fixture records -> JSON:API resources ----
+
+  accountResource() {
+    const account = this.fixture.account || {};
+    return {
+      type: 'account',
+      id: account.id || 'MOCKACCOUNT',
+      attributes: {
+        test_account: true,
+        contact_information: {
+          default_sender_name: account.name || 'Mock Store',
+          default_sender_email: account.email || 'hello@example.com',
+          organization_name: account.name || 'Mock Store'
+        },
+        industry: account.industry || 'Retail',
+        timezone: account.timezone || 'UTC',
+        preferred_currency: account.currency || 'USD',
+        public_api_key: account.publicKey || 'MockPK'
+      }
+    };
+  }
+
+  metricResource(metric) {
+    return {
+      type: 'metric',
+      id: metric.id,
+      attributes: {
+        name: metric.name,
+        created: metric.created || '2023-01-01T00:00:00+00:00',
+        updated: metric.updated || '2023-01-01T00:00:00+00:00',
+        integration: metric.integration
+          ? { object: 'integration', id: metric.integration.toLowerCase(), name: metric.integration, category: metric.category || 'Ecommerce' }
+          : null
+      },
+      links: { self: `/api/metrics/${metric.id}/` }
+    };
+  }
+
+  eventResource(event) {
+    const properties = { ...event.properties };
+    if (event.value !== null) {
+      properties.$value = event.value;
+    }
+    if (event.attributedMessage) {
+      properties.$attributed_message = event.attributedMessage;
+    }
+    if (event.attributedFlow) {
+      properties.$attributed_flow = event.attributedFlow;
+    }
+
+    return {
+      type: 'event',
+      id: event.id,
+      attributes: {
+        timestamp: Math.floor(new Date(event.datetime).getTime() / 1000),
+        event_properties: properties,
+        datetime: event.datetime,
+        uuid: crypto.createHash('md5').update(event.id).digest('hex')
+      },
+      relationships: {
+        metric: { data: { type: 'metric', id: event.metric } },
+        profile: { data: event.profile ? { type: 'profile', id: event.profile } : null }
+      }
+    };
+  }
+
+  campaignResource(campaign) {
+    return {
+      type: 'campaign',
+      id: campaign.id,
+      attributes: {
+        name: campaign.name,
+        status: campaign.status || 'Sent',
+        archived: false,
+        created_at: campaign.createdAt || campaign.sendTime || null,
+        scheduled_at: campaign.scheduledAt || campaign.sendTime || null,
+        updated_at: campaign.sendTime || null,
+        send_time: campaign.sendTime || null
+      },
+      relationships: {
+        'campaign-messages': {
+          data: (campaign.messages || []).map(message => ({ type: 'campaign-message', id: message.id }))
+        }
+      }
+    };
+  }
+
+  campaignMessageResource(message, campaign) {
+    return {
+      type: 'campaign-message',
+      id: message.id,
+      attributes: {
+        label: message.label || campaign.name,
+        channel: campaign.channel || 'email',
+        content: { subject: message.subject || campaign.name }
+      },
+      relationships: { campaign: { data: { type: 'campaign', id: campaign.id } } }
+    };
+  }
+
+  listResource(list) {
+    return {
+      type: 'list',
+      id: list.id,
+      attributes: {
+        name: list.name,
+        created: list.created || '2023-01-01T00:00:00+00:00',
+        updated: list.updated || '2023-01-01T00:00:00+00:00',
+        opt_in_process: list.optInProcess || 'single_opt_in'
+      }
+    };
+  }
+
+  profileResource(profile) {
+    return {
+      type: 'profile',
+      id: profile.id,
+      attributes: {
+        email: profile.email || null,
+        first_name: profile.firstName || null,
+        last_name: profile.lastName || null,
+        created: profile.created || '2023-01-01T00:00:00+00:00',
+        updated: profile.updated || '2023-01-01T00:00:00+00:00'
+      }
+    };
+  }
+
+  flowResource(flow) {
+    return {
+      type: 'flow',
+      id: flow.id,
+      attributes: {
+        name: flow.name,
+        status: flow.status || 'live',
+        archived: false,
+        created: flow.created || '2023-01-01T00:00:00+00:00',
+        updated: flow.updated || '2023-01-01T00:00:00+00:00',
+        trigger_type: flow.triggerType || 'Metric'
+      }
+    };
+  }
+
+  flowActionResource(action) {
+    return {
+      type: 'flow-action',
+      id: action.id,
+      attributes: {
+        action_type: action.actionType || 'SEND_EMAIL',
+        status: action.status || 'live',
+        created: '2023-01-01T00:00:00+00:00',
+        updated: '2023-01-01T00:00:00+00:00'
+      }
+    };
+  }
+
+  flowMessageResource(message) {
+    return {
+      type: 'flow-message',
+      id: message.id,
+      attributes: {
+        name: message.name,
+        channel: message.channel || 'email',
+        content: { subject: message.subject || message.name }
+      }
+    };
+  }
+}
+
+// Start the mock from the command line: node mockKlaviyoServer.js [fixture file]
+if (require.main === module) {
+  const fixtureFile = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_FIXTURE;
+  const port = parseInt(process.env.MOCK_KLAVIYO_PORT, 10) || DEFAULT_PORT;
+  const mock = new MockKlaviyo(loadFixture(fixtureFile), { log: true });
+
+  mock.listen(port).then(() => {
+    console.log(`Mock Klaviyo API serving ${path.relative(process.cwd(), fixtureFile)} on port ${port}`);
+    console.log(`Start the backend with KLAVIYO_BASE_URL=http://localhost:${port}/api`);
+  });
+}
+
+module.exports = {
+  MockKlaviyo,
+  loadFixture,
+  parseFilter,
+  DEFAULT_FIXTURE
+};
@@ -0,0 +1,218 @@
+// Process-wide rate limiter for Klaviyo API requests
+// Klaviyo limits each account per endpoint with two windows: a burst limit (requests per second)
+// and a steady limit (requests per minute); the limits depend on the endpoint's tier
+// https://developers.klaviyo.com/en/docs/rate_limits_and_error_handling
+//
+// Every KlaviyoService shares this limiter, so parallel calls and concurrent dashboard loads for
+// the same account draw from one pair of token buckets per endpoint. Requests wait in a FIFO queue
+// per account and endpoint; each account has its own queues, so one client's heavy load never
+// delays another client's requests.
+
+const crypto = require('crypto');
+
+// Requests per second (burst) and per minute (steady) for Klaviyo's rate limit tiers
+const RATE_LIMIT_TIERS = {
+  XS: { burst: 1, steady: 15 },
+  S: { burst: 3, steady: 60 },
+  M: { burst: 10, steady: 150 },
+  L: { burst: 75, steady: 700 },
+  XL: { burst: 350, steady: 3500 }
+};
+
+// Endpoint path -> rate-limited route and tier; first match wins
+// Unknown endpoints fall back to the conservative S tier
+const ENDPOINT_LIMITS = [
+  { pattern: /^\/accounts\//, route: 'accounts', tier: 'XS' },
+  { pattern: /^\/metric-aggregates\//, route: 'metric-aggregates', tier: 'S' },
+  { pattern: /^\/flows\/[^/]+\/flow-actions\//, route: 'flow-actions', tier: 'M' },
+  { pattern: /^\/flow-actions\//, route: 'flow-messages', tier: 'M' },
+  { pattern: /^\/flows\//, route: 'flows', tier: 'S' },
+  { pattern: /^\/campaigns\/[^/]+\/campaign-messages\//, route: 'campaign-messages', tier: 'M' },
+  { pattern: /^\/campaigns\//, route: 'campaigns', tier: 'M' },
+  { pattern: /^\/metrics\//, route: 'metrics', tier: 'M' },
+  { pattern: /^\/lists\//, route: 'lists', tier: 'L' },
+  { pattern: /^\/profiles\//, route: 'profiles', tier: 'L' },
+  { pattern: /^\/events\//, route: 'events', tier: 'XL' }
+];
+
+const DEFAULT_TIER = 'S';
+
+// How often lanes that have gone idle are dropped; a lane idle for a whole steady window has full
+// buckets, so dropping it (and creating it again on the next request) changes nothing
+const IDLE_SWEEP_MS = 60 * 1000;
+
+// Find the rate-limited route and tier for an endpoint path (query string ignored)
+function endpointLimit(endpoint) {
+  const path = String(endpoint).split('?')[0];
+  const match = ENDPOINT_LIMITS.find(limit => limit.pattern.test(path));
+  return match
+    ? { route: match.route, tier: match.tier }
+    : { route: path.split('/')[1] || path, tier: DEFAULT_TIER };
+}
+
+const hashKey = (privateKey) => crypto.createHash('sha256').update(String(privateKey)).digest('hex');
+
+// Token bucket holding up to capacity tokens, refilled continuously over windowMs
+class TokenBucket {
+  constructor(capacity, windowMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / windowMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  // True once the bucket has refilled completely
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until a whole token is available (0 if one is available now)
+  timeUntilToken(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+class KlaviyoRateLimiter {
+  constructor(options = {}) {
+    this.tiers = options.tiers || RATE_LIMIT_TIERS;
+    this.lanes = new Map(); // `${keyHash}:${route}` -> { account, route, tier, burst, steady, queue, timer }
+    this.sweptAt = Date.now();
+  }
+
+  // Drop lanes with nothing queued and full buckets, so keys that stop being used (deleted clients,
+  // rotated keys) don't keep their lanes forever; runs at most once per IDLE_SWEEP_MS
+  evictIdleLanes(now) {
+    if (now - this.sweptAt < IDLE_SWEEP_MS) return;
+    this.sweptAt = now;
+
+    this.lanes.forEach((lane, laneKey) => {
+      if (lane.queue.length === 0 && !lane.timer && lane.burst.isFull(now) && lane.steady.isFull(now)) {
+        this.lanes.delete(laneKey);
+      }
+    });
+  }
+
+  // Get (or create) the queue and buckets for an account's endpoint
+  getLane(privateKey, endpoint) {
+    const keyHash = hashKey(privateKey);
+    const { route, tier } = endpointLimit(endpoint);
+    const laneKey = `${keyHash}:${route}`;
+    this.evictIdleLanes(Date.now());
+
+    let lane = this.lanes.get(laneKey);
+    if (!lane) {
+      const limits = this.tiers[tier] || this.tiers[DEFAULT_TIER];
+      lane = {
+        account: keyHash.substring(0, 8),
+        route: route,
+        tier: tier,
+        burst: new TokenBucket(limits.burst, 1000),
+        steady: new TokenBucket(limits.steady, 60 * 1000),
+        queue: [],
+        timer: null
+      };
+      this.lanes.set(laneKey, lane);
+    }
+    return lane;
+  }
+
+  // Wait until a request to endpoint may be sent for this API key
+  // Resolves in request order once both the burst and steady windows have room
+  // If signal aborts first, the request leaves the queue (without using a token) and this rejects
+  acquire(privateKey, endpoint, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const lane = this.getLane(privateKey, endpoint);
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, queuedAt: Date.now() };
+
+      if (signal) {
+        const onAbort = () => {
+          const index = lane.queue.indexOf(entry);
+          if (index !== -1) {
+            lane.queue.splice(index, 1);
+          }
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+      }
+
+      lane.queue.push(entry);
+      this.drain(lane);
+    });
+  }
+
+  // Release queued requests while tokens are available; otherwise wake up when the next one is
+  drain(lane) {
+    if (lane.timer) return;
+
+    while (lane.queue.length > 0) {
+      const now = Date.now();
+      const waitMs = Math.max(lane.burst.timeUntilToken(now), lane.steady.timeUntilToken(now));
+
+      if (waitMs > 0) {
+        lane.timer = setTimeout(() => {
+          lane.timer = null;
+          this.drain(lane);
+        }, waitMs);
+        return;
+      }
+
+      lane.burst.take();
+      lane.steady.take();
+      lane.queue.shift().resolve();
+    }
+  }
+
+  // Queue depth for diagnostics
+  // Returns { queued, lanes: [{ account, route, tier, queued, oldestWaitMs, burstTokens, steadyTokens }] }
+  // account is a short hash of the API key, never the key itself
+  getStats() {
+    const now = Date.now();
+    const lanes = Array.from(this.lanes.values()).map(lane => {
+      lane.burst.refill(now);
+      lane.steady.refill(now);
+      return {
+        account: lane.account,
+        route: lane.route,
+        tier: lane.tier,
+        queued: lane.queue.length,
+        oldestWaitMs: lane.queue.length > 0 ? now - lane.queue[0].queuedAt : 0,
+        burstTokens: Math.floor(lane.burst.tokens),
+        steadyTokens: Math.floor(lane.steady.tokens)
+      };
+    });
+
+    return {
+      queued: lanes.reduce((sum, lane) => sum + lane.queued, 0),
+      lanes: lanes.sort((a, b) => b.queued - a.queued)
+    };
+  }
+}
+
+// Shared limiter used by every KlaviyoService
+const klaviyoRateLimiter = new KlaviyoRateLimiter();
+
+module.exports = {
+  RATE_LIMIT_TIERS,
+  KlaviyoRateLimiter,
+  klaviyoRateLimiter,
+  endpointLimit
+};
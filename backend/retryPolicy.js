@@ -0,0 +1,182 @@
+// Retry policy and circuit breaker for Klaviyo API requests
+// Transient failures (429, 5xx, dropped connections, timeouts) are retried with exponential backoff
+// and full jitter, honoring Klaviyo's Retry-After header. Accounts whose requests keep failing
+// (e.g. a revoked key or an outage) are short-circuited for a cooldown instead of letting every
+// dashboard load wait through the retries again.
+
+const crypto = require('crypto');
+
+// Read a non-negative integer from the environment
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+// Defaults, overridable per KlaviyoService via options.retryPolicy
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: intFromEnv('KLAVIYO_MAX_RETRIES', 3),
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  maxRetryAfterMs: 60000, // Don't wait longer than this for Retry-After; fail instead
+  timeoutMs: intFromEnv('KLAVIYO_TIMEOUT_MS', 15000)
+};
+
+const DEFAULT_CIRCUIT_BREAKER = {
+  failureThreshold: intFromEnv('KLAVIYO_CIRCUIT_FAILURES', 5),
+  cooldownMs: intFromEnv('KLAVIYO_CIRCUIT_COOLDOWN_SECONDS', 30) * 1000
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+// Whether an error comes from an aborted request (AbortSignal or axios cancellation)
+function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+}
+
+// Whether a failed axios request is worth retrying
+function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Whether a failure counts against the account's circuit breaker
+// Transient errors that exhausted their retries and rejected keys count; request errors (400, 404)
+// show the account itself is reachable
+function isAccountFailure(error) {
+  const status = error.response?.status;
+  return isRetryableError(error) || status === 401 || status === 403;
+}
+
+// Milliseconds to wait according to a Retry-After header (seconds or HTTP date), or null
+// Falls back to the "... N seconds" hint Klaviyo puts in throttling error details
+// now (ms) is the current time an HTTP date is measured from
+function parseRetryAfter(response, now = Date.now()) {
+  const header = response?.headers?.['retry-after'];
+  if (header !== undefined && header !== null && header !== '') {
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    if (!isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const detail = response?.data?.errors?.[0]?.detail;
+  const match = typeof detail === 'string' ? detail.match(/(\d+)\s*second/i) : null;
+  return match ? parseInt(match[1], 10) * 1000 : null;
+}
+
+// Delay before retry number attempt (0-based): Retry-After if given, otherwise exponential backoff
+// with full jitter. Returns null if Retry-After asks for longer than the policy allows.
+function getRetryDelay(error, attempt, policy, now = Date.now()) {
+  const retryAfter = parseRetryAfter(error.response, now);
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxRetryAfterMs ? retryAfter : null;
+  }
+
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Short description of a failed request for logs
+function describeFailure(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code || error.message;
+}
+
+// Circuit breaker for one account
+// closed: requests flow; after failureThreshold consecutive account failures it opens
+// open: requests fail immediately until cooldownMs has passed
+// half-open: a single trial request is let through; success closes the circuit, failure reopens it
+// options.now is the clock (ms), Date.now by default
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.failureThreshold = options.failureThreshold || DEFAULT_CIRCUIT_BREAKER.failureThreshold;
+    this.cooldownMs = options.cooldownMs ?? DEFAULT_CIRCUIT_BREAKER.cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Throws a KLAVIYO_CIRCUIT_OPEN error if requests for the account are currently short-circuited
+  beforeRequest() {
+    if (this.state === 'open') {
+      const remainingMs = this.openedAt + this.cooldownMs - this.now();
+      if (remainingMs > 0) {
+        throw circuitOpenError(remainingMs);
+      }
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        throw circuitOpenError(0);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  // The request was aborted by its caller; it says nothing about the account
+  recordCanceled() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`Klaviyo circuit opened after ${this.failures} consecutive failures; pausing requests for ${this.cooldownMs}ms`);
+      }
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+}
+
+function circuitOpenError(remainingMs) {
+  const error = new Error(
+    `Klaviyo API Error: requests for this account are paused after repeated failures${remainingMs > 0 ? `; retrying in ${Math.ceil(remainingMs / 1000)}s` : ''}`
+  );
+  error.code = 'KLAVIYO_CIRCUIT_OPEN';
+  return error;
+}
+
+// Circuit breakers per Klaviyo API key (hashed), shared by every KlaviyoService
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(privateKey, options = {}) {
+  const keyHash = crypto.createHash('sha256').update(String(privateKey)).digest('hex');
+  let breaker = circuitBreakers.get(keyHash);
+  if (!breaker) {
+    breaker = new CircuitBreaker(options);
+    circuitBreakers.set(keyHash, breaker);
+  }
+  return breaker;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  CircuitBreaker,
+  getCircuitBreaker,
+  isAbortError,
+  isRetryableError,
+  isAccountFailure,
+  getRetryDelay,
+  describeFailure
+};
@@ -3,7 +3,16 @@ const express = require('express');
 const cors = require('cors');
 const { dbOperations } = require('./database');
 const KlaviyoService = require('./klaviyoService');
-const { hashPassword, comparePassword, generateToken, authenticateToken } = require('./auth');
+const { DemoKlaviyoService } = require('./demoKlaviyoService');
+const { resolveDateRange, resolveComparisonRange, resolveInterval } = require('./dateRange');
+const { metricsCache, buildCacheKey, dateRangeKeyParams } = require('./metricsCache');
+const { CANONICAL_METRICS, describeMetric, invalidateMetricCatalog } = require('./metricCatalog');
+const { klaviyoRateLimiter } = require('./rateLimiter');
+const { isAbortError, CircuitBreaker } = require('./retryPolicy');
+const crypto = require('crypto');
+const { hashPassword, comparePassword, generateToken, generateAdminToken, authenticateToken, requireRole } = require('./auth');
+const { encryptSecret, decryptSecret } = require('./keyEncryption');
+const { combineAccountReports } = require('./accountAggregation');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -71,16 +80,38 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
     port: PORT,
+    klaviyoQueueDepth: klaviyoRateLimiter.getStats().queued,
     api: {
       admin: {
         getClients: 'GET /api/admin/clients',
-        addClient: 'POST /api/admin/clients'
+        addClient: 'POST /api/admin/clients',
+        updateClient: 'PATCH /api/admin/clients/:id',
+        deleteClient: 'DELETE /api/admin/clients/:id',
+        restoreClient: 'POST /api/admin/clients/:id/restore',
+        replaceKlaviyoKey: 'PUT /api/admin/clients/:id/klaviyo-key',
+        getKlaviyoAccounts: 'GET /api/admin/clients/:id/accounts',
+        addKlaviyoAccount: 'POST /api/admin/clients/:id/accounts',
+        renameKlaviyoAccount: 'PATCH /api/admin/clients/:id/accounts/:accountId',
+        removeKlaviyoAccount: 'DELETE /api/admin/clients/:id/accounts/:accountId',
+        resetPassword: 'POST /api/admin/clients/:id/password-reset',
+        checkKlaviyoKey: 'POST /api/admin/klaviyo-key-check',
+        getClientMetrics: 'GET /api/admin/clients/:id/metrics',
+        updateMetricMappings: 'PUT /api/admin/clients/:id/metric-mappings',
+        rateLimits: 'GET /api/admin/rate-limits',
+        me: 'GET /api/admin/me'
       },
       auth: {
-        login: 'POST /api/auth/login'
+        login: 'POST /api/auth/login',
+        adminLogin: 'POST /api/auth/admin/login'
       },
       dashboard: {
         metrics: 'GET /api/dashboard/metrics',
+        section: 'GET /api/dashboard/sections/:section',
+        timeseries: 'GET /api/dashboard/timeseries',
+        campaigns: 'GET /api/dashboard/campaigns',
+        flows: 'GET /api/dashboard/flows',
+        flowDetail: 'GET /api/dashboard/flows/:flowId',
+        accounts: 'GET /api/dashboard/accounts',
         profile: 'GET /api/dashboard/profile'
       }
     }
@@ -97,45 +128,195 @@ app.get('/api/test', (req, res) => {
   });
 });
 
+// Create a KlaviyoService for one of a client's Klaviyo accounts (a dbOperations.getKlaviyoAccounts()
+// row), with the account's metric mapping overrides
+// Demo accounts get synthetic data from their seed instead of a Klaviyo account
+// Apart from dropping a replaced key's cached catalog (forgetCachedClientData), this is the only
+// place the stored Klaviyo key is decrypted; it stays in the service's memory
+async function createKlaviyoService(account) {
+  const metricOverrides = await dbOperations.getMetricMappings(account.id);
+  if (account.demo_seed) {
+    return new DemoKlaviyoService(account.demo_seed, { metricOverrides });
+  }
+  const privateKey = decryptSecret(account.klaviyo_private_key, account.klaviyo_key_version);
+  return new KlaviyoService(privateKey, { metricOverrides });
+}
+
+// Drop what's cached for a client: its reports, and the metric catalog of each of the given
+// Klaviyo accounts' keys (every account of the client by default)
+// Used when a key is replaced or an account removed, and when the client is disabled or deleted
+async function forgetCachedClientData(client, accounts = null) {
+  await metricsCache.invalidateClient(client.id);
+  for (const account of accounts || await dbOperations.getKlaviyoAccounts(client.id)) {
+    if (account.demo_seed || account.klaviyo_key_version === null) continue;
+    try {
+      invalidateMetricCatalog(decryptSecret(account.klaviyo_private_key, account.klaviyo_key_version));
+    } catch (error) {
+      console.warn(`Could not drop the metric catalog of Klaviyo account ${account.id}:`, error.message);
+    }
+  }
+}
+
+// One of a client's Klaviyo accounts by ID (from ?account=), or the primary (first added) account
+// if no ID is given; null if the client has no such account
+function pickAccount(accounts, accountId) {
+  if (accountId === undefined || accountId === '') {
+    return accounts[0] || null;
+  }
+  return accounts.find(account => String(account.id) === String(accountId)) || null;
+}
+
+// Klaviyo account as returned by the API (without its key)
+function describeAccount(account) {
+  return {
+    id: account.id,
+    label: account.label,
+    accountName: account.account_name,
+    currency: account.currency,
+    timezone: account.timezone,
+    scopes: account.scopes,
+    checkedAt: account.checked_at,
+    demo: Boolean(account.demo_seed)
+  };
+}
+
 // ==================== ADMIN ROUTES ====================
 
-// Add a new client (admin only - in production, add admin authentication)
-app.post('/api/admin/clients', async (req, res) => {
+// Load the signed-in admin user into req.admin; use after authenticateToken and requireRole('admin')
+// The role claim alone isn't enough: a token stops working once its admin is removed from admin_users
+async function loadAdmin(req, res, next) {
+  try {
+    const admin = await dbOperations.getAdminUserById(req.adminId);
+    if (!admin) {
+      return res.status(401).json({ error: 'Admin user not found' });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Error loading admin user:', error);
+    res.status(500).json({ error: 'Failed to load admin user' });
+  }
+}
+
+// Check a Klaviyo key's access with KlaviyoService.checkAccess() before it's saved
+// The probes get their own circuit breaker so checking a wrong key doesn't pause the account
+function checkKlaviyoKey(klaviyoPrivateKey) {
+  return new KlaviyoService(klaviyoPrivateKey, { circuitBreaker: new CircuitBreaker() }).checkAccess();
+}
+
+// Response for a key that can't be saved: 400 if Klaviyo rejected it or a required scope is missing,
+// 502 if Klaviyo couldn't be asked (the key may be fine)
+function keyCheckFailure(res, keyCheck) {
+  const missing = keyCheck.scopes.filter(scope => scope.required && scope.status === 'missing');
+  if (!keyCheck.valid || missing.length > 0) {
+    return res.status(400).json({
+      error: keyCheck.valid
+        ? `The Klaviyo key is missing required scopes: ${missing.map(scope => scope.scope).join(', ')}`
+        : 'Klaviyo rejected the private key',
+      keyCheck
+    });
+  }
+  return res.status(502).json({
+    error: 'Could not check the Klaviyo key',
+    message: keyCheck.scopes.find(scope => scope.status === 'error')?.message,
+    keyCheck
+  });
+}
+
+// Check a Klaviyo key without saving anything, for the admin form's per-scope report
+app.post('/api/admin/klaviyo-key-check', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const { klaviyoPrivateKey } = req.body;
+    if (!klaviyoPrivateKey) {
+      return res.status(400).json({ error: 'klaviyoPrivateKey is required' });
+    }
+
+    const keyCheck = await checkKlaviyoKey(klaviyoPrivateKey);
+    res.json({ keyCheck });
+  } catch (error) {
+    console.error('Error checking Klaviyo key:', error);
+    res.status(500).json({
+      error: 'Failed to check Klaviyo key',
+      message: error.message
+    });
+  }
+});
+
+// Add a new client (admin only)
+// The Klaviyo key is checked first (see checkKlaviyoKey) and the client is only saved if Klaviyo
+// accepts it with every required scope; the response's keyCheck has the per-scope report either way
+// The key becomes the client's first (primary) Klaviyo account, labelled accountLabel (defaults to
+// the Klaviyo account's name); more can be added with POST /api/admin/clients/:id/accounts
+// demo: true adds a demo client with synthetic data instead of a Klaviyo key; demoSeed picks the
+// generated account (defaults to the email, so re-adding a demo client gives the same data)
+app.post('/api/admin/clients', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
   try {
     console.log('POST /api/admin/clients - Request received');
-    const { name, email, password, klaviyoPrivateKey } = req.body;
+    const { name, email, password, klaviyoPrivateKey, demo, demoSeed, accountLabel } = req.body;
 
     // Validation
-    if (!name || !email || !password || !klaviyoPrivateKey) {
+    if (!name || !email || !password || (!demo && !klaviyoPrivateKey)) {
       return res.status(400).json({ 
-        error: 'All fields are required: name, email, password, klaviyoPrivateKey' 
+        error: demo
+          ? 'All fields are required: name, email, password'
+          : 'All fields are required: name, email, password, klaviyoPrivateKey'
       });
     }
 
-    // Hash password
+    // Catch a taken email before asking Klaviyo (the UNIQUE constraint below still guards races)
+    if (await dbOperations.getClientByEmail(email)) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+
+    // Check the key against Klaviyo (demo accounts are checked against their synthetic account)
+    const seed = demo ? String(demoSeed || email) : null;
+    const keyCheck = demo
+      ? await new DemoKlaviyoService(seed, { circuitBreaker: new CircuitBreaker() }).checkAccess()
+      : await checkKlaviyoKey(klaviyoPrivateKey);
+    if (!keyCheck.ok) {
+      return keyCheckFailure(res, keyCheck);
+    }
+
+    // Hash password; the Klaviyo key is stored encrypted
     const hashedPassword = await hashPassword(password);
+    const encryptedKey = demo ? null : encryptSecret(klaviyoPrivateKey);
 
-    // Add client to database
-    const client = await dbOperations.addClient(name, email, hashedPassword, klaviyoPrivateKey);
+    // Add client to database, with its first Klaviyo account
+    const client = await dbOperations.addClient(name, email, hashedPassword, Boolean(demo));
+    const account = await dbOperations.addKlaviyoAccount(
+      client.id,
+      accountLabel || keyCheck.account?.name || 'Klaviyo account',
+      encryptedKey,
+      seed
+    );
+    await dbOperations.saveKlaviyoKeyCheck(account.id, keyCheck);
 
     res.status(201).json({ 
       message: 'Client added successfully',
-      client: { id: client.id, name: client.name, email: client.email }
+      client: { id: client.id, name: client.name, email: client.email, demo: client.demo },
+      account: { id: account.id, label: account.label },
+      keyCheck
     });
   } catch (error) {
     if (error.message.includes('UNIQUE constraint')) {
       return res.status(400).json({ error: 'Email already exists' });
     }
+    if (error.code === 'KEY_ENCRYPTION_CONFIG') {
+      console.error('Error adding client:', error.message);
+      return res.status(500).json({ error: 'Failed to add client', message: error.message });
+    }
     console.error('Error adding client:', error);
     res.status(500).json({ error: 'Failed to add client' });
   }
 });
 
 // Get all clients (admin only)
-app.get('/api/admin/clients', async (req, res) => {
+// ?includeDeleted=true also lists deleted clients (they have deleted_at set)
+app.get('/api/admin/clients', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
   try {
     console.log('GET /api/admin/clients - Request received');
-    const clients = await dbOperations.getAllClients();
+    const clients = await dbOperations.getAllClients(req.query.includeDeleted === 'true');
     console.log(`GET /api/admin/clients - Returning ${clients.length} clients`);
     res.json(clients);
   } catch (error) {
@@ -147,6 +328,443 @@ app.get('/api/admin/clients', async (req, res) => {
   }
 });
 
+// Client as returned by the client lifecycle routes
+function describeClient(client) {
+  return {
+    id: client.id,
+    name: client.name,
+    email: client.email,
+    demo: Boolean(client.is_demo),
+    disabled: Boolean(client.disabled_at),
+    deleted: Boolean(client.deleted_at)
+  };
+}
+
+// Update a client (admin only)
+// Body: any of { name, email, disabled }; disabled clients can't sign in or load their dashboard
+app.patch('/api/admin/clients/:id', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const { name, email, disabled } = req.body;
+
+    if (name === undefined && email === undefined && disabled === undefined) {
+      return res.status(400).json({ error: 'Nothing to update: send name, email or disabled' });
+    }
+    if ((name !== undefined && !name) || (email !== undefined && !email)) {
+      return res.status(400).json({ error: 'Name and email cannot be empty' });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be true or false' });
+    }
+
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    if (name !== undefined || email !== undefined) {
+      await dbOperations.updateClient(client.id, { name, email });
+    }
+    if (disabled !== undefined) {
+      await dbOperations.setClientDisabled(client.id, disabled);
+      if (disabled) {
+        await forgetCachedClientData(client);
+      }
+    }
+
+    res.json({
+      message: 'Client updated',
+      client: describeClient(await dbOperations.getClientById(client.id))
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+    console.error('Error updating client:', error);
+    res.status(500).json({
+      error: 'Failed to update client',
+      message: error.message
+    });
+  }
+});
+
+// Replace the key of one of a client's Klaviyo accounts, e.g. after a leak (admin only)
+// ?account=<id> picks the account (the primary account without it)
+// Body: { klaviyoPrivateKey }; the new key is checked like a new client's (see POST /api/admin/clients)
+// and only saved if it passes. Reports cached with the old key are dropped
+app.put('/api/admin/clients/:id/klaviyo-key', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const { klaviyoPrivateKey } = req.body;
+    if (!klaviyoPrivateKey) {
+      return res.status(400).json({ error: 'klaviyoPrivateKey is required' });
+    }
+
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const account = pickAccount(await dbOperations.getKlaviyoAccounts(client.id), req.query.account);
+    if (!account) {
+      return res.status(404).json({ error: 'Klaviyo account not found' });
+    }
+    if (account.demo_seed) {
+      return res.status(400).json({ error: 'Demo clients have no Klaviyo key' });
+    }
+
+    const keyCheck = await checkKlaviyoKey(klaviyoPrivateKey);
+    if (!keyCheck.ok) {
+      return keyCheckFailure(res, keyCheck);
+    }
+
+    await dbOperations.updateKlaviyoAccountKey(account.id, encryptSecret(klaviyoPrivateKey));
+    await dbOperations.saveKlaviyoKeyCheck(account.id, keyCheck);
+    await forgetCachedClientData(client, [account]);
+
+    res.json({ message: 'Klaviyo key replaced', keyCheck });
+  } catch (error) {
+    console.error('Error replacing Klaviyo key:', error);
+    res.status(500).json({
+      error: 'Failed to replace Klaviyo key',
+      message: error.message
+    });
+  }
+});
+
+// Reset a client's password (admin only)
+// Body: { password } to set one, or nothing to generate a temporary password, which is returned
+// once as temporaryPassword. Either way the client's existing sessions end
+app.post('/api/admin/clients/:id/password-reset', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+      return res.status(400).json({ error: 'password must be at least 8 characters' });
+    }
+
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const newPassword = password || crypto.randomBytes(12).toString('base64url');
+    await dbOperations.updateClientPassword(client.id, await hashPassword(newPassword));
+
+    res.json({
+      message: 'Password reset',
+      ...(password ? {} : { temporaryPassword: newPassword })
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      error: 'Failed to reset password',
+      message: error.message
+    });
+  }
+});
+
+// Delete a client (admin only)
+// Soft delete by default: the client disappears from the list and can't sign in, but can be
+// restored. ?purge=true then removes a deleted client and its metric mappings for good
+app.delete('/api/admin/clients/:id', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    if (req.query.purge === 'true') {
+      if (!client.deleted_at) {
+        return res.status(409).json({ error: 'Delete the client before purging it' });
+      }
+      await dbOperations.purgeClient(client.id);
+      return res.json({ message: 'Client purged' });
+    }
+
+    await dbOperations.deleteClient(client.id);
+    await forgetCachedClientData(client);
+    res.json({
+      message: 'Client deleted',
+      client: describeClient(await dbOperations.getClientById(client.id))
+    });
+  } catch (error) {
+    console.error('Error deleting client:', error);
+    res.status(500).json({
+      error: 'Failed to delete client',
+      message: error.message
+    });
+  }
+});
+
+// Restore a deleted client (admin only)
+app.post('/api/admin/clients/:id/restore', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    await dbOperations.restoreClient(client.id);
+    res.json({
+      message: 'Client restored',
+      client: describeClient(await dbOperations.getClientById(client.id))
+    });
+  } catch (error) {
+    console.error('Error restoring client:', error);
+    res.status(500).json({
+      error: 'Failed to restore client',
+      message: error.message
+    });
+  }
+});
+
+// List a client's Klaviyo accounts (admin only); the first is the primary account
+app.get('/api/admin/clients/:id/accounts', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const accounts = await dbOperations.getKlaviyoAccounts(client.id);
+    res.json(accounts.map(describeAccount));
+  } catch (error) {
+    console.error('Error fetching Klaviyo accounts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch Klaviyo accounts',
+      message: error.message
+    });
+  }
+});
+
+// Add another Klaviyo account to a client (admin only)
+// Body: { label, klaviyoPrivateKey }; the key is checked like a new client's (see
+// POST /api/admin/clients). Demo clients get another demo account instead: { label, demoSeed }
+// (the seed defaults to the client's email and the label)
+app.post('/api/admin/clients/:id/accounts', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const { label, klaviyoPrivateKey, demoSeed } = req.body;
+    if (!label) {
+      return res.status(400).json({ error: 'label is required' });
+    }
+
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    if (!client.is_demo && !klaviyoPrivateKey) {
+      return res.status(400).json({ error: 'klaviyoPrivateKey is required' });
+    }
+
+    const seed = client.is_demo ? String(demoSeed || `${client.email}/${label}`) : null;
+    const keyCheck = client.is_demo
+      ? await new DemoKlaviyoService(seed, { circuitBreaker: new CircuitBreaker() }).checkAccess()
+      : await checkKlaviyoKey(klaviyoPrivateKey);
+    if (!keyCheck.ok) {
+      return keyCheckFailure(res, keyCheck);
+    }
+
+    const account = await dbOperations.addKlaviyoAccount(
+      client.id,
+      label,
+      client.is_demo ? null : encryptSecret(klaviyoPrivateKey),
+      seed
+    );
+    await dbOperations.saveKlaviyoKeyCheck(account.id, keyCheck);
+
+    const accounts = await dbOperations.getKlaviyoAccounts(client.id);
+    res.status(201).json({
+      message: 'Klaviyo account added',
+      account: describeAccount(accounts.find(added => added.id === account.id)),
+      keyCheck
+    });
+  } catch (error) {
+    if (error.code === 'KEY_ENCRYPTION_CONFIG') {
+      console.error('Error adding Klaviyo account:', error.message);
+      return res.status(500).json({ error: 'Failed to add Klaviyo account', message: error.message });
+    }
+    console.error('Error adding Klaviyo account:', error);
+    res.status(500).json({
+      error: 'Failed to add Klaviyo account',
+      message: error.message
+    });
+  }
+});
+
+// Rename one of a client's Klaviyo accounts (admin only)
+// Body: { label }; the label is what the client sees in the dashboard's account switcher
+app.patch('/api/admin/clients/:id/accounts/:accountId', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const { label } = req.body;
+    if (!label) {
+      return res.status(400).json({ error: 'label is required' });
+    }
+
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const account = pickAccount(await dbOperations.getKlaviyoAccounts(client.id), req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Klaviyo account not found' });
+    }
+
+    await dbOperations.renameKlaviyoAccount(account.id, label);
+    res.json({
+      message: 'Klaviyo account renamed',
+      account: describeAccount({ ...account, label })
+    });
+  } catch (error) {
+    console.error('Error renaming Klaviyo account:', error);
+    res.status(500).json({
+      error: 'Failed to rename Klaviyo account',
+      message: error.message
+    });
+  }
+});
+
+// Remove one of a client's Klaviyo accounts and its metric mappings (admin only)
+// A client keeps at least one account; removing the primary account makes the next one primary
+app.delete('/api/admin/clients/:id/accounts/:accountId', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const accounts = await dbOperations.getKlaviyoAccounts(client.id);
+    const account = pickAccount(accounts, req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Klaviyo account not found' });
+    }
+    if (accounts.length === 1) {
+      return res.status(409).json({ error: 'A client needs at least one Klaviyo account' });
+    }
+
+    await dbOperations.deleteKlaviyoAccount(account.id);
+    await forgetCachedClientData(client, [account]);
+    res.json({ message: 'Klaviyo account removed' });
+  } catch (error) {
+    console.error('Error removing Klaviyo account:', error);
+    res.status(500).json({
+      error: 'Failed to remove Klaviyo account',
+      message: error.message
+    });
+  }
+});
+
+// List the Klaviyo metrics of one of a client's accounts with the current KPI mappings (admin only)
+// ?account=<id> picks the account (the primary account without it)
+// Each KPI shows its override (if any) and what automatic detection would pick
+app.get('/api/admin/clients/:id/metrics', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const account = pickAccount(await dbOperations.getKlaviyoAccounts(client.id), req.query.account);
+    if (!account) {
+      return res.status(404).json({ error: 'Klaviyo account not found' });
+    }
+
+    const klaviyoService = await createKlaviyoService(account);
+    const catalog = await klaviyoService.getMetricCatalog();
+    const detected = catalog.resolveAll(Object.keys(CANONICAL_METRICS));
+
+    res.json({
+      clientId: client.id,
+      accountId: account.id,
+      metrics: catalog.metrics
+        .map(describeMetric)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      kpis: Object.entries(CANONICAL_METRICS).map(([key, definition]) => ({
+        key,
+        name: definition.name,
+        overrideId: klaviyoService.metricOverrides[key] || null,
+        detected: detected.resolutions[key]
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching client metrics:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch client metrics',
+      message: error.message 
+    });
+  }
+});
+
+// Update the KPI -> metric mappings of one of a client's Klaviyo accounts (admin only)
+// ?account=<id> picks the account (the primary account without it)
+// Body: { mappings: { placedOrder: '<metric id>', viewedProduct: null, ... } }
+// A null or empty value removes the override so the KPI falls back to automatic detection
+app.put('/api/admin/clients/:id/metric-mappings', authenticateToken, requireRole('admin'), loadAdmin, async (req, res) => {
+  try {
+    const { mappings } = req.body;
+
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+      return res.status(400).json({ error: 'mappings must be an object of KPI key -> metric ID' });
+    }
+
+    const unknownKeys = Object.keys(mappings).filter(key => !CANONICAL_METRICS[key]);
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({ 
+        error: `Unknown KPI keys: ${unknownKeys.join(', ')}. Expected: ${Object.keys(CANONICAL_METRICS).join(', ')}` 
+      });
+    }
+
+    const client = await dbOperations.getClientById(req.params.id);
+    if (!client || client.deleted_at) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const account = pickAccount(await dbOperations.getKlaviyoAccounts(client.id), req.query.account);
+    if (!account) {
+      return res.status(404).json({ error: 'Klaviyo account not found' });
+    }
+
+    // Reject metric IDs that don't exist in the Klaviyo account
+    const klaviyoService = await createKlaviyoService(account);
+    const catalog = await klaviyoService.getMetricCatalog();
+    const invalid = Object.entries(mappings)
+      .filter(([, metricId]) => metricId && !catalog.findById(metricId))
+      .map(([key, metricId]) => `${key} (${metricId})`);
+    if (catalog.metrics.length > 0 && invalid.length > 0) {
+      return res.status(400).json({ error: `Metrics not found in this Klaviyo account: ${invalid.join(', ')}` });
+    }
+
+    for (const [key, metricId] of Object.entries(mappings)) {
+      if (metricId) {
+        await dbOperations.setMetricMapping(account.id, key, metricId);
+      } else {
+        await dbOperations.deleteMetricMapping(account.id, key);
+      }
+    }
+
+    // Cached reports were computed with the old mappings
+    await metricsCache.invalidateClient(client.id);
+
+    res.json({
+      message: 'Metric mappings updated',
+      accountId: account.id,
+      mappings: await dbOperations.getMetricMappings(account.id)
+    });
+  } catch (error) {
+    console.error('Error updating metric mappings:', error);
+    res.status(500).json({ 
+      error: 'Failed to update metric mappings',
+      message: error.message 
+    });
+  }
+});
+
+// The signed-in admin user (the admin panel checks its session with this)
+app.get('/api/admin/me', authenticateToken, requireRole('admin'), loadAdmin, (req, res) => {
+  res.json(req.admin);
+});
+
+// Klaviyo rate limiter diagnostics: queued requests per account and endpoint
+app.get('/api/admin/rate-limits', authenticateToken, requireRole('admin'), loadAdmin, (req, res) => {
+  res.json({
+    ...klaviyoRateLimiter.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // ==================== AUTHENTICATION ROUTES ====================
 
 // Client login
@@ -158,9 +776,9 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    // Get client from database
+    // Get client from database (deleted clients can't sign in)
     const client = await dbOperations.getClientByEmail(email);
-    if (!client) {
+    if (!client || client.deleted_at) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
@@ -170,6 +788,11 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Only tell someone with the right password that the account is disabled
+    if (client.disabled_at) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
     // Generate token
     const token = generateToken(client.id);
 
@@ -178,7 +801,8 @@ app.post('/api/auth/login', async (req, res) => {
       client: {
         id: client.id,
         name: client.name,
-        email: client.email
+        email: client.email,
+        demo: Boolean(client.is_demo)
       }
     });
   } catch (error) {
@@ -187,27 +811,183 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
+// Admin login (admin_users; add the first admin with npm run create-admin)
+// The token carries the admin role claim required by every /api/admin route, which also check
+// that the admin user still exists (see loadAdmin)
+app.post('/api/auth/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const admin = await dbOperations.getAdminUserByEmail(email);
+    if (!admin || !(await comparePassword(password, admin.password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      token: generateAdminToken(admin.id),
+      admin: { id: admin.id, name: admin.name, email: admin.email }
+    });
+  } catch (error) {
+    console.error('Error during admin login:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
 // ==================== CLIENT DASHBOARD ROUTES ====================
 
-// Get client's Klaviyo dashboard metrics
-app.get('/api/dashboard/metrics', authenticateToken, async (req, res) => {
+// Load the signed-in client into req.client; use after authenticateToken and requireRole('client')
+// Deleted clients are not found, disabled ones are refused, and tokens issued before a password
+// reset no longer count. Token iat and sessions_valid_after are whole seconds, so a token from the
+// second of the reset counts as issued after it (signing in right after a reset must work)
+async function loadClient(req, res, next) {
   try {
-    const clientId = req.clientId;
-
-    // Get client from database
-    const client = await dbOperations.getClientById(clientId);
-    if (!client) {
+    const client = await dbOperations.getClientById(req.clientId);
+    if (!client || client.deleted_at) {
       return res.status(404).json({ error: 'Client not found' });
     }
+    if (client.disabled_at) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+    if (client.sessions_valid_after && req.tokenIssuedAt < client.sessions_valid_after) {
+      return res.status(401).json({ error: 'Session expired, please sign in again' });
+    }
+
+    req.client = client;
+    next();
+  } catch (error) {
+    console.error('Error loading client:', error);
+    res.status(500).json({ error: 'Failed to load client' });
+  }
+}
 
-    // Initialize Klaviyo service with client's private key
-    const klaviyoService = new KlaviyoService(client.klaviyo_private_key);
+// Pick the Klaviyo accounts a dashboard request is for from ?account=: an account ID, or 'all' for
+// every account of the client combined (see accountAggregation.js); the primary account without it
+// Use after loadClient; sets req.accounts (the accounts to load) and req.allAccounts
+async function loadAccounts(req, res, next) {
+  try {
+    const accounts = await dbOperations.getKlaviyoAccounts(req.client.id);
+    const allAccounts = req.query.account === 'all';
+    const selected = allAccounts ? accounts : [pickAccount(accounts, req.query.account)].filter(Boolean);
+    if (selected.length === 0) {
+      return res.status(404).json({ error: 'Klaviyo account not found' });
+    }
+
+    req.accounts = selected;
+    req.allAccounts = allAccounts;
+    next();
+  } catch (error) {
+    console.error('Error loading Klaviyo accounts:', error);
+    res.status(500).json({ error: 'Failed to load Klaviyo accounts' });
+  }
+}
+
+// AbortSignal that fires if the client disconnects before the response has been sent
+// (tab closed, or the dashboard started a newer load)
+function createRequestSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// Serve one Klaviyo account's report through the per-client metrics cache
+// ?refresh=true bypasses the cache; the response carries cachedAt and cacheStatus
+// load(klaviyoService) builds the report; the service is bound to a signal (withSignal) so an
+// abandoned load stops making Klaviyo calls, aborted only once no request is waiting for it any more
+// Returns null if the loader found nothing (e.g. unknown flow ID)
+async function getCachedReport(req, res, account, report, keyParams, load) {
+  const klaviyoService = await createKlaviyoService(account);
+  const key = buildCacheKey(req.clientId, report, { ...keyParams, account: account.id });
+  const result = await metricsCache.getOrLoad(key, (signal) => load(klaviyoService.withSignal(signal)), {
+    refresh: req.query.refresh === 'true',
+    signal: createRequestSignal(res)
+  });
+
+  if (!result.value) {
+    return null;
+  }
+  return { ...result.value, cachedAt: result.cachedAt, cacheStatus: result.status };
+}
+
+// Serve a report for the accounts picked by loadAccounts: getCachedReport for a single account, or
+// every account's (each cached on its own) combined with combineAccountReports for ?account=all
+// An account that fails is reported in the combined report's errors; if every account fails, the
+// first failure is thrown
+async function getAccountsReport(req, res, report, keyParams, load) {
+  if (!req.allAccounts) {
+    return getCachedReport(req, res, req.accounts[0], report, keyParams, load);
+  }
+
+  const results = await Promise.all(req.accounts.map(account =>
+    getCachedReport(req, res, account, report, keyParams, load)
+      .then(value => ({ account, value }))
+      .catch(error => {
+        if (isAbortError(error)) throw error;
+        console.error(`Error loading ${report} for Klaviyo account ${account.id}:`, error.message);
+        return { account, error };
+      })
+  ));
+  const loaded = results.filter(result => !result.error);
+  if (loaded.length === 0) {
+    throw results[0].error;
+  }
+
+  // The combined figures are as old as the oldest account's; ?refresh=true reloads every account, so
+  // the combined report is a refresh as it is for a single account
+  const statuses = loaded.map(({ value }) => value.cacheStatus);
+  return {
+    ...combineAccountReports(report, results),
+    cachedAt: loaded.map(({ value }) => value.cachedAt).sort()[0],
+    cacheStatus: ['refresh', 'miss', 'stale'].find(status => statuses.includes(status)) || 'hit'
+  };
+}
+
+// Get client's Klaviyo dashboard metrics
+// Query params: preset (7d, 30d, mtd, qtd, ytd, custom), start, end, timezone,
+// compare (previous_period, previous_year), refresh (true to bypass the cache),
+// account (Klaviyo account ID; the primary account without it)
+app.get('/api/dashboard/metrics', authenticateToken, requireRole('client'), loadClient, loadAccounts, async (req, res) => {
+  try {
+    // The full report and flow breakdowns are per account; the dashboard combines its sections instead
+    if (req.allAccounts) {
+      return res.status(400).json({ error: 'This report covers one Klaviyo account at a time; pass its ID as account' });
+    }
+
+    // Validate the requested date range before doing any Klaviyo calls
+    let dateRange;
+    let comparisonRange = null;
+    try {
+      dateRange = resolveDateRange(req.query);
+      if (req.query.compare) {
+        comparisonRange = resolveComparisonRange(dateRange, req.query.compare);
+      }
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
 
     // Fetch dashboard metrics
-    const metrics = await klaviyoService.getDashboardMetrics();
+    const metrics = await getCachedReport(
+      req,
+      res,
+      req.accounts[0],
+      'metrics',
+      { ...dateRangeKeyParams(dateRange), compare: comparisonRange?.mode },
+      (klaviyoService) => klaviyoService.getDashboardMetrics({ dateRange, comparisonRange })
+    );
 
     res.json(metrics);
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log(`${req.method} ${req.path} aborted by the client`);
+      return;
+    }
     console.error('Error fetching metrics:', error);
     res.status(500).json({ 
       error: 'Failed to fetch Klaviyo metrics',
@@ -216,27 +996,237 @@ app.get('/api/dashboard/metrics', authenticateToken, async (req, res) => {
   }
 });
 
-// Get client profile
-app.get('/api/dashboard/profile', authenticateToken, async (req, res) => {
+// Get one dashboard section: overview, events, revenue, campaigns, flows or lists
+// The dashboard loads the sections in parallel and renders each as soon as it arrives
+// Query params as for /metrics, and account=all for every Klaviyo account combined; only events and
+// revenue depend on the date range and compare
+app.get('/api/dashboard/sections/:section', authenticateToken, requireRole('client'), loadClient, loadAccounts, async (req, res) => {
   try {
-    const clientId = req.clientId;
-    const client = await dbOperations.getClientById(clientId);
-    
-    if (!client) {
-      return res.status(404).json({ error: 'Client not found' });
+    const section = req.params.section;
+    // Own keys only: names on the object prototype (constructor, toString) aren't sections
+    if (!Object.hasOwn(KlaviyoService.DASHBOARD_SECTIONS, section)) {
+      return res.status(404).json({ error: 'Unknown dashboard section' });
     }
+    const definition = KlaviyoService.DASHBOARD_SECTIONS[section];
 
-    res.json({
-      id: client.id,
-      name: client.name,
-      email: client.email
+    // Validate the requested date range before doing any Klaviyo calls
+    let dateRange = null;
+    let comparisonRange = null;
+    if (definition.usesDateRange) {
+      try {
+        dateRange = resolveDateRange(req.query);
+        if (definition.usesComparison && req.query.compare) {
+          comparisonRange = resolveComparisonRange(dateRange, req.query.compare);
+        }
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+    }
+
+    const result = await getAccountsReport(
+      req,
+      res,
+      `section:${section}`,
+      dateRange ? { ...dateRangeKeyParams(dateRange), compare: comparisonRange?.mode } : {},
+      (klaviyoService) => klaviyoService.getDashboardSection(section, { dateRange, comparisonRange })
+    );
+
+    res.json(result);
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log(`${req.method} ${req.path} aborted by the client`);
+      return;
+    }
+    console.error(`Error fetching dashboard section ${req.params.section}:`, error);
+    res.status(500).json({ 
+      error: 'Failed to fetch dashboard section',
+      message: error.message 
+    });
+  }
+});
+
+// Get interval-bucketed time series (revenue, orders, event metrics) for charts
+// Query params: preset, start, end, timezone, account (as for /metrics, or all), interval (hour, day,
+// week, month)
+app.get('/api/dashboard/timeseries', authenticateToken, requireRole('client'), loadClient, loadAccounts, async (req, res) => {
+  try {
+    // Validate the requested date range and interval before doing any Klaviyo calls
+    let dateRange;
+    let interval;
+    try {
+      dateRange = resolveDateRange(req.query);
+      interval = resolveInterval(req.query.interval, dateRange);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const timeSeries = await getAccountsReport(
+      req,
+      res,
+      'timeseries',
+      { ...dateRangeKeyParams(dateRange), interval },
+      (klaviyoService) => klaviyoService.getTimeSeries({ dateRange, interval })
+    );
+
+    res.json(timeSeries);
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log(`${req.method} ${req.path} aborted by the client`);
+      return;
+    }
+    console.error('Error fetching time series:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch Klaviyo time series',
+      message: error.message 
+    });
+  }
+});
+
+// Get per-campaign performance report
+// Query params: preset, start, end, timezone, account (as for /metrics, or all)
+app.get('/api/dashboard/campaigns', authenticateToken, requireRole('client'), loadClient, loadAccounts, async (req, res) => {
+  try {
+    // Validate the requested date range before doing any Klaviyo calls
+    let dateRange;
+    try {
+      dateRange = resolveDateRange(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const report = await getAccountsReport(
+      req,
+      res,
+      'campaigns',
+      dateRangeKeyParams(dateRange),
+      (klaviyoService) => klaviyoService.getCampaignReport({ dateRange })
+    );
+
+    res.json(report);
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log(`${req.method} ${req.path} aborted by the client`);
+      return;
+    }
+    console.error('Error fetching campaign report:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch campaign report',
+      message: error.message 
+    });
+  }
+});
+
+// Get per-flow performance report
+// Query params: preset, start, end, timezone, account (as for /metrics, or all)
+app.get('/api/dashboard/flows', authenticateToken, requireRole('client'), loadClient, loadAccounts, async (req, res) => {
+  try {
+    // Validate the requested date range before doing any Klaviyo calls
+    let dateRange;
+    try {
+      dateRange = resolveDateRange(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const report = await getAccountsReport(
+      req,
+      res,
+      'flows',
+      dateRangeKeyParams(dateRange),
+      (klaviyoService) => klaviyoService.getFlowReport({ dateRange })
+    );
+
+    res.json(report);
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log(`${req.method} ${req.path} aborted by the client`);
+      return;
+    }
+    console.error('Error fetching flow report:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch flow report',
+      message: error.message 
     });
+  }
+});
+
+// Klaviyo object IDs are alphanumeric; anything else in a flow ID would change the Klaviyo path or
+// the $attributed_flow filter it's put into
+const KLAVIYO_ID_PATTERN = /^[A-Za-z0-9]+$/;
+
+// Get per-message breakdown of one flow
+// Query params: preset, start, end, timezone, account (as for /metrics)
+app.get('/api/dashboard/flows/:flowId', authenticateToken, requireRole('client'), loadClient, loadAccounts, async (req, res) => {
+  try {
+    if (!KLAVIYO_ID_PATTERN.test(req.params.flowId)) {
+      return res.status(400).json({ error: 'Invalid flow ID' });
+    }
+
+    // The full report and flow breakdowns are per account; the dashboard combines its sections instead
+    if (req.allAccounts) {
+      return res.status(400).json({ error: 'This report covers one Klaviyo account at a time; pass its ID as account' });
+    }
+
+    // Validate the requested date range before doing any Klaviyo calls
+    let dateRange;
+    try {
+      dateRange = resolveDateRange(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const detail = await getCachedReport(
+      req,
+      res,
+      req.accounts[0],
+      'flow',
+      { ...dateRangeKeyParams(dateRange), flowId: req.params.flowId },
+      (klaviyoService) => klaviyoService.getFlowDetail(req.params.flowId, { dateRange })
+    );
+    if (!detail) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    res.json(detail);
   } catch (error) {
-    console.error('Error fetching profile:', error);
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    if (isAbortError(error)) {
+      console.log(`${req.method} ${req.path} aborted by the client`);
+      return;
+    }
+    console.error('Error fetching flow detail:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch flow detail',
+      message: error.message 
+    });
+  }
+});
+
+// List the client's Klaviyo accounts for the dashboard's account switcher; the first is the primary
+// account, which the dashboard routes use unless they're given account
+app.get('/api/dashboard/accounts', authenticateToken, requireRole('client'), loadClient, async (req, res) => {
+  try {
+    const accounts = await dbOperations.getKlaviyoAccounts(req.client.id);
+    res.json(accounts.map(describeAccount));
+  } catch (error) {
+    console.error('Error fetching Klaviyo accounts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch Klaviyo accounts',
+      message: error.message
+    });
   }
 });
 
+// Get client profile
+app.get('/api/dashboard/profile', authenticateToken, requireRole('client'), loadClient, (req, res) => {
+  const client = req.client;
+  res.json({
+    id: client.id,
+    name: client.name,
+    email: client.email,
+    demo: Boolean(client.is_demo)
+  });
+});
+
 // API-only server - frontend is deployed separately on Vercel
 app.get('/', (req, res) => {
   res.json({ 
@@ -248,13 +1238,34 @@ app.get('/', (req, res) => {
       test: '/api/test',
       admin: {
         getClients: 'GET /api/admin/clients',
-        addClient: 'POST /api/admin/clients'
+        addClient: 'POST /api/admin/clients',
+        updateClient: 'PATCH /api/admin/clients/:id',
+        deleteClient: 'DELETE /api/admin/clients/:id',
+        restoreClient: 'POST /api/admin/clients/:id/restore',
+        replaceKlaviyoKey: 'PUT /api/admin/clients/:id/klaviyo-key',
+        getKlaviyoAccounts: 'GET /api/admin/clients/:id/accounts',
+        addKlaviyoAccount: 'POST /api/admin/clients/:id/accounts',
+        renameKlaviyoAccount: 'PATCH /api/admin/clients/:id/accounts/:accountId',
+        removeKlaviyoAccount: 'DELETE /api/admin/clients/:id/accounts/:accountId',
+        resetPassword: 'POST /api/admin/clients/:id/password-reset',
+        checkKlaviyoKey: 'POST /api/admin/klaviyo-key-check',
+        getClientMetrics: 'GET /api/admin/clients/:id/metrics',
+        updateMetricMappings: 'PUT /api/admin/clients/:id/metric-mappings',
+        rateLimits: 'GET /api/admin/rate-limits',
+        me: 'GET /api/admin/me'
       },
       auth: {
-        login: 'POST /api/auth/login'
+        login: 'POST /api/auth/login',
+        adminLogin: 'POST /api/auth/admin/login'
       },
       dashboard: {
         metrics: 'GET /api/dashboard/metrics',
+        section: 'GET /api/dashboard/sections/:section',
+        timeseries: 'GET /api/dashboard/timeseries',
+        campaigns: 'GET /api/dashboard/campaigns',
+        flows: 'GET /api/dashboard/flows',
+        flowDetail: 'GET /api/dashboard/flows/:flowId',
+        accounts: 'GET /api/dashboard/accounts',
         profile: 'GET /api/dashboard/profile'
       }
     }
@@ -283,35 +1294,59 @@ app.use((req, res) => {
       test: 'GET /api/test',
       admin: {
         getClients: 'GET /api/admin/clients',
-        addClient: 'POST /api/admin/clients'
+        addClient: 'POST /api/admin/clients',
+        updateClient: 'PATCH /api/admin/clients/:id',
+        deleteClient: 'DELETE /api/admin/clients/:id',
+        restoreClient: 'POST /api/admin/clients/:id/restore',
+        replaceKlaviyoKey: 'PUT /api/admin/clients/:id/klaviyo-key',
+        getKlaviyoAccounts: 'GET /api/admin/clients/:id/accounts',
+        addKlaviyoAccount: 'POST /api/admin/clients/:id/accounts',
+        renameKlaviyoAccount: 'PATCH /api/admin/clients/:id/accounts/:accountId',
+        removeKlaviyoAccount: 'DELETE /api/admin/clients/:id/accounts/:accountId',
+        resetPassword: 'POST /api/admin/clients/:id/password-reset',
+        checkKlaviyoKey: 'POST /api/admin/klaviyo-key-check',
+        getClientMetrics: 'GET /api/admin/clients/:id/metrics',
+        updateMetricMappings: 'PUT /api/admin/clients/:id/metric-mappings',
+        rateLimits: 'GET /api/admin/rate-limits',
+        me: 'GET /api/admin/me'
       },
       auth: {
-        login: 'POST /api/auth/login'
+        login: 'POST /api/auth/login',
+        adminLogin: 'POST /api/auth/admin/login'
       },
       dashboard: {
         metrics: 'GET /api/dashboard/metrics',
+        section: 'GET /api/dashboard/sections/:section',
+        timeseries: 'GET /api/dashboard/timeseries',
+        campaigns: 'GET /api/dashboard/campaigns',
+        flows: 'GET /api/dashboard/flows',
+        flowDetail: 'GET /api/dashboard/flows/:flowId',
+        accounts: 'GET /api/dashboard/accounts',
         profile: 'GET /api/dashboard/profile'
       }
     }
   });
 });
 
-// Start server
+// Start server when run directly (tests require the app without listening)
 // Listen on 0.0.0.0 to accept connections from all network interfaces (required for Railway)
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`CORS enabled for all origins`);
-});
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`CORS enabled for all origins`);
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    console.error('Uncaught Exception:', err);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+}
 
+module.exports = app;
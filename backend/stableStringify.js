@@ -0,0 +1,22 @@
+// Deterministic JSON serialization, shared by the metrics cache (cache keys) and the fixture
+// recorder (fixture file names)
+
+// Serialize value with sorted object keys, leaving out null and undefined properties, so
+// equivalent values give the same string
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined && value[key] !== null)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  stableStringify
+};
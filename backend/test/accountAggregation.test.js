@@ -0,0 +1,196 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { combineAccountReports } = require('../accountAggregation');
+
+const US = { id: 1, label: 'US store', currency: 'USD' };
+const CA = { id: 2, label: 'Second US store', currency: 'USD' };
+const UK = { id: 3, label: 'UK store', currency: 'GBP' };
+const UNCHECKED = { id: 4, label: 'Unchecked store', currency: null };
+
+const provenance = (note = null) => ({ source: 'POST /metric-aggregates/', approximate: Boolean(note), note, sampleSize: null });
+
+// Revenue section of one account, as getRevenueSection returns it (with a comparison period)
+function revenueSection(totalRevenue, previousRevenue, revenueOverTime = []) {
+  return {
+    revenueMetrics: { totalRevenue, revenueByEmail: totalRevenue, revenueOverTime },
+    metricIssues: [],
+    errors: [],
+    warnings: [],
+    provenance: { 'revenueMetrics.totalRevenue': provenance() },
+    dateRange: { start: '2024-05-27T00:00:00.000Z', end: '2024-06-16T00:00:00.000Z' },
+    comparison: {
+      mode: 'previous_period',
+      revenueMetrics: { totalRevenue: previousRevenue, revenueByEmail: previousRevenue, revenueOverTime: [] },
+      provenance: {},
+      deltas: {}
+    }
+  };
+}
+
+// Events section of one account
+function eventsSection(eventMetrics, errors = []) {
+  return {
+    eventMetrics,
+    metricIssues: [],
+    errors,
+    warnings: [],
+    provenance: {},
+    dateRange: { start: '2024-05-27T00:00:00.000Z', end: '2024-06-16T00:00:00.000Z' },
+    comparison: null
+  };
+}
+
+describe('combineAccountReports', () => {
+  it('sums revenue of accounts in one currency, with deltas of the sums', () => {
+    const combined = combineAccountReports('section:revenue', [
+      {
+        account: US,
+        value: revenueSection(100.1, 50, [{ date: '2024-06-01T00:00:00Z', value: 60.1 }, { date: '2024-06-02T00:00:00Z', value: 40 }])
+      },
+      { account: CA, value: revenueSection(200.2, 150, [{ date: '2024-06-02T00:00:00Z', value: 200.2 }]) }
+    ]);
+
+    assert.equal(combined.currency, 'USD');
+    assert.equal(combined.revenueMetrics.totalRevenue, 300.3);
+    assert.deepEqual(combined.revenueMetrics.revenueOverTime, [
+      { date: '2024-06-01T00:00:00Z', value: 60.1 },
+      { date: '2024-06-02T00:00:00Z', value: 240.2 }
+    ]);
+    assert.deepEqual(Object.keys(combined.revenueByCurrency), ['USD']);
+    assert.equal(combined.comparison.revenueMetrics.totalRevenue, 200);
+    assert.equal(combined.comparison.deltas.revenueMetrics.totalRevenue.current, 300.3);
+    assert.equal(combined.comparison.deltas.revenueMetrics.totalRevenue.previous, 200);
+    assert.deepEqual(combined.accounts.map(account => account.id), [1, 2]);
+    assert.deepEqual(combined.warnings, []);
+  });
+
+  it('keeps revenue in different currencies apart', () => {
+    const combined = combineAccountReports('section:revenue', [
+      { account: US, value: revenueSection(100, 80) },
+      { account: CA, value: revenueSection(50, 20) },
+      { account: UK, value: revenueSection(70, 70) }
+    ]);
+
+    assert.equal(combined.currency, null);
+    assert.equal(combined.revenueMetrics.totalRevenue, null);
+    assert.equal(combined.revenueByCurrency.USD.totalRevenue, 150);
+    assert.equal(combined.revenueByCurrency.GBP.totalRevenue, 70);
+    assert.equal(combined.comparison.deltas.revenueByCurrency.USD.totalRevenue.absolute, 50);
+    assert.equal(combined.comparison.deltas.revenueByCurrency.GBP.totalRevenue.percent, 0);
+    assert.deepEqual(combined.warnings.map(issue => issue.code), ['mixed_currencies']);
+    assert.match(combined.warnings[0].message, /USD, GBP/);
+  });
+
+  it('leaves revenue of accounts with an unknown currency out of the totals', () => {
+    const combined = combineAccountReports('section:revenue', [
+      { account: US, value: revenueSection(100, 80) },
+      { account: UNCHECKED, value: revenueSection(40, 10) }
+    ]);
+
+    assert.equal(combined.currency, 'USD');
+    assert.equal(combined.revenueMetrics.totalRevenue, 100);
+    assert.deepEqual(Object.keys(combined.revenueByCurrency), ['USD']);
+    assert.deepEqual(
+      combined.unknownCurrencyRevenue.map(entry => [entry.accountId, entry.revenue.totalRevenue]),
+      [[4, 40]]
+    );
+    assert.equal(combined.comparison.revenueMetrics.totalRevenue, 80);
+    assert.equal(combined.comparison.unknownCurrencyRevenue[0].revenue.totalRevenue, 10);
+    assert.deepEqual(
+      combined.warnings.map(issue => [issue.section, issue.accountId, issue.code]),
+      [['revenueMetrics.totalRevenue', 4, 'unknown_currency']]
+    );
+
+    const series = (value) => ({
+      interval: 'day',
+      dateRange: {},
+      series: { revenue: [{ date: '2024-06-01T00:00:00Z', value }], orders: [{ date: '2024-06-01T00:00:00Z', value: 1 }] },
+      provenance: provenance()
+    });
+    const timeSeries = combineAccountReports('timeseries', [{ account: UNCHECKED, value: series(40) }]);
+    assert.equal(timeSeries.currency, null);
+    assert.deepEqual(timeSeries.series.revenue, []);
+    assert.deepEqual(timeSeries.series.orders, [{ date: '2024-06-01T00:00:00Z', value: 1 }]);
+    assert.deepEqual(timeSeries.revenueByCurrency, {});
+    assert.deepEqual(timeSeries.unknownCurrencyRevenue[0].revenue, [{ date: '2024-06-01T00:00:00Z', value: 40 }]);
+    assert.deepEqual(timeSeries.warnings.map(issue => issue.code), ['unknown_currency']);
+  });
+
+  it('sums event counts, reporting what an account is missing as partial', () => {
+    const failure = { section: 'eventMetrics.addedToCart', message: 'Request failed', status: 503 };
+    const combined = combineAccountReports('section:events', [
+      { account: US, value: eventsSection({ placedOrder: 3, addedToCart: null }, [failure]) },
+      { account: UK, value: eventsSection({ placedOrder: 4, addedToCart: 10 }) }
+    ]);
+
+    assert.deepEqual(combined.eventMetrics, { placedOrder: 7, addedToCart: 10 });
+    assert.deepEqual(combined.errors, []);
+    assert.deepEqual(combined.warnings, [{ ...failure, accountId: 1, message: 'US store: Request failed', partial: true }]);
+  });
+
+  it('reports an account that failed and combines the others', () => {
+    const error = Object.assign(new Error('Klaviyo is unavailable'), { klaviyoStatus: 503 });
+    const combined = combineAccountReports('section:events', [
+      { account: US, error },
+      { account: UK, value: eventsSection({ placedOrder: 4 }) }
+    ]);
+
+    assert.deepEqual(combined.eventMetrics, { placedOrder: 4 });
+    assert.deepEqual(combined.errors, [
+      { section: 'accounts', accountId: 1, message: 'US store: Klaviyo is unavailable', status: 503, code: null }
+    ]);
+  });
+
+  it('lists the rows of every account in campaign reports, newest first', () => {
+    const report = (campaigns, revenue) => ({
+      dateRange: {},
+      campaigns,
+      totals: { campaigns: campaigns.length, opens: 10, clicks: 2, delivered: 100, bounces: 1, revenue },
+      provenance: provenance(campaigns.length > 1 ? 'Campaign list truncated' : null)
+    });
+    const combined = combineAccountReports('campaigns', [
+      { account: US, value: report([{ id: 'a', sendTime: '2024-06-01T00:00:00Z' }, { id: 'b', sendTime: '2024-06-10T00:00:00Z' }], 120) },
+      { account: UK, value: report([{ id: 'c', sendTime: '2024-06-05T00:00:00Z' }], 30) }
+    ]);
+
+    assert.deepEqual(combined.campaigns.map(row => [row.id, row.accountLabel, row.currency]), [
+      ['b', 'US store', 'USD'],
+      ['c', 'UK store', 'GBP'],
+      ['a', 'US store', 'USD']
+    ]);
+    assert.deepEqual(combined.totals, { campaigns: 3, opens: 20, clicks: 4, delivered: 200, bounces: 2, revenue: null });
+    assert.deepEqual(combined.revenueByCurrency, { USD: 120, GBP: 30 });
+    assert.equal(combined.provenance.approximate, true);
+    assert.equal(combined.provenance.note, 'Campaign list truncated');
+  });
+
+  it('recomputes the flow conversion rate from the summed sends', () => {
+    const report = (sends, conversions) => ({
+      dateRange: {},
+      flows: [],
+      totals: { flows: 0, sends, conversions, conversionRate: (conversions / sends) * 100, revenue: 10 },
+      provenance: provenance()
+    });
+    const combined = combineAccountReports('flows', [
+      { account: US, value: report(100, 1) },
+      { account: CA, value: report(300, 7) }
+    ]);
+
+    assert.equal(combined.totals.conversionRate, 2);
+    assert.equal(combined.totals.revenue, 20);
+
+    const unchecked = combineAccountReports('flows', [
+      { account: US, value: report(100, 1) },
+      { account: UNCHECKED, value: report(300, 7) }
+    ]);
+    assert.equal(unchecked.totals.sends, 400);
+    assert.equal(unchecked.totals.revenue, 10);
+    assert.deepEqual(unchecked.unknownCurrencyRevenue, [{ accountId: 4, accountLabel: 'Unchecked store', revenue: 10 }]);
+    assert.deepEqual(unchecked.warnings.map(issue => [issue.section, issue.code]), [['totals.revenue', 'unknown_currency']]);
+  });
+
+  it('refuses reports that cannot be combined', () => {
+    assert.throws(() => combineAccountReports('metrics', []), /can't be combined/);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const jwt = require('jsonwebtoken');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const {
+  generateToken,
+  generateAdminToken,
+  verifyToken,
+  hashPassword,
+  comparePassword,
+  authenticateToken,
+  requireRole
+} = require('../auth');
+
+// Run authenticateToken with the given Authorization header
+// Resolves with { status, body } if it responded, or { clientId } if it called next()
+function authenticate(authorization) {
+  return new Promise(resolve => {
+    const req = { headers: authorization ? { authorization } : {} };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      }
+    };
+    authenticateToken(req, res, () => resolve({ clientId: req.clientId }));
+  });
+}
+
+describe('auth', () => {
+  it('issues tokens that verify to the client ID', () => {
+    const token = generateToken(42);
+    const decoded = verifyToken(token);
+
+    assert.equal(decoded.clientId, 42);
+    assert.equal(decoded.exp - decoded.iat, 7 * 24 * 60 * 60);
+  });
+
+  it('rejects tokens that are tampered, foreign or expired', () => {
+    const token = generateToken(42);
+
+    assert.equal(verifyToken(`${token}x`), null);
+    assert.equal(verifyToken(jwt.sign({ clientId: 42 }, 'another-secret')), null);
+    assert.equal(verifyToken(jwt.sign({ clientId: 42 }, process.env.JWT_SECRET, { expiresIn: -10 })), null);
+    assert.equal(verifyToken('not-a-token'), null);
+  });
+
+  it('refuses to load without JWT_SECRET', () => {
+    const { JWT_SECRET, ...env } = process.env;
+    const result = spawnSync(process.execPath, ['-e', "require('./auth')"], {
+      cwd: path.join(__dirname, '..'),
+      env: env,
+      encoding: 'utf8'
+    });
+
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /JWT_SECRET is not set/);
+  });
+
+  it('hashes passwords so only the original matches', async () => {
+    const hash = await hashPassword('correct horse');
+
+    assert.notEqual(hash, 'correct horse');
+    assert.equal(await comparePassword('correct horse', hash), true);
+    assert.equal(await comparePassword('wrong horse', hash), false);
+  });
+
+  describe('authenticateToken', () => {
+    it('requires a bearer token', async () => {
+      assert.deepEqual(await authenticate(null), { status: 401, body: { error: 'Access token required' } });
+      assert.deepEqual(await authenticate('Bearer'), { status: 401, body: { error: 'Access token required' } });
+    });
+
+    it('rejects invalid and expired tokens', async () => {
+      const expired = jwt.sign({ clientId: 7 }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+      assert.deepEqual(await authenticate('Bearer garbage'), { status: 403, body: { error: 'Invalid or expired token' } });
+      assert.deepEqual(await authenticate(`Bearer ${expired}`), { status: 403, body: { error: 'Invalid or expired token' } });
+    });
+
+    it('sets req.clientId for a valid token', async () => {
+      assert.deepEqual(await authenticate(`Bearer ${generateToken(7)}`), { clientId: 7 });
+    });
+  });
+
+  describe('requireRole', () => {
+    // Run authenticateToken and then requireRole(role); resolves with the status or 'next'
+    function authorize(token, role) {
+      return new Promise(resolve => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = {
+          status(code) {
+            resolve(code);
+            return { json: () => {} };
+          }
+        };
+        authenticateToken(req, res, () => requireRole(role)(req, res, () => resolve('next')));
+      });
+    }
+
+    it('issues admin tokens with the admin role claim', () => {
+      const decoded = verifyToken(generateAdminToken(3));
+
+      assert.equal(decoded.adminId, 3);
+      assert.equal(decoded.role, 'admin');
+      assert.equal(decoded.exp - decoded.iat, 12 * 60 * 60);
+      assert.equal(verifyToken(generateToken(3)).role, 'client');
+    });
+
+    it('lets only tokens with the role through', async () => {
+      // Client tokens from before role claims count as client tokens
+      const legacy = jwt.sign({ clientId: 7 }, process.env.JWT_SECRET);
+
+      assert.equal(await authorize(generateAdminToken(3), 'admin'), 'next');
+      assert.equal(await authorize(generateToken(7), 'admin'), 403);
+      assert.equal(await authorize(legacy, 'admin'), 403);
+      assert.equal(await authorize(generateToken(7), 'client'), 'next');
+      assert.equal(await authorize(legacy, 'client'), 'next');
+      assert.equal(await authorize(generateAdminToken(3), 'client'), 403);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DATE_RANGE_QUERY, startMockKlaviyo, createApiKey, eventsInRange, sumValues } = require('./helpers');
+const KlaviyoService = require('../klaviyoService');
+const { loadFixture } = require('../mockKlaviyoServer');
+const { resolveDateRange, resolveComparisonRange } = require('../dateRange');
+
+const dateRange = resolveDateRange(DATE_RANGE_QUERY);
+const comparisonRange = resolveComparisonRange(dateRange, 'previous_period');
+
+// Metric IDs the fixture's dashboard KPIs resolve to
+const METRIC_IDS = { placedOrder: 'PLCORD', viewedProduct: 'VWPROD', addedToCart: 'ADDCRT', activeOnSite: 'ACTSIT' };
+
+// Event counts per KPI in a date range, straight from the fixture
+function expectedEventMetrics(mock, range) {
+  return Object.fromEntries(
+    Object.entries(METRIC_IDS).map(([key, metricId]) => [key, eventsInRange(mock, metricId, range).length])
+  );
+}
+
+describe('getDashboardMetrics', () => {
+  let mock;
+  let baseURL;
+
+  // KlaviyoService for a fresh account on the mock
+  const createService = (options = {}) =>
+    new KlaviyoService(createApiKey(mock), { baseURL, fixtureRecorder: null, ...options });
+
+  before(async () => {
+    ({ mock, baseURL } = await startMockKlaviyo());
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  it('assembles every section from the account', async () => {
+    const fixture = mock.fixture;
+    const result = await createService().getDashboardMetrics({ dateRange });
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.dateRange, dateRange);
+    assert.equal(result.comparison, null);
+    assert.equal(result.account.data[0].attributes.contact_information.organization_name, fixture.account.name);
+    assert.equal(result.metrics.data.length, fixture.metrics.length);
+    assert.equal(result.metricsWithDetails.total, fixture.metrics.length);
+    assert.equal(result.metricsWithDetails.details.length, fixture.metrics.length);
+
+    assert.equal(result.campaignCount, fixture.campaigns.length);
+    assert.equal(result.flowCount, fixture.flows.length);
+    assert.equal(result.lists.data.length, fixture.lists.length);
+
+    assert.deepEqual(result.eventMetrics, expectedEventMetrics(mock, dateRange));
+    const revenue = sumValues(eventsInRange(mock, 'PLCORD', dateRange));
+    assert.ok(Math.abs(result.revenueMetrics.totalRevenue - revenue) < 0.01, `${result.revenueMetrics.totalRevenue} != ${revenue}`);
+    assert.ok(result.revenueMetrics.revenueOverTime.length > 0);
+  });
+
+  it('attaches provenance to every computed figure', async () => {
+    const result = await createService().getDashboardMetrics({ dateRange });
+    const window = { start: dateRange.start, end: dateRange.end, timezone: 'UTC' };
+
+    Object.keys(METRIC_IDS).forEach(key => {
+      const provenance = result.provenance[`eventMetrics.${key}`];
+      assert.equal(provenance.method, 'metric-aggregates');
+      assert.deepEqual(provenance.window, window);
+      assert.equal(provenance.approximate, false);
+    });
+    assert.equal(result.provenance['revenueMetrics.totalRevenue'].method, 'metric-aggregates');
+    assert.deepEqual(result.provenance['revenueMetrics.totalRevenue'].window, window);
+    ['campaignCount', 'flowCount', 'listCount'].forEach(section => {
+      assert.equal(result.provenance[section].method, 'collection', section);
+      assert.equal(result.provenance[section].approximate, false, section);
+    });
+  });
+
+  it('compares against the previous period', async () => {
+    const result = await createService().getDashboardMetrics({ dateRange, comparisonRange });
+    const current = expectedEventMetrics(mock, dateRange);
+    const previous = expectedEventMetrics(mock, comparisonRange);
+
+    assert.equal(result.comparison.mode, 'previous_period');
+    assert.deepEqual(result.comparison.dateRange, comparisonRange);
+    assert.deepEqual(result.comparison.eventMetrics, previous);
+
+    const orders = result.comparison.deltas.eventMetrics.placedOrder;
+    assert.equal(orders.current, current.placedOrder);
+    assert.equal(orders.previous, previous.placedOrder);
+    assert.equal(orders.absolute, current.placedOrder - previous.placedOrder);
+    assert.equal(orders.percent, ((current.placedOrder - previous.placedOrder) / previous.placedOrder) * 100);
+
+    const revenue = result.comparison.deltas.revenueMetrics.totalRevenue;
+    assert.equal(revenue.current, result.revenueMetrics.totalRevenue);
+    assert.equal(revenue.previous, result.comparison.revenueMetrics.totalRevenue);
+    assert.ok(result.comparison.provenance['eventMetrics.placedOrder']);
+  });
+
+  it('reports a failed section as an error instead of zero', async () => {
+    mock.addFault({ path: '/lists/', status: 503, code: 'service_unavailable', detail: 'Lists are down' });
+    try {
+      const result = await createService().getDashboardMetrics({ dateRange });
+
+      assert.equal(result.lists, null);
+      assert.equal(result.errors.length, 1);
+      assert.deepEqual(
+        { section: result.errors[0].section, call: result.errors[0].call, status: result.errors[0].status },
+        { section: 'listCount', call: 'GET /lists/', status: 503 }
+      );
+      assert.match(result.errors[0].message, /Lists are down/);
+      assert.equal(result.provenance.listCount, undefined);
+
+      // The other sections still load
+      assert.equal(result.flowCount, mock.fixture.flows.length);
+      assert.deepEqual(result.eventMetrics, expectedEventMetrics(mock, dateRange));
+    } finally {
+      mock.clearFaults();
+    }
+  });
+
+  it('leaves event counts null when metric aggregates fail', async () => {
+    mock.addFault({ path: '/metric-aggregates/', status: 500, detail: 'Aggregation failed' });
+    try {
+      const result = await createService().getEventsSection({ dateRange });
+
+      assert.deepEqual(result.eventMetrics, { placedOrder: null, viewedProduct: null, addedToCart: null, activeOnSite: null });
+      assert.deepEqual(
+        result.errors.map(issue => issue.section).sort(),
+        Object.keys(METRIC_IDS).map(key => `eventMetrics.${key}`).sort()
+      );
+      assert.ok(result.errors.every(issue => issue.call === 'POST /metric-aggregates/'));
+      assert.deepEqual(result.provenance, {});
+    } finally {
+      mock.clearFaults();
+    }
+  });
+
+  it('warns about metrics it cannot resolve', async () => {
+    const fixture = loadFixture();
+    fixture.metrics = fixture.metrics.filter(metric => metric.id !== 'ACTSIT');
+    const other = await startMockKlaviyo(fixture);
+    try {
+      const service = new KlaviyoService(createApiKey(other.mock), { baseURL: other.baseURL, fixtureRecorder: null });
+      const result = await service.getEventsSection({ dateRange });
+
+      assert.equal(result.eventMetrics.activeOnSite, null);
+      assert.equal(result.eventMetrics.placedOrder, eventsInRange(other.mock, 'PLCORD', dateRange).length);
+      assert.deepEqual(result.errors, []);
+      assert.deepEqual(
+        result.warnings.map(issue => [issue.section, issue.code]),
+        [['eventMetrics.activeOnSite', 'metric_unresolved']]
+      );
+    } finally {
+      await other.mock.close();
+    }
+  });
+
+  it('reports campaign, flow and time series figures as unavailable when Klaviyo rejects the key', async () => {
+    // A service per report: repeated 401s open the key's circuit breaker
+    const rejectedService = (report) => new KlaviyoService(`pk_rejected_${report}`, { baseURL, fixtureRecorder: null });
+
+    const campaigns = await rejectedService('campaigns').getCampaignReport({ dateRange });
+    assert.deepEqual(campaigns.totals, { campaigns: 0, opens: null, clicks: null, delivered: null, bounces: null, revenue: null });
+    assert.deepEqual(
+      campaigns.errors.map(issue => issue.section).sort(),
+      ['campaigns', 'campaigns', 'totals.bounces', 'totals.clicks', 'totals.delivered', 'totals.opens', 'totals.revenue']
+    );
+    assert.ok(campaigns.errors.every(issue => issue.status === 401));
+
+    const flows = await rejectedService('flows').getFlowReport({ dateRange });
+    assert.deepEqual(flows.totals, { flows: 0, sends: null, conversions: null, conversionRate: null, revenue: null });
+    assert.ok(flows.errors.some(issue => issue.section === 'flows' && issue.status === 401));
+
+    const timeSeries = await rejectedService('timeseries').getTimeSeries({ dateRange });
+    assert.deepEqual(timeSeries.series, { revenue: null, orders: null, viewedProduct: null, addedToCart: null, activeOnSite: null });
+    assert.ok(timeSeries.errors.length > 0);
+    assert.ok(timeSeries.errors.every(issue => issue.status === 401));
+  });
+
+  it('computes the click-through rate per delivered message in the campaign metrics and report', async () => {
+    const service = createService();
+    const metrics = await service.getCampaignMetrics({ startDate: dateRange.start, endDate: dateRange.end });
+    const report = await service.getCampaignReport({ dateRange });
+
+    assert.ok(metrics.delivered > 0 && metrics.clicks > 0);
+    assert.equal(metrics.clickThroughRate, (metrics.clicks / metrics.delivered) * 100);
+    const rows = report.campaigns.filter(campaign => campaign.delivered > 0);
+    assert.ok(rows.length > 0);
+    rows.forEach(campaign => assert.equal(campaign.clickThroughRate, (campaign.clicks / campaign.delivered) * 100));
+  });
+
+  it('leaves campaign and flow figures null when metric aggregates fail', async () => {
+    mock.addFault({ path: '/metric-aggregates/', status: 500, detail: 'Aggregation failed' });
+    try {
+      // Separate accounts, so the campaign report's failures don't open the flow report's circuit
+      const campaigns = await createService().getCampaignReport({ dateRange });
+      const flows = await createService().getFlowReport({ dateRange });
+
+      assert.ok(flows.flows.length > 0);
+      assert.ok(flows.flows.every(flow => flow.sends === null && flow.conversionRate === null && flow.revenue === null));
+      assert.equal(campaigns.totals.opens, null);
+      assert.ok(campaigns.campaigns.every(campaign => campaign.openRate === null && campaign.revenue === null));
+      assert.ok(campaigns.errors.every(issue => issue.call === 'POST /metric-aggregates/'));
+    } finally {
+      mock.clearFaults();
+    }
+  });
+
+  it('uses metric overrides instead of detection', async () => {
+    const result = await createService({ metricOverrides: { placedOrder: 'APIORD' } }).getEventsSection({ dateRange });
+
+    assert.equal(result.eventMetrics.placedOrder, eventsInRange(mock, 'APIORD', dateRange).length);
+  });
+
+  it('rejects unknown sections', async () => {
+    await assert.rejects(createService().getDashboardSection('nope'), /Unknown dashboard section: nope/);
+    await assert.rejects(createService().getDashboardSection('constructor'), /Unknown dashboard section: constructor/);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { resolveDateRange, resolveComparisonRange } = require('../dateRange');
+
+// Thursday 15 August 2024, 10:30 in New York (EDT, UTC-4)
+const NOW = new Date('2024-08-15T14:30:00.000Z');
+
+// [start, end] of a resolved range
+const window = (range) => [range.start, range.end];
+
+describe('resolveDateRange', () => {
+  it('resolves each preset against the clock', () => {
+    const now = NOW.toISOString();
+    const cases = {
+      '7d': '2024-08-09T00:00:00.000Z',
+      '30d': '2024-07-17T00:00:00.000Z',
+      mtd: '2024-08-01T00:00:00.000Z',
+      qtd: '2024-07-01T00:00:00.000Z',
+      ytd: '2024-01-01T00:00:00.000Z'
+    };
+
+    Object.entries(cases).forEach(([preset, start]) => {
+      const range = resolveDateRange({ preset }, NOW);
+      assert.deepEqual(range, { preset, start, end: now, timezone: 'UTC' }, preset);
+    });
+    assert.deepEqual(window(resolveDateRange({}, NOW)), ['2024-07-17T00:00:00.000Z', now]);
+  });
+
+  it('starts presets at midnight in the requested timezone', () => {
+    const range = resolveDateRange({ preset: 'mtd', timezone: 'America/New_York' }, NOW);
+
+    assert.deepEqual(window(range), ['2024-08-01T04:00:00.000Z', NOW.toISOString()]);
+    assert.equal(range.timezone, 'America/New_York');
+  });
+
+  it('keeps local midnights across a DST change', () => {
+    // Clocks went forward on 10 March 2024 in New York: the range starts in EST and ends in EDT
+    const spring = resolveDateRange({ start: '2024-03-09', end: '2024-03-11', timezone: 'America/New_York' });
+    assert.deepEqual(window(spring), ['2024-03-09T05:00:00.000Z', '2024-03-12T04:00:00.000Z']);
+
+    // ...and back on 3 November: seven local days starting in EDT, ending now in EST
+    const now = new Date('2024-11-05T15:00:00.000Z');
+    const autumn = resolveDateRange({ preset: '7d', timezone: 'America/New_York' }, now);
+    assert.deepEqual(window(autumn), ['2024-10-30T04:00:00.000Z', now.toISOString()]);
+  });
+
+  it('includes the whole end day of a date-only custom range', () => {
+    const range = resolveDateRange({ start: '2024-06-01', end: '2024-06-01' });
+
+    assert.deepEqual(range, {
+      preset: 'custom',
+      start: '2024-06-01T00:00:00.000Z',
+      end: '2024-06-02T00:00:00.000Z',
+      timezone: 'UTC'
+    });
+  });
+
+  it('rejects an end before the start', () => {
+    const invalid = [
+      { start: '2024-06-10', end: '2024-06-01' },
+      { start: '2024-06-10T12:00:00Z', end: '2024-06-10T12:00:00Z' }
+    ];
+
+    invalid.forEach(query => {
+      assert.throws(() => resolveDateRange(query), { status: 400, message: 'start must be before end' });
+    });
+  });
+
+  it('rejects invalid parameters with status 400', () => {
+    assert.throws(() => resolveDateRange({ preset: 'forever' }), { status: 400, message: /Invalid preset/ });
+    assert.throws(() => resolveDateRange({ timezone: 'Mars/Olympus' }), { status: 400, message: /Invalid timezone/ });
+    assert.throws(() => resolveDateRange({ start: '2024-02-30', end: '2024-03-01' }), { status: 400, message: /Invalid start date/ });
+    assert.throws(() => resolveDateRange({ start: '2024-06-01' }), { status: 400, message: /require both start and end/ });
+    assert.throws(() => resolveDateRange({ preset: '7d', start: '2024-06-01' }), { status: 400, message: /custom preset/ });
+    assert.throws(() => resolveDateRange({ start: '2023-01-01', end: '2024-06-01' }), { status: 400, message: /cannot exceed/ });
+  });
+});
+
+describe('resolveComparisonRange', () => {
+  it('compares against the window of the same length just before', () => {
+    const range = resolveDateRange({ start: '2024-06-11', end: '2024-06-20' });
+
+    assert.deepEqual(resolveComparisonRange(range, 'previous_period'), {
+      mode: 'previous_period',
+      preset: 'custom',
+      start: '2024-06-01T00:00:00.000Z',
+      end: '2024-06-11T00:00:00.000Z',
+      timezone: 'UTC'
+    });
+  });
+
+  it('moves Feb 29 to Feb 28 for the previous year', () => {
+    const range = resolveDateRange({ start: '2024-02-29', end: '2024-02-29' });
+
+    assert.deepEqual(window(resolveComparisonRange(range, 'previous_year')), [
+      '2023-02-28T00:00:00.000Z',
+      '2023-03-01T00:00:00.000Z'
+    ]);
+  });
+
+  it('keeps local wall-clock times for the previous year', () => {
+    const range = resolveDateRange({ preset: 'mtd', timezone: 'America/New_York' }, NOW);
+
+    assert.deepEqual(window(resolveComparisonRange(range, 'previous_year')), [
+      '2023-08-01T04:00:00.000Z',
+      '2023-08-15T14:30:00.000Z'
+    ]);
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => resolveComparisonRange(resolveDateRange({}, NOW), 'last_week'), { status: 400 });
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { generateDemoFixture, DEMO_METRICS } = require('../demoData');
+
+const NOW = Date.parse('2025-06-15T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Placed Order events per UTC day, as { 'YYYY-MM-DD': { orders, revenue } }
+function ordersByDay(fixture) {
+  const days = {};
+  fixture.events
+    .filter(event => event.metric === 'DEMOPLCORD')
+    .forEach(event => {
+      const day = event.datetime.substring(0, 10);
+      days[day] = days[day] || { orders: 0, revenue: 0 };
+      days[day].orders++;
+      days[day].revenue += event.value;
+    });
+  return days;
+}
+
+// Average daily orders over the days whose key starts with prefix (e.g. '2025-02')
+function averageOrders(days, prefix) {
+  const matching = Object.entries(days).filter(([day]) => day.startsWith(prefix));
+  return matching.reduce((sum, [, day]) => sum + day.orders, 0) / matching.length;
+}
+
+describe('generateDemoFixture', () => {
+  let fixture;
+
+  before(() => {
+    fixture = generateDemoFixture('acme-demo', { now: NOW, apiKeys: ['demo_acme-demo'] });
+  });
+
+  it('is the same for the same seed and different for another', () => {
+    assert.deepEqual(generateDemoFixture('acme-demo', { now: NOW, apiKeys: ['demo_acme-demo'] }), fixture);
+
+    const other = generateDemoFixture('globex-demo', { now: NOW });
+    assert.notDeepEqual(other.events.slice(0, 50), fixture.events.slice(0, 50));
+  });
+
+  it('keeps past days when regenerated later', () => {
+    const later = generateDemoFixture('acme-demo', { now: NOW + 3 * DAY_MS });
+    // The oldest days drop out of the window (and with them the campaigns that lifted the next days)
+    const from = new Date(NOW - 720 * DAY_MS).toISOString();
+    const to = new Date(NOW - DAY_MS).toISOString();
+    const overlap = (events) => events.filter(event => event.datetime >= from && event.datetime < to);
+
+    assert.ok(overlap(fixture.events).length > 0);
+    assert.deepEqual(overlap(later.events), overlap(fixture.events));
+    assert.ok(later.events.some(event => event.datetime > new Date(NOW).toISOString()));
+  });
+
+  it('covers two years up to now and nothing later', () => {
+    const times = fixture.events.map(event => new Date(event.datetime).getTime());
+
+    assert.ok(Math.max(...times) <= NOW);
+    assert.ok(Math.min(...times) < NOW - 729 * DAY_MS);
+    assert.ok(fixture.campaigns.filter(campaign => campaign.status === 'Sent').every(campaign => Date.parse(campaign.sendTime) <= NOW));
+  });
+
+  it('only refers to metrics, profiles, campaigns and flows it defines', () => {
+    const metricIds = new Set(DEMO_METRICS.map(metric => metric.id));
+    const profileIds = new Set(fixture.profiles.map(profile => profile.id));
+    const flowMessages = new Map(fixture.flows.flatMap(flow =>
+      flow.actions.flatMap(action => (action.messages || []).map(message => [message.id, flow.id]))
+    ));
+    const campaignMessages = new Set(fixture.campaigns.flatMap(campaign => campaign.messages.map(message => message.id)));
+
+    assert.equal(new Set(fixture.campaigns.map(campaign => campaign.id)).size, fixture.campaigns.length);
+    fixture.events.forEach(event => {
+      assert.ok(metricIds.has(event.metric), event.metric);
+      assert.ok(profileIds.has(event.profile), event.profile);
+      if (event.attributedFlow) {
+        assert.equal(flowMessages.get(event.attributedMessage), event.attributedFlow);
+      } else if (event.attributedMessage) {
+        assert.ok(campaignMessages.has(event.attributedMessage), event.attributedMessage);
+      }
+    });
+  });
+
+  it('follows the seasons, peaking over Black Friday and December', () => {
+    const days = ordersByDay(fixture);
+    const blackFridayWeekend = ['2024-11-29', '2024-11-30', '2024-12-01', '2024-12-02']
+      .reduce((sum, day) => sum + days[day].orders, 0) / 4;
+
+    assert.ok(blackFridayWeekend > 1.8 * averageOrders(days, '2024-10'));
+    assert.ok(averageOrders(days, '2024-12') > averageOrders(days, '2025-02'));
+    assert.ok(averageOrders(days, '2025-05') > averageOrders(days, '2024-05'), 'grows year over year');
+  });
+
+  it('attributes revenue to campaigns and flows', () => {
+    const orders = fixture.events.filter(event => event.metric === 'DEMOPLCORD');
+    const campaignOrders = orders.filter(event => event.attributedMessage && !event.attributedFlow);
+    const flowOrders = orders.filter(event => event.attributedFlow);
+
+    assert.ok(orders.every(event => event.value > 0));
+    assert.ok(campaignOrders.length > orders.length * 0.05);
+    assert.ok(flowOrders.length > orders.length * 0.1);
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DATE_RANGE_QUERY, startMockKlaviyo, createApiKey } = require('./helpers');
+const KlaviyoService = require('../klaviyoService');
+const { FixtureRecorder, scrub } = require('../fixtureRecorder');
+const { resolveDateRange } = require('../dateRange');
+
+const dateRange = resolveDateRange(DATE_RANGE_QUERY);
+
+// Copy of a report without the fields that record when it was computed
+function withoutTimestamps(value) {
+  if (Array.isArray(value)) {
+    return value.map(withoutTimestamps);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([name]) => name !== 'timestamp' && name !== 'computedAt')
+        .map(([name, item]) => [name, withoutTimestamps(item)])
+    );
+  }
+  return value;
+}
+
+// Contents of every fixture file in a directory, joined
+function readRecordings(directory) {
+  return fs.readdirSync(directory).map(file => fs.readFileSync(path.join(directory, file), 'utf8')).join('\n');
+}
+
+describe('scrub', () => {
+  it('replaces personal data with stable placeholders', () => {
+    const scrubbed = scrub({
+      email: 'jane@shop.example',
+      first_name: 'Jane',
+      properties: { $phone_number: '+15555550100', value: 42 },
+      lists: [{ organization_name: 'Jane Co' }]
+    });
+
+    assert.match(scrubbed.email, /^redacted-[0-9a-f]{8}@example\.com$/);
+    assert.match(scrubbed.first_name, /^redacted-[0-9a-f]{8}$/);
+    assert.match(scrubbed.properties.$phone_number, /^redacted-[0-9a-f]{8}$/);
+    assert.equal(scrubbed.properties.value, 42);
+    assert.match(scrubbed.lists[0].organization_name, /^redacted-[0-9a-f]{8}$/);
+    assert.equal(scrub({ email: 'jane@shop.example' }).email, scrubbed.email);
+  });
+
+  it('redacts emails and private keys inside other strings', () => {
+    const scrubbed = scrub({
+      detail: 'Profile jane@shop.example was rejected',
+      filter: 'equals(api_key,"pk_test_1234_5")',
+      count: 3
+    });
+
+    assert.match(scrubbed.detail, /^Profile redacted-[0-9a-f]{8}@example\.com was rejected$/);
+    assert.equal(scrubbed.filter, 'equals(api_key,"pk_redacted")');
+    assert.equal(scrubbed.count, 3);
+  });
+});
+
+describe('FixtureRecorder', () => {
+  let mock;
+  let baseURL;
+  let directory;
+
+  before(async () => {
+    ({ mock, baseURL } = await startMockKlaviyo());
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'klaviyo-fixtures-'));
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays a recorded report without reaching Klaviyo', async () => {
+    const apiKey = createApiKey(mock);
+    const recording = new KlaviyoService(apiKey, {
+      baseURL,
+      fixtureRecorder: new FixtureRecorder({ mode: 'record', directory })
+    });
+    const recorded = await recording.getDashboardMetrics({ dateRange });
+    assert.deepEqual(recorded.errors, []);
+
+    // Nothing listens on this port, so every response has to come from the recordings
+    const replaying = new KlaviyoService(apiKey, {
+      baseURL: 'http://127.0.0.1:9/api',
+      fixtureRecorder: new FixtureRecorder({ mode: 'replay', directory })
+    });
+    const replayed = await replaying.getDashboardMetrics({ dateRange });
+
+    // Everything but the account's scrubbed contact details comes back as recorded
+    assert.deepEqual(
+      withoutTimestamps({ ...replayed, account: null }),
+      withoutTimestamps({ ...recorded, account: null })
+    );
+    const contact = replayed.account.data[0].attributes.contact_information;
+    assert.match(contact.organization_name, /^redacted-[0-9a-f]{8}$/);
+    assert.match(contact.default_sender_email, /^redacted-[0-9a-f]{8}@example\.com$/);
+  });
+
+  it('replays recorded error responses', async () => {
+    const rejectedKey = 'pk_rejected_recording';
+    const recording = new KlaviyoService(rejectedKey, {
+      baseURL,
+      fixtureRecorder: new FixtureRecorder({ mode: 'record', directory })
+    });
+    await assert.rejects(recording.makeRequest('/accounts/'), { klaviyoStatus: 401 });
+
+    const replaying = new KlaviyoService(rejectedKey, {
+      baseURL: 'http://127.0.0.1:9/api',
+      fixtureRecorder: new FixtureRecorder({ mode: 'replay', directory })
+    });
+    await assert.rejects(replaying.makeRequest('/accounts/'), { klaviyoStatus: 401 });
+  });
+
+  it('fails requests that were never recorded', async () => {
+    const replaying = new KlaviyoService('pk_unrecorded', {
+      baseURL: 'http://127.0.0.1:9/api',
+      fixtureRecorder: new FixtureRecorder({ mode: 'replay', directory })
+    });
+
+    await assert.rejects(replaying.makeRequest('/campaigns/NOT-RECORDED/'), { code: 'KLAVIYO_FIXTURE_MISSING' });
+  });
+
+  it('keeps API keys and personal data out of the recordings', async () => {
+    const apiKey = createApiKey(mock);
+    const service = new KlaviyoService(apiKey, {
+      baseURL,
+      fixtureRecorder: new FixtureRecorder({ mode: 'record', directory })
+    });
+    await service.makeRequest('/accounts/');
+
+    const recordings = readRecordings(directory);
+    assert.ok(!recordings.includes(apiKey));
+    assert.ok(!recordings.includes(mock.fixture.account.email));
+    assert.ok(!recordings.includes(mock.fixture.account.name));
+  });
+});
@@ -0,0 +1,80 @@
+// Shared setup for the backend tests
+// Require this before any backend module: it points the database, caches, retries and rate limits
+// at test settings. Klaviyo is the offline stand-in from mockKlaviyoServer.js, with its fixture's
+// events anchored to FIXED_NOW so every count in the tests is deterministic.
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = `1:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.METRICS_CACHE_TTL_SECONDS = '0';
+process.env.METRICS_CACHE_STALE_SECONDS = '0';
+process.env.KLAVIYO_MAX_RETRIES = '0';
+delete process.env.KLAVIYO_FIXTURE_MODE;
+
+// The backend logs every request and Klaviyo call; TEST_LOGS=true shows them
+if (process.env.TEST_LOGS !== 'true') {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const { klaviyoRateLimiter } = require('../rateLimiter');
+const { MockKlaviyo, loadFixture } = require('../mockKlaviyoServer');
+
+// Klaviyo's real limits would make each dashboard load take seconds against the mock
+klaviyoRateLimiter.tiers = Object.fromEntries(
+  Object.keys(klaviyoRateLimiter.tiers).map(tier => [tier, { burst: 10000, steady: 100000 }])
+);
+
+// "Now" for the fixture's daysAgo events (the events cover the 35 days before it)
+const FIXED_NOW = Date.parse('2024-06-15T12:00:00Z');
+
+// Dashboard query for the last 20 days of fixture events; previous_period covers the 20 before
+const DATE_RANGE_QUERY = { preset: 'custom', start: '2024-05-27', end: '2024-06-15' };
+
+let keyCount = 0;
+
+// Start a mock Klaviyo API on a free port
+// fixture defaults to fixtures/klaviyo/default.json; changes (e.g. fewer metrics) can be applied
+// to a copy first. Resolves with { mock, baseURL }
+async function startMockKlaviyo(fixture = loadFixture()) {
+  const mock = new MockKlaviyo({ ...fixture, apiKeys: [] }, { now: FIXED_NOW, recordRequests: true });
+  const baseURL = await mock.listen();
+  return { mock, baseURL };
+}
+
+// A private key the mock accepts, with every API scope or only the given ones
+// Every test gets its own key: metric catalogs, circuit breakers and rate limits are per key
+function createApiKey(mock, scopes = null) {
+  keyCount++;
+  const key = `pk_test_${process.pid}_${keyCount}`;
+  mock.fixture.apiKeys.push(key);
+  if (scopes) {
+    mock.fixture.apiKeyScopes = { ...mock.fixture.apiKeyScopes, [key]: scopes };
+  }
+  return key;
+}
+
+// Fixture events of one metric inside a resolved date range
+function eventsInRange(mock, metricId, dateRange) {
+  const start = new Date(dateRange.start).getTime();
+  const end = new Date(dateRange.end).getTime();
+  return mock.events.filter(event => {
+    const time = new Date(event.datetime).getTime();
+    return event.metric === metricId && time >= start && time < end;
+  });
+}
+
+// Sum of event values, rounded to cents like Klaviyo's sum_value
+function sumValues(events) {
+  return Math.round(events.reduce((sum, event) => sum + (Number(event.value) || 0), 0) * 100) / 100;
+}
+
+module.exports = {
+  FIXED_NOW,
+  DATE_RANGE_QUERY,
+  startMockKlaviyo,
+  createApiKey,
+  eventsInRange,
+  sumValues
+};
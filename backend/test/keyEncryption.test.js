@@ -0,0 +1,173 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { encryptSecret, decryptSecret, rewrapSecret, currentKeyVersion } = require('../keyEncryption');
+const { db, ready, migrateKlaviyoKeys, migrateClientAccounts } = require('../database');
+
+const TEST_KEYS = process.env.KLAVIYO_KEY_ENCRYPTION_KEYS;
+const masterKey = (fill) => Buffer.alloc(32, fill).toString('base64');
+
+// Run a statement on the test database, resolving with rows for SELECTs
+const query = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+describe('keyEncryption', () => {
+  afterEach(() => {
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = TEST_KEYS;
+  });
+
+  it('round-trips a secret without storing it in the clear', () => {
+    const stored = encryptSecret('pk_live_secret');
+
+    assert.equal(stored.keyVersion, 1);
+    assert.ok(!stored.ciphertext.includes('pk_live_secret'));
+    assert.notEqual(encryptSecret('pk_live_secret').ciphertext, stored.ciphertext);
+    assert.equal(decryptSecret(stored.ciphertext, stored.keyVersion), 'pk_live_secret');
+  });
+
+  it('rejects tampered values, unknown versions and plaintext rows', () => {
+    const { ciphertext } = encryptSecret('pk_live_secret');
+    const [wrappedKey, sealed] = ciphertext.split('.');
+    const bytes = Buffer.from(sealed, 'base64');
+    bytes[bytes.length - 1] ^= 1;
+
+    assert.throws(() => decryptSecret(`${wrappedKey}.${bytes.toString('base64')}`, 1), /Could not decrypt/);
+    assert.throws(() => decryptSecret(ciphertext, 7), /version 7 is not in KLAVIYO_KEY_ENCRYPTION_KEYS/);
+    assert.throws(() => decryptSecret('pk_live_secret', null), /has not been encrypted yet/);
+  });
+
+  it('requires valid master keys', () => {
+    delete process.env.KLAVIYO_KEY_ENCRYPTION_KEYS;
+    assert.throws(() => encryptSecret('pk_live_secret'), { code: 'KEY_ENCRYPTION_CONFIG' });
+
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = '1:tooshort';
+    assert.throws(() => currentKeyVersion(), /Invalid KLAVIYO_KEY_ENCRYPTION_KEYS entry/);
+  });
+
+  it('re-wraps a secret with the newest master key', () => {
+    const stored = encryptSecret('pk_live_secret');
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = `2:${masterKey(2)},${TEST_KEYS}`;
+
+    const rewrapped = rewrapSecret(stored.ciphertext, stored.keyVersion);
+    assert.equal(rewrapped.keyVersion, 2);
+    assert.equal(rewrapped.ciphertext.split('.')[1], stored.ciphertext.split('.')[1]);
+    assert.deepEqual(rewrapSecret(rewrapped.ciphertext, 2), rewrapped);
+
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = `2:${masterKey(2)}`;
+    assert.equal(decryptSecret(rewrapped.ciphertext, rewrapped.keyVersion), 'pk_live_secret');
+  });
+});
+
+describe('migrateKlaviyoKeys', () => {
+  before(async () => {
+    await ready;
+    await query(
+      `INSERT INTO clients (name, email, password, klaviyo_private_key, is_demo, demo_seed) VALUES
+       ('Legacy', 'legacy@example.com', 'hash', 'pk_legacy_plaintext', 0, NULL),
+       ('Demo', 'demo@example.com', 'hash', '', 1, 'demo')`
+    );
+  });
+
+  afterEach(() => {
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = TEST_KEYS;
+  });
+
+  const storedKey = async (email) =>
+    (await query(`SELECT klaviyo_private_key, klaviyo_key_version FROM clients WHERE email = ?`, [email]))[0];
+
+  it('encrypts plaintext keys, then re-wraps them when the master key is rotated', async () => {
+    delete process.env.KLAVIYO_KEY_ENCRYPTION_KEYS;
+    assert.deepEqual(await migrateKlaviyoKeys(), { encrypted: 0, rewrapped: 0 });
+    assert.equal((await storedKey('legacy@example.com')).klaviyo_private_key, 'pk_legacy_plaintext');
+
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = TEST_KEYS;
+    assert.deepEqual(await migrateKlaviyoKeys(), { encrypted: 1, rewrapped: 0 });
+    const encrypted = await storedKey('legacy@example.com');
+    assert.equal(encrypted.klaviyo_key_version, 1);
+    assert.equal(decryptSecret(encrypted.klaviyo_private_key, 1), 'pk_legacy_plaintext');
+    assert.deepEqual(await migrateKlaviyoKeys(), { encrypted: 0, rewrapped: 0 });
+
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = `2:${masterKey(2)},${TEST_KEYS}`;
+    assert.deepEqual(await migrateKlaviyoKeys(), { encrypted: 0, rewrapped: 1 });
+    const rewrapped = await storedKey('legacy@example.com');
+    assert.equal(rewrapped.klaviyo_key_version, 2);
+
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = `2:${masterKey(2)}`;
+    assert.equal(decryptSecret(rewrapped.klaviyo_private_key, 2), 'pk_legacy_plaintext');
+
+    // Demo clients have no key to encrypt
+    assert.deepEqual(await storedKey('demo@example.com'), { klaviyo_private_key: '', klaviyo_key_version: null });
+  });
+});
+
+describe('migrateClientAccounts', () => {
+  before(async () => {
+    await ready;
+    await query(
+      `INSERT INTO clients (name, email, password, klaviyo_private_key, klaviyo_account_name, klaviyo_currency, is_demo, demo_seed) VALUES
+       ('Older', 'older@example.com', 'hash', 'pk_older_plaintext', 'Older Goods', 'EUR', 0, NULL),
+       ('Older demo', 'older-demo@example.com', 'hash', '', NULL, NULL, 1, 'older-seed')`
+    );
+    // Metric mappings as databases from before multiple accounts kept them, per client
+    await query(
+      `CREATE TABLE metric_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        metric_key TEXT NOT NULL,
+        metric_id TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (client_id, metric_key)
+      )`
+    );
+    await query(
+      `INSERT INTO metric_mappings (client_id, metric_key, metric_id)
+       SELECT id, 'placedOrder', 'ORDER1' FROM clients WHERE email = 'older@example.com'`
+    );
+  });
+
+  afterEach(() => {
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = TEST_KEYS;
+  });
+
+  const accountOf = async (email) => (await query(
+    `SELECT klaviyo_accounts.* FROM klaviyo_accounts JOIN clients ON clients.id = klaviyo_accounts.client_id
+     WHERE clients.email = ?`,
+    [email]
+  ));
+
+  it('moves each client key and its metric mappings to a Klaviyo account of the client', async () => {
+    const [{ pending }] = await query(
+      `SELECT COUNT(*) AS pending FROM clients WHERE id NOT IN (SELECT client_id FROM klaviyo_accounts)`
+    );
+    assert.deepEqual(await migrateClientAccounts(), { moved: pending });
+    assert.deepEqual(await migrateClientAccounts(), { moved: 0 });
+
+    const [account] = await accountOf('older@example.com');
+    assert.equal(account.label, 'Older Goods');
+    assert.equal(account.currency, 'EUR');
+    assert.equal(account.klaviyo_private_key, 'pk_older_plaintext');
+    assert.equal(account.demo_seed, null);
+    assert.deepEqual(
+      await query(`SELECT klaviyo_private_key, klaviyo_key_version FROM clients WHERE email = ?`, ['older@example.com']),
+      [{ klaviyo_private_key: '', klaviyo_key_version: null }]
+    );
+
+    const [demoAccount] = await accountOf('older-demo@example.com');
+    assert.equal(demoAccount.label, 'Klaviyo account');
+    assert.equal(demoAccount.demo_seed, 'older-seed');
+
+    assert.deepEqual(
+      await query(`SELECT metric_key, metric_id FROM account_metric_mappings WHERE account_id = ?`, [account.id]),
+      [{ metric_key: 'placedOrder', metric_id: 'ORDER1' }]
+    );
+    assert.deepEqual(await query(`SELECT name FROM sqlite_master WHERE name = 'metric_mappings'`), []);
+
+    // The moved key is then encrypted like any other (the keys above are on master key version 2)
+    process.env.KLAVIYO_KEY_ENCRYPTION_KEYS = `2:${masterKey(2)},${TEST_KEYS}`;
+    await migrateKlaviyoKeys();
+    const [encrypted] = await accountOf('older@example.com');
+    assert.equal(encrypted.klaviyo_key_version, 2);
+    assert.equal(decryptSecret(encrypted.klaviyo_private_key, 2), 'pk_older_plaintext');
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { MetricsCache } = require('../metricsCache');
+
+// A loader that resolves with the given values in turn, counting its calls
+function sequenceLoader(...values) {
+  const loader = async () => values[Math.min(loader.calls++, values.length - 1)];
+  loader.calls = 0;
+  return loader;
+}
+
+describe('MetricsCache', () => {
+  it('serves a cached value until the TTL passes', async () => {
+    const cache = new MetricsCache({ ttlSeconds: 60, staleSeconds: 60 });
+    const loader = sequenceLoader({ total: 1 }, { total: 2 });
+
+    const first = await cache.getOrLoad('client:1:report:{}', loader);
+    const second = await cache.getOrLoad('client:1:report:{}', loader);
+
+    assert.equal(first.status, 'miss');
+    assert.equal(second.status, 'hit');
+    assert.deepEqual(second.value, { total: 1 });
+    assert.equal(loader.calls, 1);
+  });
+
+  it("doesn't cache null results", async () => {
+    const cache = new MetricsCache({ ttlSeconds: 60, staleSeconds: 60 });
+    const loader = sequenceLoader(null, { flow: 'found' });
+
+    const missing = await cache.getOrLoad('client:1:flow:{}', loader);
+    const found = await cache.getOrLoad('client:1:flow:{}', loader);
+
+    assert.equal(missing.value, null);
+    assert.equal(found.status, 'miss');
+    assert.deepEqual(found.value, { flow: 'found' });
+    assert.equal(loader.calls, 2);
+  });
+
+  it('keeps reports with errors only for the error TTL', async () => {
+    const cache = new MetricsCache({ ttlSeconds: 60, staleSeconds: 60, errorTtlSeconds: 0.05 });
+    const failed = { campaigns: [], errors: [{ section: 'campaigns', status: 503 }] };
+    const loader = sequenceLoader(failed, { campaigns: [], errors: [] });
+
+    const first = await cache.getOrLoad('client:1:campaigns:{}', loader);
+    const cached = await cache.getOrLoad('client:1:campaigns:{}', loader);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    const reloaded = await cache.getOrLoad('client:1:campaigns:{}', loader);
+
+    assert.deepEqual(first.value, failed);
+    assert.equal(cached.status, 'hit');
+    assert.equal(reloaded.status, 'miss');
+    assert.deepEqual(reloaded.value.errors, []);
+    assert.equal(loader.calls, 2);
+  });
+
+  it("doesn't cache a load the client was invalidated during", async () => {
+    const cache = new MetricsCache({ ttlSeconds: 60, staleSeconds: 60 });
+    let finishLoad;
+    const slowLoader = () => new Promise(resolve => { finishLoad = resolve; });
+    const loader = sequenceLoader({ key: 'new' });
+
+    const pending = cache.getOrLoad('client:1:report:{}', slowLoader);
+    await new Promise(resolve => setImmediate(resolve));
+    await cache.invalidateClient(1);
+    // A request after the invalidation doesn't join the old load
+    const fresh = await cache.getOrLoad('client:1:report:{}', loader);
+    finishLoad({ key: 'old' });
+
+    assert.deepEqual((await pending).value, { key: 'old' });
+    assert.deepEqual(fresh.value, { key: 'new' });
+    const cached = await cache.getOrLoad('client:1:report:{}', loader);
+    assert.equal(cached.status, 'hit');
+    assert.deepEqual(cached.value, { key: 'new' });
+    assert.equal(loader.calls, 1);
+  });
+
+  it('keeps caching loads of other clients during an invalidation', async () => {
+    const cache = new MetricsCache({ ttlSeconds: 60, staleSeconds: 60 });
+    let finishLoad;
+    const slowLoader = () => new Promise(resolve => { finishLoad = resolve; });
+
+    const pending = cache.getOrLoad('client:2:report:{}', slowLoader);
+    await new Promise(resolve => setImmediate(resolve));
+    await cache.invalidateClient(1);
+    finishLoad({ client: 2 });
+    await pending;
+
+    assert.equal((await cache.getOrLoad('client:2:report:{}', slowLoader)).status, 'hit');
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const KlaviyoService = require('../klaviyoService');
+const { MockKlaviyo, loadFixture } = require('../mockKlaviyoServer');
+
+// Make one request to a mock started with options, then close it; resolves with the mock
+async function requestOnce(options) {
+  const mock = new MockKlaviyo({ ...loadFixture(), apiKeys: ['pk_mock'] }, options);
+  const baseURL = await mock.listen();
+  try {
+    await new KlaviyoService('pk_mock', { baseURL, fixtureRecorder: null }).makeRequest('/accounts/');
+  } finally {
+    await mock.close();
+  }
+  return mock;
+}
+
+describe('MockKlaviyo', () => {
+  it('keeps requests only when asked to', async () => {
+    assert.deepEqual((await requestOnce({})).requests, []);
+    assert.deepEqual(
+      (await requestOnce({ recordRequests: true })).requests.map(request => [request.method, request.path]),
+      [['GET', '/accounts/']]
+    );
+  });
+});
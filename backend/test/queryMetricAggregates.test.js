@@ -0,0 +1,200 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const KlaviyoService = require('../klaviyoService');
+
+// KlaviyoService whose makeRequest answers with response (or throws it if it's an Error)
+// and records each call as { endpoint, method, body }
+function stubbedService(response) {
+  const service = new KlaviyoService('pk_stub', { fixtureRecorder: null });
+  service.calls = [];
+  service.makeRequest = async (endpoint, method, body) => {
+    service.calls.push({ endpoint, method, body });
+    if (response instanceof Error) throw response;
+    return response;
+  };
+  return service;
+}
+
+// metric-aggregate response with the given groups ({ dimensions, measurements }) and dates
+function aggregateResponse(groups, dates = []) {
+  return { data: { type: 'metric-aggregate', attributes: { dates, data: groups } } };
+}
+
+describe('queryMetricAggregates', () => {
+  it('posts a metric-aggregate query with only the options given', async () => {
+    const service = stubbedService(aggregateResponse([]));
+
+    await service.queryMetricAggregates('METRIC1');
+    await service.queryMetricAggregates('METRIC1', {
+      measurements: ['count', 'sum_value'],
+      filters: ['greater-or-equal(datetime,2024-01-01T00:00:00.000Z)'],
+      interval: 'week',
+      timezone: 'Europe/Berlin',
+      by: ['$attributed_message']
+    });
+
+    const [plain, full] = service.calls;
+    assert.equal(plain.endpoint, '/metric-aggregates/');
+    assert.equal(plain.method, 'POST');
+    assert.deepEqual(plain.body, {
+      data: {
+        type: 'metric-aggregate',
+        attributes: { measurements: ['count'], metric_id: 'METRIC1', timezone: 'UTC' }
+      }
+    });
+    assert.deepEqual(full.body.data.attributes, {
+      measurements: ['count', 'sum_value'],
+      metric_id: 'METRIC1',
+      timezone: 'Europe/Berlin',
+      filter: ['greater-or-equal(datetime,2024-01-01T00:00:00.000Z)'],
+      interval: 'week',
+      by: ['$attributed_message']
+    });
+  });
+
+  it('prefers unique, then count, then sum_value', async () => {
+    const cases = [
+      [{ unique: [2], count: [5], sum_value: [100] }, 2],
+      [{ count: [5], sum_value: [100] }, 5],
+      [{ sum_value: [100.5] }, 100.5]
+    ];
+
+    for (const [measurements, expected] of cases) {
+      const service = stubbedService(aggregateResponse([{ dimensions: [], measurements }]));
+      const result = await service.queryMetricAggregates('METRIC1');
+      assert.equal(result.total, expected, JSON.stringify(measurements));
+    }
+  });
+
+  it('sums interval arrays across groups, skipping values that are not numbers', async () => {
+    const service = stubbedService(aggregateResponse([
+      { dimensions: [], measurements: { count: [1, '2', null, 'n/a', 4] } },
+      { dimensions: [], measurements: { count: 3 } }
+    ]));
+
+    const result = await service.queryMetricAggregates('METRIC1');
+
+    assert.equal(result.total, 10);
+    assert.deepEqual(result.grouped, {});
+  });
+
+  it('groups by plain and object dimensions when `by` is used', async () => {
+    const service = stubbedService(aggregateResponse([
+      { dimensions: ['MSG1'], measurements: { count: [1, 2] } },
+      { dimensions: [{ $attributed_message: 'MSG2' }], measurements: { count: [4] } },
+      { dimensions: [{ $flow: 'FLOW1' }], measurements: { count: 5 } },
+      { dimensions: ['MSG1'], measurements: { count: [10] } },
+      { dimensions: [{}], measurements: { count: [7] } }
+    ]));
+
+    const result = await service.queryMetricAggregates('METRIC1', { by: ['$attributed_message'] });
+
+    assert.equal(result.total, 29);
+    assert.deepEqual(result.grouped, { MSG1: 13, MSG2: 4, FLOW1: 5, unknown: 7 });
+  });
+
+  it('sums sum_value per dimension for revenue', async () => {
+    const service = stubbedService(aggregateResponse([
+      { dimensions: ['MSG1'], measurements: { sum_value: [10.25, 0, 4.5] } },
+      { dimensions: ['MSG2'], measurements: { sum_value: [20] } }
+    ]));
+
+    const result = await service.queryMetricAggregates('METRIC1', {
+      measurements: ['sum_value'],
+      by: ['$attributed_message']
+    });
+
+    assert.equal(result.total, 34.75);
+    assert.deepEqual(result.grouped, { MSG1: 14.75, MSG2: 20 });
+  });
+
+  it('builds a series per measurement, summing groups per bucket', async () => {
+    const dates = ['2024-06-01T00:00:00+00:00', '2024-06-02T00:00:00+00:00'];
+    const service = stubbedService(aggregateResponse([
+      { dimensions: ['MSG1'], measurements: { count: [1, 2], sum_value: [10, 20] } },
+      { dimensions: ['MSG2'], measurements: { count: [3, 4], sum_value: ['5.5', 0] } }
+    ], dates));
+
+    const result = await service.queryMetricAggregates('METRIC1', {
+      measurements: ['count', 'sum_value'],
+      interval: 'day'
+    });
+
+    assert.deepEqual(result.series, {
+      count: [{ date: dates[0], value: 4 }, { date: dates[1], value: 6 }],
+      sum_value: [{ date: dates[0], value: 15.5 }, { date: dates[1], value: 20 }]
+    });
+  });
+
+  it('returns zeros with the error when the request fails', async () => {
+    const failure = new Error('Klaviyo API Error: Rate limited');
+    const service = stubbedService(failure);
+
+    const result = await service.queryMetricAggregates('METRIC1');
+
+    assert.deepEqual(result, { total: 0, grouped: {}, series: {}, error: failure });
+  });
+
+  it('returns zeros without an error for an empty response', async () => {
+    const service = stubbedService({});
+
+    const result = await service.queryMetricAggregates('METRIC1');
+
+    assert.deepEqual(result, { total: 0, grouped: {}, series: {} });
+  });
+
+  it('rethrows aborts instead of returning zeros', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const service = stubbedService(controller.signal.reason);
+
+    await assert.rejects(service.queryMetricAggregates('METRIC1'), { name: 'AbortError' });
+  });
+});
+
+describe('aborted requests', () => {
+  it("don't fall back to summing events when the revenue aggregate is aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const service = stubbedService(controller.signal.reason);
+
+    await assert.rejects(service.calculateRevenueByMetricId('METRIC1'), { name: 'AbortError' });
+    assert.deepEqual(service.calls.map(call => call.endpoint), ['/metric-aggregates/']);
+  });
+
+  it('stop the event metrics instead of reporting them as failed', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const service = stubbedService(controller.signal.reason);
+    const metricIds = { placedOrder: 'M1', viewedProduct: 'M2', addedToCart: 'M3', activeOnSite: 'M4' };
+    const dateRange = { start: '2024-06-01T00:00:00.000Z', end: '2024-06-08T00:00:00.000Z', timezone: 'UTC' };
+
+    await assert.rejects(service.getPeriodEventMetrics(metricIds, dateRange), { name: 'AbortError' });
+
+    // Calls that failed some other way while the load was being cancelled stop it too
+    const failing = stubbedService(new Error('socket hang up'));
+    failing.signal = controller.signal;
+    await assert.rejects(failing.getPeriodEventMetrics(metricIds, dateRange), { name: 'AbortError' });
+  });
+
+  it('stop the campaign listing instead of returning it empty', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const service = stubbedService(controller.signal.reason);
+
+    await assert.rejects(service.getCampaigns(), { name: 'AbortError' });
+  });
+
+  it('stop waiting for a retry as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const service = new KlaviyoService('pk_stub', { fixtureRecorder: null, signal: controller.signal });
+    const started = Date.now();
+
+    const waiting = service.wait(60000);
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(waiting, { name: 'AbortError' });
+    assert.ok(Date.now() - started < 1000);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+require('./helpers');
+const { KlaviyoRateLimiter, RATE_LIMIT_TIERS, endpointLimit } = require('../rateLimiter');
+
+// Limiter whose every tier allows burst requests per second and steady per minute
+const limiterWith = (burst, steady) => new KlaviyoRateLimiter({
+  tiers: Object.fromEntries(Object.keys(RATE_LIMIT_TIERS).map(tier => [tier, { burst, steady }]))
+});
+
+// Account ID getStats() shows for an API key
+const accountOf = (key) => crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+
+// Track whether a promise has settled yet
+function track(promise) {
+  const tracked = { settled: false, error: null };
+  promise.then(() => { tracked.settled = true; }, error => { tracked.settled = true; tracked.error = error; });
+  return tracked;
+}
+
+// Let resolved promises run their callbacks
+const flush = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+describe('endpointLimit', () => {
+  it("maps endpoints to Klaviyo's rate-limited routes and tiers", () => {
+    assert.deepEqual(endpointLimit('/metric-aggregates/'), { route: 'metric-aggregates', tier: 'S' });
+    assert.deepEqual(endpointLimit('/flows/FLOW1/flow-actions/'), { route: 'flow-actions', tier: 'M' });
+    assert.deepEqual(endpointLimit('/flows/?page[cursor]=abc'), { route: 'flows', tier: 'S' });
+    assert.deepEqual(endpointLimit('/unknown/thing/'), { route: 'unknown', tier: 'S' });
+  });
+});
+
+describe('KlaviyoRateLimiter', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('lets a burst through, then waits for the bucket to refill', async () => {
+    const limiter = limiterWith(2, 100);
+
+    const requests = [1, 2, 3].map(() => track(limiter.acquire('pk_a', '/lists/')));
+    await flush();
+    assert.deepEqual(requests.map(request => request.settled), [true, true, false]);
+    assert.equal(limiter.getStats().queued, 1);
+
+    // Two tokens per second: the next one is there after 500ms
+    mock.timers.tick(499);
+    await flush();
+    assert.equal(requests[2].settled, false);
+    mock.timers.tick(1);
+    await flush();
+    assert.equal(requests[2].settled, true);
+  });
+
+  it('holds requests to the steady limit per minute', async () => {
+    const limiter = limiterWith(10, 2);
+
+    const requests = [1, 2, 3].map(() => track(limiter.acquire('pk_a', '/lists/')));
+    await flush();
+    assert.deepEqual(requests.map(request => request.settled), [true, true, false]);
+
+    mock.timers.tick(29999);
+    await flush();
+    assert.equal(requests[2].settled, false);
+    mock.timers.tick(1);
+    await flush();
+    assert.equal(requests[2].settled, true);
+  });
+
+  it('keeps one lane per API key and route', async () => {
+    const limiter = limiterWith(1, 100);
+
+    const first = track(limiter.acquire('pk_a', '/lists/'));
+    const sameLane = track(limiter.acquire('pk_a', '/lists/'));
+    const otherRoute = track(limiter.acquire('pk_a', '/campaigns/'));
+    const otherKey = track(limiter.acquire('pk_b', '/lists/'));
+    await flush();
+
+    assert.deepEqual([first, sameLane, otherRoute, otherKey].map(request => request.settled), [true, false, true, true]);
+    const stats = limiter.getStats();
+    assert.equal(stats.lanes.length, 3);
+    assert.deepEqual(stats.lanes.map(lane => [lane.account, lane.route, lane.queued]), [
+      [accountOf('pk_a'), 'lists', 1],
+      [accountOf('pk_a'), 'campaigns', 0],
+      [accountOf('pk_b'), 'lists', 0]
+    ]);
+    assert.ok(stats.lanes.every(lane => !lane.account.includes('pk_')));
+  });
+
+  it('drops a queued request whose signal aborts', async () => {
+    const limiter = limiterWith(1, 100);
+    const controller = new AbortController();
+
+    await limiter.acquire('pk_a', '/lists/');
+    const waiting = track(limiter.acquire('pk_a', '/lists/', controller.signal));
+    controller.abort();
+    await flush();
+
+    assert.equal(waiting.error.name, 'AbortError');
+    assert.equal(limiter.getStats().queued, 0);
+  });
+
+  it('evicts lanes that have been idle long enough to refill', async () => {
+    const limiter = limiterWith(1, 1);
+
+    await limiter.acquire('pk_idle', '/lists/');
+    mock.timers.tick(30000);
+    await limiter.acquire('pk_recent', '/lists/');
+    assert.equal(limiter.lanes.size, 2);
+
+    // At 61s the idle key's buckets are full again; the recent key's steady bucket isn't yet
+    mock.timers.tick(31000);
+    await limiter.acquire('pk_new', '/lists/');
+    assert.deepEqual(
+      limiter.getStats().lanes.map(lane => lane.account).sort(),
+      [accountOf('pk_recent'), accountOf('pk_new')].sort()
+    );
+
+    mock.timers.tick(60000);
+    await limiter.acquire('pk_new', '/campaigns/');
+    assert.deepEqual(limiter.getStats().lanes.map(lane => lane.route), ['campaigns']);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const {
+  CircuitBreaker,
+  isAbortError,
+  isRetryableError,
+  isAccountFailure,
+  getRetryDelay
+} = require('../retryPolicy');
+
+const POLICY = { baseDelayMs: 500, maxDelayMs: 10000, maxRetryAfterMs: 60000 };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+// axios-style error for an HTTP response, or for a request that got none (code)
+const httpError = (status, headers = {}, data = {}) => ({ response: { status, headers, data } });
+const networkError = (code) => ({ code });
+
+// Clock for a circuit breaker that tests move forward by hand
+function manualClock(start = NOW) {
+  const clock = () => clock.time;
+  clock.time = start;
+  clock.advance = (ms) => { clock.time += ms; };
+  return clock;
+}
+
+describe('retry policy', () => {
+  it('retries throttling, server errors and dropped connections, not request errors', () => {
+    [429, 500, 502, 503, 504].forEach(status => assert.equal(isRetryableError(httpError(status)), true, status));
+    [400, 401, 403, 404, 422].forEach(status => assert.equal(isRetryableError(httpError(status)), false, status));
+    ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED'].forEach(code =>
+      assert.equal(isRetryableError(networkError(code)), true, code)
+    );
+    assert.equal(isRetryableError(networkError('ERR_BAD_REQUEST')), false);
+  });
+
+  it('counts transient failures and rejected keys against the account', () => {
+    [503, 429, 401, 403].forEach(status => assert.equal(isAccountFailure(httpError(status)), true, status));
+    [400, 404].forEach(status => assert.equal(isAccountFailure(httpError(status)), false, status));
+    assert.equal(isAccountFailure(networkError('ETIMEDOUT')), true);
+  });
+
+  it('recognizes aborted requests', () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    assert.equal(isAbortError(controller.signal.reason), true);
+    assert.equal(isAbortError({ name: 'CanceledError', code: 'ERR_CANCELED' }), true);
+    assert.equal(isAbortError(networkError('ECONNRESET')), false);
+  });
+
+  it('backs off exponentially up to the maximum, with full jitter', () => {
+    const random = mock.method(Math, 'random', () => 1);
+    try {
+      assert.deepEqual(
+        [0, 1, 2, 3, 4, 5, 10].map(attempt => getRetryDelay(httpError(503), attempt, POLICY, NOW)),
+        [500, 1000, 2000, 4000, 8000, 10000, 10000]
+      );
+
+      random.mock.mockImplementation(() => 0);
+      assert.equal(getRetryDelay(httpError(503), 3, POLICY, NOW), 0);
+      random.mock.mockImplementation(() => 0.5);
+      assert.equal(getRetryDelay(httpError(503), 3, POLICY, NOW), 2000);
+    } finally {
+      random.mock.restore();
+    }
+  });
+
+  it('waits as long as Retry-After asks, in seconds or as a date', () => {
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after': '3' }), 0, POLICY, NOW), 3000);
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after': '0' }), 4, POLICY, NOW), 0);
+    assert.equal(
+      getRetryDelay(httpError(429, { 'retry-after': new Date(NOW + 7000).toUTCString() }), 0, POLICY, NOW),
+      7000
+    );
+    assert.equal(
+      getRetryDelay(httpError(429, { 'retry-after': new Date(NOW - 7000).toUTCString() }), 0, POLICY, NOW),
+      0
+    );
+
+    // Klaviyo's throttling detail when there's no header
+    const throttled = httpError(429, {}, { errors: [{ detail: 'Request was throttled. Expected available in 12 seconds.' }] });
+    assert.equal(getRetryDelay(throttled, 0, POLICY, NOW), 12000);
+  });
+
+  it("gives up instead of waiting longer than the policy's Retry-After limit", () => {
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after': '61' }), 0, POLICY, NOW), null);
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after': '60' }), 0, POLICY, NOW), 60000);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('opens after consecutive failures, counting only consecutive ones', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: manualClock() });
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'closed');
+    assert.doesNotThrow(() => breaker.beforeRequest());
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.throws(() => breaker.beforeRequest(), { code: 'KLAVIYO_CIRCUIT_OPEN', message: /retrying in 1s/ });
+  });
+
+  it('lets one trial request through after the cooldown', () => {
+    const clock = manualClock();
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: clock });
+    breaker.recordFailure();
+
+    clock.advance(999);
+    assert.throws(() => breaker.beforeRequest(), { code: 'KLAVIYO_CIRCUIT_OPEN' });
+
+    clock.advance(1);
+    assert.doesNotThrow(() => breaker.beforeRequest());
+    assert.equal(breaker.state, 'half-open');
+    // Only one trial at a time
+    assert.throws(() => breaker.beforeRequest(), { code: 'KLAVIYO_CIRCUIT_OPEN' });
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.doesNotThrow(() => breaker.beforeRequest());
+    assert.doesNotThrow(() => breaker.beforeRequest());
+  });
+
+  it('reopens for another cooldown when the trial request fails', () => {
+    const clock = manualClock();
+    const breaker = new CircuitBreaker({ failureThreshold: 5, cooldownMs: 1000, now: clock });
+    for (let i = 0; i < 5; i++) breaker.recordFailure();
+
+    clock.advance(1000);
+    breaker.beforeRequest();
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+
+    clock.advance(500);
+    assert.throws(() => breaker.beforeRequest(), { code: 'KLAVIYO_CIRCUIT_OPEN' });
+    clock.advance(500);
+    assert.doesNotThrow(() => breaker.beforeRequest());
+  });
+
+  it('frees the trial slot when the trial request is canceled', () => {
+    const clock = manualClock();
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: clock });
+    breaker.recordFailure();
+    clock.advance(1000);
+
+    breaker.beforeRequest();
+    breaker.recordCanceled();
+    assert.doesNotThrow(() => breaker.beforeRequest());
+  });
+});
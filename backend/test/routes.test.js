@@ -0,0 +1,835 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DATE_RANGE_QUERY, startMockKlaviyo, createApiKey, eventsInRange, sumValues } = require('./helpers');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { resolveDateRange } = require('../dateRange');
+const { closeDemoServers } = require('../demoKlaviyoService');
+const { decryptSecret } = require('../keyEncryption');
+const { hashPassword } = require('../auth');
+
+const dateRange = resolveDateRange(DATE_RANGE_QUERY);
+
+describe('routes', () => {
+  let mock;
+  let app;
+  let client;
+  let token;
+  let adminToken;
+
+  // Add a client for a fresh Klaviyo account on the mock and log it in
+  // Resolves with { client, token }
+  async function createClient(name) {
+    const credentials = { email: `${name}@example.com`, password: `${name}-password` };
+    const created = await asAdmin('post', '/api/admin/clients')
+      .send({ name, ...credentials, klaviyoPrivateKey: createApiKey(mock) })
+      .expect(201);
+    const login = await request(app).post('/api/auth/login').send(credentials).expect(200);
+    return { client: created.body.client, token: login.body.token };
+  }
+
+  // Request to an admin route as the test admin user
+  const asAdmin = (method, path) =>
+    request(app)[method](path).set('Authorization', `Bearer ${adminToken}`);
+
+  // GET a dashboard route as the test client
+  const getDashboard = (path, query = {}) =>
+    request(app).get(path).query(query).set('Authorization', `Bearer ${token}`);
+
+  before(async () => {
+    let baseURL;
+    ({ mock, baseURL } = await startMockKlaviyo());
+    process.env.KLAVIYO_BASE_URL = baseURL;
+
+    app = require('../server');
+    await require('../database').ready;
+
+    const { dbOperations } = require('../database');
+    await dbOperations.addAdminUser('Ops', 'ops@example.com', await hashPassword('ops-password'));
+    const adminLogin = await request(app)
+      .post('/api/auth/admin/login')
+      .send({ email: 'ops@example.com', password: 'ops-password' })
+      .expect(200);
+    adminToken = adminLogin.body.token;
+
+    ({ client, token } = await createClient('acme'));
+  });
+
+  after(async () => {
+    await mock.close();
+    await closeDemoServers();
+    delete process.env.KLAVIYO_BASE_URL;
+  });
+
+  describe('general', () => {
+    it('reports health and lists the API', async () => {
+      const health = await request(app).get('/health').expect(200);
+      assert.equal(health.body.status, 'ok');
+      assert.equal(health.body.api.dashboard.section, 'GET /api/dashboard/sections/:section');
+
+      const root = await request(app).get('/').expect(200);
+      assert.equal(root.body.api.health, '/health');
+
+      const test = await request(app).get('/api/test').expect(200);
+      assert.equal(test.body.method, 'GET');
+    });
+
+    it('answers unknown routes with 404', async () => {
+      const response = await request(app).get('/api/nope').expect(404);
+
+      assert.equal(response.body.error, 'Route not found');
+      assert.equal(response.body.path, '/api/nope');
+    });
+  });
+
+  describe('admin access', () => {
+    const adminRoutes = [
+      ['get', '/api/admin/clients'],
+      ['post', '/api/admin/clients'],
+      ['post', '/api/admin/klaviyo-key-check'],
+      ['get', '/api/admin/clients/1/metrics'],
+      ['put', '/api/admin/clients/1/metric-mappings'],
+      ['patch', '/api/admin/clients/1'],
+      ['delete', '/api/admin/clients/1'],
+      ['post', '/api/admin/clients/1/restore'],
+      ['put', '/api/admin/clients/1/klaviyo-key'],
+      ['post', '/api/admin/clients/1/password-reset'],
+      ['get', '/api/admin/clients/1/accounts'],
+      ['post', '/api/admin/clients/1/accounts'],
+      ['patch', '/api/admin/clients/1/accounts/1'],
+      ['delete', '/api/admin/clients/1/accounts/1'],
+      ['get', '/api/admin/rate-limits'],
+      ['get', '/api/admin/me']
+    ];
+
+    it('requires an admin token on every admin route', async () => {
+      for (const [method, path] of adminRoutes) {
+        await request(app)[method](path).expect(401);
+        const response = await request(app)[method](path).set('Authorization', `Bearer ${token}`).expect(403);
+        assert.deepEqual(response.body, { error: 'Admin access required' }, path);
+      }
+    });
+
+    it('signs admins in with an admin role claim', async () => {
+      await request(app).post('/api/auth/admin/login').send({ email: 'ops@example.com' }).expect(400);
+      await request(app).post('/api/auth/admin/login').send({ email: 'ops@example.com', password: 'wrong' }).expect(401);
+      // Client credentials are not admin credentials
+      await request(app).post('/api/auth/admin/login').send({ email: 'acme@example.com', password: 'acme-password' }).expect(401);
+
+      assert.equal(jwt.decode(adminToken).role, 'admin');
+      const me = await asAdmin('get', '/api/admin/me').expect(200);
+      assert.equal(me.body.email, 'ops@example.com');
+      assert.equal(me.body.password, undefined);
+    });
+
+    it("refuses tokens of admins who've been removed", async () => {
+      const removed = jwt.sign({ adminId: 9999, role: 'admin' }, process.env.JWT_SECRET);
+
+      for (const [method, path] of adminRoutes) {
+        const response = await request(app)[method](path).set('Authorization', `Bearer ${removed}`).expect(401);
+        assert.deepEqual(response.body, { error: 'Admin user not found' }, path);
+      }
+    });
+
+    it('keeps admin tokens off the client dashboard', async () => {
+      const response = await request(app)
+        .get('/api/dashboard/profile')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      assert.deepEqual(response.body, { error: 'Client access required' });
+    });
+  });
+
+  describe('admin', () => {
+    it('requires every field to add a client', async () => {
+      const response = await asAdmin('post', '/api/admin/clients')
+        .send({ name: 'No key', email: 'nokey@example.com', password: 'secret' })
+        .expect(400);
+
+      assert.match(response.body.error, /All fields are required/);
+    });
+
+    it('rejects a duplicate email', async () => {
+      const response = await asAdmin('post', '/api/admin/clients')
+        .send({ name: 'Acme again', email: 'acme@example.com', password: 'secret', klaviyoPrivateKey: 'pk_other' })
+        .expect(400);
+
+      assert.deepEqual(response.body, { error: 'Email already exists' });
+    });
+
+    it('lists clients without their credentials', async () => {
+      const response = await asAdmin('get', '/api/admin/clients').expect(200);
+      const listed = response.body.find(entry => entry.id === client.id);
+
+      assert.equal(listed.email, 'acme@example.com');
+      assert.equal(listed.password, undefined);
+      assert.equal(listed.klaviyo_private_key, undefined);
+    });
+
+    it('checks the Klaviyo key and records the account it belongs to', async () => {
+      const response = await asAdmin('get', '/api/admin/clients').expect(200);
+      const listed = response.body.find(entry => entry.id === client.id);
+
+      assert.equal(listed.klaviyo_account_name, 'Mock Outfitters');
+      assert.equal(listed.klaviyo_currency, 'USD');
+      assert.equal(listed.klaviyo_timezone, 'America/New_York');
+      assert.deepEqual(listed.klaviyo_scopes, ['accounts:read', 'metrics:read', 'campaigns:read', 'flows:read', 'events:read', 'lists:read']);
+      assert.ok(listed.klaviyo_checked_at);
+    });
+
+    it('reports missing scopes and refuses to add the client', async () => {
+      const klaviyoPrivateKey = createApiKey(mock, ['accounts:read', 'metrics:read', 'flows:read', 'lists:read']);
+
+      const check = await asAdmin('post', '/api/admin/klaviyo-key-check').send({ klaviyoPrivateKey }).expect(200);
+      const statuses = Object.fromEntries(check.body.keyCheck.scopes.map(scope => [scope.scope, scope.status]));
+      assert.deepEqual(statuses, {
+        'accounts:read': 'granted',
+        'metrics:read': 'granted',
+        'campaigns:read': 'missing',
+        'flows:read': 'granted',
+        'events:read': 'missing',
+        'lists:read': 'granted'
+      });
+      assert.equal(check.body.keyCheck.valid, true);
+      assert.equal(check.body.keyCheck.ok, false);
+      assert.equal(check.body.keyCheck.account.name, 'Mock Outfitters');
+
+      const created = await asAdmin('post', '/api/admin/clients')
+        .send({ name: 'Scoped', email: 'scoped@example.com', password: 'secret', klaviyoPrivateKey })
+        .expect(400);
+      assert.equal(created.body.error, 'The Klaviyo key is missing required scopes: campaigns:read');
+      assert.equal(created.body.keyCheck.ok, false);
+
+      const clients = await asAdmin('get', '/api/admin/clients').expect(200);
+      assert.ok(!clients.body.some(entry => entry.email === 'scoped@example.com'));
+    });
+
+    it('rejects a key Klaviyo does not accept, without probing every scope', async () => {
+      const requestsBefore = mock.requests.length;
+      const response = await asAdmin('post', '/api/admin/clients')
+        .send({ name: 'Wrong key', email: 'wrongkey@example.com', password: 'secret', klaviyoPrivateKey: 'pk_wrong' })
+        .expect(400);
+
+      assert.equal(response.body.error, 'Klaviyo rejected the private key');
+      assert.equal(response.body.keyCheck.valid, false);
+      assert.ok(response.body.keyCheck.scopes.every(scope => scope.status === 'invalid_key'));
+      assert.equal(mock.requests.length - requestsBefore, 1);
+    });
+
+    it('answers 502 when Klaviyo cannot be reached to check the key', async () => {
+      mock.addFault({ path: '/campaigns/', status: 503, times: 1 });
+      const response = await asAdmin('post', '/api/admin/clients')
+        .send({ name: 'Outage', email: 'outage@example.com', password: 'secret', klaviyoPrivateKey: createApiKey(mock) })
+        .expect(502);
+
+      assert.equal(response.body.error, 'Could not check the Klaviyo key');
+      assert.equal(response.body.keyCheck.scopes.find(scope => scope.scope === 'campaigns:read').status, 'error');
+      await asAdmin('post', '/api/admin/klaviyo-key-check').send({}).expect(400);
+    });
+
+    it("stores the Klaviyo key encrypted, in the client's Klaviyo account", async () => {
+      const { db } = require('../database');
+      const query = (sql) => new Promise((resolve, reject) => {
+        db.get(sql, [client.id], (err, found) => (err ? reject(err) : resolve(found)));
+      });
+      const row = await query(`SELECT klaviyo_private_key, klaviyo_key_version FROM klaviyo_accounts WHERE client_id = ?`);
+
+      assert.deepEqual(await query(`SELECT klaviyo_private_key FROM clients WHERE id = ?`), { klaviyo_private_key: '' });
+      assert.equal(row.klaviyo_key_version, 1);
+      assert.ok(!row.klaviyo_private_key.includes('pk_test_'));
+      assert.match(decryptSecret(row.klaviyo_private_key, row.klaviyo_key_version), /^pk_test_/);
+    });
+
+    it("lists a client's metrics with the detected KPI mappings", async () => {
+      const response = await asAdmin('get', `/api/admin/clients/${client.id}/metrics`).expect(200);
+
+      assert.equal(response.body.clientId, client.id);
+      assert.equal(response.body.metrics.length, mock.fixture.metrics.length);
+      const placedOrder = response.body.kpis.find(kpi => kpi.key === 'placedOrder');
+      assert.equal(placedOrder.overrideId, null);
+      assert.equal(placedOrder.detected.id, 'PLCORD');
+      assert.equal(placedOrder.detected.status, 'preferred');
+
+      await asAdmin('get', '/api/admin/clients/9999/metrics').expect(404);
+    });
+
+    it('validates and saves metric mappings', async () => {
+      const { client: other, token: otherToken } = await createClient('mapped');
+      const path = `/api/admin/clients/${other.id}/metric-mappings`;
+
+      await asAdmin('put', path).send({ mappings: ['PLCORD'] }).expect(400);
+      const unknownKey = await asAdmin('put', path).send({ mappings: { orders: 'PLCORD' } }).expect(400);
+      assert.match(unknownKey.body.error, /Unknown KPI keys: orders/);
+      const unknownMetric = await asAdmin('put', path).send({ mappings: { placedOrder: 'NOPE' } }).expect(400);
+      assert.match(unknownMetric.body.error, /placedOrder \(NOPE\)/);
+      await asAdmin('put', '/api/admin/clients/9999/metric-mappings').send({ mappings: {} }).expect(404);
+
+      const saved = await asAdmin('put', path).send({ mappings: { placedOrder: 'APIORD' } }).expect(200);
+      assert.deepEqual(saved.body.mappings, { placedOrder: 'APIORD' });
+
+      // The dashboard now counts the mapped metric
+      const events = await request(app)
+        .get('/api/dashboard/sections/events')
+        .query(DATE_RANGE_QUERY)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+      assert.equal(events.body.eventMetrics.placedOrder, eventsInRange(mock, 'APIORD', dateRange).length);
+
+      const cleared = await asAdmin('put', path).send({ mappings: { placedOrder: null } }).expect(200);
+      assert.deepEqual(cleared.body.mappings, {});
+    });
+
+    it('reports rate limiter queues', async () => {
+      const response = await asAdmin('get', '/api/admin/rate-limits').expect(200);
+
+      assert.equal(typeof response.body.queued, 'number');
+      assert.ok(response.body.timestamp);
+    });
+  });
+
+  describe('login', () => {
+    it('requires an email and password', async () => {
+      await request(app).post('/api/auth/login').send({ email: 'acme@example.com' }).expect(400);
+    });
+
+    it('rejects unknown emails and wrong passwords alike', async () => {
+      const unknown = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'acme-password' })
+        .expect(401);
+      const wrong = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'acme@example.com', password: 'wrong' })
+        .expect(401);
+
+      assert.deepEqual(unknown.body, wrong.body);
+    });
+
+    it('returns a token for the client', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'acme@example.com', password: 'acme-password' })
+        .expect(200);
+
+      assert.deepEqual(response.body.client, client);
+      assert.equal(jwt.verify(response.body.token, process.env.JWT_SECRET).clientId, client.id);
+    });
+  });
+
+  describe('dashboard', () => {
+    const routes = [
+      '/api/dashboard/metrics',
+      '/api/dashboard/sections/overview',
+      '/api/dashboard/timeseries',
+      '/api/dashboard/campaigns',
+      '/api/dashboard/flows',
+      '/api/dashboard/flows/MOCKFLOW01',
+      '/api/dashboard/accounts',
+      '/api/dashboard/profile'
+    ];
+
+    it('requires a valid token on every route', async () => {
+      for (const path of routes) {
+        await request(app).get(path).expect(401);
+        await request(app).get(path).set('Authorization', 'Bearer invalid').expect(403);
+      }
+    });
+
+    it('answers 404 when the token belongs to no client', async () => {
+      const orphan = jwt.sign({ clientId: 9999 }, process.env.JWT_SECRET);
+
+      for (const path of routes) {
+        const response = await request(app).get(path).set('Authorization', `Bearer ${orphan}`).expect(404);
+        assert.deepEqual(response.body, { error: 'Client not found' }, path);
+      }
+    });
+
+    it('rejects invalid date ranges before calling Klaviyo', async () => {
+      const requestCount = mock.requests.length;
+
+      await getDashboard('/api/dashboard/metrics', { preset: 'forever' }).expect(400);
+      await getDashboard('/api/dashboard/metrics', { ...DATE_RANGE_QUERY, compare: 'last_week' }).expect(400);
+      await getDashboard('/api/dashboard/sections/revenue', { start: '2024-06-10', end: '2024-06-01' }).expect(400);
+      await getDashboard('/api/dashboard/timeseries', { start: '2024-01-01', end: '2024-06-15', interval: 'hour' }).expect(400);
+      await getDashboard('/api/dashboard/campaigns', { timezone: 'Mars/Olympus' }).expect(400);
+      await getDashboard('/api/dashboard/flows', { preset: 'custom' }).expect(400);
+      await getDashboard('/api/dashboard/flows/MOCKFLOW01', { start: 'yesterday', end: 'today' }).expect(400);
+
+      assert.equal(mock.requests.length, requestCount);
+    });
+
+    it('serves the dashboard metrics for the date range', async () => {
+      const response = await getDashboard('/api/dashboard/metrics', { ...DATE_RANGE_QUERY, compare: 'previous_period' })
+        .expect(200);
+      const orders = eventsInRange(mock, 'PLCORD', dateRange);
+
+      assert.deepEqual(response.body.errors, []);
+      assert.deepEqual(response.body.dateRange, dateRange);
+      assert.equal(response.body.eventMetrics.placedOrder, orders.length);
+      assert.ok(Math.abs(response.body.revenueMetrics.totalRevenue - sumValues(orders)) < 0.01);
+      assert.equal(response.body.comparison.mode, 'previous_period');
+      assert.equal(response.body.campaignCount, mock.fixture.campaigns.length);
+      assert.ok(response.body.cachedAt);
+      assert.ok(response.body.cacheStatus);
+    });
+
+    it('serves each dashboard section', async () => {
+      const expected = {
+        overview: body => assert.equal(body.metricCount, mock.fixture.metrics.length),
+        events: body => assert.equal(body.eventMetrics.placedOrder, eventsInRange(mock, 'PLCORD', dateRange).length),
+        revenue: body => assert.ok(body.revenueMetrics.totalRevenue > 0),
+        campaigns: body => assert.equal(body.campaignCount, mock.fixture.campaigns.length),
+        flows: body => assert.equal(body.flowCount, mock.fixture.flows.length),
+        lists: body => assert.equal(body.listCount, mock.fixture.lists.length)
+      };
+
+      for (const [section, check] of Object.entries(expected)) {
+        const response = await getDashboard(`/api/dashboard/sections/${section}`, DATE_RANGE_QUERY).expect(200);
+        assert.deepEqual(response.body.errors, [], section);
+        check(response.body);
+      }
+
+      const unknown = await getDashboard('/api/dashboard/sections/nope').expect(404);
+      assert.deepEqual(unknown.body, { error: 'Unknown dashboard section' });
+      // Names inherited from the object prototype aren't sections either
+      await getDashboard('/api/dashboard/sections/constructor').expect(404);
+      await getDashboard('/api/dashboard/sections/toString').expect(404);
+    });
+
+    it('ignores the date range for sections that do not use it', async () => {
+      const response = await getDashboard('/api/dashboard/sections/lists', { preset: 'forever' }).expect(200);
+
+      assert.equal(response.body.listCount, mock.fixture.lists.length);
+    });
+
+    it('serves time series buckets', async () => {
+      const response = await getDashboard('/api/dashboard/timeseries', { ...DATE_RANGE_QUERY, interval: 'week' })
+        .expect(200);
+      const orders = response.body.series.orders;
+
+      assert.equal(response.body.interval, 'week');
+      assert.ok(orders.length > 0);
+      assert.equal(orders.reduce((sum, bucket) => sum + bucket.value, 0), eventsInRange(mock, 'PLCORD', dateRange).length);
+    });
+
+    it('serves the campaign and flow reports', async () => {
+      const campaigns = await getDashboard('/api/dashboard/campaigns', DATE_RANGE_QUERY).expect(200);
+      assert.ok(campaigns.body.campaigns.length > 0);
+      assert.equal(campaigns.body.totals.campaigns, campaigns.body.campaigns.length);
+
+      const flows = await getDashboard('/api/dashboard/flows', DATE_RANGE_QUERY).expect(200);
+      assert.deepEqual(
+        flows.body.flows.map(flow => flow.id).sort(),
+        mock.fixture.flows.map(flow => flow.id).sort()
+      );
+    });
+
+    it('serves a flow breakdown, or 404 for an unknown flow', async () => {
+      const detail = await getDashboard('/api/dashboard/flows/MOCKFLOW01', DATE_RANGE_QUERY).expect(200);
+      assert.equal(detail.body.flow.id, 'MOCKFLOW01');
+      assert.deepEqual(detail.body.messages.map(message => message.id), ['MOCKFMSG011', 'MOCKFMSG013']);
+
+      const missing = await getDashboard('/api/dashboard/flows/NOFLOW', DATE_RANGE_QUERY).expect(404);
+      assert.deepEqual(missing.body, { error: 'Flow not found' });
+    });
+
+    it("reports a Klaviyo failure on a flow breakdown as an error, not as a missing flow", async () => {
+      mock.addFault({ path: '/flows/MOCKFLOW01/', status: 503, times: 1 });
+      const failed = await getDashboard('/api/dashboard/flows/MOCKFLOW01', DATE_RANGE_QUERY).expect(500);
+      assert.equal(failed.body.error, 'Failed to fetch flow detail');
+
+      await getDashboard('/api/dashboard/flows/MOCKFLOW01', DATE_RANGE_QUERY).expect(200);
+    });
+
+    it('rejects flow IDs that are not Klaviyo IDs', async () => {
+      for (const flowId of ['MOCK"FLOW', 'MOCK,FLOW', 'MOCK%2FFLOW01']) {
+        const response = await getDashboard(`/api/dashboard/flows/${flowId}`, DATE_RANGE_QUERY).expect(400);
+        assert.deepEqual(response.body, { error: 'Invalid flow ID' }, flowId);
+      }
+    });
+
+    it("reports flow messages Klaviyo couldn't list as an error, not as a flow without messages", async () => {
+      mock.addFault({ path: '/flows/MOCKFLOW01/flow-actions/', status: 503, detail: 'Flow actions are down' });
+      try {
+        const detail = await getDashboard('/api/dashboard/flows/MOCKFLOW01', DATE_RANGE_QUERY).expect(200);
+        assert.deepEqual(detail.body.messages, []);
+        assert.deepEqual(
+          detail.body.errors.map(issue => [issue.section, issue.status, issue.partial]),
+          [['messages', 503, false]]
+        );
+      } finally {
+        mock.clearFaults();
+      }
+
+      mock.addFault({ path: '/flow-actions/', status: 503, times: 1 });
+      try {
+        const detail = await getDashboard('/api/dashboard/flows/MOCKFLOW01', DATE_RANGE_QUERY).expect(200);
+        assert.equal(detail.body.messages.length, 1);
+        assert.deepEqual(detail.body.errors.map(issue => [issue.section, issue.partial]), [['messages', true]]);
+      } finally {
+        mock.clearFaults();
+      }
+    });
+
+    it("serves the client's profile", async () => {
+      const response = await getDashboard('/api/dashboard/profile').expect(200);
+
+      assert.deepEqual(response.body, client);
+    });
+  });
+
+  describe('client lifecycle', () => {
+    // Token for a client issued a minute ago, i.e. before anything the test does next
+    const earlierToken = (clientId) =>
+      jwt.sign({ clientId, role: 'client', iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+    const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+    it('edits name and email', async () => {
+      const { client: edited } = await createClient('edited');
+      const path = `/api/admin/clients/${edited.id}`;
+
+      await asAdmin('patch', path).send({}).expect(400);
+      await asAdmin('patch', path).send({ email: '' }).expect(400);
+      await asAdmin('patch', path).send({ disabled: 'yes' }).expect(400);
+      await asAdmin('patch', '/api/admin/clients/9999').send({ name: 'Nobody' }).expect(404);
+      const taken = await asAdmin('patch', path).send({ email: 'acme@example.com' }).expect(400);
+      assert.deepEqual(taken.body, { error: 'Email already exists' });
+
+      const response = await asAdmin('patch', path).send({ email: 'renamed@example.com' }).expect(200);
+      assert.deepEqual(response.body.client, {
+        id: edited.id, name: 'edited', email: 'renamed@example.com', demo: false, disabled: false, deleted: false
+      });
+      await login('renamed@example.com', 'edited-password').expect(200);
+      await login('edited@example.com', 'edited-password').expect(401);
+    });
+
+    it('disables and re-enables a client', async () => {
+      const { client: paused, token: pausedToken } = await createClient('paused');
+      const path = `/api/admin/clients/${paused.id}`;
+
+      const disabled = await asAdmin('patch', path).send({ disabled: true }).expect(200);
+      assert.equal(disabled.body.client.disabled, true);
+
+      await login('paused@example.com', 'wrong').expect(401);
+      const refused = await login('paused@example.com', 'paused-password').expect(403);
+      assert.deepEqual(refused.body, { error: 'This account has been disabled' });
+      await request(app).get('/api/dashboard/profile').set('Authorization', `Bearer ${pausedToken}`).expect(403);
+
+      await asAdmin('patch', path).send({ disabled: false }).expect(200);
+      await login('paused@example.com', 'paused-password').expect(200);
+      await request(app).get('/api/dashboard/profile').set('Authorization', `Bearer ${pausedToken}`).expect(200);
+    });
+
+    it('replaces the Klaviyo key only with one that passes the check', async () => {
+      const { client: rotated, token: rotatedToken } = await createClient('rotated');
+      const path = `/api/admin/clients/${rotated.id}/klaviyo-key`;
+      const oldKey = mock.fixture.apiKeys[mock.fixture.apiKeys.length - 1];
+
+      await asAdmin('put', path).send({}).expect(400);
+      const limited = await asAdmin('put', path)
+        .send({ klaviyoPrivateKey: createApiKey(mock, ['accounts:read', 'metrics:read']) })
+        .expect(400);
+      assert.match(limited.body.error, /missing required scopes: campaigns:read, flows:read/);
+
+      const newKey = createApiKey(mock);
+      const replaced = await asAdmin('put', path).send({ klaviyoPrivateKey: newKey }).expect(200);
+      assert.equal(replaced.body.keyCheck.ok, true);
+
+      // The leaked key stops working; the dashboard keeps working with the new one
+      mock.fixture.apiKeys.splice(mock.fixture.apiKeys.indexOf(oldKey), 1);
+      const overview = await request(app)
+        .get('/api/dashboard/sections/overview')
+        .set('Authorization', `Bearer ${rotatedToken}`)
+        .expect(200);
+      assert.equal(overview.body.errors.length, 0);
+    });
+
+    it('resets a password and ends existing sessions', async () => {
+      const { client: forgetful } = await createClient('forgetful');
+      const path = `/api/admin/clients/${forgetful.id}/password-reset`;
+
+      await asAdmin('post', path).send({ password: 'short' }).expect(400);
+      await asAdmin('post', '/api/admin/clients/9999/password-reset').send({}).expect(404);
+
+      const generated = await asAdmin('post', path).send({}).expect(200);
+      assert.ok(generated.body.temporaryPassword.length >= 12);
+      await login('forgetful@example.com', 'forgetful-password').expect(401);
+      await login('forgetful@example.com', generated.body.temporaryPassword).expect(200);
+      const expired = await request(app)
+        .get('/api/dashboard/profile')
+        .set('Authorization', `Bearer ${earlierToken(forgetful.id)}`)
+        .expect(401);
+      assert.deepEqual(expired.body, { error: 'Session expired, please sign in again' });
+
+      // iat has whole-second precision: a sign-in in the second of the reset keeps working
+      const { sessions_valid_after: resetAt } = await require('../database').dbOperations.getClientById(forgetful.id);
+      const sameSecond = jwt.sign({ clientId: forgetful.id, role: 'client', iat: resetAt }, process.env.JWT_SECRET);
+      await request(app).get('/api/dashboard/profile').set('Authorization', `Bearer ${sameSecond}`).expect(200);
+      const signedIn = await login('forgetful@example.com', generated.body.temporaryPassword).expect(200);
+      await request(app).get('/api/dashboard/profile').set('Authorization', `Bearer ${signedIn.body.token}`).expect(200);
+
+      const chosen = await asAdmin('post', path).send({ password: 'chosen-password' }).expect(200);
+      assert.equal(chosen.body.temporaryPassword, undefined);
+      await login('forgetful@example.com', 'chosen-password').expect(200);
+    });
+
+    it('soft deletes, restores and purges a client', async () => {
+      const { client: leaving, token: leavingToken } = await createClient('leaving');
+      const path = `/api/admin/clients/${leaving.id}`;
+      const listed = async (includeDeleted) => {
+        const response = await asAdmin('get', '/api/admin/clients').query({ includeDeleted }).expect(200);
+        return response.body.find(entry => entry.id === leaving.id);
+      };
+
+      await asAdmin('delete', `${path}?purge=true`).expect(409);
+      const deleted = await asAdmin('delete', path).expect(200);
+      assert.equal(deleted.body.client.deleted, true);
+      assert.equal(await listed(false), undefined);
+      assert.ok((await listed(true)).deleted_at);
+      await login('leaving@example.com', 'leaving-password').expect(401);
+      await request(app).get('/api/dashboard/profile').set('Authorization', `Bearer ${leavingToken}`).expect(404);
+      await asAdmin('patch', path).send({ name: 'Gone' }).expect(404);
+      await asAdmin('get', `${path}/metrics`).expect(404);
+      await asAdmin('put', `${path}/metric-mappings`).send({ mappings: { placedOrder: null } }).expect(404);
+
+      await asAdmin('post', `${path}/restore`).expect(200);
+      assert.ok(await listed(false));
+      await login('leaving@example.com', 'leaving-password').expect(200);
+
+      await asAdmin('delete', path).expect(200);
+      await asAdmin('delete', `${path}?purge=true`).expect(200);
+      assert.equal(await listed(true), undefined);
+      await asAdmin('delete', path).expect(404);
+    });
+  });
+
+  describe('Klaviyo accounts', () => {
+    // Add a second Klaviyo account (a fresh key on the mock) to a client; resolves with its ID
+    async function addAccount(clientId, label) {
+      const added = await asAdmin('post', `/api/admin/clients/${clientId}/accounts`)
+        .send({ label, klaviyoPrivateKey: createApiKey(mock) })
+        .expect(201);
+      return added.body.account.id;
+    }
+
+    it("adds, lists, renames and removes a client's accounts", async () => {
+      const { client: owner, token: ownerToken } = await createClient('stores');
+      const path = `/api/admin/clients/${owner.id}/accounts`;
+
+      await asAdmin('post', path).send({ klaviyoPrivateKey: createApiKey(mock) }).expect(400);
+      await asAdmin('post', path).send({ label: 'EU store' }).expect(400);
+      const refused = await asAdmin('post', path)
+        .send({ label: 'EU store', klaviyoPrivateKey: createApiKey(mock, ['accounts:read', 'metrics:read']) })
+        .expect(400);
+      assert.match(refused.body.error, /missing required scopes: campaigns:read, flows:read/);
+
+      const added = await asAdmin('post', path)
+        .send({ label: 'EU store', klaviyoPrivateKey: createApiKey(mock) })
+        .expect(201);
+      assert.equal(added.body.account.label, 'EU store');
+      assert.equal(added.body.account.accountName, 'Mock Outfitters');
+      assert.equal(added.body.account.currency, 'USD');
+      assert.equal(added.body.keyCheck.ok, true);
+
+      // The first account is named after the Klaviyo account; no key leaves the server
+      const listed = await asAdmin('get', path).expect(200);
+      assert.deepEqual(listed.body.map(account => account.label), ['Mock Outfitters', 'EU store']);
+      assert.ok(listed.body.every(account => !JSON.stringify(account).includes('pk_test_')));
+      const clients = await asAdmin('get', '/api/admin/clients').expect(200);
+      assert.equal(clients.body.find(entry => entry.id === owner.id).account_count, 2);
+
+      await asAdmin('patch', `${path}/${added.body.account.id}`).send({}).expect(400);
+      await asAdmin('patch', `${path}/${added.body.account.id}`).send({ label: 'Europe' }).expect(200);
+      const switcher = await request(app)
+        .get('/api/dashboard/accounts')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      assert.deepEqual(switcher.body.map(account => account.label), ['Mock Outfitters', 'Europe']);
+
+      await asAdmin('delete', `${path}/9999`).expect(404);
+      await asAdmin('delete', `${path}/${listed.body[0].id}`).expect(200);
+      const last = await asAdmin('delete', `${path}/${added.body.account.id}`).expect(409);
+      assert.equal(last.body.error, 'A client needs at least one Klaviyo account');
+      assert.deepEqual((await asAdmin('get', path).expect(200)).body.map(account => account.id), [added.body.account.id]);
+    });
+
+    it('serves one account or all of them combined', async () => {
+      const { client: owner, token: ownerToken } = await createClient('chain');
+      const secondId = await addAccount(owner.id, 'Outlet');
+      const get = (path, query) =>
+        request(app).get(path).query(query).set('Authorization', `Bearer ${ownerToken}`);
+      const placedOrders = eventsInRange(mock, 'PLCORD', dateRange).length;
+
+      const primary = await get('/api/dashboard/sections/events', DATE_RANGE_QUERY).expect(200);
+      const second = await get('/api/dashboard/sections/events', { ...DATE_RANGE_QUERY, account: secondId }).expect(200);
+      assert.equal(primary.body.eventMetrics.placedOrder, placedOrders);
+      assert.equal(second.body.eventMetrics.placedOrder, placedOrders);
+
+      // Both accounts are on the same mock account, so every combined figure is doubled
+      const events = await get('/api/dashboard/sections/events', { ...DATE_RANGE_QUERY, account: 'all', compare: 'previous_period' })
+        .expect(200);
+      assert.deepEqual(events.body.accounts.map(account => account.label), ['Mock Outfitters', 'Outlet']);
+      assert.equal(events.body.eventMetrics.placedOrder, placedOrders * 2);
+      assert.equal(events.body.comparison.deltas.eventMetrics.placedOrder.current, placedOrders * 2);
+      assert.deepEqual(events.body.errors, []);
+
+      const revenue = await get('/api/dashboard/sections/revenue', { ...DATE_RANGE_QUERY, account: 'all' }).expect(200);
+      const expectedRevenue = sumValues(eventsInRange(mock, 'PLCORD', dateRange)) * 2;
+      assert.equal(revenue.body.currency, 'USD');
+      assert.equal(revenue.body.revenueMetrics.totalRevenue.toFixed(2), expectedRevenue.toFixed(2));
+      assert.equal(revenue.body.revenueByCurrency.USD.totalRevenue, revenue.body.revenueMetrics.totalRevenue);
+
+      const lists = await get('/api/dashboard/sections/lists', { account: 'all' }).expect(200);
+      assert.equal(lists.body.listCount, mock.fixture.lists.length * 2);
+
+      const timeSeries = await get('/api/dashboard/timeseries', { ...DATE_RANGE_QUERY, account: 'all' }).expect(200);
+      assert.equal(timeSeries.body.series.orders.reduce((sum, bucket) => sum + bucket.value, 0), placedOrders * 2);
+
+      const campaigns = await get('/api/dashboard/campaigns', { ...DATE_RANGE_QUERY, account: 'all' }).expect(200);
+      const single = await get('/api/dashboard/campaigns', DATE_RANGE_QUERY).expect(200);
+      assert.equal(campaigns.body.campaigns.length, single.body.campaigns.length * 2);
+      assert.deepEqual([...new Set(campaigns.body.campaigns.map(row => row.accountLabel))].sort(), ['Mock Outfitters', 'Outlet']);
+      const flows = await get('/api/dashboard/flows', { ...DATE_RANGE_QUERY, account: 'all' }).expect(200);
+      assert.equal(flows.body.totals.flows, mock.fixture.flows.length * 2);
+
+      // The full report and flow breakdowns are per account
+      await get('/api/dashboard/metrics', { ...DATE_RANGE_QUERY, account: 'all' }).expect(400);
+      await get('/api/dashboard/flows/MOCKFLOW01', { ...DATE_RANGE_QUERY, account: 'all' }).expect(400);
+      await get('/api/dashboard/flows/MOCKFLOW01', { ...DATE_RANGE_QUERY, account: secondId }).expect(200);
+
+      // Accounts of other clients are not found
+      const others = await asAdmin('get', `/api/admin/clients/${client.id}/accounts`).expect(200);
+      await get('/api/dashboard/sections/lists', { account: others.body[0].id }).expect(404);
+      await get('/api/dashboard/sections/lists', { account: 9999 }).expect(404);
+    });
+
+    it('reports the cache status of combined reports like single-account ones', async () => {
+      const { client: owner, token: ownerToken } = await createClient('cachedchain');
+      await addAccount(owner.id, 'Outlet');
+      const cacheStatus = (query) => request(app)
+        .get('/api/dashboard/sections/lists')
+        .query(query)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+        .then(response => response.body.cacheStatus);
+
+      // The tests run with caching disabled
+      const { metricsCache } = require('../metricsCache');
+      const ttlMs = metricsCache.ttlMs;
+      metricsCache.ttlMs = 60000;
+      try {
+        assert.equal(await cacheStatus({ account: 'all' }), 'miss');
+        assert.equal(await cacheStatus({ account: 'all' }), 'hit');
+        assert.equal(await cacheStatus({ refresh: 'true' }), 'refresh');
+        assert.equal(await cacheStatus({ account: 'all', refresh: 'true' }), 'refresh');
+      } finally {
+        metricsCache.ttlMs = ttlMs;
+      }
+    });
+
+    it('keeps metric mappings and key replacement per account', async () => {
+      const { client: owner, token: ownerToken } = await createClient('mappedchain');
+      const secondId = await addAccount(owner.id, 'Outlet');
+      const placedOrders = (query) => request(app)
+        .get('/api/dashboard/sections/events')
+        .query({ ...DATE_RANGE_QUERY, ...query })
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+        .then(response => response.body.eventMetrics.placedOrder);
+
+      const saved = await asAdmin('put', `/api/admin/clients/${owner.id}/metric-mappings`)
+        .query({ account: secondId })
+        .send({ mappings: { placedOrder: 'APIORD' } })
+        .expect(200);
+      assert.equal(saved.body.accountId, secondId);
+      const metrics = await asAdmin('get', `/api/admin/clients/${owner.id}/metrics`).query({ account: secondId }).expect(200);
+      assert.equal(metrics.body.kpis.find(kpi => kpi.key === 'placedOrder').overrideId, 'APIORD');
+
+      assert.equal(await placedOrders({}), eventsInRange(mock, 'PLCORD', dateRange).length);
+      assert.equal(await placedOrders({ account: secondId }), eventsInRange(mock, 'APIORD', dateRange).length);
+
+      await asAdmin('put', `/api/admin/clients/${owner.id}/klaviyo-key`)
+        .query({ account: 9999 })
+        .send({ klaviyoPrivateKey: createApiKey(mock) })
+        .expect(404);
+      await asAdmin('put', `/api/admin/clients/${owner.id}/klaviyo-key`)
+        .query({ account: secondId })
+        .send({ klaviyoPrivateKey: createApiKey(mock) })
+        .expect(200);
+      assert.equal(await placedOrders({ account: secondId }), eventsInRange(mock, 'APIORD', dateRange).length);
+    });
+  });
+
+  describe('demo clients', () => {
+    it('need no Klaviyo key', async () => {
+      const missing = await asAdmin('post', '/api/admin/clients')
+        .send({ name: 'Demo', email: 'demo@example.com', demo: true })
+        .expect(400);
+      assert.equal(missing.body.error, 'All fields are required: name, email, password');
+
+      const created = await asAdmin('post', '/api/admin/clients')
+        .send({ name: 'Demo', email: 'demo@example.com', password: 'demo-password', demo: true, demoSeed: 'sales' })
+        .expect(201);
+      assert.equal(created.body.client.demo, true);
+
+      const listed = await asAdmin('get', '/api/admin/clients').expect(200);
+      assert.equal(listed.body.find(entry => entry.id === created.body.client.id).is_demo, 1);
+    });
+
+    it('get a dashboard of synthetic data without calling Klaviyo', async () => {
+      const requestCount = mock.requests.length;
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'demo@example.com', password: 'demo-password' })
+        .expect(200);
+      assert.equal(login.body.client.demo, true);
+      const demoGet = (path, query = {}) =>
+        request(app).get(path).query(query).set('Authorization', `Bearer ${login.body.token}`);
+
+      const metrics = await demoGet('/api/dashboard/metrics', { preset: '30d', compare: 'previous_year' }).expect(200);
+      assert.deepEqual(metrics.body.errors, []);
+      assert.ok(metrics.body.eventMetrics.placedOrder > 0);
+      assert.ok(metrics.body.revenueMetrics.totalRevenue > 0);
+      assert.ok(metrics.body.comparison.revenueMetrics.totalRevenue > 0);
+      assert.ok(metrics.body.campaignCount > 0);
+      assert.equal(metrics.body.flowCount, 5);
+
+      const flows = await demoGet('/api/dashboard/flows', { preset: '30d' }).expect(200);
+      assert.ok(flows.body.totals.revenue > 0);
+      await demoGet('/api/dashboard/flows/DEMOFLOW02', { preset: '30d' }).expect(200);
+      const campaigns = await demoGet('/api/dashboard/campaigns', { preset: '30d' }).expect(200);
+      assert.ok(campaigns.body.campaigns.length > 0);
+
+      assert.equal(mock.requests.length, requestCount);
+    });
+
+    it('combine accounts in different currencies without adding them up', async () => {
+      const demo = (await asAdmin('get', '/api/admin/clients').expect(200)).body.find(entry => entry.email === 'demo@example.com');
+      const added = await asAdmin('post', `/api/admin/clients/${demo.id}/accounts`)
+        .send({ label: 'UK shop', demoSeed: 'gb' })
+        .expect(201);
+      assert.equal(added.body.account.demo, true);
+      assert.equal(added.body.account.currency, 'GBP');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'demo@example.com', password: 'demo-password' })
+        .expect(200);
+      const revenue = (account) => request(app)
+        .get('/api/dashboard/sections/revenue')
+        .query({ preset: '30d', account })
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200)
+        .then(response => response.body);
+
+      const [combined, uk] = await Promise.all([revenue('all'), revenue(added.body.account.id)]);
+      assert.equal(combined.currency, null);
+      assert.equal(combined.revenueMetrics.totalRevenue, null);
+      assert.deepEqual(Object.keys(combined.revenueByCurrency).sort(), ['GBP', 'USD']);
+      assert.equal(combined.revenueByCurrency.GBP.totalRevenue.toFixed(2), uk.revenueMetrics.totalRevenue.toFixed(2));
+      assert.deepEqual(combined.warnings.map(issue => issue.code), ['mixed_currencies']);
+    });
+  });
+});
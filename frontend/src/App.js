@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import AdminPanel from './components/AdminPanel';
+import AdminLogin from './components/AdminLogin';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import './App.css';
 
@@ -11,6 +12,15 @@ function PrivateRoute({ children }) {
   return isAuthenticated ? children : <Navigate to="/login" />;
 }
 
+// Admin pages need an admin login; waits for the stored session to be restored first
+function AdminRoute({ children }) {
+  const { isAdmin, loading } = useAuth();
+  if (loading) {
+    return null;
+  }
+  return isAdmin ? children : <Navigate to="/admin/login" />;
+}
+
 function App() {
   return (
     <AuthProvider>
@@ -26,7 +36,15 @@ function App() {
                 </PrivateRoute>
               } 
             />
-            <Route path="/admin" element={<AdminPanel />} />
+            <Route path="/admin/login" element={<AdminLogin />} />
+            <Route 
+              path="/admin" 
+              element={
+                <AdminRoute>
+                  <AdminPanel />
+                </AdminRoute>
+              } 
+            />
             <Route path="/" element={<Navigate to="/login" />} />
           </Routes>
         </div>
@@ -1,29 +1,101 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import API_URL from '../config';
+import MetricMappingEditor from './MetricMappingEditor';
+import KlaviyoKeyReport from './KlaviyoKeyReport';
+import ClientEditor from './ClientEditor';
+import { useAuth } from '../context/AuthContext';
 import './AdminPanel.css';
 
 function AdminPanel() {
+  const { admin, logout } = useAuth();
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     password: '',
-    klaviyoPrivateKey: ''
+    klaviyoPrivateKey: '',
+    demo: false,
+    demoSeed: ''
   });
   const [clients, setClients] = useState([]);
   const [message, setMessage] = useState({ type: '', text: '' });
   const [loading, setLoading] = useState(false);
+  const [keyCheck, setKeyCheck] = useState(null);
+  const [checkingKey, setCheckingKey] = useState(false);
+  const [mappingClient, setMappingClient] = useState(null);
+  const [editingClient, setEditingClient] = useState(null);
+  const [showDeleted, setShowDeleted] = useState(false);
+
+  const fetchClients = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/clients`, {
+        params: showDeleted ? { includeDeleted: 'true' } : {}
+      });
+      setClients(response.data);
+    } catch (error) {
+      console.error('Error fetching clients:', error);
+      // Expired or revoked admin session: back to the admin login
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        logout();
+      }
+    }
+  }, [logout, showDeleted]);
+
+  // Disable/enable, delete, restore or purge a client from the table, then reload the list
+  const handleClientAction = async (client, action) => {
+    if (action === 'delete' && !window.confirm(`Delete ${client.name}? They can no longer sign in; you can restore them later.`)) {
+      return;
+    }
+    if (action === 'purge' && !window.confirm(`Permanently remove ${client.name} and their settings? This cannot be undone.`)) {
+      return;
+    }
+
+    const url = `${API_URL}/api/admin/clients/${client.id}`;
+    const requests = {
+      disable: () => axios.patch(url, { disabled: true }),
+      enable: () => axios.patch(url, { disabled: false }),
+      delete: () => axios.delete(url),
+      restore: () => axios.post(`${url}/restore`),
+      purge: () => axios.delete(url, { params: { purge: 'true' } })
+    };
+
+    try {
+      const response = await requests[action]();
+      setMessage({ type: 'success', text: `${client.name}: ${response.data.message}` });
+      if (editingClient?.id === client.id && action !== 'enable' && action !== 'disable') {
+        setEditingClient(null);
+      }
+      fetchClients();
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || `Failed to ${action} client`
+      });
+    }
+  };
 
   useEffect(() => {
     fetchClients();
-  }, []);
+  }, [fetchClients]);
+
+  // Ask Klaviyo which scopes the key has, without saving the client
+  const handleCheckKey = async () => {
+    setCheckingKey(true);
+    setMessage({ type: '', text: '' });
 
-  const fetchClients = async () => {
     try {
-      const response = await axios.get(`${API_URL}/api/admin/clients`);
-      setClients(response.data);
+      const response = await axios.post(`${API_URL}/api/admin/klaviyo-key-check`, {
+        klaviyoPrivateKey: formData.klaviyoPrivateKey
+      });
+      setKeyCheck(response.data.keyCheck);
     } catch (error) {
-      console.error('Error fetching clients:', error);
+      setKeyCheck(null);
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Failed to check Klaviyo key'
+      });
+    } finally {
+      setCheckingKey(false);
     }
   };
 
@@ -32,12 +104,21 @@ function AdminPanel() {
     setLoading(true);
     setMessage({ type: '', text: '' });
 
+    // Demo clients get synthetic data, so they have no Klaviyo key
+    const { klaviyoPrivateKey, demoSeed, ...client } = formData;
+    const payload = formData.demo
+      ? { ...client, demoSeed: demoSeed || undefined }
+      : { ...client, klaviyoPrivateKey };
+
     try {
-      await axios.post(`${API_URL}/api/admin/clients`, formData);
+      await axios.post(`${API_URL}/api/admin/clients`, payload);
       setMessage({ type: 'success', text: 'Client added successfully!' });
-      setFormData({ name: '', email: '', password: '', klaviyoPrivateKey: '' });
+      setFormData({ name: '', email: '', password: '', klaviyoPrivateKey: '', demo: false, demoSeed: '' });
+      setKeyCheck(null);
       fetchClients();
     } catch (error) {
+      // Keys that fail the check come back with the per-scope report
+      setKeyCheck(error.response?.data?.keyCheck || null);
       setMessage({ 
         type: 'error', 
         text: error.response?.data?.error || 'Failed to add client' 
@@ -48,9 +129,12 @@ function AdminPanel() {
   };
 
   const handleChange = (e) => {
+    if (e.target.name === 'klaviyoPrivateKey') {
+      setKeyCheck(null);
+    }
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
     });
   };
 
@@ -100,19 +184,58 @@ function AdminPanel() {
             />
           </div>
 
-          <div className="form-group">
-            <label htmlFor="klaviyoPrivateKey">Klaviyo Private Key</label>
-            <input
-              type="text"
-              id="klaviyoPrivateKey"
-              name="klaviyoPrivateKey"
-              value={formData.klaviyoPrivateKey}
-              onChange={handleChange}
-              required
-              placeholder="Enter Klaviyo private key"
-            />
+          <div className="form-group checkbox-group">
+            <label htmlFor="demo">
+              <input
+                type="checkbox"
+                id="demo"
+                name="demo"
+                checked={formData.demo}
+                onChange={handleChange}
+              />
+              Demo client (synthetic data, no Klaviyo account needed)
+            </label>
           </div>
 
+          {formData.demo ? (
+            <div className="form-group">
+              <label htmlFor="demoSeed">Demo Seed (optional)</label>
+              <input
+                type="text"
+                id="demoSeed"
+                name="demoSeed"
+                value={formData.demoSeed}
+                onChange={handleChange}
+                placeholder="Defaults to the email; the same seed gives the same data"
+              />
+            </div>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="klaviyoPrivateKey">Klaviyo Private Key</label>
+              <div className="key-input-row">
+                <input
+                  type="text"
+                  id="klaviyoPrivateKey"
+                  name="klaviyoPrivateKey"
+                  value={formData.klaviyoPrivateKey}
+                  onChange={handleChange}
+                  required
+                  placeholder="Enter Klaviyo private key"
+                />
+                <button
+                  type="button"
+                  onClick={handleCheckKey}
+                  disabled={checkingKey || !formData.klaviyoPrivateKey}
+                  className="check-key-button"
+                >
+                  {checkingKey ? 'Checking...' : 'Check Key'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {!formData.demo && keyCheck && <KlaviyoKeyReport keyCheck={keyCheck} />}
+
           {message.text && (
             <div className={`message ${message.type}`}>
               {message.text}
@@ -125,7 +248,17 @@ function AdminPanel() {
         </form>
 
         <div className="clients-list">
-          <h2>Existing Clients</h2>
+          <div className="clients-list-header">
+            <h2>Existing Clients</h2>
+            <label className="show-deleted">
+              <input
+                type="checkbox"
+                checked={showDeleted}
+                onChange={(e) => setShowDeleted(e.target.checked)}
+              />
+              Show deleted
+            </label>
+          </div>
           {clients.length === 0 ? (
             <p className="no-clients">No clients added yet</p>
           ) : (
@@ -134,20 +267,92 @@ function AdminPanel() {
                 <div>Name</div>
                 <div>Email</div>
                 <div>Created</div>
+                <div></div>
               </div>
               {clients.map((client) => (
-                <div key={client.id} className="table-row">
-                  <div>{client.name}</div>
+                <div key={client.id} className={`table-row${client.deleted_at ? ' deleted' : ''}`}>
+                  <div>
+                    {client.name}
+                    {client.is_demo ? <span className="demo-tag">Demo</span> : null}
+                    {client.disabled_at ? <span className="status-tag">Disabled</span> : null}
+                    {client.deleted_at ? <span className="status-tag">Deleted</span> : null}
+                    {client.klaviyo_account_name && (
+                      <div className="client-account">
+                        {client.klaviyo_account_name}
+                        {client.klaviyo_currency && ` · ${client.klaviyo_currency}`}
+                        {client.account_count > 1 && ` · ${client.account_count} accounts`}
+                      </div>
+                    )}
+                  </div>
                   <div>{client.email}</div>
                   <div>{new Date(client.created_at).toLocaleDateString()}</div>
+                  <div className="table-actions">
+                    {client.deleted_at ? (
+                      <>
+                        <button type="button" onClick={() => handleClientAction(client, 'restore')} className="table-action-button">
+                          Restore
+                        </button>
+                        <button type="button" onClick={() => handleClientAction(client, 'purge')} className="table-action-button danger">
+                          Purge
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => setEditingClient(client)}
+                          className="table-action-button"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setMappingClient(client)}
+                          className="table-action-button"
+                        >
+                          Metrics
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleClientAction(client, client.disabled_at ? 'enable' : 'disable')}
+                          className="table-action-button"
+                        >
+                          {client.disabled_at ? 'Enable' : 'Disable'}
+                        </button>
+                        <button type="button" onClick={() => handleClientAction(client, 'delete')} className="table-action-button danger">
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
                 </div>
               ))}
             </div>
           )}
         </div>
 
+        {editingClient && (
+          <ClientEditor
+            key={editingClient.id}
+            client={editingClient}
+            onClose={() => setEditingClient(null)}
+            onSaved={fetchClients}
+          />
+        )}
+
+        {mappingClient && (
+          <MetricMappingEditor
+            key={mappingClient.id}
+            client={mappingClient}
+            onClose={() => setMappingClient(null)}
+          />
+        )}
+
         <div className="admin-footer">
-          <a href="/login">Go to Login</a>
+          <span className="admin-user">Signed in as {admin?.email}</span>
+          <button type="button" onClick={logout} className="sign-out-button">
+            Sign Out
+          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import './CampaignTable.css';
+
+const formatCurrency = (value, currency) =>
+  value.toLocaleString(undefined, { style: 'currency', currency: currency || 'USD' });
+
+const formatPercent = (value) => `${value.toFixed(1)}%`;
+
+const COLUMNS = [
+  { key: 'name', label: 'Campaign', type: 'text' },
+  { key: 'channel', label: 'Channel', type: 'text' },
+  { key: 'sendTime', label: 'Sent', type: 'date' },
+  { key: 'delivered', label: 'Delivered', type: 'number', format: (value) => value.toLocaleString() },
+  { key: 'openRate', label: 'Open Rate', type: 'number', format: formatPercent },
+  { key: 'clickThroughRate', label: 'CTR', type: 'number', format: formatPercent },
+  { key: 'bounceRate', label: 'Bounce Rate', type: 'number', format: formatPercent },
+  { key: 'revenue', label: 'Revenue', type: 'number', format: formatCurrency },
+  { key: 'revenuePerRecipient', label: 'Rev / Recipient', type: 'number', format: formatCurrency }
+];
+
+// Shown first when the rows come from several Klaviyo accounts ("All accounts" view)
+const ACCOUNT_COLUMN = { key: 'accountLabel', label: 'Account', type: 'text' };
+
+// Compare two campaign rows on one column; missing values sort last
+const compareRows = (a, b, column) => {
+  const left = a[column.key];
+  const right = b[column.key];
+  if (left === null || left === undefined) return 1;
+  if (right === null || right === undefined) return -1;
+  if (column.type === 'date') return new Date(left).getTime() - new Date(right).getTime();
+  if (column.type === 'number') return left - right;
+  return String(left).localeCompare(String(right));
+};
+
+// currency is the account's; rows of the "All accounts" view carry their own
+function CampaignTable({ campaigns, currency }) {
+  const [sort, setSort] = useState({ key: 'sendTime', direction: 'desc' });
+  const [filters, setFilters] = useState({ search: '', channel: '' });
+
+  const handleSort = (key) => {
+    setSort({
+      key,
+      direction: sort.key === key && sort.direction === 'desc' ? 'asc' : 'desc'
+    });
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({
+      ...filters,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const channels = Array.from(new Set(campaigns.map((campaign) => campaign.channel)));
+  const columns = campaigns.some((campaign) => campaign.accountLabel) ? [ACCOUNT_COLUMN, ...COLUMNS] : COLUMNS;
+  const sortColumn = columns.find((column) => column.key === sort.key);
+
+  const rows = campaigns
+    .filter((campaign) => !filters.channel || campaign.channel === filters.channel)
+    .filter((campaign) => campaign.name.toLowerCase().includes(filters.search.toLowerCase()))
+    .sort((a, b) => {
+      const result = compareRows(a, b, sortColumn);
+      return sort.direction === 'asc' ? result : -result;
+    });
+
+  return (
+    <div className="campaign-table-wrapper">
+      <div className="campaign-table-filters">
+        <input
+          type="text"
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search campaigns"
+          className="campaign-filter-input"
+        />
+        <select
+          name="channel"
+          value={filters.channel}
+          onChange={handleFilterChange}
+          className="campaign-filter-input"
+        >
+          <option value="">All channels</option>
+          {channels.map((channel) => (
+            <option key={channel} value={channel}>{channel.toUpperCase()}</option>
+          ))}
+        </select>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="campaign-table-empty">No campaigns match this period and filter</p>
+      ) : (
+        <div className="campaign-table-scroll">
+          <table className="campaign-table">
+            <thead>
+              <tr>
+                {columns.map((column) => (
+                  <th
+                    key={column.key}
+                    onClick={() => handleSort(column.key)}
+                    className={column.type === 'number' ? 'numeric' : ''}
+                  >
+                    {column.label}
+                    {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((campaign) => (
+                <tr key={`${campaign.accountId || ''}:${campaign.id}`}>
+                  {columns.map((column) => {
+                    const value = campaign[column.key];
+                    let display = value;
+                    if (column.type === 'date') {
+                      display = value ? new Date(value).toLocaleDateString() : '—';
+                    } else if (column.key === 'channel') {
+                      display = value.toUpperCase();
+                    } else if (column.format) {
+                      // null: the figure couldn't be loaded from Klaviyo (see the report's errors)
+                      display = value === null
+                        ? <span className="campaign-unavailable" title="Data unavailable">—</span>
+                        : column.format(value || 0, campaign.currency || currency);
+                    }
+                    return (
+                      <td key={column.key} className={column.type === 'number' ? 'numeric' : ''}>
+                        {display}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CampaignTable;
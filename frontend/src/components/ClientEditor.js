@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import API_URL from '../config';
+import KlaviyoKeyReport from './KlaviyoKeyReport';
+import './ClientEditor.css';
+
+// Edit an existing client in the admin panel: details, Klaviyo accounts and key replacement, and
+// password reset
+// onSaved is called after a change so the client list can reload
+function ClientEditor({ client, onClose, onSaved }) {
+  const [details, setDetails] = useState({ name: client.name, email: client.email });
+  const [accounts, setAccounts] = useState([]);
+  const [newAccount, setNewAccount] = useState({ label: '', klaviyoPrivateKey: '' });
+  const [newAccountCheck, setNewAccountCheck] = useState(null);
+  // Account whose key is replaced; '' is the client's primary account
+  const [keyAccount, setKeyAccount] = useState('');
+  const [klaviyoPrivateKey, setKlaviyoPrivateKey] = useState('');
+  const [keyCheck, setKeyCheck] = useState(null);
+  const [password, setPassword] = useState('');
+  const [temporaryPassword, setTemporaryPassword] = useState('');
+  const [saving, setSaving] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const loadAccounts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/clients/${client.id}/accounts`);
+      setAccounts(response.data);
+    } catch (error) {
+      console.error('Error fetching Klaviyo accounts:', error);
+    }
+  }, [client.id]);
+
+  useEffect(() => {
+    loadAccounts();
+  }, [loadAccounts]);
+
+  // Run one of the editor's requests, showing its outcome; resolves with the response or null
+  const submit = async (action, request, successText) => {
+    setSaving(action);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await request();
+      setMessage({ type: 'success', text: successText });
+      onSaved();
+      return response;
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Request failed'
+      });
+      return error.response || null;
+    } finally {
+      setSaving('');
+    }
+  };
+
+  const handleDetailsChange = (e) => {
+    setDetails({
+      ...details,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSaveDetails = (e) => {
+    e.preventDefault();
+    submit('details', () => axios.patch(`${API_URL}/api/admin/clients/${client.id}`, details), 'Client details saved');
+  };
+
+  // The new key is only saved if it passes the same check as a new client's
+  const handleReplaceKey = async (e) => {
+    e.preventDefault();
+    const response = await submit(
+      'key',
+      () => axios.put(
+        `${API_URL}/api/admin/clients/${client.id}/klaviyo-key`,
+        { klaviyoPrivateKey },
+        { params: keyAccount ? { account: keyAccount } : {} }
+      ),
+      'Klaviyo key replaced'
+    );
+    setKeyCheck(response?.data?.keyCheck || null);
+    if (response?.status === 200) {
+      setKlaviyoPrivateKey('');
+      loadAccounts();
+    }
+  };
+
+  // Another Klaviyo account for the client; its key is checked like a new client's
+  const handleAddAccount = async (e) => {
+    e.preventDefault();
+    const response = await submit(
+      'account',
+      () => axios.post(`${API_URL}/api/admin/clients/${client.id}/accounts`, client.is_demo ? { label: newAccount.label } : newAccount),
+      'Klaviyo account added'
+    );
+    setNewAccountCheck(response?.data?.keyCheck || null);
+    if (response?.status === 201) {
+      setNewAccount({ label: '', klaviyoPrivateKey: '' });
+      loadAccounts();
+    }
+  };
+
+  const handleRenameAccount = async (account) => {
+    const label = window.prompt('Account label', account.label);
+    if (!label || label === account.label) return;
+    await submit(
+      `rename-${account.id}`,
+      () => axios.patch(`${API_URL}/api/admin/clients/${client.id}/accounts/${account.id}`, { label }),
+      'Klaviyo account renamed'
+    );
+    loadAccounts();
+  };
+
+  const handleRemoveAccount = async (account) => {
+    if (!window.confirm(`Remove the Klaviyo account ${account.label} from ${client.name}? Its metric mappings are removed too.`)) {
+      return;
+    }
+    await submit(
+      `remove-${account.id}`,
+      () => axios.delete(`${API_URL}/api/admin/clients/${client.id}/accounts/${account.id}`),
+      'Klaviyo account removed'
+    );
+    if (String(account.id) === keyAccount) {
+      setKeyAccount('');
+    }
+    loadAccounts();
+  };
+
+  // Without a password the server generates a temporary one, shown here once
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    const response = await submit(
+      'password',
+      () => axios.post(`${API_URL}/api/admin/clients/${client.id}/password-reset`, password ? { password } : {}),
+      'Password reset; the client has been signed out everywhere'
+    );
+    setTemporaryPassword(response?.data?.temporaryPassword || '');
+    if (response?.status === 200) {
+      setPassword('');
+    }
+  };
+
+  return (
+    <div className="client-editor">
+      <div className="client-editor-header">
+        <h2>Edit client – {client.name}</h2>
+        <button type="button" onClick={onClose} className="client-editor-close">Close</button>
+      </div>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      <form onSubmit={handleSaveDetails} className="client-editor-section">
+        <h3>Details</h3>
+        <div className="form-group">
+          <label htmlFor="edit-name">Client Name</label>
+          <input type="text" id="edit-name" name="name" value={details.name} onChange={handleDetailsChange} required />
+        </div>
+        <div className="form-group">
+          <label htmlFor="edit-email">Email</label>
+          <input type="email" id="edit-email" name="email" value={details.email} onChange={handleDetailsChange} required />
+        </div>
+        <button type="submit" disabled={saving === 'details'} className="submit-button">
+          {saving === 'details' ? 'Saving...' : 'Save Details'}
+        </button>
+      </form>
+
+      <div className="client-editor-section">
+        <h3>Klaviyo accounts</h3>
+        <p className="client-editor-help">
+          The client can switch between these accounts on the dashboard, or see them combined. The first one is shown by default.
+        </p>
+        <ul className="client-editor-accounts">
+          {accounts.map((account) => (
+            <li key={account.id}>
+              <div>
+                <strong>{account.label}</strong>
+                {account.accountName && account.accountName !== account.label && ` – ${account.accountName}`}
+                {account.currency && <span className="client-editor-account-meta">{account.currency}</span>}
+              </div>
+              <div className="table-actions">
+                <button type="button" onClick={() => handleRenameAccount(account)} className="table-action-button">
+                  Rename
+                </button>
+                {accounts.length > 1 && (
+                  <button type="button" onClick={() => handleRemoveAccount(account)} className="table-action-button danger">
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={handleAddAccount}>
+          <div className="form-group">
+            <label htmlFor="new-account-label">New Account Label</label>
+            <input
+              type="text"
+              id="new-account-label"
+              value={newAccount.label}
+              onChange={(e) => setNewAccount({ ...newAccount, label: e.target.value })}
+              required
+              placeholder="e.g. UK store"
+            />
+          </div>
+          {!client.is_demo && (
+            <div className="form-group">
+              <label htmlFor="new-account-key">Klaviyo Private Key</label>
+              <input
+                type="text"
+                id="new-account-key"
+                value={newAccount.klaviyoPrivateKey}
+                onChange={(e) => {
+                  setNewAccount({ ...newAccount, klaviyoPrivateKey: e.target.value });
+                  setNewAccountCheck(null);
+                }}
+                required
+                placeholder="Enter the account's Klaviyo private key"
+              />
+            </div>
+          )}
+          {newAccountCheck && <KlaviyoKeyReport keyCheck={newAccountCheck} />}
+          <button type="submit" disabled={saving === 'account'} className="submit-button">
+            {saving === 'account' ? 'Checking Key...' : 'Add Account'}
+          </button>
+        </form>
+      </div>
+
+      {!client.is_demo && (
+        <form onSubmit={handleReplaceKey} className="client-editor-section">
+          <h3>Klaviyo key</h3>
+          <p className="client-editor-help">
+            Replace a leaked or revoked key. The new key is checked against Klaviyo before it's saved.
+          </p>
+          {accounts.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="edit-key-account">Account</label>
+              <select
+                id="edit-key-account"
+                value={keyAccount || String(accounts[0].id)}
+                onChange={(e) => {
+                  setKeyAccount(e.target.value);
+                  setKeyCheck(null);
+                }}
+              >
+                {accounts.map((account) => (
+                  <option key={account.id} value={String(account.id)}>{account.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="edit-key">New Klaviyo Private Key</label>
+            <input
+              type="text"
+              id="edit-key"
+              value={klaviyoPrivateKey}
+              onChange={(e) => {
+                setKlaviyoPrivateKey(e.target.value);
+                setKeyCheck(null);
+              }}
+              required
+              placeholder="Enter the new Klaviyo private key"
+            />
+          </div>
+          {keyCheck && <KlaviyoKeyReport keyCheck={keyCheck} />}
+          <button type="submit" disabled={saving === 'key'} className="submit-button">
+            {saving === 'key' ? 'Checking Key...' : 'Replace Key'}
+          </button>
+        </form>
+      )}
+
+      <form onSubmit={handleResetPassword} className="client-editor-section">
+        <h3>Password</h3>
+        <p className="client-editor-help">
+          Leave the password empty to generate a temporary one. The client is signed out of every session.
+        </p>
+        <div className="form-group">
+          <label htmlFor="edit-password">New Password (optional)</label>
+          <input
+            type="password"
+            id="edit-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            minLength={8}
+            placeholder="At least 8 characters"
+          />
+        </div>
+        {temporaryPassword && (
+          <p className="client-editor-temporary-password">
+            Temporary password: <code>{temporaryPassword}</code> (it won't be shown again)
+          </p>
+        )}
+        <button type="submit" disabled={saving === 'password'} className="submit-button">
+          {saving === 'password' ? 'Resetting...' : 'Reset Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ClientEditor;
@@ -1,131 +1,575 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
 import API_URL from '../config';
+import { RevenueLineChart, EventVolumeChart } from './TrendCharts';
+import CampaignTable from './CampaignTable';
+import FlowTable from './FlowTable';
 import './Dashboard.css';
 
+const DATE_PRESETS = [
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: 'mtd', label: 'Month to date' },
+  { value: 'qtd', label: 'Quarter to date' },
+  { value: 'ytd', label: 'Year to date' },
+  { value: 'custom', label: 'Custom range' }
+];
+
+// Requests the dashboard makes in parallel; each part renders as soon as its response arrives
+// compare marks the requests that take the comparison mode
+const DASHBOARD_REQUESTS = [
+  { key: 'overview', path: '/api/dashboard/sections/overview' },
+  { key: 'events', path: '/api/dashboard/sections/events', compare: true },
+  { key: 'revenue', path: '/api/dashboard/sections/revenue', compare: true },
+  { key: 'campaigns', path: '/api/dashboard/sections/campaigns' },
+  { key: 'flows', path: '/api/dashboard/sections/flows' },
+  { key: 'lists', path: '/api/dashboard/sections/lists' },
+  { key: 'timeSeries', path: '/api/dashboard/timeseries' },
+  { key: 'campaignReport', path: '/api/dashboard/campaigns' },
+  { key: 'flowReport', path: '/api/dashboard/flows' }
+];
+
+const COMPARISON_MODES = [
+  { value: 'previous_period', label: 'vs. previous period' },
+  { value: 'previous_year', label: 'vs. same period last year' },
+  { value: '', label: 'No comparison' }
+];
+
+// Browser timezone, so presets like "Month to date" line up with the user's calendar
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Green/red badge showing the change against the comparison period
+function DeltaBadge({ delta, format = (value) => value.toLocaleString() }) {
+  if (!delta) return null;
+
+  const direction = delta.absolute > 0 ? 'up' : delta.absolute < 0 ? 'down' : 'flat';
+  const arrow = direction === 'up' ? '▲' : direction === 'down' ? '▼' : '■';
+  const sign = delta.absolute > 0 ? '+' : delta.absolute < 0 ? '−' : '';
+  const label = delta.percent === null
+    ? `${sign}${format(Math.abs(delta.absolute))}`
+    : `${Math.abs(delta.percent).toFixed(1)}%`;
+
+  return (
+    <span className={`delta-badge ${direction}`} title={`Previous: ${format(delta.previous)}`}>
+      {arrow} {label}
+    </span>
+  );
+}
+
+// Query params describing the selected date range and Klaviyo account (without the comparison mode)
+const buildRangeParams = (dateRange, account) => {
+  const params = { preset: dateRange.preset, timezone: TIMEZONE };
+  if (account) {
+    params.account = account;
+  }
+  if (dateRange.preset === 'custom') {
+    params.start = dateRange.start;
+    params.end = dateRange.end;
+  }
+  return params;
+};
+
+// Amount in the account's currency (ISO code from Klaviyo); USD when the account hasn't reported one
+const formatCurrency = (value, currency) =>
+  value.toLocaleString(undefined, { style: 'currency', currency: currency || 'USD' });
+
+const formatNumber = (value) => value.toLocaleString();
+
+// First error, or else warning, the metrics response reports for a section (e.g. 'eventMetrics.placedOrder')
+const findIssue = (metrics, section) =>
+  metrics?.errors?.find((issue) => issue.section === section) ||
+  metrics?.warnings?.find((issue) => issue.section === section) ||
+  null;
+
+// Short, user-facing reason for a section issue
+const describeIssue = (issue) => {
+  if (issue.code === 'metric_unresolved') return 'Metric not found in Klaviyo';
+  if (issue.code === 'mixed_currencies') return 'Accounts use different currencies';
+  if (issue.code === 'unknown_currency') return "An account's currency is unknown";
+  if (issue.code === 'KLAVIYO_CIRCUIT_OPEN') return 'Klaviyo requests paused after repeated failures';
+  if (issue.status === 401) return 'Klaviyo API key was rejected';
+  if (issue.status === 403) return 'Klaviyo API key lacks access';
+  if (issue.status === 429) return 'Rate limited by Klaviyo';
+  if (issue.status >= 500) return 'Klaviyo is unavailable';
+  return 'Klaviyo request failed';
+};
+
+// Tooltip describing where a figure came from (provenance from the API)
+const describeProvenance = (provenance) => {
+  if (!provenance) return undefined;
+  const lines = [`Source: Klaviyo ${provenance.source}`];
+  if (provenance.window) {
+    lines.push(`Window: ${new Date(provenance.window.start).toLocaleString()} – ${new Date(provenance.window.end).toLocaleString()}`);
+  }
+  if (provenance.sampleSize !== null && provenance.sampleSize !== undefined) {
+    lines.push(`Events summed: ${provenance.sampleSize.toLocaleString()}`);
+  }
+  lines.push(`Computed: ${new Date(provenance.computedAt).toLocaleString()}`);
+  if (provenance.note) lines.push(provenance.note);
+  return lines.join('\n');
+};
+
+// Note shown above a report whose figures are approximate
+function ApproximateNotice({ provenance }) {
+  if (!provenance?.approximate) return null;
+  return <p className="approximate-notice">≈ Approximate: {provenance.note}</p>;
+}
+
+// Note above a report (charts, tables) saying why some of its figures are unavailable; those
+// figures are null in the response and shown as "—"
+function ReportErrors({ report }) {
+  const reasons = [...new Set((report.errors || []).map(describeIssue))];
+  if (reasons.length === 0) return null;
+  return (
+    <p className="report-errors" title={report.errors.map((issue) => issue.message).join('\n')}>
+      ⚠️ Some figures are unavailable: {reasons.join('; ')}
+    </p>
+  );
+}
+
+// Card value, or a "data unavailable" state when the backend couldn't fetch it (value is null)
+// Approximate values (provenance.approximate) are marked so they aren't mistaken for exact figures
+function MetricValue({ value, issue, provenance, format = formatNumber }) {
+  if (value === null || value === undefined) {
+    return (
+      <div className="metric-unavailable" title={issue?.message}>
+        <span className="metric-unavailable-label">Data unavailable</span>
+        {issue && <span className="metric-unavailable-reason">{describeIssue(issue)}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="metric-value-large" title={describeProvenance(provenance)}>
+        {provenance?.approximate && '≈ '}{format(value)}
+      </div>
+      {provenance?.approximate ? (
+        <span className="metric-partial" title={describeProvenance(provenance)}>Approximate – {provenance.note}</span>
+      ) : issue?.partial && (
+        <span className="metric-partial" title={issue.message}>Partial data – {describeIssue(issue)}</span>
+      )}
+    </>
+  );
+}
+
+// Metric card body for a field of a dashboard section (e.g. 'revenueMetrics.totalRevenue' of the
+// revenue section): a skeleton while the section loads, the request error if it failed, otherwise
+// the value with its change against the comparison period
+function SectionMetric({ section, field, format = formatNumber }) {
+  if (!section) {
+    return <div className="skeleton skeleton-value" />;
+  }
+  if (section.error) {
+    return (
+      <div className="metric-unavailable">
+        <span className="metric-unavailable-label">Data unavailable</span>
+        <span className="metric-unavailable-reason">{section.error}</span>
+      </div>
+    );
+  }
+
+  const { data } = section;
+  const [group, key] = field.split('.');
+  return (
+    <>
+      <MetricValue
+        value={key ? data[group]?.[key] : data[group]}
+        issue={findIssue(data, field)}
+        provenance={data.provenance?.[field]}
+        format={format}
+      />
+      {key && <DeltaBadge delta={data.comparison?.deltas?.[group]?.[key]} format={format} />}
+    </>
+  );
+}
+
+// Revenue card body of the "All accounts" view when the accounts use different currencies:
+// one total per currency, since adding them up would be meaningless
+function RevenueByCurrency({ revenue }) {
+  const deltas = revenue.comparison?.deltas?.revenueByCurrency;
+  return (
+    <div className="revenue-by-currency" title={findIssue(revenue, 'revenueMetrics.totalRevenue')?.message}>
+      {Object.entries(revenue.revenueByCurrency).map(([currency, totals]) => {
+        const format = (value) => formatCurrency(value, currency);
+        return (
+          <div key={currency} className="revenue-by-currency-row">
+            <span className="metric-value-medium">
+              {totals.totalRevenue === null ? `${currency} unavailable` : format(totals.totalRevenue)}
+            </span>
+            <DeltaBadge delta={deltas?.[currency]?.totalRevenue} format={format} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Body of a report section (charts, tables): a skeleton while it loads, the error if it failed
+function SectionContent({ section, children }) {
+  if (!section) {
+    return <div className="metric-card chart-card"><div className="skeleton skeleton-block" /></div>;
+  }
+  if (section.error) {
+    return <p className="section-error">⚠️ {section.error}</p>;
+  }
+  return children(section.data);
+}
+
 function Dashboard() {
   const { client, logout } = useAuth();
-  const [metrics, setMetrics] = useState(null);
+  // Responses by DASHBOARD_REQUESTS key: { data } once loaded, { error } if the request failed;
+  // missing while loading
+  const [sections, setSections] = useState({});
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
+  const [dateRange, setDateRange] = useState({ preset: '30d', start: '', end: '', compare: 'previous_period' });
+  // Klaviyo accounts of the client, and the one shown: an account ID, 'all' for the combined
+  // view, or '' for the primary account until the list arrives
+  const [accounts, setAccounts] = useState([]);
+  const [account, setAccount] = useState('');
+  // AbortController of the load in progress; a newer load (or leaving the page) cancels it
+  const loadRef = useRef(null);
 
   useEffect(() => {
-    fetchMetrics();
-    // Refresh metrics every 5 minutes
-    const interval = setInterval(fetchMetrics, 5 * 60 * 1000);
-    return () => clearInterval(interval);
+    axios.get(`${API_URL}/api/dashboard/accounts`)
+      .then((response) => setAccounts(response.data))
+      .catch((err) => console.error('Error fetching Klaviyo accounts:', err));
   }, []);
 
-  const fetchMetrics = async () => {
-    try {
-      setLoading(true);
-      setError('');
-      const response = await axios.get(`${API_URL}/api/dashboard/metrics`);
-      setMetrics(response.data);
-    } catch (err) {
-      setError(err.response?.data?.message || 'Failed to load metrics');
-      console.error('Error fetching metrics:', err);
-    } finally {
+  // refresh bypasses the server-side metrics cache
+  // Every section is requested at once and shown as soon as it arrives
+  // Starting a load cancels any earlier one still running, so the backend stops its Klaviyo calls
+  const fetchMetrics = useCallback(async (refresh = false) => {
+    loadRef.current?.abort();
+    const controller = new AbortController();
+    loadRef.current = controller;
+    const { signal } = controller;
+
+    setLoading(true);
+    const rangeParams = {
+      ...buildRangeParams(dateRange, account),
+      ...(refresh && { refresh: 'true' })
+    };
+    const compareParams = dateRange.compare ? { ...rangeParams, compare: dateRange.compare } : rangeParams;
+
+    await Promise.all(DASHBOARD_REQUESTS.map(async ({ key, path, compare }) => {
+      try {
+        const response = await axios.get(`${API_URL}${path}`, {
+          params: compare ? compareParams : rangeParams,
+          signal
+        });
+        if (signal.aborted) return;
+        setSections((current) => ({ ...current, [key]: { data: response.data } }));
+      } catch (err) {
+        // Superseded or abandoned loads are expected; the newer load reports its own result
+        if (axios.isCancel(err) || signal.aborted) return;
+        console.error(`Error fetching ${key}:`, err);
+        const message = err.response?.data?.error || err.response?.data?.message || 'Failed to load';
+        setSections((current) => ({ ...current, [key]: { error: message } }));
+      }
+    }));
+
+    if (loadRef.current === controller) {
+      loadRef.current = null;
       setLoading(false);
     }
+  }, [dateRange, account]);
+
+  useEffect(() => {
+    // Wait for both dates before loading a custom range
+    if (dateRange.preset === 'custom' && (!dateRange.start || !dateRange.end)) {
+      return undefined;
+    }
+
+    // A new range or account starts from placeholders; refreshes keep showing the current figures
+    setSections({});
+    fetchMetrics();
+    // Refresh metrics every 5 minutes
+    const interval = setInterval(() => fetchMetrics(), 5 * 60 * 1000);
+    return () => {
+      clearInterval(interval);
+      loadRef.current?.abort();
+    };
+  }, [dateRange, fetchMetrics]);
+
+  const handleDateRangeChange = (e) => {
+    setDateRange({
+      ...dateRange,
+      [e.target.name]: e.target.value
+    });
   };
 
+  // Every request failed (e.g. the API is unreachable): show one error instead of each section's
+  const failedRequests = DASHBOARD_REQUESTS.filter(({ key }) => sections[key]?.error);
+  const error = failedRequests.length === DASHBOARD_REQUESTS.length ? sections.overview.error : '';
+
+  // Period the figures cover, from whichever period section arrived first
+  const period = sections.events?.data || sections.revenue?.data;
+
+  // Currency of the figures shown: the selected account's, or the shared one of the combined view
+  // (null there when the accounts use different currencies)
+  const selectedAccount = account === 'all'
+    ? null
+    : accounts.find((entry) => String(entry.id) === account) || accounts[0];
+  const currency = account === 'all' ? sections.revenue?.data?.currency : selectedAccount?.currency;
+  const formatRevenue = (value) => formatCurrency(value, currency);
+  const mixedCurrencies = Object.keys(sections.revenue?.data?.revenueByCurrency || {}).length > 1;
+
+  // Metrics the backend couldn't resolve unambiguously (preferred-integration picks are fine)
+  const metricProblems = (sections.overview?.data?.metricIssues || []).filter((issue) => issue.status !== 'preferred');
+
   return (
     <div className="dashboard-container">
       <header className="dashboard-header">
         <div>
           <h1>Klaviyo Dashboard</h1>
-          <p className="client-name">Welcome, {client?.name}</p>
+          <p className="client-name">
+            Welcome, {client?.name}
+            {client?.demo && (
+              <span className="demo-badge" title="This account shows generated sample data, not a real Klaviyo account">
+                Demo data
+              </span>
+            )}
+          </p>
+        </div>
+        <div className="header-actions">
+          {accounts.length > 1 && (
+            <select
+              value={account || String(accounts[0].id)}
+              onChange={(e) => setAccount(e.target.value)}
+              className="account-select"
+              aria-label="Klaviyo account"
+            >
+              {accounts.map((entry) => (
+                <option key={entry.id} value={String(entry.id)}>{entry.label}</option>
+              ))}
+              <option value="all">All accounts</option>
+            </select>
+          )}
+          <button onClick={logout} className="logout-button">
+            Logout
+          </button>
         </div>
-        <button onClick={logout} className="logout-button">
-          Logout
-        </button>
       </header>
 
       <main className="dashboard-content">
-        {loading && (
-          <div className="loading-container">
-            <div className="spinner"></div>
-            <p>Loading metrics...</p>
-          </div>
-        )}
+        <div className="date-range-bar">
+          <select
+            name="preset"
+            value={dateRange.preset}
+            onChange={handleDateRangeChange}
+            className="date-range-select"
+          >
+            {DATE_PRESETS.map((preset) => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+          </select>
+          {dateRange.preset === 'custom' && (
+            <>
+              <input
+                type="date"
+                name="start"
+                value={dateRange.start}
+                onChange={handleDateRangeChange}
+                className="date-range-input"
+              />
+              <span className="date-range-separator">to</span>
+              <input
+                type="date"
+                name="end"
+                value={dateRange.end}
+                onChange={handleDateRangeChange}
+                className="date-range-input"
+              />
+            </>
+          )}
+          <select
+            name="compare"
+            value={dateRange.compare}
+            onChange={handleDateRangeChange}
+            className="date-range-select"
+          >
+            {COMPARISON_MODES.map((mode) => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+          <button onClick={() => fetchMetrics(true)} disabled={loading} className="refresh-button">
+            {loading ? 'Loading…' : 'Refresh'}
+          </button>
+        </div>
 
         {error && (
           <div className="error-container">
             <p>⚠️ {error}</p>
-            <button onClick={fetchMetrics} className="retry-button">
+            <button onClick={() => fetchMetrics()} className="retry-button">
               Retry
             </button>
           </div>
         )}
 
-        {!loading && !error && metrics && (
+        {!error && (
           <>
+            {metricProblems.length > 0 && (
+              <div className="metric-notice">
+                {metricProblems.map((issue) => (
+                  <p key={`${issue.accountId || ''}:${issue.key}`}>
+                    {issue.accountLabel && `${issue.accountLabel}: `}
+                    {issue.status === 'ambiguous'
+                      ? `Several metrics match "${issue.name || issue.key}" (${issue.candidates.map((c) => `${c.name} – ${c.integration || 'unknown'}`).join(', ')}); its figures are not shown.`
+                      : `No "${issue.name || issue.key}" metric was found in this Klaviyo account.`}
+                  </p>
+                ))}
+              </div>
+            )}
+
             {/* Overview Section */}
             <div className="metrics-section">
               <h2 className="section-title">Overview</h2>
               <div className="metrics-grid">
+                {/* Total Revenue */}
+                <div className="metric-card highlight">
+                  <h3>Total Revenue</h3>
+                  {mixedCurrencies ? (
+                    <RevenueByCurrency revenue={sections.revenue.data} />
+                  ) : (
+                    <SectionMetric section={sections.revenue} field="revenueMetrics.totalRevenue" format={formatRevenue} />
+                  )}
+                </div>
+
                 {/* Campaigns Count */}
                 <div className="metric-card">
                   <h3>Total Campaigns</h3>
-                  <div className="metric-value-large">{metrics.campaignCount?.toLocaleString() || 0}</div>
+                  <SectionMetric section={sections.campaigns} field="campaignCount" />
                 </div>
 
                 {/* Flows Count */}
                 <div className="metric-card">
                   <h3>Total Flows</h3>
-                  <div className="metric-value-large">{metrics.flowCount?.toLocaleString() || 0}</div>
+                  <SectionMetric section={sections.flows} field="flowCount" />
                 </div>
 
-                {/* Total Revenue */}
-                {metrics.revenueMetrics && (
-                  <div className="metric-card highlight">
-                    <h3>Total Revenue</h3>
-                    <div className="metric-value-large">
-                      ${metrics.revenueMetrics.totalRevenue?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) || '0.00'}
-                    </div>
-                  </div>
-                )}
+                {/* Lists Count */}
+                <div className="metric-card">
+                  <h3>Total Lists</h3>
+                  <SectionMetric section={sections.lists} field="listCount" />
+                </div>
               </div>
             </div>
 
             {/* Event Metrics Section */}
-            {metrics.eventMetrics && (
-              <div className="metrics-section">
-                <h2 className="section-title">Event Metrics</h2>
-                <div className="metrics-grid">
-                  <div className="metric-card highlight">
-                    <h3>Placed Order</h3>
-                    <div className="metric-value-large">{metrics.eventMetrics.placedOrder?.toLocaleString() || 0}</div>
-                  </div>
-                  <div className="metric-card">
-                    <h3>Viewed Product</h3>
-                    <div className="metric-value-large">{metrics.eventMetrics.viewedProduct?.toLocaleString() || 0}</div>
-                  </div>
-                  <div className="metric-card">
-                    <h3>Added to Cart</h3>
-                    <div className="metric-value-large">{metrics.eventMetrics.addedToCart?.toLocaleString() || 0}</div>
-                  </div>
-                  <div className="metric-card">
-                    <h3>Active on Site</h3>
-                    <div className="metric-value-large">{metrics.eventMetrics.activeOnSite?.toLocaleString() || 0}</div>
-                  </div>
+            <div className="metrics-section">
+              <h2 className="section-title">Event Metrics</h2>
+              <div className="metrics-grid">
+                <div className="metric-card highlight">
+                  <h3>Placed Order</h3>
+                  <SectionMetric section={sections.events} field="eventMetrics.placedOrder" />
+                </div>
+                <div className="metric-card">
+                  <h3>Viewed Product</h3>
+                  <SectionMetric section={sections.events} field="eventMetrics.viewedProduct" />
+                </div>
+                <div className="metric-card">
+                  <h3>Added to Cart</h3>
+                  <SectionMetric section={sections.events} field="eventMetrics.addedToCart" />
+                </div>
+                <div className="metric-card">
+                  <h3>Active on Site</h3>
+                  <SectionMetric section={sections.events} field="eventMetrics.activeOnSite" />
                 </div>
               </div>
-            )}
+            </div>
 
-            {/* Last Updated */}
+            {/* Trends Section */}
             <div className="metrics-section">
-              <div className="metric-card">
-                <h3>Last Updated</h3>
-                <div className="metric-content">
-                  <p className="timestamp">
-                    {new Date(metrics.timestamp).toLocaleString()}
-                  </p>
+              <h2 className="section-title">Trends</h2>
+              <SectionContent section={sections.timeSeries}>
+                {(timeSeries) => (
+                  <>
+                    <ApproximateNotice provenance={timeSeries.provenance} />
+                    <ReportErrors report={timeSeries} />
+                    <div className="charts-grid">
+                      {Object.keys(timeSeries.revenueByCurrency || {}).length > 1 ? (
+                        Object.entries(timeSeries.revenueByCurrency).map(([code, series]) => (
+                          <div key={code} className="metric-card chart-card">
+                            <h3>Revenue ({code})</h3>
+                            <RevenueLineChart series={series} interval={timeSeries.interval} currency={code} />
+                          </div>
+                        ))
+                      ) : (
+                        <div className="metric-card chart-card">
+                          <h3>Revenue</h3>
+                          <RevenueLineChart series={timeSeries.series.revenue} interval={timeSeries.interval} currency={currency} />
+                        </div>
+                      )}
+                      <div className="metric-card chart-card">
+                        <h3>Event Volume</h3>
+                        <EventVolumeChart series={timeSeries.series} interval={timeSeries.interval} />
+                      </div>
+                    </div>
+                  </>
+                )}
+              </SectionContent>
+            </div>
+
+            {/* Campaigns Section */}
+            <div className="metrics-section">
+              <h2 className="section-title">Campaigns</h2>
+              <SectionContent section={sections.campaignReport}>
+                {(campaignReport) => (
+                  <>
+                    <ApproximateNotice provenance={campaignReport.provenance} />
+                    <ReportErrors report={campaignReport} />
+                    <div className="metric-card chart-card">
+                      <CampaignTable campaigns={campaignReport.campaigns} currency={currency} />
+                    </div>
+                  </>
+                )}
+              </SectionContent>
+            </div>
+
+            {/* Flows Section */}
+            <div className="metrics-section">
+              <h2 className="section-title">Flows</h2>
+              <SectionContent section={sections.flowReport}>
+                {(flowReport) => (
+                  <>
+                    <ApproximateNotice provenance={flowReport.provenance} />
+                    <ReportErrors report={flowReport} />
+                    <div className="metric-card chart-card">
+                      <FlowTable
+                        key={flowReport.timestamp}
+                        flows={flowReport.flows}
+                        currency={currency}
+                        rangeParams={buildRangeParams(dateRange, account)}
+                      />
+                    </div>
+                  </>
+                )}
+              </SectionContent>
+            </div>
+
+            {/* Last Updated */}
+            {period && (
+              <div className="metrics-section">
+                <div className="metric-card">
+                  <h3>Last Updated</h3>
+                  <div className="metric-content">
+                    <p className="date-range-label">
+                      {new Date(period.dateRange.start).toLocaleDateString()} – {new Date(new Date(period.dateRange.end).getTime() - 1).toLocaleDateString()} ({period.dateRange.timezone})
+                    </p>
+                    <p className="timestamp">
+                      {new Date(period.cachedAt || period.timestamp).toLocaleString()}
+                    </p>
+                    {period.comparison && (
+                      <p className="date-range-label">
+                        Compared with {new Date(period.comparison.dateRange.start).toLocaleDateString()} – {new Date(new Date(period.comparison.dateRange.end).getTime() - 1).toLocaleDateString()}
+                      </p>
+                    )}
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
           </>
         )}
       </main>
@@ -134,4 +578,3 @@ function Dashboard() {
 }
 
 export default Dashboard;
-
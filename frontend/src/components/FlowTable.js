@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import API_URL from '../config';
+import './FlowTable.css';
+
+const formatCurrency = (value, currency) =>
+  value.toLocaleString(undefined, { style: 'currency', currency: currency || 'USD' });
+
+const formatPercent = (value) => `${value.toFixed(1)}%`;
+
+// Cell content for a figure, or "—" when it couldn't be loaded from Klaviyo (null)
+const formatStat = (value, format) =>
+  (value === null ? <span className="flow-unavailable" title="Data unavailable">—</span> : format(value));
+
+// The drill-down's error listing the flow's messages (section 'messages'), or null if they all loaded
+const messageIssue = (detail) => (detail.errors || []).find((issue) => issue.section === 'messages') || null;
+
+// Sends / conversions / rate / revenue cells shared by flow and message rows
+function StatCells({ row, currency }) {
+  return (
+    <>
+      <td className="numeric">{formatStat(row.sends, (value) => value.toLocaleString())}</td>
+      <td className="numeric">{formatStat(row.conversions, (value) => value.toLocaleString())}</td>
+      <td className="numeric">{formatStat(row.conversionRate, formatPercent)}</td>
+      <td className="numeric">{formatStat(row.revenue, (value) => formatCurrency(value, currency))}</td>
+    </>
+  );
+}
+
+// Flow report with drill-down into each flow's messages
+// rangeParams are the date range query params the report was loaded with; in the "All accounts"
+// view each flow carries its accountId, label and currency, and is drilled into in its own account
+function FlowTable({ flows, currency, rangeParams }) {
+  const [expandedFlowId, setExpandedFlowId] = useState(null);
+  const [details, setDetails] = useState({});
+  const [detailError, setDetailError] = useState('');
+  // Cancels drill-down requests still running when the table is replaced (new date range or reload)
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  // Flow IDs are only unique within an account
+  const flowKey = (flow) => (flow.accountId ? `${flow.accountId}:${flow.id}` : flow.id);
+
+  const toggleFlow = async (flow) => {
+    const flowId = flowKey(flow);
+    if (expandedFlowId === flowId) {
+      setExpandedFlowId(null);
+      return;
+    }
+
+    setExpandedFlowId(flowId);
+    setDetailError('');
+    if (details[flowId]) return;
+
+    try {
+      const response = await axios.get(`${API_URL}/api/dashboard/flows/${flow.id}`, {
+        params: flow.accountId ? { ...rangeParams, account: flow.accountId } : rangeParams,
+        signal: abortRef.current?.signal
+      });
+      setDetails((current) => ({ ...current, [flowId]: response.data }));
+    } catch (err) {
+      if (axios.isCancel(err)) return;
+      setDetailError(err.response?.data?.error || 'Failed to load flow messages');
+      console.error('Error fetching flow detail:', err);
+    }
+  };
+
+  if (flows.length === 0) {
+    return <p className="flow-table-empty">No flows in this account</p>;
+  }
+
+  return (
+    <div className="flow-table-scroll">
+      <table className="flow-table">
+        <thead>
+          <tr>
+            <th>Flow</th>
+            <th>Status</th>
+            <th className="numeric">Sends</th>
+            <th className="numeric">Conversions</th>
+            <th className="numeric">Conv. Rate</th>
+            <th className="numeric">Revenue</th>
+          </tr>
+        </thead>
+        <tbody>
+          {flows.map((flow) => {
+            const key = flowKey(flow);
+            const flowCurrency = flow.currency || currency;
+            return (
+              <React.Fragment key={key}>
+                <tr className="flow-row" onClick={() => toggleFlow(flow)}>
+                  <td>
+                    <span className="flow-toggle">{expandedFlowId === key ? '▾' : '▸'}</span>
+                    {flow.name}
+                    {flow.accountLabel && <span className="flow-account">{flow.accountLabel}</span>}
+                  </td>
+                  <td>
+                    <span className={`flow-status ${flow.status || 'unknown'}`}>{flow.status || 'unknown'}</span>
+                  </td>
+                  <StatCells row={flow} currency={flowCurrency} />
+                </tr>
+
+                {expandedFlowId === key && !details[key] && (
+                  <tr className="flow-message-row">
+                    <td colSpan={6}>{detailError || 'Loading messages...'}</td>
+                  </tr>
+                )}
+
+                {expandedFlowId === key && details[key] && (
+                  details[key].messages.length === 0 ? (
+                    <tr className="flow-message-row">
+                      {messageIssue(details[key]) ? (
+                        <td colSpan={6} className="flow-unavailable" title={messageIssue(details[key]).message}>
+                          Messages unavailable
+                        </td>
+                      ) : (
+                        <td colSpan={6}>This flow has no messages</td>
+                      )}
+                    </tr>
+                  ) : (
+                    <>
+                      {details[key].messages.map((message) => (
+                        <tr key={message.id} className="flow-message-row">
+                          <td>
+                            <span className="flow-step">{message.step}</span>
+                            {message.name}
+                            {message.channel && <span className="flow-channel">{message.channel.toUpperCase()}</span>}
+                          </td>
+                          <td></td>
+                          <StatCells row={message} currency={flowCurrency} />
+                        </tr>
+                      ))}
+                      {messageIssue(details[key]) && (
+                        <tr className="flow-message-row">
+                          <td colSpan={6} className="flow-unavailable" title={messageIssue(details[key]).message}>
+                            Some messages couldn't be loaded
+                          </td>
+                        </tr>
+                      )}
+                    </>
+                  )
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default FlowTable;
@@ -0,0 +1,43 @@
+import React from 'react';
+import './KlaviyoKeyReport.css';
+
+const STATUS_LABELS = {
+  granted: 'Granted',
+  missing: 'Missing',
+  invalid_key: 'Key rejected',
+  error: 'Could not check'
+};
+
+// Per-scope result of checking a Klaviyo private key (keyCheck from the admin API)
+function KlaviyoKeyReport({ keyCheck }) {
+  const { account } = keyCheck;
+
+  return (
+    <div className="key-report">
+      {account && (
+        <p className="key-report-account">
+          {account.name || 'Unnamed account'}
+          {account.currency && ` · ${account.currency}`}
+          {account.timezone && ` · ${account.timezone}`}
+        </p>
+      )}
+      {!keyCheck.valid && (
+        <p className="key-report-summary">Klaviyo did not accept this private key.</p>
+      )}
+      <div className="key-report-scopes">
+        {keyCheck.scopes.map((scope) => (
+          <div key={scope.scope} className="key-report-row" title={scope.message || ''}>
+            <div className="key-report-scope">
+              {scope.scope}
+              {scope.required && <span className="key-report-required">Required</span>}
+            </div>
+            <div className="key-report-used-for">{scope.usedFor}</div>
+            <div className={`key-report-status ${scope.status}`}>{STATUS_LABELS[scope.status]}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default KlaviyoKeyReport;
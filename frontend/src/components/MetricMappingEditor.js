@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import API_URL from '../config';
+import './MetricMappingEditor.css';
+
+// Describe what automatic detection picks for a KPI
+const describeDetected = (detected) => {
+  if (!detected || !detected.metric) {
+    return detected?.status === 'ambiguous' ? 'ambiguous – choose one' : 'not found';
+  }
+  return `${detected.metric.name}${detected.metric.integration ? ` (${detected.metric.integration})` : ''}`;
+};
+
+// Per-client KPI -> Klaviyo metric mapping editor for the admin panel
+function MetricMappingEditor({ client, onClose }) {
+  const [data, setData] = useState(null);
+  const [selections, setSelections] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    const fetchMetrics = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`${API_URL}/api/admin/clients/${client.id}/metrics`);
+        setData(response.data);
+        const initial = {};
+        response.data.kpis.forEach((kpi) => {
+          initial[kpi.key] = kpi.overrideId || '';
+        });
+        setSelections(initial);
+      } catch (error) {
+        setMessage({
+          type: 'error',
+          text: error.response?.data?.error || 'Failed to load Klaviyo metrics'
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMetrics();
+  }, [client.id]);
+
+  const handleChange = (e) => {
+    setSelections({
+      ...selections,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const mappings = {};
+      Object.entries(selections).forEach(([key, metricId]) => {
+        mappings[key] = metricId || null;
+      });
+      await axios.put(`${API_URL}/api/admin/clients/${client.id}/metric-mappings`, { mappings });
+      setMessage({ type: 'success', text: 'Metric mappings saved' });
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Failed to save metric mappings'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="metric-mapping-editor">
+      <div className="metric-mapping-header">
+        <h2>Metric mapping – {client.name}</h2>
+        <button type="button" onClick={onClose} className="metric-mapping-close">Close</button>
+      </div>
+      <p className="metric-mapping-help">
+        Choose which Klaviyo metric backs each KPI. Leave a KPI on “Automatic” to use the metric detected by name.
+      </p>
+
+      {loading && <p className="metric-mapping-loading">Loading Klaviyo metrics...</p>}
+
+      {!loading && data && (
+        <>
+          {data.metrics.length === 0 && (
+            <div className="message error">No metrics were returned for this Klaviyo account.</div>
+          )}
+
+          {data.kpis.map((kpi) => (
+            <div key={kpi.key} className="metric-mapping-row">
+              <label htmlFor={`mapping-${kpi.key}`}>{kpi.name}</label>
+              <select
+                id={`mapping-${kpi.key}`}
+                name={kpi.key}
+                value={selections[kpi.key] || ''}
+                onChange={handleChange}
+              >
+                <option value="">Automatic – {describeDetected(kpi.detected)}</option>
+                {data.metrics.map((metric) => (
+                  <option key={metric.id} value={metric.id}>
+                    {metric.name}{metric.integration ? ` (${metric.integration})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+
+          {message.text && (
+            <div className={`message ${message.type}`}>
+              {message.text}
+            </div>
+          )}
+
+          <button type="button" onClick={handleSave} disabled={saving} className="submit-button">
+            {saving ? 'Saving...' : 'Save Mappings'}
+          </button>
+        </>
+      )}
+
+      {!loading && !data && message.text && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MetricMappingEditor;
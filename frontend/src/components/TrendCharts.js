@@ -0,0 +1,276 @@
+import React, { useState, useRef, useEffect } from 'react';
+import './TrendCharts.css';
+
+const CHART_HEIGHT = 260;
+const MARGIN = { top: 16, right: 16, bottom: 32, left: 64 };
+
+const EVENT_SERIES = [
+  { key: 'viewedProduct', label: 'Viewed Product', color: '#a3b1f5' },
+  { key: 'addedToCart', label: 'Added to Cart', color: '#764ba2' },
+  { key: 'orders', label: 'Placed Order', color: '#667eea' }
+];
+
+const formatCurrency = (value, currency) =>
+  value.toLocaleString(undefined, { style: 'currency', currency: currency || 'USD' });
+
+// Symbol of a currency for the axis labels (e.g. '£' for GBP)
+const currencySymbol = (currency) =>
+  (0).toLocaleString(undefined, { style: 'currency', currency: currency || 'USD' }).replace(/[\d\s.,]/g, '');
+
+// Compact axis labels (1.2k, 3.4M)
+const formatCompact = (value) => {
+  if (Math.abs(value) >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(1)}k`;
+  return `${Math.round(value)}`;
+};
+
+// Bucket label for the x axis and tooltip, based on the series interval
+const formatBucket = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'hour') {
+    return d.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric' });
+  }
+  if (interval === 'month') {
+    return d.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+// Round the top of the y axis up to a readable value
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const steps = [1, 2, 2.5, 5, 10];
+  const step = steps.find((s) => s * magnitude >= value);
+  return step * magnitude;
+};
+
+// Track the rendered width of a container so charts redraw at phone widths
+function useContainerWidth() {
+  const ref = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return undefined;
+
+    const update = () => setWidth(element.clientWidth);
+    update();
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', update);
+      return () => window.removeEventListener('resize', update);
+    }
+
+    const observer = new ResizeObserver(update);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  return [ref, width];
+}
+
+// Shared frame: axes, gridlines, hover handling and tooltip
+function ChartFrame({ points, interval, maxValue, formatValue, renderTooltip, children }) {
+  const [containerRef, width] = useContainerWidth();
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const innerWidth = Math.max(width - MARGIN.left - MARGIN.right, 0);
+  const innerHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const yMax = niceMax(maxValue);
+  const bucketWidth = points.length > 0 ? innerWidth / points.length : 0;
+
+  const xFor = (index) => MARGIN.left + bucketWidth * index + bucketWidth / 2;
+  const yFor = (value) => MARGIN.top + innerHeight - (value / yMax) * innerHeight;
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((fraction) => yMax * fraction);
+  // Fewer x labels on narrow screens
+  const labelEvery = Math.max(1, Math.ceil(points.length / Math.max(1, Math.floor(innerWidth / 80))));
+
+  const handleMouseMove = (e) => {
+    if (bucketWidth === 0) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const index = Math.floor((e.clientX - rect.left - MARGIN.left) / bucketWidth);
+    setHoverIndex(index >= 0 && index < points.length ? index : null);
+  };
+
+  return (
+    <div className="chart-container" ref={containerRef}>
+      {width > 0 && (
+        <svg
+          width={width}
+          height={CHART_HEIGHT}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHoverIndex(null)}
+        >
+          {yTicks.map((tick) => (
+            <g key={tick}>
+              <line
+                className="chart-gridline"
+                x1={MARGIN.left}
+                x2={MARGIN.left + innerWidth}
+                y1={yFor(tick)}
+                y2={yFor(tick)}
+              />
+              <text className="chart-axis-label" x={MARGIN.left - 8} y={yFor(tick)} textAnchor="end" dominantBaseline="middle">
+                {formatValue(tick)}
+              </text>
+            </g>
+          ))}
+
+          {points.map((point, index) => (
+            index % labelEvery === 0 && (
+              <text
+                key={point.date}
+                className="chart-axis-label"
+                x={xFor(index)}
+                y={CHART_HEIGHT - MARGIN.bottom + 18}
+                textAnchor="middle"
+              >
+                {formatBucket(point.date, interval)}
+              </text>
+            )
+          ))}
+
+          {hoverIndex !== null && (
+            <rect
+              className="chart-hover-band"
+              x={MARGIN.left + bucketWidth * hoverIndex}
+              y={MARGIN.top}
+              width={bucketWidth}
+              height={innerHeight}
+            />
+          )}
+
+          {children({ xFor, yFor, bucketWidth, hoverIndex })}
+        </svg>
+      )}
+
+      {hoverIndex !== null && points[hoverIndex] && (
+        <div
+          className="chart-tooltip"
+          style={{
+            left: Math.min(xFor(hoverIndex), width - 160),
+            top: MARGIN.top
+          }}
+        >
+          <div className="chart-tooltip-title">{formatBucket(points[hoverIndex].date, interval)}</div>
+          {renderTooltip(hoverIndex)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Revenue per bucket as a line with an area fill, in currency (the account's ISO code)
+// series is null when the revenue couldn't be loaded from Klaviyo
+export function RevenueLineChart({ series, interval, currency }) {
+  if (series === null) {
+    return <p className="chart-empty">Revenue data unavailable</p>;
+  }
+  if (!series || series.length === 0) {
+    return <p className="chart-empty">No revenue data for this period</p>;
+  }
+
+  const maxValue = Math.max(...series.map((point) => point.value));
+
+  return (
+    <ChartFrame
+      points={series}
+      interval={interval}
+      maxValue={maxValue}
+      formatValue={(value) => `${currencySymbol(currency)}${formatCompact(value)}`}
+      renderTooltip={(index) => (
+        <div className="chart-tooltip-row">
+          <span>Revenue</span>
+          <strong>{formatCurrency(series[index].value, currency)}</strong>
+        </div>
+      )}
+    >
+      {({ xFor, yFor, hoverIndex }) => {
+        const linePath = series
+          .map((point, index) => `${index === 0 ? 'M' : 'L'}${xFor(index)},${yFor(point.value)}`)
+          .join(' ');
+        const areaPath = `${linePath} L${xFor(series.length - 1)},${yFor(0)} L${xFor(0)},${yFor(0)} Z`;
+
+        return (
+          <>
+            <path className="chart-area" d={areaPath} />
+            <path className="chart-line" d={linePath} />
+            {hoverIndex !== null && (
+              <circle className="chart-point" cx={xFor(hoverIndex)} cy={yFor(series[hoverIndex].value)} r={5} />
+            )}
+          </>
+        );
+      }}
+    </ChartFrame>
+  );
+}
+
+// Viewed Product / Added to Cart / Placed Order counts stacked per bucket
+// A series that couldn't be loaded from Klaviyo is null and marked unavailable in the legend
+export function EventVolumeChart({ series, interval }) {
+  if (EVENT_SERIES.every((s) => series?.[s.key] === null)) {
+    return <p className="chart-empty">Event data unavailable</p>;
+  }
+  const base = series?.orders?.length ? series.orders : (series?.viewedProduct || series?.addedToCart || []);
+  if (base.length === 0) {
+    return <p className="chart-empty">No event data for this period</p>;
+  }
+
+  const valueAt = (key, index) => series[key]?.[index]?.value || 0;
+  const totals = base.map((_, index) => EVENT_SERIES.reduce((sum, s) => sum + valueAt(s.key, index), 0));
+
+  return (
+    <>
+      <ChartFrame
+        points={base}
+        interval={interval}
+        maxValue={Math.max(...totals)}
+        formatValue={formatCompact}
+        renderTooltip={(index) => EVENT_SERIES.slice().reverse().map((s) => (
+          <div key={s.key} className="chart-tooltip-row">
+            <span><span className="chart-swatch" style={{ background: s.color }} />{s.label}</span>
+            <strong>{valueAt(s.key, index).toLocaleString()}</strong>
+          </div>
+        ))}
+      >
+        {({ xFor, yFor, bucketWidth }) => {
+          const barWidth = Math.max(bucketWidth * 0.7, 1);
+          return base.map((point, index) => {
+            let stackTop = 0;
+            return (
+              <g key={point.date}>
+                {EVENT_SERIES.map((s) => {
+                  const value = valueAt(s.key, index);
+                  const y = yFor(stackTop + value);
+                  const height = yFor(stackTop) - y;
+                  stackTop += value;
+                  return (
+                    <rect
+                      key={s.key}
+                      x={xFor(index) - barWidth / 2}
+                      y={y}
+                      width={barWidth}
+                      height={Math.max(height, 0)}
+                      fill={s.color}
+                    />
+                  );
+                })}
+              </g>
+            );
+          });
+        }}
+      </ChartFrame>
+      <div className="chart-legend">
+        {EVENT_SERIES.map((s) => (
+          <span key={s.key} className="chart-legend-item">
+            <span className="chart-swatch" style={{ background: s.color }} />
+            {s.label}
+            {series[s.key] === null && ' (unavailable)'}
+          </span>
+        ))}
+      </div>
+    </>
+  );
+}
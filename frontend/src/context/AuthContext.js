@@ -1,4 +1,4 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import API_URL from '../config';
 
@@ -11,17 +11,23 @@ export function useAuth() {
 export function AuthProvider({ children }) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [client, setClient] = useState(null);
+  // Signed-in admin user; one session at a time, so admin and client logins replace each other
+  const [admin, setAdmin] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     // Check if user is already logged in
     const token = localStorage.getItem('token');
     const clientData = localStorage.getItem('client');
+    const adminData = localStorage.getItem('admin');
     
     if (token && clientData) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       setIsAuthenticated(true);
       setClient(JSON.parse(clientData));
+    } else if (token && adminData) {
+      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      setAdmin(JSON.parse(adminData));
     }
     setLoading(false);
   }, []);
@@ -33,10 +39,12 @@ export function AuthProvider({ children }) {
       
       localStorage.setItem('token', token);
       localStorage.setItem('client', JSON.stringify(clientData));
+      localStorage.removeItem('admin');
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       
       setIsAuthenticated(true);
       setClient(clientData);
+      setAdmin(null);
       return { success: true };
     } catch (error) {
       return { 
@@ -46,18 +54,47 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const logout = () => {
+  // Admin panel login; the token's admin role is what the /api/admin routes check
+  const adminLogin = async (email, password) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/admin/login`, { email, password });
+      const { token, admin: adminData } = response.data;
+
+      localStorage.setItem('token', token);
+      localStorage.setItem('admin', JSON.stringify(adminData));
+      localStorage.removeItem('client');
+      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+      setAdmin(adminData);
+      setIsAuthenticated(false);
+      setClient(null);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Login failed'
+      };
+    }
+  };
+
+  // Stable across renders: components use it as an effect dependency
+  const logout = useCallback(() => {
     localStorage.removeItem('token');
     localStorage.removeItem('client');
+    localStorage.removeItem('admin');
     delete axios.defaults.headers.common['Authorization'];
     setIsAuthenticated(false);
     setClient(null);
-  };
+    setAdmin(null);
+  }, []);
 
   const value = {
     isAuthenticated,
     client,
+    admin,
+    isAdmin: Boolean(admin),
     login,
+    adminLogin,
     logout,
     loading
   };